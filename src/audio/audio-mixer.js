@@ -0,0 +1,137 @@
+/**
+ * @file audio-mixer.js
+ * @description Web Audio channel mixer with per-channel volume and mute
+ */
+
+import { AUDIO_CHANNEL_VOLUMES } from '../utils/config.js';
+
+const MASTER = 'master';
+
+/**
+ * Clamp a volume to the 0-1 range
+ * @param {number} volume
+ * @returns {number}
+ */
+function clampVolume(volume) {
+  const value = Number(volume);
+  return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 0;
+}
+
+/**
+ * AudioMixer
+ * Keeps channel settings and, once attached to an AudioContext, one GainNode per
+ * channel routed through the master channel. Settings can be changed before a
+ * context exists (browsers only allow one after a user gesture).
+ */
+export class AudioMixer {
+  /**
+   * @param {Object<string, number>} [volumes] - Channel name → initial volume (0-1)
+   */
+  constructor(volumes = AUDIO_CHANNEL_VOLUMES) {
+    this.context = null;
+    this.channels = new Map(); // Map<string, { volume, muted, gain }>
+
+    Object.entries({ [MASTER]: 1, ...volumes }).forEach(([name, volume]) => {
+      this.channels.set(name, { volume: clampVolume(volume), muted: false, gain: null });
+    });
+  }
+
+  /**
+   * Build the gain graph on an AudioContext
+   * @param {AudioContext} context
+   */
+  attach(context) {
+    this.context = context;
+
+    const master = this.channels.get(MASTER);
+    master.gain = context.createGain();
+    master.gain.connect(context.destination);
+
+    this.getChannelNames().forEach((name) => {
+      const channel = this.channels.get(name);
+      if (name !== MASTER) {
+        channel.gain = context.createGain();
+        channel.gain.connect(master.gain);
+      }
+      channel.gain.gain.value = channel.muted ? 0 : channel.volume;
+    });
+  }
+
+  /**
+   * Channel names, master included
+   * @returns {string[]}
+   */
+  getChannelNames() {
+    return [...this.channels.keys()];
+  }
+
+  /**
+   * Node that sounds for a channel should connect to
+   * @param {string} name - Channel name (unknown names fall back to master)
+   * @returns {GainNode|null} Null until attached
+   */
+  getOutput(name) {
+    const channel = this.channels.get(name) || this.channels.get(MASTER);
+    return channel.gain;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {number}
+   */
+  getVolume(name) {
+    return this.channels.get(name)?.volume ?? 0;
+  }
+
+  /**
+   * @param {string} name
+   * @param {number} volume - 0-1
+   */
+  setVolume(name, volume) {
+    const channel = this.channels.get(name);
+    if (!channel) {
+      console.warn(`AudioMixer: unknown channel "${name}"`);
+      return;
+    }
+    channel.volume = clampVolume(volume);
+    this._applyGain(name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   */
+  isMuted(name) {
+    return Boolean(this.channels.get(name)?.muted);
+  }
+
+  /**
+   * @param {string} name
+   * @param {boolean} muted
+   */
+  setMuted(name, muted) {
+    const channel = this.channels.get(name);
+    if (!channel) {
+      console.warn(`AudioMixer: unknown channel "${name}"`);
+      return;
+    }
+    channel.muted = Boolean(muted);
+    this._applyGain(name);
+  }
+
+  /**
+   * Push a channel's effective volume to its GainNode
+   * @param {string} name
+   * @private
+   */
+  _applyGain(name) {
+    const channel = this.channels.get(name);
+    if (!channel.gain || !this.context) {
+      return;
+    }
+
+    const value = channel.muted ? 0 : channel.volume;
+    // Short ramp avoids clicks when changing volume while sounds play
+    channel.gain.gain.setTargetAtTime(value, this.context.currentTime, 0.01);
+  }
+}
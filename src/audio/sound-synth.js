@@ -0,0 +1,268 @@
+/**
+ * @file sound-synth.js
+ * @description Procedurally synthesized sound effects and ambient music (no audio assets)
+ */
+
+const SILENCE = 0.0001; // Exponential ramps cannot reach 0
+const noiseBuffers = new WeakMap(); // AudioContext → white noise AudioBuffer
+
+/**
+ * One second of white noise, created once per context
+ * @param {AudioContext} context
+ * @returns {AudioBuffer}
+ */
+function getNoiseBuffer(context) {
+  if (!noiseBuffers.has(context)) {
+    const length = context.sampleRate;
+    const buffer = context.createBuffer(1, length, context.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i += 1) {
+      data[i] = Math.random() * 2 - 1;
+    }
+    noiseBuffers.set(context, buffer);
+  }
+  return noiseBuffers.get(context);
+}
+
+/**
+ * Gain node with an attack/decay envelope starting now
+ * @param {AudioContext} context
+ * @param {number} peak - Peak gain
+ * @param {number} duration - Seconds until silent
+ * @returns {GainNode}
+ */
+function createEnvelope(context, peak, duration) {
+  const now = context.currentTime;
+  const envelope = context.createGain();
+  envelope.gain.setValueAtTime(SILENCE, now);
+  envelope.gain.exponentialRampToValueAtTime(peak, now + 0.005);
+  envelope.gain.exponentialRampToValueAtTime(SILENCE, now + duration);
+  return envelope;
+}
+
+/**
+ * Filtered noise burst (crunches, thuds, blasts)
+ * @param {AudioContext} context
+ * @param {AudioNode} destination
+ * @param {{type: string, frequency: number, endFrequency?: number, peak: number,
+ *   duration: number}} options
+ */
+function playNoise(context, destination, {
+  type,
+  frequency,
+  endFrequency = frequency,
+  peak,
+  duration,
+}) {
+  const now = context.currentTime;
+  const source = context.createBufferSource();
+  source.buffer = getNoiseBuffer(context);
+
+  const filter = context.createBiquadFilter();
+  filter.type = type;
+  filter.frequency.setValueAtTime(frequency, now);
+  filter.frequency.exponentialRampToValueAtTime(endFrequency, now + duration);
+
+  const envelope = createEnvelope(context, peak, duration);
+  source.connect(filter);
+  filter.connect(envelope);
+  envelope.connect(destination);
+
+  source.start(now, Math.random() * 0.5);
+  source.stop(now + duration);
+}
+
+/**
+ * Single oscillator tone with a pitch glide
+ * @param {AudioContext} context
+ * @param {AudioNode} destination
+ * @param {{wave: string, frequency: number, endFrequency?: number, peak: number,
+ *   duration: number, delay?: number}} options
+ */
+function playTone(context, destination, {
+  wave,
+  frequency,
+  endFrequency = frequency,
+  peak,
+  duration,
+  delay = 0,
+}) {
+  const start = context.currentTime + delay;
+  const oscillator = context.createOscillator();
+  oscillator.type = wave;
+  oscillator.frequency.setValueAtTime(frequency, start);
+  oscillator.frequency.exponentialRampToValueAtTime(endFrequency, start + duration);
+
+  const envelope = context.createGain();
+  envelope.gain.setValueAtTime(SILENCE, start);
+  envelope.gain.exponentialRampToValueAtTime(peak, start + 0.005);
+  envelope.gain.exponentialRampToValueAtTime(SILENCE, start + duration);
+
+  oscillator.connect(envelope);
+  envelope.connect(destination);
+  oscillator.start(start);
+  oscillator.stop(start + duration);
+}
+
+/**
+ * Sound effect recipes: channel + `play(context, destination, options)`
+ */
+export const SOUNDS = {
+  // Soft granular crunch; harder blocks sound lower
+  dig: {
+    channel: 'dig',
+    play(context, destination, { hard = false } = {}) {
+      playNoise(context, destination, {
+        type: 'bandpass',
+        frequency: (hard ? 500 : 1100) + Math.random() * 300,
+        endFrequency: hard ? 250 : 600,
+        peak: 0.5,
+        duration: 0.09,
+      });
+    },
+  },
+  // Muted thud of a landing rock
+  thud: {
+    channel: 'impact',
+    play(context, destination) {
+      playTone(context, destination, {
+        wave: 'sine',
+        frequency: 120,
+        endFrequency: 45,
+        peak: 0.9,
+        duration: 0.25,
+      });
+      playNoise(context, destination, {
+        type: 'lowpass',
+        frequency: 400,
+        endFrequency: 120,
+        peak: 0.3,
+        duration: 0.12,
+      });
+    },
+  },
+  explosion: {
+    channel: 'impact',
+    play(context, destination) {
+      playNoise(context, destination, {
+        type: 'lowpass',
+        frequency: 1200,
+        endFrequency: 80,
+        peak: 1,
+        duration: 0.6,
+      });
+      playTone(context, destination, {
+        wave: 'sine',
+        frequency: 90,
+        endFrequency: 30,
+        peak: 0.8,
+        duration: 0.5,
+      });
+    },
+  },
+  // Steam hiss of lava hardening under water
+  hiss: {
+    channel: 'impact',
+    play(context, destination) {
+      playNoise(context, destination, {
+        type: 'highpass',
+        frequency: 3000,
+        endFrequency: 1500,
+        peak: 0.35,
+        duration: 0.35,
+      });
+    },
+  },
+  // Sparkle when a chest releases its loot
+  loot: {
+    channel: 'reward',
+    play(context, destination) {
+      [880, 1320, 1760].forEach((frequency, index) => {
+        playTone(context, destination, {
+          wave: 'triangle',
+          frequency,
+          peak: 0.3,
+          duration: 0.18,
+          delay: index * 0.05,
+        });
+      });
+    },
+  },
+  // Coin blip; bigger scores rise higher
+  coin: {
+    channel: 'reward',
+    play(context, destination, { amount = 1 } = {}) {
+      const lift = Math.min(amount, 10) * 20;
+      playTone(context, destination, {
+        wave: 'square',
+        frequency: 660 + lift,
+        endFrequency: 990 + lift,
+        peak: 0.15,
+        duration: 0.08,
+      });
+    },
+  },
+  death: {
+    channel: 'alert',
+    play(context, destination) {
+      playTone(context, destination, {
+        wave: 'sawtooth',
+        frequency: 440,
+        endFrequency: 80,
+        peak: 0.35,
+        duration: 0.4, // Finishes before the death overlay pauses (and suspends) audio
+      });
+    },
+  },
+  // Rising arpeggio when entering the door
+  transition: {
+    channel: 'alert',
+    play(context, destination) {
+      [392, 523, 659, 784].forEach((frequency, index) => {
+        playTone(context, destination, {
+          wave: 'sine',
+          frequency,
+          peak: 0.35,
+          duration: 0.25,
+          delay: index * 0.09,
+        });
+      });
+    },
+  },
+};
+
+/**
+ * Start the ambient track: a slow, detuned drone with a breathing swell
+ * @param {AudioContext} context
+ * @param {AudioNode} destination
+ * @returns {Function} Stops the track
+ */
+export function startAmbientMusic(context, destination) {
+  const now = context.currentTime;
+  const swell = context.createGain();
+  swell.gain.value = 0.5;
+  swell.connect(destination);
+
+  // 0.05 Hz LFO → about one swell every 20 seconds
+  const lfo = context.createOscillator();
+  const lfoDepth = context.createGain();
+  lfo.frequency.value = 0.05;
+  lfoDepth.gain.value = 0.3;
+  lfo.connect(lfoDepth);
+  lfoDepth.connect(swell.gain);
+
+  const voices = [55, 82.4, 110.6].map((frequency) => {
+    const oscillator = context.createOscillator();
+    oscillator.type = 'sine';
+    oscillator.frequency.value = frequency;
+    oscillator.connect(swell);
+    oscillator.start(now);
+    return oscillator;
+  });
+  lfo.start(now);
+
+  return () => {
+    [...voices, lfo].forEach((oscillator) => oscillator.stop());
+    swell.disconnect();
+  };
+}
@@ -4,10 +4,11 @@ import { Component } from '../../core/component.js';
  * CollectableComponent
  *
  * Declares score and reward payload for transient loot pickups.
+ * `resource` names the ore the score came from (null for plain coins).
  */
 export class CollectableComponent extends Component {
-  constructor({ score = 0 } = {}) {
-    super({ score, collected: false });
+  constructor({ score = 0, resource = null } = {}) {
+    super({ score, resource, collected: false });
   }
 
   /**
@@ -53,8 +53,8 @@ export class DiggableComponent extends Component {
         });
       }
 
-      // Emit destruction event
-      eventBus.emit('block:destroyed', { x: gridX, y: gridY });
+      // Emit destruction event (block is still in the terrain at this point)
+      eventBus.emit('block:destroyed', { x: gridX, y: gridY, block });
 
       return { destroyed: true, hp: 0, maxHp };
     }
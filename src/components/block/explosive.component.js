@@ -0,0 +1,73 @@
+import { Component } from '../../core/component.js';
+
+export const EXPLOSION_PATTERN = {
+  CROSS: 'cross',
+  RADIUS: 'radius',
+  LINE: 'line',
+};
+
+/**
+ * ExplosiveComponent
+ *
+ * Marks a block that detonates when destroyed. ChainReactionSystem clears the
+ * cells returned by `getOffsets()`; explosives caught in the blast detonate in
+ * turn after `delayMs`.
+ *
+ * @param {string} pattern - 'cross' | 'radius' | 'line'
+ * @param {number} radius - Reach in tiles (arm length for cross, length for line)
+ * @param {{dx: number, dy: number}} direction - Line direction (line pattern only)
+ * @param {number} delayMs - Delay before a cascaded explosive detonates
+ */
+export class ExplosiveComponent extends Component {
+  constructor({
+    pattern = EXPLOSION_PATTERN.CROSS,
+    radius = 1,
+    direction = { dx: 1, dy: 0 },
+    delayMs = 150,
+  } = {}) {
+    super({
+      pattern,
+      radius,
+      direction,
+      delayMs,
+    });
+  }
+
+  /**
+   * Grid offsets covered by the blast, including the origin
+   * @returns {Array<{dx: number, dy: number}>}
+   */
+  getOffsets() {
+    const offsets = [{ dx: 0, dy: 0 }];
+
+    switch (this.pattern) {
+      case EXPLOSION_PATTERN.RADIUS:
+        for (let dy = -this.radius; dy <= this.radius; dy += 1) {
+          for (let dx = -this.radius; dx <= this.radius; dx += 1) {
+            if ((dx !== 0 || dy !== 0) && dx * dx + dy * dy <= this.radius * this.radius) {
+              offsets.push({ dx, dy });
+            }
+          }
+        }
+        break;
+      case EXPLOSION_PATTERN.LINE:
+        for (let step = 1; step <= this.radius; step += 1) {
+          offsets.push({ dx: this.direction.dx * step, dy: this.direction.dy * step });
+        }
+        break;
+      case EXPLOSION_PATTERN.CROSS:
+      default:
+        for (let step = 1; step <= this.radius; step += 1) {
+          offsets.push(
+            { dx: 0, dy: -step },
+            { dx: 0, dy: step },
+            { dx: -step, dy: 0 },
+            { dx: step, dy: 0 },
+          );
+        }
+        break;
+    }
+
+    return offsets;
+  }
+}
@@ -1,5 +1,6 @@
 import { Component } from '../../core/component.js';
 import { PhysicsComponent } from './physics.component.js';
+import { getBlockDefinition } from '../../factories/block-registry.js';
 import {
   GRAVITY,
   FALL_SPEED_MAX,
@@ -15,16 +16,30 @@ const ACTOR_KIND = 'actor';
  * Handles gravity and falling physics for blocks and actors that share the same
  * gravity pipeline. Each instance must be bound to its owning entity via
  * `attachOwner` before use.
+ *
+ * Granular blocks (sand, gravel) also slide diagonally off edges and piles: a
+ * slide is a fall that starts one column to the side (see `getSlideDirection`).
+ * Rolling blocks (rocks) slide the same way, but only off rounded tops (rocks, chests).
+ *
+ * A block may wobble before it commits to a fall: `beginUnstable` starts the unstable
+ * phase, `tickUnstable` reports when it is over and `start` ends it.
  */
 export class FallableComponent extends Component {
-  constructor({ kind = DEFAULT_KIND } = {}) {
+  constructor({ kind = DEFAULT_KIND, granular = false, rolling = false } = {}) {
     super();
     this.kind = kind;
+    this.granular = granular;
+    this.rolling = rolling;
     this.owner = null;
 
     this.isFalling = false;
     this.velocityY = 0;
 
+    // Unstable phase (wobbling before a fall)
+    this.isUnstable = false;
+    this.unstableElapsedMs = 0;
+    this.unstableDelayMs = 0;
+
     // Stored world-space information for blocks (and for exposing state to systems).
     this.pixelY = null;
     this.gridX = null;
@@ -61,6 +76,89 @@ export class FallableComponent extends Component {
     return Boolean(physicsBelow && physicsBelow.isCollidable());
   }
 
+  /**
+   * Direction a supported block slides in: granular blocks slide off any edge, rolling
+   * blocks only off a rounded top. The tile beside it and the tile diagonally below must
+   * both be open. Tiles are tried in an order that alternates with the tile's position,
+   * so piles spread to both sides, unless the block still rolls in a preferred direction.
+   * @param {Object} terrain
+   * @param {number} gridX
+   * @param {number} gridY
+   * @param {number} [preferred=0] - Direction to try first (-1, 1), e.g. a roll's momentum
+   * @returns {number} -1 (left), 1 (right) or 0 (stays put)
+   */
+  getSlideDirection(terrain, gridX, gridY, preferred = 0) {
+    if (!this.granular && !(this.rolling && this.isOnRoundedTop(terrain, gridX, gridY))) {
+      return 0;
+    }
+
+    let sides = (gridX + gridY) % 2 === 0 ? [-1, 1] : [1, -1];
+    if (preferred !== 0) {
+      sides = [preferred, -preferred];
+    }
+    const isOpen = (x, y) => terrain.isBlockLoaded(x, y)
+      && !terrain.getBlock(x, y).get(PhysicsComponent)?.isCollidable();
+    return sides.find((dx) => isOpen(gridX + dx, gridY) && isOpen(gridX + dx, gridY + 1)) ?? 0;
+  }
+
+  /**
+   * Whether the block beneath a tile has a rounded top (see `rounded` in block-registry.js)
+   * @param {Object} terrain
+   * @param {number} gridX
+   * @param {number} gridY
+   * @returns {boolean}
+   */
+  isOnRoundedTop(terrain, gridX, gridY) {
+    const blockBelow = terrain.getBlock(gridX, gridY + 1);
+    return Boolean(blockBelow?.type && getBlockDefinition(blockBelow.type)?.rounded);
+  }
+
+  /**
+   * Begin wobbling in place before a fall.
+   * @param {number} gridX
+   * @param {number} gridY
+   * @param {number} delayMs - How long the block wobbles
+   */
+  beginUnstable(gridX, gridY, delayMs) {
+    this._assertOwner();
+    this.isUnstable = true;
+    this.unstableElapsedMs = 0;
+    this.unstableDelayMs = delayMs;
+    this.gridX = gridX;
+    this.gridY = gridY;
+    this.pixelY = gridY * TILE_HEIGHT;
+  }
+
+  /**
+   * Advance the unstable phase.
+   * @param {number} deltaMs
+   * @returns {boolean} True once the block has wobbled long enough to fall
+   */
+  tickUnstable(deltaMs) {
+    this.unstableElapsedMs += deltaMs;
+    return this.unstableElapsedMs >= this.unstableDelayMs;
+  }
+
+  /**
+   * Share of the unstable phase already spent (0-1), for the wobble's strength.
+   * @returns {number}
+   */
+  getUnstableProgress() {
+    if (!this.isUnstable || this.unstableDelayMs <= 0) {
+      return 0;
+    }
+    return Math.min(1, this.unstableElapsedMs / this.unstableDelayMs);
+  }
+
+  /**
+   * End the unstable phase without falling (the block found support again).
+   */
+  settle() {
+    this.isUnstable = false;
+    this.unstableElapsedMs = 0;
+    this.unstableDelayMs = 0;
+  }
+
   /**
    * Begin falling from the provided grid coordinates.
    * @param {number} gridX
@@ -68,6 +166,7 @@ export class FallableComponent extends Component {
    */
   start(gridX, gridY) {
     this._assertOwner();
+    this.settle();
     this.isFalling = true;
     this.velocityY = 0;
 
@@ -122,6 +221,7 @@ export class FallableComponent extends Component {
    * Reset stored state (used when block is removed from the world).
    */
   reset() {
+    this.settle();
     this.isFalling = false;
     this.velocityY = 0;
     this.pixelY = null;
@@ -0,0 +1,31 @@
+import { Component } from '../../core/component.js';
+
+// Fill levels are whole units so flowing liquid never gains or loses volume
+export const LIQUID_MAX_LEVEL = 8;
+
+export const LIQUID_KIND = {
+  WATER: 'water',
+  LAVA: 'lava',
+};
+
+/**
+ * LiquidComponent
+ *
+ * Marks a block as a liquid cell. LiquidSystem moves `level` units between cells;
+ * a cell holding a full level is drawn as a whole tile.
+ *
+ * @param {string} kind - 'water' | 'lava'
+ * @param {number} level - Fill level (1..LIQUID_MAX_LEVEL)
+ */
+export class LiquidComponent extends Component {
+  constructor({ kind = LIQUID_KIND.WATER, level = LIQUID_MAX_LEVEL } = {}) {
+    super({ kind, level });
+  }
+
+  /**
+   * @returns {boolean} True when the cell holds a full level
+   */
+  isFull() {
+    return this.level >= LIQUID_MAX_LEVEL;
+  }
+}
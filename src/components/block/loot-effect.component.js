@@ -11,12 +11,16 @@ export class LootEffectComponent extends Component {
     worldY,
     velocityY = -0.045,
     duration = 700,
+    label = null,
+    color = null,
   }) {
     super({
       worldX,
       worldY,
       velocityY,
       duration,
+      label, // Optional text drawn beside the sprite (e.g. ore value)
+      color,
       elapsed: 0,
       alpha: 1,
     });
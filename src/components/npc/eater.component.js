@@ -27,12 +27,13 @@ export class EaterComponent extends Component {
       return true;
     }
 
-    const diggable = block.get(DiggableComponent);
-    if (!diggable) {
+    if (!block.has(DiggableComponent)) {
       return false;
     }
 
-    const result = diggable.dig(block, gridX, gridY, INSTANT_DAMAGE);
+    // Digging changes the block's HP in place: take the tile's own instance
+    const target = terrain.getBlockForUpdate(gridX, gridY);
+    const result = target.get(DiggableComponent).dig(target, gridX, gridY, INSTANT_DAMAGE);
     if (!result.destroyed) {
       return false;
     }
@@ -5,6 +5,7 @@
 
 import { Component } from '../../core/component.js';
 import { TILE_WIDTH, TILE_HEIGHT } from '../../utils/config.js';
+import { lerp } from '../../utils/math.js';
 
 export class PositionComponent extends Component {
   constructor({ gridX, gridY, spawn }) {
@@ -13,10 +14,24 @@ export class PositionComponent extends Component {
       gridY,
       x: gridX * TILE_WIDTH,
       y: gridY * TILE_HEIGHT,
+      prevX: gridX * TILE_WIDTH,
+      prevY: gridY * TILE_HEIGHT,
       spawn,
     });
   }
 
+  storePrevious() {
+    this.prevX = this.x;
+    this.prevY = this.y;
+  }
+
+  getRenderPosition(alpha = 1) {
+    return {
+      x: lerp(this.prevX, this.x, alpha),
+      y: lerp(this.prevY, this.y, alpha),
+    };
+  }
+
   syncSpawn() {
     if (!this.spawn) {
       return;
@@ -51,8 +51,9 @@ export class RenderComponent extends Component {
       return;
     }
 
-    const worldX = Math.floor(position.x);
-    const baseY = position.y + (TILE_HEIGHT - SPRITE.height);
+    const { x, y } = position.getRenderPosition(this.game.interpolationAlpha ?? 1);
+    const worldX = Math.floor(x);
+    const baseY = y + (TILE_HEIGHT - SPRITE.height);
     const worldY = Math.floor(baseY);
 
     ctx.save();
@@ -17,6 +17,7 @@ import { LootableComponent } from '../block/lootable.component.js';
 import { PauseOnDestroyComponent } from '../block/pause-on-destroy.component.js';
 import { DoorComponent } from '../block/door.component.js';
 import { FallableComponent } from '../block/fallable.component.js';
+import { LiquidComponent } from '../block/liquid.component.js';
 import { BlockFactory } from '../../factories/block.factory.js';
 import { PLAYER_STATE } from './state.component.js';
 
@@ -109,8 +110,11 @@ export class DiggingComponent extends Component {
       const { dx: rdx, dy: rdy } = input.requestedDirection;
       let canChange = false;
 
-      // While actively digging, only allow changing direction if the requested target is diggable
-      if (state.is(PLAYER_STATE.DIGGING) || state.is(PLAYER_STATE.DIGGING_LATERAL)) {
+      // While actively digging, only allow changing direction if the requested target is
+      // diggable (or a rock to push, which takes precedence over digging it)
+      if (this.canPushRock(entity, terrainRef, rdx, rdy)) {
+        canChange = this.tryChangeDirection(entity, terrainRef, rdx, rdy);
+      } else if (state.is(PLAYER_STATE.DIGGING) || state.is(PLAYER_STATE.DIGGING_LATERAL)) {
         canChange = this.canDigDirection(entity, terrainRef, rdx, rdy);
       } else {
         // Otherwise, use broader rule (diggable, door, or traversable) to allow aiming
@@ -125,6 +129,11 @@ export class DiggingComponent extends Component {
         }
       }
       input.requestedDirection = null; // Clear request after attempting
+
+      // A pushed rock: the player is stepping into the tile it left
+      if (state.is(PLAYER_STATE.MOVING)) {
+        return;
+      }
     }
 
     // Unified directional digging (unless stuck and digging in place)
@@ -145,7 +154,8 @@ export class DiggingComponent extends Component {
   }
 
   /**
-   * Try to change direction - succeeds if target block is diggable, door, or traversable
+   * Try to change direction - succeeds if target block is diggable, door, or traversable.
+   * Walking sideways into a rock with an open tile behind it pushes the rock instead.
    * @param {Object} entity - Player entity
    * @param {Object} terrain - Terrain system
    * @param {number} dx - Delta X
@@ -193,6 +203,11 @@ export class DiggingComponent extends Component {
       return false; // Don't allow direction change, just pause
     }
 
+    if (this.canPushRock(entity, terrain, dx, dy)) {
+      this.pushRock(entity, terrain, dx);
+      return true;
+    }
+
     // Can change direction if target is diggable, a door, or traversable (empty/falling)
     const targetPhysics = targetBlock.get(PhysicsComponent);
     const isTraversable = targetPhysics && !targetPhysics.isCollidable();
@@ -202,6 +217,62 @@ export class DiggingComponent extends Component {
     return canChange;
   }
 
+  /**
+   * Check if a sideways step would push a rock: the target is a resting rolling block
+   * (see `rolling` in block-registry.js) and the tile behind it is open and dry
+   * @param {Object} entity - Player entity
+   * @param {Object} terrain - Terrain system
+   * @param {number} dx - Delta X
+   * @param {number} dy - Delta Y
+   * @returns {boolean} True if the rock can be pushed
+   */
+  canPushRock(entity, terrain, dx, dy) {
+    const PositionComponent = this._getPositionComponent(entity);
+    const position = entity.get(PositionComponent);
+    if (!position || dx === 0 || dy !== 0) return false;
+
+    const targetX = position.gridX + dx;
+    const fallable = terrain.getBlock(targetX, position.gridY).get(FallableComponent);
+    if (!fallable?.rolling || fallable.isFalling || fallable.isUnstable) {
+      return false;
+    }
+
+    const beyondX = targetX + dx;
+    if (!terrain.isBlockLoaded(beyondX, position.gridY)) {
+      return false;
+    }
+    const beyond = terrain.getBlock(beyondX, position.gridY);
+    const beyondPhysics = beyond.get(PhysicsComponent);
+    return Boolean(beyondPhysics && !beyondPhysics.isCollidable() && !beyond.has(LiquidComponent));
+  }
+
+  /**
+   * Push the rock beside the player one tile and step into the tile it left
+   * (call `canPushRock` first)
+   * @param {Object} entity - Player entity
+   * @param {Object} terrain - Terrain system
+   * @param {number} dx - Push direction (-1 left, 1 right)
+   */
+  pushRock(entity, terrain, dx) {
+    const PositionComponent = this._getPositionComponent(entity);
+    const MovementComponent = this._getMovementComponent(entity);
+    const position = entity.get(PositionComponent);
+    const movement = MovementComponent ? entity.get(MovementComponent) : null;
+    if (!position || !movement) return;
+
+    const from = { gridX: position.gridX + dx, gridY: position.gridY };
+    const to = { gridX: from.gridX + dx, gridY: from.gridY };
+    const rock = terrain.getBlockForUpdate(from.gridX, from.gridY);
+    terrain.setBlock(to.gridX, to.gridY, rock);
+    terrain.setBlock(from.gridX, from.gridY, BlockFactory.createEmpty());
+
+    this.currentDigTarget = null;
+    this.digTimer = 0;
+    this.fallable.reset();
+    movement.beginPush(entity, from.gridX, from.gridY);
+    eventBus.emit('block:pushed', { block: rock, from, to });
+  }
+
   /**
    * Check if can dig in a direction
    * @param {Object} entity - Player entity
@@ -419,7 +490,8 @@ export class DiggingComponent extends Component {
     performance.mark('dig-start');
     this.digTimer = 0;
 
-    const block = terrain.getBlock(targetX, targetY);
+    // Digging changes the block's HP in place: take the tile's own instance
+    const block = terrain.getBlockForUpdate(targetX, targetY);
     const diggable = block.get(DiggableComponent);
 
     if (diggable) {
@@ -428,6 +500,11 @@ export class DiggingComponent extends Component {
       // Update dig target HP for visual feedback
       this.currentDigTarget.hp = result.hp;
 
+      // Partially dug blocks keep their HP if the chunk is evicted
+      if (!result.destroyed && terrain.markDirty) {
+        terrain.markDirty(targetX, targetY);
+      }
+
       if (result.destroyed) {
         const context = this._getGameContext(entity);
         if (block.has(PauseOnDestroyComponent) && context?.game) {
@@ -439,7 +516,7 @@ export class DiggingComponent extends Component {
         if (lootable && lootable.hasSpawnEntity()) {
           // Spawn replacement entity instead of empty
           const spawnConfig = lootable.getSpawnEntity();
-          const newBlock = BlockFactory[spawnConfig.factoryMethod](...(spawnConfig.args || []));
+          const newBlock = BlockFactory.createFromSpawnConfig(spawnConfig);
           terrain.setBlock(targetX, targetY, newBlock);
         } else {
           // Regular block - replace with empty
@@ -11,6 +11,7 @@ import { TILE_WIDTH, TILE_HEIGHT } from '../../utils/config.js';
 import { PLAYER_STATE } from './state.component.js';
 
 const HORIZONTAL_MOVE_DURATION_MS = 120;
+const PUSH_MOVE_DURATION_MS = 200; // Pushing a rock is slower than walking
 
 export class MovementComponent extends Component {
   constructor() {
@@ -25,6 +26,7 @@ export class MovementComponent extends Component {
     this.targetY = 0;
     this.targetGridX = 0;
     this.targetGridY = 0;
+    this.pushing = false; // Stepping into the tile of a pushed rock
   }
 
   /**
@@ -50,6 +52,7 @@ export class MovementComponent extends Component {
     this.targetY = targetGridY * TILE_HEIGHT + TILE_HEIGHT / 2;
     this.targetGridX = targetGridX;
     this.targetGridY = targetGridY;
+    this.pushing = false;
 
     const StateComponent = this._getStateComponent(entity);
     if (StateComponent) {
@@ -60,12 +63,24 @@ export class MovementComponent extends Component {
     }
   }
 
+  /**
+   * Begin stepping into the tile a pushed rock just left
+   * @param {Object} entity - Player entity
+   * @param {number} targetGridX - Target grid X (the rock's previous tile)
+   * @param {number} targetGridY - Target grid Y
+   */
+  beginPush(entity, targetGridX, targetGridY) {
+    this.beginMovement(entity, targetGridX, targetGridY, PUSH_MOVE_DURATION_MS);
+    this.pushing = this.active;
+  }
+
   /**
    * Stop movement immediately
    */
   stopMovement() {
     this.active = false;
     this.elapsed = 0;
+    this.pushing = false;
   }
 
   /**
@@ -109,9 +124,11 @@ export class MovementComponent extends Component {
       position.y = this.targetY;
       state.setState(PLAYER_STATE.IDLE);
       this.active = false;
+      const pushed = this.pushing;
+      this.pushing = false;
 
       // Handle post-movement logic (door check, chaining, gravity)
-      this._handleMovementComplete(entity, context);
+      this._handleMovementComplete(entity, context, pushed);
       return false;
     }
 
@@ -122,9 +139,10 @@ export class MovementComponent extends Component {
    * Handle logic after movement completes
    * @param {Object} entity - Player entity
    * @param {Object} context - Game context with terrain reference
+   * @param {boolean} [pushed=false] - The step followed a pushed rock
    * @private
    */
-  _handleMovementComplete(entity, context) {
+  _handleMovementComplete(entity, context, pushed = false) {
     const { terrain, game } = context;
     if (!terrain && !game) return;
 
@@ -148,6 +166,18 @@ export class MovementComponent extends Component {
       }
     }
 
+    // After a push the rock is next in line: never chain into digging it. Requests are left
+    // to DiggingComponent, where walking on into the rock pushes it again.
+    if (pushed && DiggingComponent) {
+      const digging = entity.get(DiggingComponent);
+      if (digging) {
+        digging.digDirection = { dx: 0, dy: 1 };
+        digging.currentDigTarget = null;
+        digging.beginFallIfUnsupported(entity, terrainRef);
+      }
+      return;
+    }
+
     // Try to chain into next tile (prefer requested direction, then current dig direction)
     const InputComponent = this._getInputComponent(entity);
     const input = InputComponent ? entity.get(InputComponent) : null;
@@ -8,6 +8,7 @@
 
 import { Component } from '../../core/component.js';
 import { TILE_WIDTH, TILE_HEIGHT } from '../../utils/config.js';
+import { lerp } from '../../utils/math.js';
 
 export class PositionComponent extends Component {
   constructor({
@@ -24,6 +25,30 @@ export class PositionComponent extends Component {
     // Calculate pixel position centered on tile
     this.x = x !== null ? x : gridX * TILE_WIDTH + TILE_WIDTH / 2;
     this.y = y !== null ? y : gridY * TILE_HEIGHT + TILE_HEIGHT / 2;
+
+    // Pixel position at the start of the current simulation step
+    this.prevX = this.x;
+    this.prevY = this.y;
+  }
+
+  /**
+   * Remember current pixel position as the previous step's position
+   */
+  storePrevious() {
+    this.prevX = this.x;
+    this.prevY = this.y;
+  }
+
+  /**
+   * Get pixel position interpolated between the previous and current step
+   * @param {number} alpha - Interpolation factor (0 = previous, 1 = current)
+   * @returns {{x: number, y: number}}
+   */
+  getRenderPosition(alpha = 1) {
+    return {
+      x: lerp(this.prevX, this.x, alpha),
+      y: lerp(this.prevY, this.y, alpha),
+    };
   }
 
   /**
@@ -60,9 +60,10 @@ export class RenderComponent extends Component {
       ctx.clip();
     }
 
-    // Draw Pac-Man style ball
-    const centerX = position.x;
-    const centerY = position.y - 5; // -5 for 3D Fake
+    // Draw Pac-Man style ball (interpolated between simulation steps)
+    const renderPosition = position.getRenderPosition(game?.interpolationAlpha ?? 1);
+    const centerX = renderPosition.x;
+    const centerY = renderPosition.y - 5; // -5 for 3D Fake
 
     ctx.fillStyle = '#E53935';
 
@@ -16,10 +16,12 @@ export class TimerComponent extends Component {
   static INITIAL_TIMER_SECONDS = 60;
 
   constructor({
-    timerMs = TimerComponent.INITIAL_TIMER_SECONDS * MS_PER_SECOND,
+    budgetSeconds = TimerComponent.INITIAL_TIMER_SECONDS,
+    timerMs = budgetSeconds * MS_PER_SECOND,
   } = {}) {
     super();
 
+    this.budgetSeconds = budgetSeconds; // Full timer and cap for time rewards (per level)
     this.timerMs = timerMs;
     this.lastTimerBroadcastSeconds = null;
     this.timerBeforeTransition = null;
@@ -51,10 +53,27 @@ export class TimerComponent extends Component {
    * Reset timer to initial value
    */
   reset() {
-    this.timerMs = TimerComponent.INITIAL_TIMER_SECONDS * MS_PER_SECOND;
+    this.timerMs = this.budgetSeconds * MS_PER_SECOND;
     this._broadcastTimerIfNeeded(true);
   }
 
+  /**
+   * Change the timer budget (level difficulty). A carried-over timer is capped to it.
+   * @param {number} seconds - New budget in seconds
+   */
+  setBudget(seconds) {
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+      return;
+    }
+
+    this.budgetSeconds = seconds;
+    const maxTimerMs = seconds * MS_PER_SECOND;
+    this.timerMs = Math.min(this.timerMs, maxTimerMs);
+    if (Number.isFinite(this.timerBeforeTransition)) {
+      this.timerBeforeTransition = Math.min(this.timerBeforeTransition, maxTimerMs);
+    }
+  }
+
   /**
    * Add seconds to the timer (reward from coins)
    * @param {number} seconds - Seconds to add
@@ -64,7 +83,7 @@ export class TimerComponent extends Component {
       return;
     }
 
-    const maxTimerMs = TimerComponent.INITIAL_TIMER_SECONDS * MS_PER_SECOND;
+    const maxTimerMs = this.budgetSeconds * MS_PER_SECOND;
     this.timerMs = Math.min(maxTimerMs, this.timerMs + seconds * MS_PER_SECOND);
     this._broadcastTimerIfNeeded();
   }
@@ -0,0 +1,59 @@
+/**
+ * @file create-systems.js
+ * @description Builds the ordered game system list shared by the browser entry point and
+ * the headless harness
+ */
+
+import { BackgroundSystem } from '../systems/background.system.js';
+import { TerrainSystem } from '../systems/terrain.system.js';
+import { PlayerManagerSystem } from '../systems/player-manager.system.js';
+import { ShadowSystem } from '../systems/shadow.system.js';
+import { NavigationSystem } from '../systems/navigation.system.js';
+import { DigIndicatorSystem } from '../systems/dig-indicator.system.js';
+import { CameraSystem } from '../systems/camera.system.js';
+import { HUDSystem } from '../systems/hud.system.js';
+import { DebugSystem } from '../systems/debug.system.js';
+import { TouchInputSystem } from '../systems/touch-input.system.js';
+import { NPCSystem } from '../systems/npc.system.js';
+import { GravitySystem } from '../systems/gravity.system.js';
+import { ChainReactionSystem } from '../systems/chain-reaction.system.js';
+import { LiquidSystem } from '../systems/liquid.system.js';
+import { CoinEffectSystem } from '../systems/coin-effect.system.js';
+import { DustEffectSystem } from '../systems/dust-effect.system.js';
+import { SaveSystem } from '../systems/save.system.js';
+import { AudioSystem } from '../systems/audio.system.js';
+
+/**
+ * Create game systems in update/render order
+ * @param {Game} game
+ * @param {{ headless?: boolean }} [options] - Headless games skip the dat.GUI debug panel
+ * @returns {System[]}
+ */
+export function createSystems(game, { headless = false } = {}) {
+  const systems = [
+    new BackgroundSystem(game),
+    new TerrainSystem(game),
+    new NPCSystem(game),
+    new ChainReactionSystem(game), // Cascading explosions, settled by gravity below
+    new GravitySystem(game), // Gravity system updates after terrain
+    new LiquidSystem(game), // Water/lava flow into tiles opened by digging and gravity
+    new DustEffectSystem(game), // Dust under blocks wobbling before a fall
+    new DigIndicatorSystem(game), // Dig outline on top of terrain
+    new ShadowSystem(game), // Shadow renders before player
+    new NavigationSystem(game),
+    new PlayerManagerSystem(game),
+    new CoinEffectSystem(game),
+    // Start camera positioned to show mountains and sun (Y=110 is sun center)
+    new CameraSystem(game, 256, 110, 3.0),
+    new HUDSystem(game),
+    new SaveSystem(game), // Autosaves run state to localStorage
+    new AudioSystem(game), // Synthesized sound effects and ambient music
+    new TouchInputSystem(game), // Touch input for mobile
+  ];
+
+  if (!headless) {
+    systems.push(new DebugSystem(game));
+  }
+
+  return systems;
+}
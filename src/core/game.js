@@ -6,15 +6,40 @@
 import { TARGET_FPS } from '../utils/config.js';
 import { PerformanceMonitor } from '../utils/performance-monitor.js';
 import { RenderQueue } from '../rendering/render-queue.js';
+import { WorldConfig } from '../utils/world-config.js';
 import { eventBus } from '../utils/event-bus.js';
+import { SeedSequence, parseSeed, createRandomSeed } from '../utils/seed.js';
+
+const MAX_STEPS_PER_FRAME = 5;
 
 /**
  * Main Game class
  * Manages component lifecycle and update/render loop
  */
 export class Game {
-  constructor(canvas) {
+  /**
+   * @param {HTMLCanvasElement} canvas - Target canvas (a null canvas when headless)
+   * @param {{ headless?: boolean, world?: WorldConfig, lavaChase?: boolean|Object,
+   *   seed?: number|string|null, level?: number }} [options] -
+   *   Headless games skip asset loading; `world` sets the run's world dimensions (levels grow
+   *   it in TerrainSystem); `lavaChase` turns on rising lava (true or LavaChase options);
+   *   `seed` (a number or seed name) plays a chosen world, and every terrain regenerated
+   *   later in the run comes from its SeedSequence; `level` is the level to start on
+   */
+  constructor(canvas, {
+    headless = false,
+    world = new WorldConfig(),
+    lavaChase = false,
+    seed = null,
+    level = 1,
+  } = {}) {
     this.canvas = canvas;
+    this.headless = headless;
+    this.world = world;
+    this.lavaChase = lavaChase;
+    // An empty or unusable seed (e.g. "?seed=") plays a random world like no seed at all
+    this.seedSequence = parseSeed(seed) === null ? null : new SeedSequence(seed);
+    this.startLevel = Number.isInteger(level) && level > 0 ? level : 1;
     this.ctx = canvas.getContext('2d');
 
     // Disable image smoothing for crisp pixel art
@@ -31,6 +56,13 @@ export class Game {
     this.deltaTime = 0;
     this.frameInterval = 1000 / TARGET_FPS;
 
+    // Simulation stepping
+    this.tick = 0; // Number of simulation steps run so far
+    this.fixedTimestep = true; // Step in frameInterval increments (60 Hz)
+    this.accumulator = 0; // Unsimulated time carried between frames (fixed mode)
+    this.interpolationAlpha = 1; // Render blend between previous and current step
+    this.seedProvider = null; // Optional () => seed override for new terrain
+
     // Death delay timer
     this.deathTimer = null; // Tracks remaining delay time
     this.pendingDeathOverlay = null; // Stores death overlay details during delay
@@ -111,9 +143,76 @@ export class Game {
     // Performance: Start update timing
     this.performanceMonitor.startMark('update');
 
+    this.advance(this.deltaTime);
+
+    // Performance: End update timing
+    this.performanceMonitor.endMark('update');
+
+    this.renderFrame();
+
+    // Performance: End frame timing
+    this.performanceMonitor.endMark('frame');
+
+    // Update memory usage every 60 frames
+    this.memoryUpdateCounter += 1;
+    if (this.memoryUpdateCounter >= 60) {
+      this.performanceMonitor.updateMemory();
+      this.memoryUpdateCounter = 0;
+    }
+
+    this.lastTime = currentTime;
+  }
+
+  /**
+   * Advance the simulation by elapsed real time.
+   * In fixed-timestep mode this runs as many whole frameInterval steps as fit and
+   * keeps the remainder for the next frame; `interpolationAlpha` is the fraction
+   * of a step left over, used by rendering to blend previous and current state.
+   * @param {number} elapsedMs - Real time since the last frame (ms)
+   */
+  advance(elapsedMs) {
+    if (!this.fixedTimestep) {
+      this.step(elapsedMs);
+      this.interpolationAlpha = 1;
+      return;
+    }
+
+    this.accumulator += elapsedMs;
+
+    let steps = 0;
+    while (this.accumulator >= this.frameInterval) {
+      this.step(this.frameInterval);
+      this.accumulator -= this.frameInterval;
+      steps += 1;
+
+      // Drop backlog on very slow devices rather than falling further behind
+      if (steps >= MAX_STEPS_PER_FRAME) {
+        this.accumulator = 0;
+        break;
+      }
+    }
+
+    this.interpolationAlpha = this.accumulator / this.frameInterval;
+  }
+
+  /**
+   * Advance the simulation by one step
+   * Emits `game:tick` with the step index before anything updates.
+   * @param {number} deltaTime - Step duration (ms)
+   */
+  step(deltaTime) {
+    eventBus.emit('game:tick', { tick: this.tick });
+
+    // Snapshot positions for interpolated rendering
+    this.components.forEach((component) => {
+      if (component.storePreviousState) {
+        component.storePreviousState();
+      }
+    });
+
     // Update fade overlay (always active, even when paused)
     if (this.fadeOverlay.active) {
-      const deltaAlpha = this.fadeOverlay.speed * this.deltaTime;
+      const deltaAlpha = this.fadeOverlay.speed * deltaTime;
 
       if (this.fadeOverlay.alpha < this.fadeOverlay.targetAlpha) {
         // Fading IN (to black)
@@ -141,7 +240,7 @@ export class Game {
 
     // Tick death timer if active
     if (this.deathTimer !== null) {
-      this.deathTimer -= this.deltaTime;
+      this.deathTimer -= deltaTime;
       if (this.deathTimer <= 0) {
         // Delay expired - show the overlay now
         this.deathTimer = null;
@@ -157,14 +256,44 @@ export class Game {
     if (!this.paused) {
       this.components.forEach((component) => {
         if (component.update) {
-          component.update(this.deltaTime);
+          component.update(deltaTime);
         }
       });
     }
 
-    // Performance: End update timing
-    this.performanceMonitor.endMark('update');
+    this.tick += 1;
+  }
+
+  /**
+   * Enable or disable fixed-timestep simulation
+   * @param {boolean} enabled
+   */
+  setFixedTimestep(enabled) {
+    this.fixedTimestep = enabled;
+    this.accumulator = 0;
+    this.interpolationAlpha = 1;
+  }
 
+  /**
+   * Produce a seed for a new terrain (death regeneration, level transitions).
+   * Uses `seedProvider` when installed (e.g. by run replays), then the run's seed sequence,
+   * then a random seed.
+   * @returns {number}
+   */
+  createSeed() {
+    if (this.seedProvider) {
+      return this.seedProvider();
+    }
+    if (this.seedSequence) {
+      return this.seedSequence.next();
+    }
+    return createRandomSeed();
+  }
+
+  /**
+   * Render one frame
+   */
+  renderFrame() {
     // Reset transform and clear canvas
     this.ctx.setTransform(1, 0, 0, 1, 0, 0); // Reset to identity matrix
     this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
@@ -199,18 +328,6 @@ export class Game {
 
     // Performance: End render timing
     this.performanceMonitor.endMark('render');
-
-    // Performance: End frame timing
-    this.performanceMonitor.endMark('frame');
-
-    // Update memory usage every 60 frames
-    this.memoryUpdateCounter += 1;
-    if (this.memoryUpdateCounter >= 60) {
-      this.performanceMonitor.updateMemory();
-      this.memoryUpdateCounter = 0;
-    }
-
-    this.lastTime = currentTime;
   }
 
   /**
@@ -303,7 +420,7 @@ export class Game {
       ...presets[type],
       ...overlayOverrides,
     };
-    this.paused = true;
+    this._setPaused(true);
   }
 
   /**
@@ -311,7 +428,20 @@ export class Game {
    */
   hideOverlay() {
     this.overlay = null;
-    this.paused = false;
+    this._setPaused(false);
+  }
+
+  /**
+   * Update the paused flag and announce changes (`game:paused` with `{ paused }`)
+   * @param {boolean} paused
+   * @private
+   */
+  _setPaused(paused) {
+    if (this.paused === paused) {
+      return;
+    }
+    this.paused = paused;
+    eventBus.emit('game:paused', { paused });
   }
 
   /**
@@ -347,8 +477,7 @@ export class Game {
       );
 
       if (terrainSystem) {
-        const newSeed = Math.floor(Math.random() * 1000000);
-        terrainSystem.setSeed(newSeed);
+        terrainSystem.setSeed(this.createSeed());
       }
 
       if (npcSystem) {
@@ -0,0 +1,115 @@
+/**
+ * @file headless-game.js
+ * @description Runs the full game system stack without a browser (null renderer, manual stepping)
+ */
+
+import { Game } from './game.js';
+import { Viewport } from './viewport.js';
+import { createSystems } from './create-systems.js';
+import { createNullCanvas } from '../rendering/null-canvas.js';
+import { WorldConfig } from '../utils/world-config.js';
+
+const DEFAULT_WIDTH = 360;
+const DEFAULT_HEIGHT = 640;
+
+/**
+ * HeadlessGame
+ * Builds the same systems as main.js on a null canvas. Time only advances through
+ * `step`, so scenarios are deterministic and can be scripted from tests.
+ */
+export class HeadlessGame {
+  /**
+   * @param {{ seed?: number|string, level?: number, width?: number, height?: number,
+   *   render?: boolean, world?: WorldConfig, lavaChase?: boolean|Object }} [options]
+   *   `render` also runs every system's render pass against the null context;
+   *   `seed`, `level` and `lavaChase` are passed to Game
+   */
+  constructor({
+    seed = null,
+    level = 1,
+    width = DEFAULT_WIDTH,
+    height = DEFAULT_HEIGHT,
+    render = true,
+    world = new WorldConfig(),
+    lavaChase = false,
+  } = {}) {
+    this.renderEnabled = render;
+    this.game = new Game(createNullCanvas(width, height), {
+      headless: true, world, lavaChase, seed, level,
+    });
+    this.game.viewport = new Viewport(width, height, world);
+
+    createSystems(this.game, { headless: true })
+      .forEach((system) => this.game.addComponent(system));
+    this.game.init();
+
+    const camera = this.getSystem('CameraSystem');
+    const player = this.getSystem('PlayerManagerSystem');
+    if (camera && player) {
+      camera.follow(player);
+    }
+
+    const saveSystem = this.getSystem('SaveSystem');
+    if (saveSystem) {
+      saveSystem.enabled = false;
+    }
+  }
+
+  /**
+   * Advance the game by simulated time (whole 60 Hz steps; remainder carries over).
+   * Time is fed one frame interval at a time so long spans are not cut short by
+   * the loop's catch-up cap.
+   * @param {number} [ms] - Milliseconds to simulate, defaults to one step
+   */
+  step(ms = this.game.frameInterval) {
+    for (let remaining = ms; remaining > 0; remaining -= this.game.frameInterval) {
+      this.game.advance(Math.min(remaining, this.game.frameInterval));
+    }
+    if (this.renderEnabled) {
+      this.game.renderFrame();
+    }
+  }
+
+  /**
+   * Advance the game by a number of simulation ticks
+   * @param {number} count
+   */
+  stepTicks(count) {
+    for (let i = 0; i < count; i += 1) {
+      this.step();
+    }
+  }
+
+  /**
+   * Step until a condition holds or the tick budget runs out
+   * @param {Function} predicate - Called after every tick
+   * @param {number} [maxTicks]
+   * @returns {boolean} True if the condition was met
+   */
+  stepUntil(predicate, maxTicks = 600) {
+    for (let i = 0; i < maxTicks; i += 1) {
+      this.step();
+      if (predicate(this)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Find a system by class name
+   * @param {string} name
+   * @returns {System|null}
+   */
+  getSystem(name) {
+    return this.game.components.find((c) => c.constructor.name === name) || null;
+  }
+
+  /**
+   * Tear down all systems (unsubscribes their event listeners)
+   */
+  destroy() {
+    this.game.stop();
+    [...this.game.components].forEach((component) => this.game.removeComponent(component));
+  }
+}
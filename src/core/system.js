@@ -35,6 +35,14 @@ export class System {
     // Override in subclass
   }
 
+  /**
+   * Snapshot state before a simulation step so rendering can interpolate
+   * between the previous and current step
+   */
+  storePreviousState() {
+    // Override in subclass
+  }
+
   /**
    * Render system visuals
    * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
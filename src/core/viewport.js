@@ -12,14 +12,12 @@ export class Viewport {
   /**
    * @param {number} canvasWidth - Canvas width in pixels
    * @param {number} canvasHeight - Canvas height in pixels
-   * @param {number} worldWidth - World width in pixels
-   * @param {number} worldHeight - World height in pixels
+   * @param {WorldConfig} world - World the camera is clamped to
    */
-  constructor(canvasWidth, canvasHeight, worldWidth, worldHeight) {
+  constructor(canvasWidth, canvasHeight, world) {
     this.canvasWidth = canvasWidth;
     this.canvasHeight = canvasHeight;
-    this.worldWidth = worldWidth;
-    this.worldHeight = worldHeight;
+    this.setWorld(world);
 
     // Positioning strategy: no offset (terrain centered by camera)
     // Offset is in screen space, not world space
@@ -27,6 +25,16 @@ export class Viewport {
     this.offsetY = 0;
   }
 
+  /**
+   * Change the world size (call when a level resizes the world)
+   * @param {WorldConfig} world
+   */
+  setWorld(world) {
+    this.world = world;
+    this.worldWidth = world.widthPx; // World width in pixels
+    this.worldHeight = world.heightPx; // World height in pixels
+  }
+
   /**
    * Update viewport dimensions (call on canvas resize)
    * @param {number} canvasWidth - New canvas width
@@ -129,11 +137,14 @@ export class Viewport {
   _getTransform(camera) {
     const scaleX = camera.zoom;
     const scaleY = camera.zoom;
+    const { x, y } = camera.getRenderPosition
+      ? camera.getRenderPosition()
+      : camera;
     const translateX = Math.round(
-      (this.canvasWidth / 2 + this.offsetX) - camera.x * scaleX,
+      (this.canvasWidth / 2 + this.offsetX) - x * scaleX,
     );
     const translateY = Math.round(
-      (this.canvasHeight / 2 + this.offsetY) - camera.y * scaleY,
+      (this.canvasHeight / 2 + this.offsetY) - y * scaleY,
     );
 
     return {
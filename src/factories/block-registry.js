@@ -0,0 +1,234 @@
+/**
+ * @file block-registry.js
+ * @description Data-driven block type definitions composed into Blocks by BlockFactory.create
+ */
+
+/**
+ * Block type definition (plain data, no component instances)
+ * @typedef {Object} BlockDefinition
+ * @property {string|string[]} [sprite] - SPRITE_ATLAS key, or keys drawn as stacked layers
+ * @property {string} [variantSprites] - SPRITE_ATLAS key of a sprite list picked by `variant` (1-based)
+ * @property {number} [variantDarkness] - Darkness alpha added per variant step above 1
+ * @property {number} [variant] - Default variant (stored on the block as `block.variant`)
+ * @property {number} [hp] - Hit points (omit for blocks without health)
+ * @property {boolean} [collidable=true] - Blocks movement
+ * @property {boolean} [diggable=false] - Can be dug by the player
+ * @property {boolean} [fallable=false] - Falls when unsupported
+ * @property {boolean} [granular=false] - Fallable block that also slides diagonally off
+ *   edges and piles (sand, gravel)
+ * @property {boolean} [rolling=false] - Fallable block that rolls sideways off rounded tops
+ *   and can be pushed by the player (rock)
+ * @property {boolean} [rounded=false] - Rolling blocks resting on this block roll off it
+ * @property {boolean} [lethal=false] - Kills the player on contact
+ * @property {boolean} [pauseOnDestroy=false] - Pauses the game when dug
+ * @property {boolean} [door=false] - Triggers the level transition
+ * @property {Array} [loot] - Loot table dropped when destroyed
+ * @property {number} [timerIncrementSeconds] - Timer bonus awarded with the loot
+ * @property {boolean} [lootTimerBonus=false] - Award the loot's coin value as timer seconds
+ * @property {{factoryMethod: string, args?: Array}} [spawnEntity] - Block left behind when
+ *   destroyed; `factoryMethod` is a registry id (args[0] are its overrides) or a factory method
+ * @property {number} [darkness] - Darkness overlay alpha (0-1)
+ * @property {string} [tint] - Colour overlay drawn over the block (stored as `block.tint`)
+ * @property {Object} [explosive] - ExplosiveComponent options (pattern, radius, direction,
+ *   delayMs); the block detonates when destroyed
+ * @property {string} [liquid] - Liquid kind ('water' | 'lava'); the block is a LiquidSystem cell
+ * @property {number} [level] - Liquid fill level (defaults to full)
+ */
+
+const MUD_LOOT = [{ type: 'coin', value: 1, sprite: 'simple_coin' }];
+const CHEST_LOOT = [{ type: 'coin', value: 10, sprite: 'chest_coin' }];
+
+/**
+ * Ore block definition: mud with an embedded nugget, tinted in the resource's colour
+ * @param {string} resource - Resource id (see terrain/ores.js)
+ * @param {{hp: number, value: number, timerSeconds: number, tint: string}} options
+ * @returns {BlockDefinition}
+ */
+function oreBlock(resource, {
+  hp, value, timerSeconds, tint,
+}) {
+  return {
+    sprite: ['mud_light', 'simple_coin'],
+    hp,
+    diggable: true,
+    loot: [{
+      type: 'ore', resource, value, sprite: 'simple_coin',
+    }],
+    timerIncrementSeconds: timerSeconds,
+    tint,
+  };
+}
+
+/** @type {Map<string, BlockDefinition>} */
+const registry = new Map(Object.entries({
+  empty: {
+    collidable: false,
+  },
+  boundary: {},
+  mud: {
+    variantSprites: 'mud_variants',
+    variantDarkness: 0.1, // 1→0, 2→0.1, 3→0.2, 4→0.3, 5→0.4
+    variant: 1,
+    hp: 5,
+    diggable: true,
+    loot: MUD_LOOT,
+    timerIncrementSeconds: 0,
+  },
+  clay: {
+    variantSprites: 'mud_variants', // Shares mud's sprite; the clay biome tint sets it apart
+    variant: 3,
+    hp: 10,
+    diggable: true,
+    loot: MUD_LOOT,
+    timerIncrementSeconds: 0,
+    darkness: 0.2,
+  },
+  basalt: {
+    sprite: 'protective_block',
+    hp: 20,
+    diggable: true,
+    darkness: 0.6,
+  },
+  rock: {
+    sprite: 'rock',
+    hp: 30,
+    diggable: true,
+    fallable: true,
+    rolling: true,
+    rounded: true,
+  },
+  pause_crystal: {
+    sprite: 'pause_crystal',
+    diggable: true, // Must be diggable so player can dig down through it
+    pauseOnDestroy: true,
+  },
+  red_frame: {
+    sprite: 'red_frame',
+    hp: 5,
+    diggable: true,
+    fallable: true, // Torus rings hold together as one cluster (see FallableClusters)
+  },
+  door: {
+    sprite: 'door',
+    door: true,
+  },
+  doorstep: {
+    sprite: 'doorstep',
+  },
+  lava: {
+    sprite: 'lava',
+    collidable: false,
+    lethal: true,
+    liquid: 'lava',
+  },
+  water: {
+    collidable: false, // Drawn by LiquidSystem from its fill level
+    liquid: 'water',
+  },
+  grass: {
+    sprite: 'grass',
+    hp: 5,
+    diggable: true,
+  },
+  sand: {
+    variantSprites: 'mud_variants', // Shares mud's sprite; the tint sets it apart
+    variant: 1,
+    hp: 2,
+    diggable: true,
+    fallable: true,
+    granular: true,
+    tint: 'rgba(235, 205, 120, 0.5)',
+  },
+  gravel: {
+    variantSprites: 'mud_variants',
+    variant: 4,
+    hp: 4,
+    diggable: true,
+    fallable: true,
+    granular: true,
+    tint: 'rgba(150, 150, 160, 0.5)',
+  },
+  chest: {
+    sprite: 'chest_base',
+    hp: 15,
+    diggable: true,
+    fallable: true,
+    rounded: true,
+    loot: CHEST_LOOT,
+    lootTimerBonus: true,
+  },
+  covered_chest: {
+    sprite: ['chest_base', 'chest_cover'],
+    hp: 10,
+    diggable: true,
+    spawnEntity: { factoryMethod: 'chest' },
+  },
+  explosive: {
+    sprite: 'explosive', // Hazard stripes: must never be mistaken for a red frame
+    hp: 1,
+    diggable: true,
+    explosive: { pattern: 'cross', radius: 1 },
+    darkness: 0.3,
+  },
+  protective_block: {
+    sprite: 'protective_block',
+    hp: 10,
+    diggable: true,
+    darkness: 0.5,
+  },
+  ore_copper: oreBlock('copper', {
+    hp: 8, value: 3, timerSeconds: 1, tint: 'rgba(217, 130, 59, 0.45)',
+  }),
+  ore_silver: oreBlock('silver', {
+    hp: 10, value: 6, timerSeconds: 2, tint: 'rgba(200, 210, 220, 0.45)',
+  }),
+  ore_gold: oreBlock('gold', {
+    hp: 14, value: 12, timerSeconds: 3, tint: 'rgba(255, 200, 61, 0.45)',
+  }),
+  ore_gem: oreBlock('gem', {
+    hp: 18, value: 25, timerSeconds: 5, tint: 'rgba(79, 227, 208, 0.45)',
+  }),
+}));
+
+/**
+ * Register (or replace) a block type
+ * @param {string} id - Registry id, also used as `block.type`
+ * @param {BlockDefinition} definition
+ */
+export function registerBlockType(id, definition) {
+  if (typeof id !== 'string' || id.length === 0) {
+    throw new Error('registerBlockType: id must be a non-empty string');
+  }
+
+  if (registry.has(id)) {
+    console.warn(`registerBlockType: replacing existing block type "${id}"`);
+  }
+
+  registry.set(id, { ...definition });
+}
+
+/**
+ * Look up a block type definition
+ * @param {string} id
+ * @returns {BlockDefinition|null}
+ */
+export function getBlockDefinition(id) {
+  return registry.get(id) || null;
+}
+
+/**
+ * Check whether a block type is registered
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function hasBlockType(id) {
+  return registry.has(id);
+}
+
+/**
+ * List registered block type ids
+ * @returns {string[]}
+ */
+export function getBlockTypeIds() {
+  return [...registry.keys()];
+}
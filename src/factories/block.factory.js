@@ -10,6 +10,9 @@ import { LootableComponent } from '../components/block/lootable.component.js';
 import { LethalComponent } from '../components/block/lethal.component.js';
 import { PauseOnDestroyComponent } from '../components/block/pause-on-destroy.component.js';
 import { DoorComponent } from '../components/block/door.component.js';
+import { ExplosiveComponent } from '../components/block/explosive.component.js';
+import { LiquidComponent } from '../components/block/liquid.component.js';
+import { getBlockDefinition, hasBlockType } from './block-registry.js';
 
 function spriteToComponentProps(sprite) {
   if (!sprite) {
@@ -69,11 +72,29 @@ function spriteToLayerProps(sprite) {
   return layer;
 }
 
+/**
+ * Sum the coin values of a loot table (chest loot is also awarded as timer seconds)
+ * @param {Array} loot
+ * @returns {number}
+ */
+function getCoinTotal(loot) {
+  return loot.reduce((total, item) => {
+    if (!item || item.type !== 'coin') {
+      return total;
+    }
+    const value = Number(item.value);
+    if (!Number.isFinite(value) || value <= 0) {
+      return total;
+    }
+    return total + value;
+  }, 0);
+}
+
 /**
  * BlockFactory
  *
- * Creates Block entities with appropriate component composition.
- * This is the single source of truth for block definitions in the ECS architecture.
+ * Creates Block entities by composing components from the data-driven block
+ * definitions in block-registry.js. The `createX` methods are shorthands for `create`.
  */
 export class BlockFactory {
   /**
@@ -90,15 +111,128 @@ export class BlockFactory {
     return block;
   }
 
+  /**
+   * Create a block from its registry definition.
+   * Components are composed from the definition's data; `overrides` replace any
+   * definition field for this block only (e.g. `{ hp: 3 }`, `{ variant: 2 }`, `{ loot }`).
+   * @param {string} type - Registry id (see block-registry.js)
+   * @param {Object} [overrides] - Per-block definition overrides
+   * @returns {Block}
+   */
+  static create(type, overrides = {}) {
+    const definition = getBlockDefinition(type);
+    if (!definition) {
+      console.warn(`BlockFactory.create: unknown block type "${type}"`);
+      return BlockFactory.create('empty');
+    }
+
+    const config = { ...definition, ...overrides };
+    const components = [
+      new PhysicsComponent({ collidable: config.collidable ?? true }),
+    ];
+
+    let sprite = null;
+    if (config.variantSprites) {
+      const variants = SPRITE_ATLAS[config.variantSprites] || [];
+      const index = Math.min(variants.length - 1, Math.max(0, (config.variant ?? 1) - 1));
+      sprite = variants[index] || variants[0] || null;
+    } else if (Array.isArray(config.sprite)) {
+      components.unshift(new RenderComponent({
+        layers: config.sprite.map((key) => spriteToLayerProps(SPRITE_ATLAS[key])),
+      }));
+    } else if (config.sprite) {
+      sprite = SPRITE_ATLAS[config.sprite];
+    }
+    if (sprite) {
+      components.unshift(new RenderComponent(spriteToComponentProps(sprite)));
+    }
+
+    if (Number.isFinite(config.hp)) {
+      components.push(new HealthComponent({ hp: config.hp }));
+    }
+    if (config.diggable) {
+      components.push(new DiggableComponent());
+    }
+    if (config.pauseOnDestroy) {
+      components.push(new PauseOnDestroyComponent());
+    }
+    if (config.lethal) {
+      components.push(new LethalComponent());
+    }
+    if (config.door) {
+      components.push(new DoorComponent());
+    }
+    if (config.explosive) {
+      components.push(new ExplosiveComponent(config.explosive));
+    }
+    if (config.liquid) {
+      components.push(new LiquidComponent({ kind: config.liquid, level: config.level }));
+    }
+
+    if (config.loot || config.spawnEntity) {
+      const loot = Array.isArray(config.loot) ? config.loot.map((item) => ({ ...item })) : [];
+      const timerIncrementSeconds = config.lootTimerBonus
+        ? getCoinTotal(loot)
+        : (config.timerIncrementSeconds ?? 0);
+      components.push(new LootableComponent({
+        loot,
+        spawnEntity: config.spawnEntity || null,
+        timerIncrementSeconds,
+      }));
+    }
+
+    if (config.fallable) {
+      components.push(new FallableComponent({
+        granular: Boolean(config.granular),
+        rolling: Boolean(config.rolling),
+      }));
+    }
+
+    // Variant darkening only applies past the first variant; explicit darkness always does
+    let { darkness } = config;
+    if (!Number.isFinite(darkness) && config.variantDarkness) {
+      const variantAlpha = ((config.variant ?? 1) - 1) * config.variantDarkness;
+      darkness = variantAlpha > 0 ? variantAlpha : undefined;
+    }
+    if (Number.isFinite(darkness)) {
+      components.push(new DarknessComponent({ alpha: darkness }));
+    }
+
+    const extra = config.variantSprites ? { variant: config.variant ?? 1 } : {};
+    if (config.tint) {
+      extra.tint = config.tint;
+    }
+    return BlockFactory.finalizeBlock(new Block(components), type, extra);
+  }
+
+  /**
+   * Create the block described by a LootableComponent spawn config.
+   * `factoryMethod` may be a registry id (`args[0]` are its overrides) or, for older
+   * configs, the name of a BlockFactory method.
+   * @param {{factoryMethod: string, args?: Array}} spawnConfig
+   * @returns {Block}
+   */
+  static createFromSpawnConfig(spawnConfig = {}) {
+    const { factoryMethod, args = [] } = spawnConfig;
+
+    if (hasBlockType(factoryMethod)) {
+      return BlockFactory.create(factoryMethod, args[0]);
+    }
+
+    if (typeof BlockFactory[factoryMethod] === 'function') {
+      return BlockFactory[factoryMethod](...args);
+    }
+
+    console.warn(`BlockFactory: unknown spawn entity "${factoryMethod}"`);
+    return BlockFactory.create('empty');
+  }
+
   /**
    * Create an empty (air) block
    * @returns {Block}
    */
   static createEmpty() {
-    const block = new Block([
-      new PhysicsComponent({ collidable: false }),
-    ]);
-    return BlockFactory.finalizeBlock(block, 'empty');
+    return BlockFactory.create('empty');
   }
 
   /**
@@ -106,10 +240,7 @@ export class BlockFactory {
    * @returns {Block}
    */
   static createBoundary() {
-    const block = new Block([
-      new PhysicsComponent({ collidable: true }),
-    ]);
-    return BlockFactory.finalizeBlock(block, 'boundary');
+    return BlockFactory.create('boundary');
   }
 
   /**
@@ -119,31 +250,7 @@ export class BlockFactory {
    * @returns {Block}
    */
   static createMud(hp = 5, variant = 1) {
-    // Map variant (1-5) to darkness alpha (0-0.4)
-    const darknessAlpha = (variant - 1) * 0.1; // 1→0, 2→0.1, 3→0.2, 4→0.3, 5→0.4
-
-    const mudVariants = SPRITE_ATLAS.mud_variants || [];
-    const variantIndex = Math.min(mudVariants.length - 1, Math.max(0, variant - 1));
-    const mudSprite = mudVariants[variantIndex] || mudVariants[0] || SPRITE_ATLAS.mud_light;
-
-    const components = [
-      new RenderComponent(spriteToComponentProps(mudSprite)),
-      new PhysicsComponent({ collidable: true }),
-      new HealthComponent({ hp }),
-      new DiggableComponent(),
-      new LootableComponent({
-        loot: [{ type: 'coin', value: 1, sprite: 'simple_coin' }],
-        timerIncrementSeconds: 0,
-      }),
-    ];
-
-    // Add DarknessComponent if variant creates darkening
-    if (darknessAlpha > 0) {
-      components.push(new DarknessComponent({ alpha: darknessAlpha }));
-    }
-
-    const block = new Block(components);
-    return BlockFactory.finalizeBlock(block, 'mud', { variant });
+    return BlockFactory.create('mud', { hp, variant });
   }
 
   /**
@@ -151,15 +258,7 @@ export class BlockFactory {
    * @returns {Block}
    */
   static createRock() {
-    const sprite = SPRITE_ATLAS.rock;
-    const block = new Block([
-      new RenderComponent(spriteToComponentProps(sprite)),
-      new PhysicsComponent({ collidable: true }),
-      new HealthComponent({ hp: 30 }),
-      new DiggableComponent(),
-      new FallableComponent(),
-    ]);
-    return BlockFactory.finalizeBlock(block, 'rock');
+    return BlockFactory.create('rock');
   }
 
   /**
@@ -167,14 +266,7 @@ export class BlockFactory {
    * @returns {Block}
    */
   static createPauseCrystal() {
-    const sprite = SPRITE_ATLAS.pause_crystal;
-    const block = new Block([
-      new RenderComponent(spriteToComponentProps(sprite)),
-      new PhysicsComponent({ collidable: true }),
-      new DiggableComponent(), // Must be diggable so player can dig down through it
-      new PauseOnDestroyComponent(), // Triggers pause on contact (checked before digging)
-    ]);
-    return BlockFactory.finalizeBlock(block, 'pause_crystal');
+    return BlockFactory.create('pause_crystal');
   }
 
   /**
@@ -182,14 +274,7 @@ export class BlockFactory {
    * @returns {Block}
    */
   static createRedFrame() {
-    const sprite = SPRITE_ATLAS.red_frame;
-    const block = new Block([
-      new RenderComponent(spriteToComponentProps(sprite)),
-      new PhysicsComponent({ collidable: true }),
-      new HealthComponent({ hp: 5 }),
-      new DiggableComponent(),
-    ]);
-    return BlockFactory.finalizeBlock(block, 'red_frame');
+    return BlockFactory.create('red_frame');
   }
 
   /**
@@ -197,13 +282,7 @@ export class BlockFactory {
    * @returns {Block}
    */
   static createDoor() {
-    const sprite = SPRITE_ATLAS.door;
-    const block = new Block([
-      new RenderComponent(spriteToComponentProps(sprite)),
-      new PhysicsComponent({ collidable: true }),
-      new DoorComponent(),
-    ]);
-    return BlockFactory.finalizeBlock(block, 'door');
+    return BlockFactory.create('door');
   }
 
   /**
@@ -211,12 +290,7 @@ export class BlockFactory {
    * @returns {Block}
    */
   static createDoorstep() {
-    const sprite = SPRITE_ATLAS.doorstep;
-    const block = new Block([
-      new RenderComponent(spriteToComponentProps(sprite)),
-      new PhysicsComponent({ collidable: true }),
-    ]);
-    return BlockFactory.finalizeBlock(block, 'doorstep');
+    return BlockFactory.create('doorstep');
   }
 
   /**
@@ -224,23 +298,7 @@ export class BlockFactory {
    * @returns {Block}
    */
   static createLava() {
-    const {
-      x,
-      y,
-      width,
-      height,
-    } = SPRITE_ATLAS.lava;
-    const block = new Block([
-      new RenderComponent({
-        spriteX: x,
-        spriteY: y,
-        spriteWidth: width,
-        spriteHeight: height,
-      }),
-      new PhysicsComponent({ collidable: false }),
-      new LethalComponent(),
-    ]);
-    return BlockFactory.finalizeBlock(block, 'lava');
+    return BlockFactory.create('lava');
   }
 
   /**
@@ -248,74 +306,31 @@ export class BlockFactory {
    * @returns {Block}
    */
   static createGrass() {
-    const sprite = SPRITE_ATLAS.grass;
-    const block = new Block([
-      new RenderComponent(spriteToComponentProps(sprite)),
-      new PhysicsComponent({ collidable: true }),
-      new HealthComponent({ hp: 5 }),
-      new DiggableComponent(),
-    ]);
-    return BlockFactory.finalizeBlock(block, 'grass');
+    return BlockFactory.create('grass');
   }
 
   /**
    * Create a chest block (drops loot when destroyed)
-   * @param {Array} loot - Array of loot items to drop
+   * @param {Array} [loot] - Array of loot items to drop
    * @returns {Block}
    */
-  static createChest(loot = [{ type: 'coin', value: 10, sprite: 'chest_coin' }]) {
-    const sprite = SPRITE_ATLAS.chest_base;
-    const timerIncrementSeconds = Array.isArray(loot)
-      ? loot.reduce((total, item) => {
-        if (!item || item.type !== 'coin') {
-          return total;
-        }
-        const value = Number(item.value);
-        if (!Number.isFinite(value) || value <= 0) {
-          return total;
-        }
-        return total + value;
-      }, 0)
-      : 0;
-
-    const block = new Block([
-      new RenderComponent(spriteToComponentProps(sprite)),
-      new PhysicsComponent({ collidable: true }),
-      new HealthComponent({ hp: 15 }),
-      new DiggableComponent(),
-      new LootableComponent({ loot, timerIncrementSeconds }),
-      new FallableComponent(),
-    ]);
-    return BlockFactory.finalizeBlock(block, 'chest');
+  static createChest(loot) {
+    return BlockFactory.create('chest', loot ? { loot } : {});
   }
 
   /**
    * Create a covered chest (chest with cover that must be dug first)
    * When destroyed, spawns a regular chest at the same position
-   * @param {Array} loot - Array of loot items for the chest underneath
+   * @param {Array} [loot] - Array of loot items for the chest underneath
    * @returns {Block}
    */
-  static createCoveredChest(loot = [{ type: 'coin', value: 10, sprite: 'chest_coin' }]) {
-    const baseSprite = SPRITE_ATLAS.chest_base;
-    const coverSprite = SPRITE_ATLAS.chest_cover;
-    const block = new Block([
-      new RenderComponent({
-        layers: [
-          spriteToLayerProps(baseSprite),
-          spriteToLayerProps(coverSprite),
-        ],
-      }),
-      new PhysicsComponent({ collidable: true }),
-      new HealthComponent({ hp: 10 }),
-      new DiggableComponent(),
-      new LootableComponent({
-        spawnEntity: {
-          factoryMethod: 'createChest',
-          args: [loot],
-        },
-      }),
-    ]);
-    return BlockFactory.finalizeBlock(block, 'covered_chest');
+  static createCoveredChest(loot) {
+    if (!loot) {
+      return BlockFactory.create('covered_chest');
+    }
+    return BlockFactory.create('covered_chest', {
+      spawnEntity: { factoryMethod: 'chest', args: [{ loot }] },
+    });
   }
 
   /**
@@ -324,14 +339,7 @@ export class BlockFactory {
    * @returns {Block}
    */
   static createProtectiveBlock(darknessAlpha = 0.5) {
-    const sprite = SPRITE_ATLAS.protective_block;
-    const block = new Block([
-      new RenderComponent(spriteToComponentProps(sprite)),
-      new PhysicsComponent({ collidable: true }),
-      new HealthComponent({ hp: 10 }),
-      new DiggableComponent(),
-      new DarknessComponent({ alpha: darknessAlpha }),
-    ]);
+    const block = BlockFactory.create('protective_block', { darkness: darknessAlpha });
     return BlockFactory.finalizeBlock(block, 'protective_block', { darknessAlpha });
   }
 
@@ -341,23 +349,121 @@ export class BlockFactory {
    * @returns {Block}
    */
   static createProtectiveMud(darknessAlpha = 0.5) {
-    const normalizedVariant = Math.min(5, Math.max(1, Math.round(darknessAlpha / 0.1) + 1));
-    const mudVariants = SPRITE_ATLAS.mud_variants || [];
-    const variantIndex = Math.min(mudVariants.length - 1, Math.max(0, normalizedVariant - 1));
-    const mudSprite = mudVariants[variantIndex] || mudVariants[0] || SPRITE_ATLAS.mud_light;
-
-    const block = new Block([
-      new RenderComponent(spriteToComponentProps(mudSprite)),
-      new PhysicsComponent({ collidable: true }),
-      new HealthComponent({ hp: 5 }),
-      new DiggableComponent(),
-      new LootableComponent({
-        loot: [{ type: 'coin', value: 1, sprite: 'simple_coin' }],
-        timerIncrementSeconds: 0,
-      }),
-      new DarknessComponent({ alpha: darknessAlpha }),
-    ]);
-    return BlockFactory.finalizeBlock(block, 'mud', { variant: normalizedVariant });
+    const variant = Math.min(5, Math.max(1, Math.round(darknessAlpha / 0.1) + 1));
+    return BlockFactory.create('mud', { variant, darkness: darknessAlpha });
+  }
+
+  /**
+   * Describe a block as a plain, serializable object.
+   * Captures the block type plus the mutable state needed to rebuild it
+   * (HP, darkness overlay, chest loot, door activation, liquid level, blast settings).
+   * @param {Block|null|undefined} block
+   * @returns {Object} Block descriptor
+   */
+  static describe(block) {
+    if (!block) {
+      return { type: 'empty' };
+    }
+
+    const descriptor = { type: block.type ?? 'empty' };
+
+    if (block.variant !== undefined) {
+      descriptor.variant = block.variant;
+    }
+
+    const health = block.get(HealthComponent);
+    if (health) {
+      descriptor.hp = health.hp;
+      descriptor.maxHp = health.maxHp;
+    }
+
+    const darkness = block.get(DarknessComponent);
+    if (darkness) {
+      descriptor.darknessAlpha = darkness.alpha;
+    }
+
+    const lootable = block.get(LootableComponent);
+    if (lootable && block.type === 'chest') {
+      descriptor.loot = lootable.getLoot();
+    }
+
+    const door = block.get(DoorComponent);
+    if (door) {
+      descriptor.active = door.isActive();
+    }
+
+    const liquid = block.get(LiquidComponent);
+    if (liquid && !liquid.isFull()) {
+      descriptor.level = liquid.level;
+    }
+
+    const explosive = block.get(ExplosiveComponent);
+    if (explosive) {
+      descriptor.explosive = {
+        pattern: explosive.pattern,
+        radius: explosive.radius,
+        direction: { dx: explosive.direction.dx, dy: explosive.direction.dy },
+        delayMs: explosive.delayMs,
+      };
+    }
+
+    return descriptor;
+  }
+
+  /**
+   * Rebuild a block from a descriptor produced by `describe`.
+   * @param {Object} descriptor - Block descriptor
+   * @returns {Block}
+   */
+  static fromDescriptor(descriptor = {}) {
+    if (!hasBlockType(descriptor.type)) {
+      return BlockFactory.createEmpty();
+    }
+
+    const overrides = {};
+    if (descriptor.variant !== undefined) {
+      overrides.variant = descriptor.variant;
+    }
+    if (Number.isFinite(descriptor.maxHp)) {
+      overrides.hp = descriptor.maxHp;
+    }
+    if (descriptor.loot) {
+      overrides.loot = descriptor.loot;
+    }
+    if (Number.isFinite(descriptor.level)) {
+      overrides.level = descriptor.level;
+    }
+    if (descriptor.explosive) {
+      overrides.explosive = descriptor.explosive;
+    }
+
+    const block = BlockFactory.create(descriptor.type, overrides);
+
+    const health = block.get(HealthComponent);
+    if (health && Number.isFinite(descriptor.hp)) {
+      health.hp = descriptor.hp;
+      health.maxHp = descriptor.maxHp ?? health.maxHp;
+    }
+
+    if (Number.isFinite(descriptor.darknessAlpha)) {
+      const darkness = block.get(DarknessComponent);
+      if (darkness) {
+        darkness.alpha = descriptor.darknessAlpha;
+      } else {
+        block.add(new DarknessComponent({ alpha: descriptor.darknessAlpha }));
+      }
+    } else if (block.has(DarknessComponent)) {
+      block.remove(DarknessComponent);
+    }
+
+    if (descriptor.active === false) {
+      const door = block.get(DoorComponent);
+      if (door) {
+        door.deactivate();
+      }
+    }
+
+    return block;
   }
 
   /**
@@ -5,25 +5,13 @@
 
 import { Game } from './core/game.js';
 import { Viewport } from './core/viewport.js';
-import {
-  updateCanvasDimensions,
-  WORLD_WIDTH_PX,
-  WORLD_HEIGHT_PX,
-} from './utils/config.js';
-import { BackgroundSystem } from './systems/background.system.js';
-import { TerrainSystem } from './systems/terrain.system.js';
-import { PlayerManagerSystem } from './systems/player-manager.system.js';
-import { ShadowSystem } from './systems/shadow.system.js';
-import { NavigationSystem } from './systems/navigation.system.js';
-import { DigIndicatorSystem } from './systems/dig-indicator.system.js';
-import { CameraSystem } from './systems/camera.system.js';
-import { HUDSystem } from './systems/hud.system.js';
-import { DebugSystem } from './systems/debug.system.js';
-import { TouchInputSystem } from './systems/touch-input.system.js';
-import { NPCSystem } from './systems/npc.system.js';
+import { updateCanvasDimensions } from './utils/config.js';
+import { WorldConfig } from './utils/world-config.js';
+import { getDailySeedName } from './utils/seed.js';
+import { createSystems } from './core/create-systems.js';
 import { InputSystem } from './systems/input.system.js';
-import { GravitySystem } from './systems/gravity.system.js';
-import { CoinEffectSystem } from './systems/coin-effect.system.js';
+import { RunRecorder, loadStoredRecording } from './utils/run-recorder.js';
+import { RunPlayer } from './utils/run-player.js';
 import { eventBus } from './utils/event-bus.js';
 
 /**
@@ -93,6 +81,10 @@ function getDeathMessage(cause) {
       return 'Crushed by falling rock';
     case 'lava':
       return 'Melted by lava';
+    case 'explosion':
+      return 'Caught in an explosion';
+    case 'drowned':
+      return 'Drowned';
     default:
       return '';
   }
@@ -116,11 +108,32 @@ function init() {
   canvas.height = height;
   updateCanvasDimensions(width, height);
 
+  // ?world=<width>x<height> (in chunks) overrides the world size, e.g. ?world=6x40
+  const params = new URLSearchParams(window.location.search);
+  const [widthChunks, heightChunks] = (params.get('world') || '').split('x').map(Number);
+
+  // ?chase turns on rising lava; ?chase=<tiles per second> also sets its starting rate
+  const chaseRate = Number(params.get('chase'));
+  let lavaChase = false;
+  if (params.has('chase')) {
+    lavaChase = chaseRate > 0 ? { baseRate: chaseRate } : true;
+  }
+
+  // ?seed=<number or name> plays a chosen world (e.g. ?seed=RED-MOLE-42), ?daily plays
+  // today's challenge world, ?level=<n> starts on level n. An empty ?seed= is no seed.
+  const seed = params.has('daily') ? getDailySeedName() : (params.get('seed') || null);
+  const level = Number(params.get('level'));
+
   // Create game instance
-  const game = new Game(canvas);
+  const game = new Game(canvas, {
+    world: new WorldConfig({ widthChunks, heightChunks }),
+    lavaChase,
+    seed,
+    level,
+  });
 
   // Create viewport for coordinate transformation
-  const viewport = new Viewport(width, height, WORLD_WIDTH_PX, WORLD_HEIGHT_PX);
+  const viewport = new Viewport(width, height, game.world);
   // viewport.setTerrainY(200);  // 100px from top, or use a constant
   game.viewport = viewport;
 
@@ -130,20 +143,8 @@ function init() {
   game.inputSystem = inputSystem;
 
   // Add systems (order matters for rendering and update logic)
-  game.addComponent(new BackgroundSystem(game));
-  game.addComponent(new TerrainSystem(game));
-  game.addComponent(new NPCSystem(game));
-  game.addComponent(new GravitySystem(game)); // Gravity system updates after terrain
-  game.addComponent(new DigIndicatorSystem(game)); // Dig outline on top of terrain
-  game.addComponent(new ShadowSystem(game)); // Shadow renders before player
-  game.addComponent(new NavigationSystem(game));
-  game.addComponent(new PlayerManagerSystem(game));
-  game.addComponent(new CoinEffectSystem(game));
-  // Start camera positioned to show mountains and sun (Y=110 is sun center)
-  game.addComponent(new CameraSystem(game, 256, 110, 3.0));
-  game.addComponent(new HUDSystem(game));
-  game.addComponent(new TouchInputSystem(game)); // Touch input for mobile
-  game.addComponent(new DebugSystem(game));
+  createSystems(game).forEach((system) => game.addComponent(system));
+  const saveSystem = game.components.find((c) => c.constructor.name === 'SaveSystem');
 
   // Initialize game
   game.init();
@@ -155,6 +156,28 @@ function init() {
     camera.follow(player);
   }
 
+  // ?replay plays back the stored recording, ?record records a fresh run, a run on a
+  // chosen seed or level is played without saving (the stored run stays as it was),
+  // otherwise resume the previous run if one was saved
+  const recording = params.has('replay') ? loadStoredRecording() : null;
+  if (recording) {
+    saveSystem.enabled = false;
+    const runPlayer = new RunPlayer(game, recording);
+    runPlayer.start();
+    // Stop on the replay's last frame; live input takes over once resumed
+    eventBus.once('replay:complete', () => game.showOverlay('pause', {
+      title: 'REPLAY COMPLETE',
+      instruction: 'SPACE to keep playing',
+    }));
+  } else if (params.has('record')) {
+    game.runRecorder = new RunRecorder(game);
+    game.runRecorder.start();
+  } else if (game.seedSequence || params.has('level')) {
+    saveSystem.enabled = false;
+  } else if (saveSystem.hasSave()) {
+    saveSystem.load();
+  }
+
   // Subscribe to pause toggle event
   eventBus.on('input:pause-toggle', () => {
     game.handlePauseInput();
@@ -178,6 +201,9 @@ function init() {
   // Handle window resize
   window.addEventListener('resize', () => resizeCanvas(canvas, game));
 
+  // Persist run when the page is hidden or closed
+  window.addEventListener('pagehide', () => saveSystem.save());
+
   // Start game loop
   game.start();
 }
@@ -0,0 +1,128 @@
+/**
+ * @file chunk-layer-cache.js
+ * @description Pre-rendered terrain chunks: each chunk's static tiles drawn once to
+ * offscreen canvases and blitted every frame
+ */
+
+import { TILE_WIDTH, TILE_HEIGHT, SPRITE_HEIGHT } from '../utils/config.js';
+import { RenderQueue } from './render-queue.js';
+import { RenderLayer, RENDER_LAYER_SEQUENCE } from './render-layer.js';
+import { createNullCanvas } from './null-canvas.js';
+
+// Room around the chunk for sprites that reach past its tiles (tile caps, wide overlays)
+const LAYER_MARGIN = SPRITE_HEIGHT;
+
+const OVERLAY_LAYERS = RENDER_LAYER_SEQUENCE.filter((layer) => layer !== RenderLayer.TERRAIN_BASE);
+
+/**
+ * Create a canvas for a chunk layer: an OffscreenCanvas where available, a DOM canvas
+ * otherwise, and a no-op canvas without a DOM
+ * @param {number} width
+ * @param {number} height
+ * @returns {OffscreenCanvas|HTMLCanvasElement|Object}
+ */
+export function createLayerCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  if (typeof document !== 'undefined') {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+  return createNullCanvas(width, height);
+}
+
+/**
+ * ChunkLayerCache
+ * Keeps two canvases per chunk: its TERRAIN_BASE commands and everything above them, so
+ * overlays of one chunk still draw over the base tiles of the chunk above. A chunk is
+ * redrawn only when its revision changes (`TerrainChunk.getRevision`); redraws are
+ * measured as `chunkRedraw`. Entries are keyed by chunk object, so evicted chunks and
+ * replaced levels drop their canvases with them.
+ */
+export class ChunkLayerCache {
+  /**
+   * @param {{monitor?: PerformanceMonitor, createCanvas?: Function}} [options]
+   */
+  constructor({ monitor = null, createCanvas = createLayerCanvas } = {}) {
+    this.monitor = monitor;
+    this.createCanvas = createCanvas;
+    this.entries = new WeakMap(); // WeakMap<TerrainChunk, layers entry>
+    this.queue = new RenderQueue();
+    this.enabled = true; // Off: TerrainSystem queues every tile every frame (for comparison)
+    this.redraws = 0; // Chunk redraws so far
+  }
+
+  /**
+   * @param {HTMLImageElement} spriteSheet
+   */
+  setSpriteSheet(spriteSheet) {
+    this.queue.setSpriteSheet(spriteSheet);
+    this.clear();
+  }
+
+  /**
+   * Forget every pre-rendered chunk
+   */
+  clear() {
+    this.entries = new WeakMap();
+  }
+
+  /**
+   * Canvases for a chunk, redrawn first if the chunk changed since they were drawn
+   * @param {TerrainChunk} chunk
+   * @param {Function} queueTiles - Queues the chunk's static tiles (world coordinates) into
+   *   the RenderQueue it is given
+   * @returns {{base: Object, overlay: Object, x: number, y: number}} Layers and the world
+   *   position of their top-left corner
+   */
+  getLayers(chunk, queueTiles) {
+    let entry = this.entries.get(chunk);
+    const revision = chunk.getRevision();
+    if (entry && entry.revision === revision) {
+      return entry;
+    }
+
+    this.monitor?.startMark('chunkRedraw');
+    if (!entry) {
+      const width = chunk.size * TILE_WIDTH + LAYER_MARGIN * 2;
+      const height = chunk.size * TILE_HEIGHT + LAYER_MARGIN * 2;
+      entry = {
+        base: this.createCanvas(width, height),
+        overlay: this.createCanvas(width, height),
+        x: chunk.chunkX * chunk.size * TILE_WIDTH - LAYER_MARGIN,
+        y: chunk.chunkY * chunk.size * TILE_HEIGHT - LAYER_MARGIN,
+        revision: null,
+      };
+      this.entries.set(chunk, entry);
+    }
+
+    queueTiles(this.queue);
+    this._drawLayer(entry, entry.base, [RenderLayer.TERRAIN_BASE]);
+    this._drawLayer(entry, entry.overlay, OVERLAY_LAYERS);
+    entry.revision = revision;
+    this.redraws += 1;
+    this.monitor?.endMark('chunkRedraw');
+
+    return entry;
+  }
+
+  /**
+   * Clear a layer canvas and flush the queued commands of the given layers into it
+   * @param {{x: number, y: number}} entry
+   * @param {Object} canvas
+   * @param {number[]} layers
+   * @private
+   */
+  _drawLayer(entry, canvas, layers) {
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.imageSmoothingEnabled = false;
+    // Commands are in world coordinates
+    ctx.setTransform(1, 0, 0, 1, -entry.x, -entry.y);
+    this.queue.flush(ctx, layers);
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * @file null-canvas.js
+ * @description No-op canvas and 2D context for running the game without a DOM
+ */
+
+/**
+ * Create a 2D context that accepts every drawing call and property write and draws nothing
+ * @param {Object} canvas - Owning canvas (exposed as `ctx.canvas`)
+ * @returns {CanvasRenderingContext2D}
+ */
+function createNullContext(canvas) {
+  const state = {
+    canvas,
+    measureText: (text = '') => ({ width: String(text).length }),
+    getTransform: () => ({
+      a: 1, b: 0, c: 0, d: 1, e: 0, f: 0,
+    }),
+  };
+
+  let context = null;
+  const noop = () => context;
+
+  context = new Proxy(state, {
+    get(target, prop) {
+      if (prop in target) {
+        return target[prop];
+      }
+      // Any unknown member is a chainable no-op (covers gradients, paths, etc.)
+      return noop;
+    },
+    set(target, prop, value) {
+      return Reflect.set(target, prop, value);
+    },
+  });
+
+  return context;
+}
+
+/**
+ * Create a canvas stand-in for headless games
+ * @param {number} width
+ * @param {number} height
+ * @returns {{width: number, height: number, getContext: Function}}
+ */
+export function createNullCanvas(width, height) {
+  const canvas = {
+    width,
+    height,
+    addEventListener: () => {},
+    removeEventListener: () => {},
+  };
+  const ctx = createNullContext(canvas);
+  canvas.getContext = () => ctx;
+  return canvas;
+}
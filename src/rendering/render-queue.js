@@ -55,13 +55,14 @@ export class RenderQueue {
   /**
    * Flush queued commands to the canvas context.
    * @param {CanvasRenderingContext2D} ctx
+   * @param {number[]} [layers] - Layers to flush (others stay queued)
    */
-  flush(ctx) {
+  flush(ctx, layers = RENDER_LAYER_SEQUENCE) {
     if (!ctx) return;
 
     const texture = this.spriteSheet;
 
-    RENDER_LAYER_SEQUENCE.forEach((layer) => {
+    layers.forEach((layer) => {
       const bucket = this.layerBuckets.get(layer);
       if (!bucket || bucket.length === 0) return;
 
@@ -131,6 +131,12 @@ export const SPRITE_ATLAS = {
     width: 16,
     height: 25,
   },
+  explosive: {
+    x: 80,
+    y: 25,
+    width: 16,
+    height: 25,
+  },
   simple_coin: {
     x: 16,
     y: 75,
@@ -173,9 +179,14 @@ export const SPRITE_ATLAS = {
 
 /**
  * Load sprite sheet image
- * @returns {Promise<HTMLImageElement>}
+ * Resolves to null without a DOM (headless games), where nothing is drawn anyway.
+ * @returns {Promise<HTMLImageElement|null>}
  */
 export function loadSpriteSheet() {
+  if (typeof Image === 'undefined') {
+    return Promise.resolve(null);
+  }
+
   return new Promise((resolve, reject) => {
     const img = new Image();
     img.onload = () => resolve(img);
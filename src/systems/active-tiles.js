@@ -0,0 +1,157 @@
+/**
+ * @file active-tiles.js
+ * @description Tiles GravitySystem has to look at this frame
+ */
+
+import { FallableComponent } from '../components/block/fallable.component.js';
+
+const keyOf = (x, y) => `${x},${y}`;
+
+/**
+ * ActiveTiles
+ *
+ * The work list of GravitySystem: tiles where a fallable block may have something to do.
+ * A resting block only starts to move when a tile it depends on changes (the tile below,
+ * the tiles beside it and diagonally below for slides), or when the chunk under or beside
+ * it loads. So tiles are added when:
+ * - a chunk is seen for the first time: its fallable blocks, and the tiles above and
+ *   beside it (blocks there may have been waiting for it);
+ * - a tile is set (`TerrainChunk.takeChangedTiles`): the tile, and the tiles above and
+ *   diagonally above it;
+ * - GravitySystem keeps a block going (falling, wobbling, waiting for a slide) or
+ *   FallableClusters lets go of one.
+ * Tiles are handed out in the order of the full scan they replace: bottom chunk row first,
+ * then left to right, and bottom row first and left to right inside a chunk.
+ */
+export class ActiveTiles {
+  constructor() {
+    this.tiles = new Map(); // "x,y" → {x, y}
+    this.trackedChunks = new WeakSet(); // Chunks whose tile changes are being recorded
+  }
+
+  /**
+   * @returns {number} Tiles waiting to be looked at
+   */
+  get size() {
+    return this.tiles.size;
+  }
+
+  /**
+   * @param {number} x - Grid X
+   * @param {number} y - Grid Y
+   */
+  add(x, y) {
+    this.tiles.set(keyOf(x, y), { x, y });
+  }
+
+  /**
+   * Add the tiles whose blocks depend on a tile: itself, and the three above it
+   * @param {number} x - Grid X of the changed tile
+   * @param {number} y - Grid Y
+   */
+  addAround(x, y) {
+    for (let dy = -1; dy <= 0; dy += 1) {
+      for (let dx = -1; dx <= 1; dx += 1) {
+        this.add(x + dx, y + dy);
+      }
+    }
+  }
+
+  /**
+   * Forget every tile (chunks already seen keep recording their changes)
+   */
+  clear() {
+    this.tiles.clear();
+  }
+
+  /**
+   * Add the tiles of chunks loaded since the last call, and the tiles set since then
+   * @param {TerrainChunk[]} chunks - Cached chunks
+   * @returns {Array<{x: number, y: number}>} Tiles set since the last call (not those of
+   *   newly seen chunks)
+   */
+  collectChanges(chunks) {
+    const changed = [];
+    chunks.forEach((chunk) => {
+      const { size } = chunk;
+      const originX = chunk.chunkX * size;
+      const originY = chunk.chunkY * size;
+
+      if (!this.trackedChunks.has(chunk)) {
+        this.trackedChunks.add(chunk);
+        chunk.takeChangedTiles(); // Start recording
+        this._addChunk(chunk, originX, originY);
+        return;
+      }
+
+      chunk.takeChangedTiles().forEach((index) => {
+        const x = originX + (index % size);
+        const y = originY + Math.floor(index / size);
+        this.addAround(x, y);
+        changed.push({ x, y });
+      });
+    });
+    return changed;
+  }
+
+  /**
+   * Remove and return the tiles in the given chunks, in scan order. Tiles of other chunks
+   * stay for later while their chunk is cached, and are dropped otherwise: a chunk loaded
+   * again is added whole.
+   * @param {TerrainChunk[]} chunks - Chunks visited this frame
+   * @param {ChunkCache} cache
+   * @returns {Array<{chunk: TerrainChunk, x: number, y: number}>} Local tile coordinates
+   */
+  take(chunks, cache) {
+    if (this.tiles.size === 0 || chunks.length === 0) {
+      return [];
+    }
+
+    const { size } = chunks[0];
+    const byKey = new Map(chunks.map((chunk) => [keyOf(chunk.chunkX, chunk.chunkY), chunk]));
+    const taken = [];
+
+    this.tiles.forEach(({ x, y }, key) => {
+      const chunkX = Math.floor(x / size);
+      const chunkY = Math.floor(y / size);
+      const chunk = byKey.get(keyOf(chunkX, chunkY));
+      if (chunk) {
+        taken.push({ chunk, x: x - chunkX * size, y: y - chunkY * size });
+        this.tiles.delete(key);
+      } else if (!cache.hasChunk(chunkX, chunkY)) {
+        this.tiles.delete(key);
+      }
+    });
+
+    return taken.sort((a, b) => (b.chunk.chunkY - a.chunk.chunkY)
+      || (a.chunk.chunkX - b.chunk.chunkX)
+      || (b.y - a.y)
+      || (a.x - b.x));
+  }
+
+  /**
+   * Add a newly seen chunk: its fallable blocks, and the row above and columns beside it
+   * @param {TerrainChunk} chunk
+   * @param {number} originX - Grid X of its first column
+   * @param {number} originY - Grid Y of its first row
+   * @private
+   */
+  _addChunk(chunk, originX, originY) {
+    const { size } = chunk;
+    for (let y = 0; y < size; y += 1) {
+      for (let x = 0; x < size; x += 1) {
+        if (chunk.getBlock(x, y).has(FallableComponent)) {
+          this.add(originX + x, originY + y);
+        }
+      }
+    }
+
+    for (let x = -1; x <= size; x += 1) {
+      this.add(originX + x, originY - 1);
+    }
+    for (let y = 0; y < size; y += 1) {
+      this.add(originX - 1, originY + y);
+      this.add(originX + size, originY + y);
+    }
+  }
+}
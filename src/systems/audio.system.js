@@ -0,0 +1,177 @@
+/**
+ * @file audio.system.js
+ * @description Audio system - plays synthesized sound effects and ambient music from game events
+ */
+
+import { System } from '../core/system.js';
+import { AudioMixer } from '../audio/audio-mixer.js';
+import { SOUNDS, startAmbientMusic } from '../audio/sound-synth.js';
+import { INPUT_EVENTS } from './input.system.js';
+import { AUDIO_MIN_REPEAT_MS } from '../utils/config.js';
+import { eventBus } from '../utils/event-bus.js';
+
+/**
+ * AudioSystem
+ * Maps game events to sounds on mixer channels. The AudioContext is created on the
+ * first player input (browsers block audio before a user gesture) and is suspended
+ * while the game is paused.
+ */
+export class AudioSystem extends System {
+  /**
+   * @param {Game} game - Reference to the main game instance
+   * @param {Function|null} [createContext] - AudioContext factory (null disables audio)
+   */
+  constructor(game, createContext = AudioSystem.getDefaultContextFactory()) {
+    super(game);
+    this.createContext = createContext;
+  }
+
+  /**
+   * Resolve the browser's AudioContext constructor if available
+   * @returns {Function|null}
+   */
+  static getDefaultContextFactory() {
+    if (typeof window === 'undefined') {
+      return null;
+    }
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    return AudioContextClass ? () => new AudioContextClass() : null;
+  }
+
+  init() {
+    this.mixer = new AudioMixer();
+    this.context = null;
+    this.stopMusic = null;
+    this.lastPlayed = new Map(); // Map<string, number> sound → context time (s)
+
+    const handlers = {
+      'block:destroyed': ({ block } = {}) => this.play('dig', { hard: block?.type === 'rock' }),
+      'block:landed': () => this.play('thud'),
+      'explosion:triggered': () => this.play('explosion'),
+      'liquid:hardened': () => this.play('hiss'),
+      'block:loot': ({ timerIncrementSeconds = 0 } = {}) => {
+        // Mud drops a coin on every dig; only chest loot gets the sparkle
+        if (timerIncrementSeconds > 0) {
+          this.play('loot');
+        }
+      },
+      'score:add': ({ amount = 1 } = {}) => this.play('coin', { amount }),
+      'player:death': () => this.play('death'),
+      'level:transition': () => this.play('transition'),
+      'game:paused': ({ paused } = {}) => this._handlePause(paused),
+    };
+
+    this.unsubscribers = [
+      ...Object.entries(handlers).map(([event, handler]) => eventBus.on(event, handler)),
+      ...INPUT_EVENTS.map((event) => eventBus.on(event, () => this.unlock())),
+    ];
+  }
+
+  /**
+   * Create (or resume) the AudioContext. Must run inside a user gesture.
+   * @returns {AudioContext|null}
+   */
+  unlock() {
+    if (!this.context) {
+      if (!this.createContext) {
+        return null;
+      }
+
+      try {
+        this.context = this.createContext();
+      } catch (error) {
+        console.warn('AudioSystem: Web Audio unavailable', error);
+        this.createContext = null;
+        return null;
+      }
+
+      this.mixer.attach(this.context);
+      this.stopMusic = startAmbientMusic(this.context, this.mixer.getOutput('music'));
+    }
+
+    if (this.context.state === 'suspended' && !this.game.paused) {
+      this.context.resume();
+    }
+
+    return this.context;
+  }
+
+  /**
+   * Play a sound effect on its channel
+   * @param {string} name - Key of SOUNDS
+   * @param {Object} [options] - Passed to the sound recipe
+   * @returns {boolean} True if the sound was started
+   */
+  play(name, options = {}) {
+    const sound = SOUNDS[name];
+    if (!sound) {
+      console.warn(`AudioSystem: unknown sound "${name}"`);
+      return false;
+    }
+
+    if (!this.context || this.game.paused || this.mixer.isMuted(sound.channel)) {
+      return false;
+    }
+
+    // Blasts and cascades destroy many blocks in one step; play each sound once
+    const now = this.context.currentTime;
+    const last = this.lastPlayed.get(name);
+    if (last !== undefined && (now - last) * 1000 < AUDIO_MIN_REPEAT_MS) {
+      return false;
+    }
+    this.lastPlayed.set(name, now);
+
+    sound.play(this.context, this.mixer.getOutput(sound.channel), options);
+    return true;
+  }
+
+  /**
+   * @param {string} channel - Mixer channel (or 'master')
+   * @param {number} volume - 0-1
+   */
+  setVolume(channel, volume) {
+    this.mixer.setVolume(channel, volume);
+  }
+
+  /**
+   * @param {string} channel - Mixer channel (or 'master')
+   * @param {boolean} muted
+   */
+  setMuted(channel, muted) {
+    this.mixer.setMuted(channel, muted);
+  }
+
+  destroy() {
+    if (this.unsubscribers) {
+      this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+      this.unsubscribers = null;
+    }
+
+    if (this.stopMusic) {
+      this.stopMusic();
+      this.stopMusic = null;
+    }
+
+    if (this.context) {
+      this.context.close();
+      this.context = null;
+    }
+  }
+
+  /**
+   * Suspend the context while paused so music and tails freeze with the game
+   * @param {boolean} paused
+   * @private
+   */
+  _handlePause(paused) {
+    if (!this.context) {
+      return;
+    }
+
+    if (paused) {
+      this.context.suspend();
+    } else {
+      this.context.resume();
+    }
+  }
+}
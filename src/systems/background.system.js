@@ -1,10 +1,11 @@
 /**
  * @file background.system.js
- * @description Background system - renders sky, mountains, sun, and lava
+ * @description Background system - renders sky, mountains, sun, and lava glow
  */
 
 import { System } from '../core/system.js';
-import { WORLD_WIDTH_PX } from '../utils/config.js';
+import { eventBus } from '../utils/event-bus.js';
+import { TILE_HEIGHT } from '../utils/config.js';
 
 const SKY_HEIGHT = 300;
 const SUN_RADIUS = 80;
@@ -12,6 +13,7 @@ const SUN_VERTICAL_OFFSET = -70;
 const MOUNTAIN_BASE_Y = 180;
 const MOUNTAIN_HEIGHT = 40;
 const MOUNTAIN_PEAK_OFFSET = 78;
+const LAVA_GLOW_TILES = 4; // Height of the warm glow behind caverns above the lava
 
 /**
  * BackgroundComponent
@@ -19,10 +21,13 @@ const MOUNTAIN_PEAK_OFFSET = 78;
  */
 export class BackgroundSystem extends System {
   init() {
-    this.x = WORLD_WIDTH_PX / 2;
+    this.x = this.game.world.widthPx / 2; // Sun and mountains centered on the world
     this.y = MOUNTAIN_BASE_Y;
     this.sunRadius = SUN_RADIUS;
     this.sunOffsetY = SUN_VERTICAL_OFFSET;
+    this.unsubscribeWorld = eventBus.on('world:resized', ({ world }) => {
+      this.x = world.widthPx / 2;
+    });
   }
 
   update() {
@@ -63,9 +68,63 @@ export class BackgroundSystem extends System {
         viewWidth,
         viewBounds.bottom - mountainScreenY,
       ); // -1 to avoid any light gap
+
+      this._drawBiomeBands(ctx, viewBounds, mountainScreenY);
+      this._drawLavaGlow(ctx, viewBounds);
     }
   }
 
+  /**
+   * Warm glow behind open tiles just above the lava surface. Follows the rising lava in
+   * chase mode, where it also pulses.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {{left: number, right: number, top: number, bottom: number}} viewBounds - Visible region
+   * @private
+   */
+  _drawLavaGlow(ctx, viewBounds) {
+    const terrain = this.game.components.find((c) => c.constructor.name === 'TerrainSystem');
+    if (!terrain || !terrain.world) return;
+
+    const surfaceY = terrain.getLavaSurfaceY() * TILE_HEIGHT;
+    const glowTop = surfaceY - LAVA_GLOW_TILES * TILE_HEIGHT;
+    if (glowTop > viewBounds.bottom || surfaceY < viewBounds.top) return;
+
+    const elapsedMs = terrain.lavaChase ? terrain.lavaChase.elapsedMs : 0;
+    const pulse = 0.5 + 0.5 * Math.sin(elapsedMs / 400);
+    const viewWidth = viewBounds.right - viewBounds.left;
+    const glow = ctx.createLinearGradient(0, glowTop, 0, surfaceY);
+    glow.addColorStop(0, 'rgba(255, 90, 20, 0)');
+    glow.addColorStop(1, `rgba(255, 90, 20, ${0.35 + 0.15 * pulse})`);
+
+    ctx.fillStyle = glow;
+    ctx.fillRect(viewBounds.left, glowTop, viewWidth, surfaceY - glowTop);
+  }
+
+  /**
+   * Tint the underground behind each biome band with the biome's background colour
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {{left: number, right: number, top: number, bottom: number}} viewBounds - Visible region
+   * @param {number} undergroundTop - World Y where the underground starts
+   * @private
+   */
+  _drawBiomeBands(ctx, viewBounds, undergroundTop) {
+    const terrain = this.game.components.find((c) => c.constructor.name === 'TerrainSystem');
+    if (!terrain || !terrain.generator) return;
+
+    const bands = terrain.generator.getBiomeBands();
+    const viewWidth = viewBounds.right - viewBounds.left;
+
+    bands.forEach(({ biome, startY }, index) => {
+      const next = bands[index + 1];
+      const top = Math.max(undergroundTop, startY * TILE_HEIGHT, viewBounds.top);
+      const bottom = Math.min(next ? next.startY * TILE_HEIGHT : Infinity, viewBounds.bottom);
+      if (bottom <= top) return;
+
+      ctx.fillStyle = biome.background;
+      ctx.fillRect(viewBounds.left, top, viewWidth, bottom - top);
+    });
+  }
+
   /**
    * Draw mountain silhouettes (fixed world Y, just like sun)
    * Code adapted from @saturnyn's Chess Pursuit (js13kGames 2015)
@@ -138,6 +197,9 @@ export class BackgroundSystem extends System {
   }
 
   destroy() {
-    // Cleanup if needed
+    if (this.unsubscribeWorld) {
+      this.unsubscribeWorld();
+      this.unsubscribeWorld = null;
+    }
   }
 }
@@ -22,10 +22,29 @@ export class CameraSystem extends System {
     this.x = x; // Camera center X in world space
     this.y = y; // Camera center Y in world space
     this.zoom = zoom;
+    this.prevX = x; // Position at the start of the current simulation step
+    this.prevY = y;
 
     this.followTarget = null;
   }
 
+  storePreviousState() {
+    this.prevX = this.x;
+    this.prevY = this.y;
+  }
+
+  /**
+   * Camera position interpolated between simulation steps, used for the view transform
+   * @returns {{x: number, y: number}}
+   */
+  getRenderPosition() {
+    const alpha = this.game?.interpolationAlpha ?? 1;
+    return {
+      x: lerp(this.prevX, this.x, alpha),
+      y: lerp(this.prevY, this.y, alpha),
+    };
+  }
+
   update(_deltaTime) {
     if (this.followTarget) {
       this.x = lerp(this.x, this.followTarget.x, FOLLOW_LERP);
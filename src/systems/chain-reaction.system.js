@@ -0,0 +1,187 @@
+/**
+ * @file chain-reaction.system.js
+ * @description Detonates explosive blocks and cascades blasts to neighbouring explosives
+ */
+
+import { System } from '../core/system.js';
+import { ExplosiveComponent } from '../components/block/explosive.component.js';
+import { DiggableComponent } from '../components/block/diggable.component.js';
+import { LootableComponent } from '../components/block/lootable.component.js';
+import { BlockFactory } from '../factories/block.factory.js';
+import { eventBus } from '../utils/event-bus.js';
+
+// Damage large enough to destroy any diggable block in one hit
+const BLAST_DAMAGE = Number.MAX_SAFE_INTEGER;
+
+/**
+ * ChainReactionSystem
+ *
+ * Listens to `block:destroyed`. When the destroyed block has an ExplosiveComponent,
+ * its pattern is cleared through DiggableComponent.dig (so loot and destruction
+ * events fire as for digging). Explosives caught in a blast are queued and detonate
+ * one step (`delayMs`) later. Unsupported rocks left behind are settled by GravitySystem.
+ */
+export class ChainReactionSystem extends System {
+  init() {
+    this.pending = []; // Array<{ x, y, explosive, depth, remainingMs }>
+    this.activeDepth = null; // Chain depth of the blast being applied, null outside blasts
+
+    this.unsubscribers = [
+      eventBus.on('block:destroyed', (payload) => this._handleBlockDestroyed(payload)),
+      eventBus.on('player:restart', () => this.clear()),
+      eventBus.on('level:transition:complete', () => this.clear()),
+    ];
+  }
+
+  update(deltaTime) {
+    if (this.pending.length === 0) {
+      return;
+    }
+
+    const due = [];
+    const waiting = [];
+    this.pending.forEach((entry) => {
+      const remainingMs = entry.remainingMs - deltaTime;
+      if (remainingMs <= 0) {
+        due.push(entry);
+      } else {
+        waiting.push({ ...entry, remainingMs });
+      }
+    });
+    this.pending = waiting;
+
+    due.forEach((entry) => this.detonate(entry.x, entry.y, entry.explosive, entry.depth));
+  }
+
+  /**
+   * Apply an explosion at a grid position
+   * @param {number} x - Grid X
+   * @param {number} y - Grid Y
+   * @param {ExplosiveComponent} explosive - Blast configuration
+   * @param {number} [depth] - Chain depth (0 = first explosion)
+   */
+  detonate(x, y, explosive, depth = 0) {
+    const terrain = this._getSystem('TerrainSystem');
+    if (!terrain) {
+      return;
+    }
+
+    const offsets = explosive.getOffsets();
+    eventBus.emit('explosion:triggered', {
+      x,
+      y,
+      pattern: explosive.pattern,
+      radius: explosive.radius,
+      depth,
+    });
+
+    this._killPlayerInBlast(x, y, offsets);
+
+    const previousDepth = this.activeDepth;
+    this.activeDepth = depth;
+
+    offsets.forEach(({ dx, dy }) => {
+      if (dx === 0 && dy === 0) {
+        return; // Origin was already destroyed by whatever set the explosive off
+      }
+      this._destroyBlock(terrain, x + dx, y + dy);
+    });
+
+    this.activeDepth = previousDepth;
+  }
+
+  /**
+   * Drop all queued explosions (terrain is being replaced)
+   */
+  clear() {
+    this.pending = [];
+  }
+
+  destroy() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
+    this.clear();
+  }
+
+  /**
+   * @param {{x: number, y: number, block?: Block}} payload
+   * @private
+   */
+  _handleBlockDestroyed({ x, y, block } = {}) {
+    const explosive = block?.get?.(ExplosiveComponent);
+    if (!explosive) {
+      return;
+    }
+
+    if (this.activeDepth === null) {
+      // Dug by the player (or another system): blow up right away
+      this.detonate(x, y, explosive, 0);
+      return;
+    }
+
+    // Caught in a blast: detonate on the next chain step
+    this.pending.push({
+      x,
+      y,
+      explosive,
+      depth: this.activeDepth + 1,
+      remainingMs: explosive.delayMs,
+    });
+  }
+
+  /**
+   * Destroy one block in a blast. Indestructible blocks (no DiggableComponent) survive.
+   * @param {TerrainSystem} terrain
+   * @param {number} x
+   * @param {number} y
+   * @private
+   */
+  _destroyBlock(terrain, x, y) {
+    const block = terrain.getBlockForUpdate(x, y); // Blast damage changes its HP
+    const diggable = block?.get(DiggableComponent);
+    if (!diggable) {
+      return;
+    }
+
+    const result = diggable.dig(block, x, y, BLAST_DAMAGE);
+    if (!result.destroyed) {
+      return;
+    }
+
+    // Same replacement rules as digging (covered chests leave their chest behind)
+    const lootable = block.get(LootableComponent);
+    const replacement = lootable && lootable.hasSpawnEntity()
+      ? BlockFactory.createFromSpawnConfig(lootable.getSpawnEntity())
+      : BlockFactory.createEmpty();
+    terrain.setBlock(x, y, replacement);
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {Array<{dx: number, dy: number}>} offsets
+   * @private
+   */
+  _killPlayerInBlast(x, y, offsets) {
+    const player = this._getSystem('PlayerManagerSystem');
+    if (!player || player.isDead()) {
+      return;
+    }
+
+    const hit = offsets.some(({ dx, dy }) => (
+      player.gridX === x + dx && player.gridY === y + dy
+    ));
+    if (hit) {
+      eventBus.emit('player:death', { cause: 'explosion', shouldRegenerate: false });
+    }
+  }
+
+  /**
+   * @param {string} name
+   * @returns {System|undefined}
+   * @private
+   */
+  _getSystem(name) {
+    return this.game.components.find((c) => c.constructor.name === name);
+  }
+}
@@ -7,6 +7,7 @@ import { RenderLayer } from '../rendering/render-layer.js';
 import { SPRITE_ATLAS } from '../rendering/sprite-atlas.js';
 import { eventBus } from '../utils/event-bus.js';
 import { TILE_HEIGHT, TILE_WIDTH, SPRITE_HEIGHT } from '../utils/config.js';
+import { getOre } from '../terrain/ores.js';
 
 const DEFAULT_DURATION = 700;
 
@@ -14,6 +15,7 @@ const DEFAULT_DURATION = 700;
  * CoinEffectSystem
  *
  * Spawns and animates floating coin visuals when chests drop loot.
+ * Ore loot floats its value in the ore's colour and scores that value for its resource.
  */
 export class CoinEffectSystem extends System {
   init() {
@@ -77,6 +79,12 @@ export class CoinEffectSystem extends System {
         render.spriteWidth,
         render.spriteHeight,
       );
+      if (state.label) {
+        ctx.fillStyle = state.color || '#FFFFFF';
+        ctx.font = '8px monospace';
+        ctx.textAlign = 'left';
+        ctx.fillText(state.label, state.worldX + render.spriteWidth, state.worldY + 8);
+      }
       ctx.restore();
     }
   }
@@ -94,7 +102,7 @@ export class CoinEffectSystem extends System {
       return;
     }
 
-    const coinLoot = loot.filter((item) => item && item.type === 'coin');
+    const coinLoot = loot.filter((item) => item && (item.type === 'coin' || item.type === 'ore'));
     if (coinLoot.length === 0) {
       return;
     }
@@ -102,7 +110,9 @@ export class CoinEffectSystem extends System {
     for (let i = 0; i < coinLoot.length; i += 1) {
       const item = coinLoot[i];
       const spriteName = item.sprite || 'simple_coin';
-      const coinEffect = this._createCoinEffect(x, y, spriteName);
+      const coinEffect = item.type === 'ore'
+        ? this._createOreEffect(x, y, item)
+        : this._createCoinEffect(x, y, spriteName);
       if (!coinEffect) {
         continue;
       }
@@ -112,7 +122,9 @@ export class CoinEffectSystem extends System {
     }
   }
 
-  _createCoinEffect(gridX, gridY, spriteName = 'simple_coin') {
+  _createCoinEffect(gridX, gridY, spriteName = 'simple_coin', {
+    label = null, color = null, score = 1, resource = null,
+  } = {}) {
     if (typeof gridX !== 'number' || typeof gridY !== 'number') {
       return null;
     }
@@ -136,13 +148,27 @@ export class CoinEffectSystem extends System {
       worldX: tileLeft,
       worldY: coinTop,
       duration: DEFAULT_DURATION,
+      label,
+      color,
     });
 
-    const collectable = new CollectableComponent({ score: 1 });
+    const collectable = new CollectableComponent({ score, resource });
 
     return new Block([renderComponent, lootEffect, collectable]);
   }
 
+  _createOreEffect(gridX, gridY, item) {
+    const ore = getOre(item.resource);
+    const value = Number.isFinite(item.value) ? item.value : 1;
+
+    return this._createCoinEffect(gridX, gridY, item.sprite || 'simple_coin', {
+      label: `+${value}`,
+      color: ore ? ore.color : null,
+      score: value,
+      resource: item.resource ?? null,
+    });
+  }
+
   _grantCollectableReward(effect) {
     const collectable = effect.get(CollectableComponent);
     if (!collectable || collectable.isCollected()) {
@@ -150,7 +176,11 @@ export class CoinEffectSystem extends System {
     }
 
     if (collectable.score > 0) {
-      eventBus.emit('score:add', { amount: collectable.score });
+      const payload = { amount: collectable.score };
+      if (collectable.resource) {
+        payload.resource = collectable.resource;
+      }
+      eventBus.emit('score:add', payload);
     }
     collectable.markCollected();
   }
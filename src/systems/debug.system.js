@@ -4,6 +4,11 @@
  */
 
 import { System } from '../core/system.js';
+import { storeRecording } from '../utils/run-recorder.js';
+import {
+  getDailySeedName, createSeedQuery, parseSeed, SeedSequence,
+} from '../utils/seed.js';
+import { TILE_WIDTH, TILE_HEIGHT } from '../utils/config.js';
 
 const DEFAULT_CAMERA_ZOOM = 3.0;
 
@@ -16,10 +21,14 @@ export class DebugSystem extends System {
     this.gui = null;
     this.showChunkBounds = false;
     this.showGridPos = true;
+    this.showBiomes = false;
+    this.biomeData = { current: '' };
+    this.seedControl = null;
     this.fps = 60;
     this.fpsHistory = [];
     this.perfData = null;
     this.perfUpdateTimer = 0;
+    this.diffData = null;
 
     this._initGUI();
   }
@@ -34,6 +43,8 @@ export class DebugSystem extends System {
         this.perfData.frameTime = metrics.frameTime.avg;
         this.perfData.updateTime = metrics.updateTime.avg;
         this.perfData.renderTime = metrics.renderTime.avg;
+        this.perfData.terrainRenderTime = metrics.terrainRender.avg;
+        this.perfData.chunkRedrawTime = metrics.chunkRedraw.avg;
         this.perfData.chunkGenTime = metrics.chunkGeneration.avg;
         this.perfData.digTime = metrics.digOperation.avg;
         this.perfData.memoryMB = metrics.memoryUsage.current;
@@ -42,6 +53,42 @@ export class DebugSystem extends System {
           : '';
       }
     }
+
+    if (this.diffData) {
+      this._refreshDiffData();
+    }
+
+    this._refreshBiomeData();
+    this._refreshShareUrl();
+  }
+
+  render(ctx) {
+    if (!this.showBiomes) return;
+
+    const terrain = this.game.components.find((c) => c.constructor.name === 'TerrainSystem');
+    const camera = this.game.components.find((c) => c.constructor.name === 'CameraSystem');
+    if (!terrain || !camera) return;
+
+    // Colour every visible tile by the biome it was generated in
+    const viewBounds = camera.getViewBounds(ctx.canvas);
+    const { worldWidthTiles, worldHeightTiles } = terrain;
+    const startX = Math.max(0, Math.floor(viewBounds.left / TILE_WIDTH));
+    const endX = Math.min(worldWidthTiles - 1, Math.floor(viewBounds.right / TILE_WIDTH));
+    const startY = Math.max(0, Math.floor(viewBounds.top / TILE_HEIGHT));
+    const endY = Math.min(worldHeightTiles - 1, Math.floor(viewBounds.bottom / TILE_HEIGHT));
+
+    ctx.save();
+    ctx.globalAlpha = 0.35;
+    for (let gridY = startY; gridY <= endY; gridY += 1) {
+      for (let gridX = startX; gridX <= endX; gridX += 1) {
+        const biome = terrain.getBiome(gridX, gridY);
+        if (biome) {
+          ctx.fillStyle = biome.mapColor;
+          ctx.fillRect(gridX * TILE_WIDTH, gridY * TILE_HEIGHT, TILE_WIDTH, TILE_HEIGHT);
+        }
+      }
+    }
+    ctx.restore();
   }
 
   destroy() {
@@ -54,6 +101,23 @@ export class DebugSystem extends System {
     }
   }
 
+  /**
+   * Regenerate the terrain from a chosen seed, which also starts a new seed sequence:
+   * deaths and level transitions after it draw the same seeds as a run opened with
+   * `?seed=` (or `?daily`)
+   * @param {number|string} seed - Seed or seed name
+   */
+  playSeed(seed) {
+    const terrain = this.game.components.find((c) => c.constructor.name === 'TerrainSystem');
+    if (!terrain || parseSeed(seed) === null) {
+      console.warn(`DebugSystem: ignoring invalid seed ${seed}`);
+      return;
+    }
+
+    this.game.seedSequence = new SeedSequence(seed);
+    terrain.setSeed(seed);
+  }
+
   /**
    * Initialize dat.GUI
    * @private
@@ -74,16 +138,75 @@ export class DebugSystem extends System {
     );
     if (terrainComponent) {
       const seedControl = {
-        seed: terrainComponent.seed,
+        seed: terrainComponent.getShareableSeed(),
+        shareUrl: '',
         regenerate: () => {
-          terrainComponent.setSeed(seedControl.seed);
+          this.playSeed(seedControl.seed);
+        },
+        daily: () => {
+          seedControl.seed = getDailySeedName();
+          this.playSeed(seedControl.seed);
         },
       };
-      terrainFolder.add(seedControl, 'seed').name('Seed');
+      this.seedControl = seedControl;
+      terrainFolder.add(seedControl, 'seed').name('Seed').listen();
       terrainFolder.add(seedControl, 'regenerate').name('Regenerate');
+      terrainFolder.add(seedControl, 'daily').name('Daily Seed');
+      terrainFolder.add(seedControl, 'shareUrl').name('Share URL').listen();
+      terrainFolder.add(this, 'showBiomes').name('Biome Overlay');
+      terrainFolder.add(this.biomeData, 'current').name('Player Biome').listen();
     }
     terrainFolder.open();
 
+    // Save controls
+    const saveSystem = this.game.components.find(
+      (c) => c.constructor.name === 'SaveSystem',
+    );
+    if (saveSystem) {
+      const saveFolder = this.gui.addFolder('Save');
+      saveFolder.add(saveSystem, 'save').name('Save Now');
+      saveFolder.add(saveSystem, 'load').name('Load');
+      saveFolder.add(saveSystem, 'clear').name('Delete Save');
+    }
+
+    // Audio mixer (volume sliders + mute per channel)
+    const audioSystem = this.game.components.find(
+      (c) => c.constructor.name === 'AudioSystem',
+    );
+    if (audioSystem) {
+      const audioFolder = this.gui.addFolder('Audio');
+      audioSystem.mixer.getChannelNames().forEach((channel) => {
+        const control = {
+          volume: audioSystem.mixer.getVolume(channel),
+          muted: audioSystem.mixer.isMuted(channel),
+        };
+        audioFolder.add(control, 'volume', 0, 1, 0.05).name(channel)
+          .onChange((value) => audioSystem.setVolume(channel, value));
+        audioFolder.add(control, 'muted').name(`${channel} muted`)
+          .onChange((value) => audioSystem.setMuted(channel, value));
+      });
+    }
+
+    // Input recording / replay (both reload the page to start from a fresh run)
+    const replayFolder = this.gui.addFolder('Replay');
+    const replayControl = {
+      record: () => {
+        window.location.search = '?record';
+      },
+      stop: () => {
+        const recording = this.game.runRecorder ? this.game.runRecorder.stop() : null;
+        if (recording) {
+          storeRecording(recording);
+        }
+      },
+      replay: () => {
+        window.location.search = '?replay';
+      },
+    };
+    replayFolder.add(replayControl, 'record').name('Record New Run');
+    replayFolder.add(replayControl, 'stop').name('Stop & Store');
+    replayFolder.add(replayControl, 'replay').name('Replay Stored');
+
     // Debug overlays
     const debugFolder = this.gui.addFolder('Debug');
     debugFolder.add(this, 'showChunkBounds').name('Chunk Bounds');
@@ -126,6 +249,14 @@ export class DebugSystem extends System {
       debugFolder.add(zoomControl, 'reset').name('Reset Zoom');
     }
 
+    // Wobble before rocks and chests fall
+    const gravity = this.game.components.find(
+      (c) => c.constructor.name === 'GravitySystem',
+    );
+    if (gravity) {
+      debugFolder.add(gravity, 'unstableDelayMs', 0, 2000).step(50).name('Unstable Delay (ms)');
+    }
+
     debugFolder.open();
 
     // Performance monitoring
@@ -136,6 +267,8 @@ export class DebugSystem extends System {
       frameTime: '0.00',
       updateTime: '0.00',
       renderTime: '0.00',
+      terrainRenderTime: '0.00',
+      chunkRedrawTime: '0.00',
       chunkGenTime: '0.00',
       digTime: '0.00',
       memoryMB: '0.00',
@@ -155,12 +288,95 @@ export class DebugSystem extends System {
     perfFolder.add(this.perfData, 'frameTime').name('Frame (ms)').listen();
     perfFolder.add(this.perfData, 'updateTime').name('Update (ms)').listen();
     perfFolder.add(this.perfData, 'renderTime').name('Render (ms)').listen();
+    perfFolder.add(this.perfData, 'terrainRenderTime').name('Terrain Render (ms)').listen();
+    perfFolder.add(this.perfData, 'chunkRedrawTime').name('Chunk Redraw (ms)').listen();
+    if (terrainComponent?.chunkLayers) {
+      // Compare Terrain Render with and without pre-rendered chunks
+      perfFolder.add(terrainComponent.chunkLayers, 'enabled').name('Cache Chunk Layers');
+    }
     perfFolder.add(this.perfData, 'chunkGenTime').name('Chunk Gen (ms)').listen();
     perfFolder.add(this.perfData, 'digTime').name('Dig (ms)').listen();
     perfFolder.add(this.perfData, 'memoryMB').name('Memory (MB)').listen();
     perfFolder.add(this.perfData, 'warnings').name('Warnings').listen();
 
     perfFolder.open();
+
+    // Chunk diff store inspection
+    if (terrainComponent && terrainComponent.diffStore) {
+      const diffFolder = this.gui.addFolder('Chunk Diffs');
+      this.diffData = {
+        storedChunks: 0,
+        storedTiles: 0,
+        dirtyCached: 0,
+        log: () => {
+          const rows = [];
+          terrainComponent.diffStore.diffs.forEach((diff, key) => {
+            rows.push({ chunk: key, tiles: diff.tiles.size, spawns: !!diff.maggotSpawns });
+          });
+          console.table(rows);
+        },
+        clear: () => {
+          terrainComponent.diffStore.clear();
+          this._refreshDiffData();
+        },
+      };
+
+      diffFolder.add(this.diffData, 'storedChunks').name('Stored Chunks').listen();
+      diffFolder.add(this.diffData, 'storedTiles').name('Stored Tiles').listen();
+      diffFolder.add(this.diffData, 'dirtyCached').name('Dirty Cached').listen();
+      diffFolder.add(this.diffData, 'log').name('Log Diffs');
+      diffFolder.add(this.diffData, 'clear').name('Clear Diffs');
+    }
+  }
+
+  /**
+   * Refresh chunk diff store counters shown in the GUI
+   * @private
+   */
+  _refreshDiffData() {
+    const terrain = this.game.components.find(
+      (c) => c.constructor.name === 'TerrainSystem',
+    );
+    if (!terrain || !terrain.diffStore) return;
+
+    const stats = terrain.diffStore.getStats();
+    this.diffData.storedChunks = stats.chunks;
+    this.diffData.storedTiles = stats.tiles;
+
+    let dirtyCached = 0;
+    terrain.cache.chunks.forEach((chunk) => {
+      if (chunk.dirty) dirtyCached += 1;
+    });
+    this.diffData.dirtyCached = dirtyCached;
+  }
+
+  /**
+   * Show the biome of the tile the player is in
+   * @private
+   */
+  _refreshBiomeData() {
+    const terrain = this.game.components.find((c) => c.constructor.name === 'TerrainSystem');
+    const player = this.game.components.find(
+      (c) => c.constructor.name === 'PlayerManagerSystem',
+    );
+    if (!terrain || !player) return;
+
+    const biome = terrain.getBiome(player.gridX, player.gridY);
+    this.biomeData.current = biome ? biome.name : '';
+  }
+
+  /**
+   * Show the query string that reopens the current world and level
+   * @private
+   */
+  _refreshShareUrl() {
+    const terrain = this.game.components.find((c) => c.constructor.name === 'TerrainSystem');
+    if (!terrain || !this.seedControl) return;
+
+    this.seedControl.shareUrl = createSeedQuery({
+      seed: terrain.getShareableSeed(),
+      level: terrain.level,
+    });
   }
 
   _resetPerfMetrics() {
@@ -170,6 +386,8 @@ export class DebugSystem extends System {
     this.perfData.frameTime = '0.00';
     this.perfData.updateTime = '0.00';
     this.perfData.renderTime = '0.00';
+    this.perfData.terrainRenderTime = '0.00';
+    this.perfData.chunkRedrawTime = '0.00';
     this.perfData.chunkGenTime = '0.00';
     this.perfData.digTime = '0.00';
     this.perfData.memoryMB = '0.00';
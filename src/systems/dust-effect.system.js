@@ -0,0 +1,92 @@
+/**
+ * @file dust-effect.system.js
+ * @description Dust trickling from under blocks that are about to fall
+ */
+
+import { System } from '../core/system.js';
+import { eventBus } from '../utils/event-bus.js';
+import { TILE_WIDTH, TILE_HEIGHT } from '../utils/config.js';
+
+const DUST_PARTICLES = 6;
+const DUST_LIFETIME_MS = 450;
+const DUST_GRAVITY = 0.0004; // px/ms²
+const DUST_SIZE = 2;
+const DUST_COLOR = '170, 150, 120';
+
+/**
+ * DustEffectSystem
+ *
+ * Drops dust particles from the underside of a block while it wobbles before a fall
+ * (`block:unstable`). Particles are spread over the wobble so the dust keeps trickling
+ * until the block goes.
+ */
+export class DustEffectSystem extends System {
+  init() {
+    this.particles = [];
+    this.unsubscribeUnstable = eventBus.on(
+      'block:unstable',
+      (payload) => this._handleUnstable(payload),
+    );
+  }
+
+  update(deltaTime) {
+    if (!this.particles.length) return;
+
+    this.particles = this.particles.filter((particle) => {
+      if (particle.delay > 0) {
+        particle.delay -= deltaTime;
+        return true;
+      }
+      particle.age += deltaTime;
+      particle.vy += DUST_GRAVITY * deltaTime;
+      particle.x += particle.vx * deltaTime;
+      particle.y += particle.vy * deltaTime;
+      return particle.age < DUST_LIFETIME_MS;
+    });
+  }
+
+  render(ctx) {
+    if (!this.particles.length) return;
+
+    ctx.save();
+    this.particles.forEach((particle) => {
+      if (particle.delay > 0) return;
+      const alpha = Math.max(0, 1 - particle.age / DUST_LIFETIME_MS) * 0.8;
+      ctx.fillStyle = `rgba(${DUST_COLOR}, ${alpha})`;
+      ctx.fillRect(Math.round(particle.x), Math.round(particle.y), DUST_SIZE, DUST_SIZE);
+    });
+    ctx.restore();
+  }
+
+  destroy() {
+    if (this.unsubscribeUnstable) {
+      this.unsubscribeUnstable();
+      this.unsubscribeUnstable = null;
+    }
+    this.particles.length = 0;
+  }
+
+  /**
+   * Queue a block's dust: evenly spread along its underside and over its wobble
+   * @param {{position: {gridX: number, gridY: number}, delayMs: number}} payload
+   * @private
+   */
+  _handleUnstable({ position, delayMs = 0 } = {}) {
+    if (!position) return;
+
+    const left = position.gridX * TILE_WIDTH;
+    const bottom = (position.gridY + 1) * TILE_HEIGHT;
+    for (let i = 0; i < DUST_PARTICLES; i += 1) {
+      const spread = (i + 0.5) / DUST_PARTICLES;
+      this.particles.push({
+        x: left + spread * (TILE_WIDTH - DUST_SIZE),
+        y: bottom - DUST_SIZE,
+        vx: (spread - 0.5) * 0.02,
+        vy: 0,
+        age: 0,
+        // Alternate ends of the wobble so neighbouring grains do not drop together
+        delay: ((i % 2 === 0 ? i : DUST_PARTICLES - i) / DUST_PARTICLES) * delayMs,
+      });
+    }
+  }
+}
@@ -0,0 +1,353 @@
+/**
+ * @file fallable-clusters.js
+ * @description Connected fallable blocks that stay up together and collapse as one
+ */
+
+import { FallableComponent } from '../components/block/fallable.component.js';
+import { PhysicsComponent } from '../components/block/physics.component.js';
+import { LiquidComponent } from '../components/block/liquid.component.js';
+import { BlockFactory } from '../factories/block.factory.js';
+
+// Bigger structures are treated as anchored rather than flood-filled any further
+const CLUSTER_MAX_BLOCKS = 64;
+
+const NEIGHBOUR_OFFSETS = [
+  { dx: 0, dy: -1 },
+  { dx: -1, dy: 0 },
+  { dx: 1, dy: 0 },
+  { dx: 0, dy: 1 },
+];
+
+const keyOf = (x, y) => `${x},${y}`;
+
+/**
+ * Whether a block joins the clusters of its neighbours: resting, non-granular fallable
+ * blocks (rocks, chests, red frames). Sand and gravel always move on their own.
+ * @param {Block} block
+ * @returns {boolean}
+ */
+export function isClusterBlock(block) {
+  const fallable = block?.get(FallableComponent);
+  return Boolean(fallable) && !fallable.granular && !fallable.isFalling && !fallable.isUnstable;
+}
+
+/**
+ * FallableClusters
+ *
+ * Fallable blocks that touch (4-neighbourhood) form a cluster. A cluster stays up as long
+ * as any member rests on a solid block outside the cluster, and collapses as one rigid
+ * group once none does: it wobbles, then every member falls at the same speed until one
+ * of them lands.
+ *
+ * Detection is incremental. A cluster is flood-filled only when GravitySystem finds one
+ * of its blocks unsupported (`holds`), and clusters found to be held up are cached until
+ * a tile next to them changes: a block destroyed, landing or pushed there, or any other
+ * set such as rising lava (`invalidateAround`), or until the terrain is replaced.
+ */
+export class FallableClusters {
+  constructor() {
+    this.held = new Map(); // "x,y" → held cluster ({members}) covering that tile
+    this.collapsing = []; // Clusters wobbling or falling as one
+    this.collapsingBlocks = new Set(); // Member blocks of collapsing clusters
+  }
+
+  /**
+   * Forget every cluster (the terrain was replaced)
+   */
+  clear() {
+    this.held.clear();
+    this.collapsing = [];
+    this.collapsingBlocks.clear();
+  }
+
+  /**
+   * Drop cached clusters touching a tile that changed, so they are detected again
+   * @param {number} x - Grid X
+   * @param {number} y - Grid Y
+   * @returns {Array<{x: number, y: number}>} Tiles of the dropped clusters
+   */
+  invalidateAround(x, y) {
+    const dropped = [];
+    [{ dx: 0, dy: 0 }, ...NEIGHBOUR_OFFSETS].forEach(({ dx, dy }) => {
+      const cluster = this.held.get(keyOf(x + dx, y + dy));
+      if (cluster) {
+        cluster.members.forEach((member) => {
+          if (this.held.delete(keyOf(member.x, member.y))) {
+            dropped.push({ x: member.x, y: member.y });
+          }
+        });
+      }
+    });
+    return dropped;
+  }
+
+  /**
+   * @param {Block} block
+   * @returns {boolean} True while the block wobbles or falls with its cluster
+   */
+  isCollapsing(block) {
+    return this.collapsingBlocks.has(block);
+  }
+
+  /**
+   * Whether the cluster of an unsupported block takes care of it: another member holds
+   * the cluster up, or the whole cluster has just started to collapse
+   * @param {TerrainSystem} terrain
+   * @param {number} x - Grid X of the unsupported block
+   * @param {number} y - Grid Y
+   * @param {number} delayMs - Wobble before a collapse (0: falls at once)
+   * @param {Array<object>} actions - GravitySystem action queue (receives `unstable`)
+   * @returns {boolean} False for a block on its own: it falls alone
+   */
+  holds(terrain, x, y, delayMs, actions) {
+    if (this.held.has(keyOf(x, y))) {
+      return true;
+    }
+
+    const members = this._collect(terrain, x, y);
+    if (members.length < 2) {
+      return false;
+    }
+
+    if (members.length >= CLUSTER_MAX_BLOCKS || this._isSupported(terrain, members)) {
+      this._hold(members);
+      return true;
+    }
+
+    this._beginCollapse(terrain, members, delayMs, actions);
+    return true;
+  }
+
+  /**
+   * Advance collapsing clusters: count down their wobble (settling any that found support
+   * again), then move every member down together
+   * @param {TerrainSystem} terrain
+   * @param {number} deltaTime
+   * @param {Array<object>} actions - GravitySystem action queue (receives `land-cluster`)
+   * @returns {{falling: Block[], unstable: Block[], released: Array<{x: number, y: number}>}}
+   *   Members still falling or wobbling, and tiles of members let go of
+   */
+  update(terrain, deltaTime, actions) {
+    const falling = [];
+    const unstable = [];
+    const released = [];
+
+    this.collapsing = this.collapsing.filter((cluster) => {
+      // A member was dug or replaced: the rest carry on as single blocks
+      if (cluster.members.some(({ x, y, block }) => terrain.getBlock(x, y) !== block)) {
+        this._release(cluster);
+        cluster.members.forEach(({ x, y }) => released.push({ x, y }));
+        return false;
+      }
+
+      if (!cluster.isFalling) {
+        if (this._isSupported(terrain, cluster.members)) {
+          this._release(cluster);
+          this._hold(cluster.members);
+          cluster.members.forEach(({ x, y }) => released.push({ x, y }));
+          return false;
+        }
+        const fallables = cluster.members.map(({ block }) => block.get(FallableComponent));
+        const isReady = fallables.map((fallable) => fallable.tickUnstable(deltaTime))
+          .every(Boolean);
+        if (!isReady) {
+          cluster.members.forEach(({ block }) => unstable.push(block));
+          return true;
+        }
+        this._startFalling(cluster);
+      }
+
+      cluster.members.forEach(({ block }) => block.get(FallableComponent).tick(deltaTime));
+      if (this._hasLanded(terrain, cluster)) {
+        actions.push({ type: 'land-cluster', cluster });
+      } else {
+        cluster.members.forEach(({ block }) => falling.push(block));
+      }
+      return true;
+    });
+
+    return { falling, unstable, released };
+  }
+
+  /**
+   * Put a landed cluster down: members leave their tiles and take the ones they fell to,
+   * keeping their shape. Liquid they sank into is pushed up into the tiles they left.
+   * @param {TerrainSystem} terrain
+   * @param {Object} cluster
+   * @returns {Array<{block: Block, from: Object, position: Object}>} Moved members
+   */
+  land(terrain, cluster) {
+    const index = this.collapsing.indexOf(cluster);
+    if (index === -1) {
+      return [];
+    }
+    this.collapsing.splice(index, 1);
+    cluster.members.forEach(({ block }) => this.collapsingBlocks.delete(block));
+
+    const origins = new Set(cluster.members.map(({ x, y }) => keyOf(x, y)));
+    const isFree = (x, y) => origins.has(keyOf(x, y))
+      || !terrain.getBlock(x, y).get(PhysicsComponent)?.isCollidable();
+
+    // Blocks landing elsewhere this frame may have taken a tile: rise until all fit
+    const fits = (offset) => cluster.members.every(({ x, y }) => isFree(x, y + offset));
+    let drop = cluster.members[0].block.get(FallableComponent).gridY - cluster.members[0].y;
+    while (drop > 0 && !fits(drop)) {
+      drop -= 1;
+    }
+
+    const displaced = cluster.members
+      .map(({ x, y }) => terrain.getBlock(x, y + drop))
+      .filter((block, i) => block.has(LiquidComponent)
+        && !origins.has(keyOf(cluster.members[i].x, cluster.members[i].y + drop)));
+    const targets = new Set(cluster.members.map(({ x, y }) => keyOf(x, y + drop)));
+
+    cluster.members.forEach(({ x, y }) => terrain.setBlock(x, y, BlockFactory.createEmpty()));
+    const moved = cluster.members.map(({ x, y, block }) => {
+      const fallable = block.get(FallableComponent);
+      fallable.land();
+      fallable.reset();
+      terrain.setBlock(x, y + drop, block);
+      return { block, from: { gridX: x, gridY: y }, position: { gridX: x, gridY: y + drop } };
+    });
+    cluster.members
+      .filter(({ x, y }) => !targets.has(keyOf(x, y)))
+      .forEach(({ x, y }) => {
+        if (displaced.length > 0) {
+          terrain.setBlock(x, y, displaced.shift());
+        }
+      });
+
+    return moved;
+  }
+
+  /**
+   * Flood-fill the cluster containing a tile (loaded tiles only)
+   * @param {TerrainSystem} terrain
+   * @param {number} x
+   * @param {number} y
+   * @returns {Array<{x: number, y: number, block: Block}>}
+   * @private
+   */
+  _collect(terrain, x, y) {
+    const members = [];
+    const seen = new Set([keyOf(x, y)]);
+    const queue = [{ x, y }];
+
+    while (queue.length > 0 && members.length < CLUSTER_MAX_BLOCKS) {
+      const tile = queue.shift();
+      const block = terrain.getBlock(tile.x, tile.y);
+      if (!terrain.isBlockLoaded(tile.x, tile.y) || !isClusterBlock(block)
+        || this.collapsingBlocks.has(block)) {
+        continue;
+      }
+
+      members.push({ x: tile.x, y: tile.y, block });
+      NEIGHBOUR_OFFSETS.forEach(({ dx, dy }) => {
+        const key = keyOf(tile.x + dx, tile.y + dy);
+        if (!seen.has(key)) {
+          seen.add(key);
+          queue.push({ x: tile.x + dx, y: tile.y + dy });
+        }
+      });
+    }
+
+    return members;
+  }
+
+  /**
+   * Whether any member rests on a solid block outside the cluster (or on a chunk that is
+   * not loaded yet, which cannot be checked)
+   * @param {TerrainSystem} terrain
+   * @param {Array<{x: number, y: number}>} members
+   * @returns {boolean}
+   * @private
+   */
+  _isSupported(terrain, members) {
+    const keys = new Set(members.map(({ x, y }) => keyOf(x, y)));
+    return members.some(({ x, y }) => {
+      if (keys.has(keyOf(x, y + 1))) {
+        return false;
+      }
+      return !terrain.isBlockLoaded(x, y + 1)
+        || Boolean(terrain.getBlock(x, y + 1).get(PhysicsComponent)?.isCollidable());
+    });
+  }
+
+  /**
+   * Cache a cluster as held up
+   * @param {Array<{x: number, y: number}>} members
+   * @private
+   */
+  _hold(members) {
+    const cluster = { members: members.map(({ x, y }) => ({ x, y })) };
+    cluster.members.forEach(({ x, y }) => this.held.set(keyOf(x, y), cluster));
+  }
+
+  /**
+   * Start a cluster's collapse: each member wobbles (or falls at once without a delay)
+   * @param {TerrainSystem} terrain
+   * @param {Array<{x: number, y: number}>} found
+   * @param {number} delayMs
+   * @param {Array<object>} actions
+   * @private
+   */
+  _beginCollapse(terrain, found, delayMs, actions) {
+    // Collapse state belongs to these tiles only: switch to their own instances
+    const members = found.map(({ x, y }) => ({ x, y, block: terrain.getBlockForUpdate(x, y) }));
+    const cluster = { members, isFalling: false };
+    members.forEach(({ x, y, block }) => {
+      block.get(FallableComponent).beginUnstable(x, y, delayMs);
+      this.collapsingBlocks.add(block);
+      if (delayMs > 0) {
+        actions.push({
+          type: 'unstable',
+          block,
+          position: { gridX: x, gridY: y },
+          delayMs,
+        });
+      }
+    });
+    this.collapsing.push(cluster);
+  }
+
+  /**
+   * @param {Object} cluster
+   * @private
+   */
+  _startFalling(cluster) {
+    cluster.isFalling = true;
+    cluster.members.forEach(({ x, y, block }) => block.get(FallableComponent).start(x, y));
+  }
+
+  /**
+   * Whether any member has a solid block below it that is not part of the cluster
+   * @param {TerrainSystem} terrain
+   * @param {Object} cluster
+   * @returns {boolean}
+   * @private
+   */
+  _hasLanded(terrain, cluster) {
+    const origins = new Set(cluster.members.map(({ x, y }) => keyOf(x, y)));
+    return cluster.members.some(({ block }) => {
+      const { gridX, gridY } = block.get(FallableComponent);
+      return !origins.has(keyOf(gridX, gridY + 1))
+        && Boolean(terrain.getBlock(gridX, gridY + 1).get(PhysicsComponent)?.isCollidable());
+    });
+  }
+
+  /**
+   * Stop tracking a cluster; members still wobbling settle, members already falling carry
+   * on as single falling blocks
+   * @param {Object} cluster
+   * @private
+   */
+  _release(cluster) {
+    cluster.members.forEach(({ block }) => {
+      this.collapsingBlocks.delete(block);
+      const fallable = block.get(FallableComponent);
+      if (fallable.isUnstable) {
+        fallable.settle();
+      }
+    });
+  }
+}
@@ -10,7 +10,11 @@ import { BlockFactory } from '../factories/block.factory.js';
 import { eventBus } from '../utils/event-bus.js';
 import { LethalComponent } from '../components/block/lethal.component.js';
 import { DiggingComponent } from '../components/player/digging.component.js';
-import { CHUNK_SIZE } from '../utils/config.js';
+import { LiquidComponent } from '../components/block/liquid.component.js';
+import { PositionComponent } from '../components/npc/position.component.js';
+import { TILE_HEIGHT, FALL_UNSTABLE_DELAY_MS } from '../utils/config.js';
+import { FallableClusters } from './fallable-clusters.js';
+import { ActiveTiles } from './active-tiles.js';
 
 /**
  * GravitySystem
@@ -21,6 +25,33 @@ export class GravitySystem extends System {
   init() {
     // Track falling blocks for collision detection
     this.fallingBlocks = new Set();
+    // Blocks wobbling before a fall, and how long they wobble (0: fall at once)
+    this.unstableBlocks = new Set();
+    this.unstableDelayMs = FALL_UNSTABLE_DELAY_MS;
+    // "x,y" → direction of rolling blocks that came to rest from a roll last frame
+    this.rollMomentum = new Map();
+    // Connected fallable blocks that hold each other up or collapse together
+    this.clusters = new FallableClusters();
+    // Tiles to look at next frame; `scanAllTiles` visits every cached tile instead
+    this.activeTiles = new ActiveTiles();
+    this.scanAllTiles = false;
+
+    this.unsubscribers = [
+      eventBus.on('block:destroyed', ({ x, y }) => this._invalidateClusters(x, y)),
+      eventBus.on('block:landed', ({ from, position }) => {
+        this._invalidateClusters(from.gridX, from.gridY);
+        this._invalidateClusters(position.gridX, position.gridY);
+      }),
+      eventBus.on('block:pushed', ({ from, to }) => {
+        this._invalidateClusters(from.gridX, from.gridY);
+        this._invalidateClusters(to.gridX, to.gridY);
+      }),
+      eventBus.on('player:restart', () => this.clusters.clear()),
+      eventBus.on('level:transition:complete', () => this.clusters.clear()),
+      // A new world: tiles and clusters of the old one would point at unrelated blocks
+      eventBus.on('terrain:reseeded', () => this._forgetTerrain()),
+      eventBus.on('save:restored', () => this._forgetTerrain()),
+    ];
   }
 
   update(deltaTime) {
@@ -37,7 +68,12 @@ export class GravitySystem extends System {
   }
 
   /**
-   * Update all falling blocks in terrain
+   * Update all falling blocks in terrain. Only the tiles in `activeTiles` are looked at:
+   * those of newly loaded chunks, those next to tiles set since the last frame, and those
+   * of blocks still on the move. They are visited in a stable order, bottom row first and
+   * left to right, so cascades resolve the same way whatever order the chunks were loaded
+   * in. With `scanAllTiles` every tile of every cached chunk is visited instead, in the same
+   * order; the outcome is the same, only slower.
    * @param {TerrainSystem} terrain
    * @param {PlayerManagerSystem} player
    * @param {number} deltaTime
@@ -49,82 +85,278 @@ export class GravitySystem extends System {
       return;
     }
 
-    const { chunks } = terrain.cache;
-    const newFallingBlocks = new Set();
-    const actions = [];
-
-    // Iterate through all chunks (chunks is a Map, not an object)
-    chunks.forEach((chunk) => {
-      // Safety check: ensure chunk has blocks array
-      if (!chunk.blocks || !Array.isArray(chunk.blocks)) {
-        console.error(
-          `GravitySystem: Chunk ${chunk.chunkX},${chunk.chunkY} has invalid blocks array`,
-        );
-        return;
+    const frame = {
+      terrain,
+      player,
+      deltaTime,
+      actions: [],
+      slideTargets: new Set(), // "x,y" side tiles claimed by slides this frame
+      momentum: this.rollMomentum,
+      fallingBlocks: new Set(),
+      unstableBlocks: new Set(),
+    };
+    this.rollMomentum = new Map();
+
+    // Iterate over a snapshot: falling blocks can load the chunk below, which would
+    // otherwise be visited (and evict others) in the same pass
+    const chunks = [...terrain.cache.chunks.values()]
+      .sort((a, b) => (b.chunkY - a.chunkY) || (a.chunkX - b.chunkX));
+    // Tiles set without an event (lava flooding a chunk, liquid flowing) can take a held
+    // cluster's support away too
+    this.activeTiles.collectChanges(chunks).forEach(({ x, y }) => this._invalidateClusters(x, y));
+
+    const collapse = this.clusters.update(terrain, deltaTime, frame.actions);
+    collapse.released.forEach(({ x, y }) => this.activeTiles.add(x, y));
+    collapse.unstable.forEach((block) => frame.unstableBlocks.add(block));
+    collapse.falling.forEach((block) => {
+      const fallable = block.get(FallableComponent);
+      if (this._checkBlockPlayerCollision(fallable, player)) {
+        frame.actions.push({ type: 'kill-player', cause: 'crushed' });
       }
+      this._findCrushedNPCs(fallable).forEach((npc) => {
+        frame.actions.push({ type: 'crush-npc', npc });
+      });
+      frame.fallingBlocks.add(block);
+    });
 
-      // Iterate through 2D block array
-      for (let y = 0; y < chunk.blocks.length; y += 1) {
-        // Safety check: ensure row exists
-        if (!chunk.blocks[y] || !Array.isArray(chunk.blocks[y])) {
-          console.error(
-            `GravitySystem: Chunk ${chunk.chunkX},${chunk.chunkY} row ${y} is invalid`,
-          );
-          continue;
+    if (this.scanAllTiles) {
+      this.activeTiles.clear();
+      chunks.forEach((chunk) => {
+        for (let y = chunk.size - 1; y >= 0; y -= 1) {
+          for (let x = 0; x < chunk.size; x += 1) {
+            this._updateTile(frame, chunk, x, y);
+          }
         }
+      });
+    } else {
+      this.activeTiles.take(chunks, terrain.cache).forEach(({ chunk, x, y }) => {
+        this._updateTile(frame, chunk, x, y);
+      });
+    }
 
-        for (let x = 0; x < chunk.blocks[y].length; x += 1) {
-          const block = chunk.blocks[y][x];
-          if (!block || !block.has || !block.has(FallableComponent)) {
-            // Skip blocks that don't have FallableComponent
-            continue;
-          }
+    this.fallingBlocks = frame.fallingBlocks;
+    this.unstableBlocks = frame.unstableBlocks;
+    this._applyActions(frame.actions, terrain);
+  }
 
-          const fallable = block.get(FallableComponent);
-          const worldX = chunk.chunkX * CHUNK_SIZE + x;
-          const worldY = chunk.chunkY * CHUNK_SIZE + y;
+  /**
+   * Update the fallable block of one tile, if any. A rolling block that lands from a roll
+   * keeps rolling the same way while it meets rounded tops.
+   *
+   * A rock or chest that loses its support first wobbles for `unstableDelayMs`
+   * (`block:unstable`), giving the player time to react; it stays put if its support comes
+   * back meanwhile. Granular blocks and rolling blocks that keep their momentum fall at once.
+   *
+   * An unsupported block that touches other fallable blocks stays up while its cluster is
+   * held up by another member; a cluster without support collapses as one (see
+   * FallableClusters).
+   *
+   * A block that falls, wobbles or waits for a slide keeps its tile active for the next frame.
+   * @param {Object} frame - State shared by the tiles of this frame
+   * @param {TerrainChunk} chunk
+   * @param {number} x - Local X
+   * @param {number} y - Local Y
+   * @private
+   */
+  _updateTile(frame, chunk, x, y) {
+    const {
+      terrain, player, deltaTime, actions, slideTargets, momentum,
+    } = frame;
+    let block = chunk.getBlock(x, y);
+    if (!block.has(FallableComponent) || this.clusters.isCollapsing(block)) {
+      // Skip blocks without FallableComponent, and clusters moving as one
+      return;
+    }
 
-          // Check if block should start falling
-          if (!fallable.isFalling && !fallable.hasSupport(terrain, worldX, worldY)) {
-            fallable.start(worldX, worldY);
-          }
+    let fallable = block.get(FallableComponent);
+    const worldX = chunk.chunkX * chunk.size + x;
+    const worldY = chunk.chunkY * chunk.size + y;
+    let fallX = null;
+
+    // Check if block should start falling. Blocks resting on an unloaded chunk
+    // wait for it: checking would generate chunks down the whole world
+    if (!fallable.isFalling && terrain.isBlockLoaded(worldX, worldY + 1)) {
+      const preferred = momentum.get(`${worldX},${worldY}`) ?? 0;
+      if (!fallable.hasSupport(terrain, worldX, worldY)) {
+        const delayMs = this._getUnstableDelay(fallable, preferred);
+        if (fallable.isUnstable
+          || !this.clusters.holds(terrain, worldX, worldY, delayMs, actions)) {
+          fallX = worldX;
+        }
+      } else {
+        const dx = fallable.getSlideDirection(terrain, worldX, worldY, preferred);
+        if (dx !== 0) {
+          fallX = worldX + dx;
+        }
+      }
 
-          // Update falling blocks
-          if (fallable.isFalling) {
-            fallable.tick(deltaTime);
-
-            // Check if block landed on solid ground
-            const blockBelow = terrain.getBlock(fallable.gridX, fallable.gridY + 1);
-            const physicsBelow = blockBelow?.get(PhysicsComponent);
-
-            if (physicsBelow && physicsBelow.isCollidable()) {
-              // Landed - stop falling and update grid position
-              // Queue block movement to apply after the iteration completes.
-              actions.push({
-                type: 'move-block',
-                block,
-                from: { gridX: worldX, gridY: worldY },
-                to: { gridX: fallable.gridX, gridY: fallable.gridY },
-              });
-              fallable.land();
-              fallable.reset();
-            } else {
-              // Still falling - check player collision
-              if (this._checkBlockPlayerCollision(fallable, player)) {
-                actions.push({
-                  type: 'kill-player',
-                  cause: 'crushed',
-                });
-              }
-              newFallingBlocks.add(block);
-            }
+      if (fallX === null) {
+        if (fallable.isUnstable) {
+          fallable.settle(); // Support came back while it wobbled
+        }
+      } else {
+        const delayMs = this._getUnstableDelay(fallable, preferred);
+        if (!fallable.isUnstable && delayMs > 0) {
+          // The wobble is state of this tile only: switch to the tile's own instance
+          block = chunk.getBlockForUpdate(x, y);
+          fallable = block.get(FallableComponent);
+          fallable.beginUnstable(worldX, worldY, delayMs);
+          actions.push({
+            type: 'unstable',
+            block,
+            position: { gridX: worldX, gridY: worldY },
+            delayMs,
+          });
+        }
+
+        const isReady = !fallable.isUnstable || fallable.tickUnstable(deltaTime);
+        const isSlide = fallX !== worldX;
+        if (isReady && (!isSlide || this._canSlideInto(fallX, worldY, slideTargets))) {
+          if (isSlide) {
+            slideTargets.add(`${fallX},${worldY}`);
           }
+          // The fall is state of this tile only: switch to the tile's own instance
+          block = chunk.getBlockForUpdate(x, y);
+          fallable = block.get(FallableComponent);
+          fallable.start(fallX, worldY);
+        } else if (fallable.isUnstable) {
+          frame.unstableBlocks.add(block);
         }
       }
+    }
+
+    if (fallX !== null || fallable.isFalling || fallable.isUnstable) {
+      this.activeTiles.add(worldX, worldY);
+    }
+
+    // Update falling blocks
+    if (fallable.isFalling) {
+      fallable.tick(deltaTime);
+
+      // Check if block landed on solid ground
+      const blockBelow = terrain.getBlock(fallable.gridX, fallable.gridY + 1);
+      const physicsBelow = blockBelow?.get(PhysicsComponent);
+
+      if (physicsBelow && physicsBelow.isCollidable()) {
+        // Landed - stop falling and update grid position
+        // Queue block movement to apply after the iteration completes.
+        actions.push({
+          type: 'move-block',
+          block,
+          from: { gridX: worldX, gridY: worldY },
+          to: { gridX: fallable.gridX, gridY: fallable.gridY },
+        });
+        fallable.land();
+        fallable.reset();
+      } else {
+        // Still falling - check player and maggot collisions
+        if (this._checkBlockPlayerCollision(fallable, player)) {
+          actions.push({
+            type: 'kill-player',
+            cause: 'crushed',
+          });
+        }
+        this._findCrushedNPCs(fallable).forEach((npc) => {
+          actions.push({ type: 'crush-npc', npc });
+        });
+        frame.fallingBlocks.add(block);
+      }
+    }
+  }
+
+  /**
+   * Forget held clusters next to a changed tile; their blocks are looked at again
+   * @param {number} x - Grid X
+   * @param {number} y - Grid Y
+   * @private
+   */
+  _invalidateClusters(x, y) {
+    this.clusters.invalidateAround(x, y).forEach((tile) => this.activeTiles.add(tile.x, tile.y));
+  }
+
+  /**
+   * Drop every cluster, active tile and roll of the previous terrain
+   * @private
+   */
+  _forgetTerrain() {
+    this.clusters.clear();
+    this.activeTiles.clear();
+    this.rollMomentum.clear();
+  }
+
+  /**
+   * How long a block wobbles before its fall starts
+   * @param {FallableComponent} fallable
+   * @param {number} preferred - Direction the block is still rolling in (0: none)
+   * @returns {number} Milliseconds (0: falls at once)
+   * @private
+   */
+  _getUnstableDelay(fallable, preferred) {
+    if (fallable.granular || preferred !== 0) {
+      return 0;
+    }
+    return Math.max(0, this.unstableDelayMs);
+  }
+
+  /**
+   * Check that a slide may start into the tile beside a block: no other slide claimed
+   * it this frame and no falling block is passing through it
+   * @param {number} gridX - Side tile x
+   * @param {number} gridY - Side tile y
+   * @param {Set<string>} slideTargets - Side tiles claimed this frame
+   * @returns {boolean}
+   * @private
+   */
+  _canSlideInto(gridX, gridY, slideTargets) {
+    if (slideTargets.has(`${gridX},${gridY}`)) {
+      return false;
+    }
+
+    return ![...this.fallingBlocks].some((block) => {
+      const fallable = block.get(FallableComponent);
+      return fallable.gridX === gridX && Math.abs(fallable.gridY - gridY) <= 1;
+    });
+  }
+
+  /**
+   * Maggots a falling block has come down on
+   * @param {FallableComponent} fallable
+   * @returns {Array<NPC>}
+   * @private
+   */
+  _findCrushedNPCs(fallable) {
+    const npcSystem = this.game.components.find((c) => c.constructor.name === 'NPCSystem');
+    if (!npcSystem || !Array.isArray(npcSystem.npcs)) {
+      return [];
+    }
+
+    return npcSystem.npcs.filter((npc) => {
+      const position = npc?.get?.(PositionComponent);
+      return position
+        && position.gridX === fallable.gridX
+        && Math.abs(position.y - fallable.pixelY) < TILE_HEIGHT / 2;
     });
+  }
 
-    this.fallingBlocks = newFallingBlocks;
-    this._applyActions(actions, terrain);
+  /**
+   * Where a landing block ends up: its landing tile, or the first open tile above it
+   * when another block landed there first this frame. Null when the column is full
+   * up to where the block started (it stays put).
+   * @param {TerrainSystem} terrain
+   * @param {{gridX: number, gridY: number}} from
+   * @param {{gridX: number, gridY: number}} to
+   * @returns {{gridX: number, gridY: number}|null}
+   * @private
+   */
+  _resolveLanding(terrain, from, to) {
+    // A slide may come to rest level with the tile it left; a straight fall cannot
+    const top = to.gridX === from.gridX ? from.gridY + 1 : from.gridY;
+    for (let { gridY } = to; gridY >= top; gridY -= 1) {
+      if (!terrain.getBlock(to.gridX, gridY).get(PhysicsComponent)?.isCollidable()) {
+        return { gridX: to.gridX, gridY };
+      }
+    }
+    return null;
   }
 
   /**
@@ -138,21 +370,65 @@ export class GravitySystem extends System {
       return;
     }
 
+    const crushed = new Set();
     actions.forEach((action) => {
       switch (action.type) {
         case 'move-block': {
-          const { block, from, to } = action;
-          terrain.setBlock(from.gridX, from.gridY, BlockFactory.createEmpty());
+          const { block, from } = action;
+          const isInPlace = from.gridX === action.to.gridX && from.gridY === action.to.gridY;
+          const to = isInPlace ? action.to : this._resolveLanding(terrain, from, action.to);
+          if (!to) {
+            break;
+          }
+          // Liquid the block sank into is displaced up into the tile it left
+          const displaced = terrain.getBlock(to.gridX, to.gridY);
+          terrain.setBlock(
+            from.gridX,
+            from.gridY,
+            displaced.has(LiquidComponent) ? displaced : BlockFactory.createEmpty(),
+          );
           terrain.setBlock(to.gridX, to.gridY, block);
+          const slide = Math.sign(to.gridX - from.gridX);
+          if (slide !== 0 && block.get(FallableComponent).rolling) {
+            this.rollMomentum.set(`${to.gridX},${to.gridY}`, slide);
+          }
           eventBus.emit('block:landed', {
             block,
+            from: { gridX: from.gridX, gridY: from.gridY },
             position: { gridX: to.gridX, gridY: to.gridY },
+            slide, // -1 / 1 for a slide or roll, 0 for a fall
           });
           break;
         }
+        case 'land-cluster':
+          this.clusters.land(terrain, action.cluster).forEach(({ block, from, position }) => {
+            eventBus.emit('block:landed', {
+              block, from, position, slide: 0,
+            });
+          });
+          break;
+        case 'unstable':
+          eventBus.emit('block:unstable', {
+            block: action.block,
+            position: action.position,
+            delayMs: action.delayMs,
+          });
+          break;
         case 'kill-player':
           eventBus.emit('block:crushed-player', { cause: action.cause });
           break;
+        case 'crush-npc': {
+          const { npc } = action;
+          const npcSystem = this.game.components.find((c) => c.constructor.name === 'NPCSystem');
+          if (crushed.has(npc) || !npcSystem) {
+            break;
+          }
+          crushed.add(npc);
+          const { gridX, gridY } = npc.get(PositionComponent);
+          npcSystem.remove(npc);
+          eventBus.emit('npc:crushed', { npc, position: { gridX, gridY } });
+          break;
+        }
         default:
           break;
       }
@@ -266,5 +542,11 @@ export class GravitySystem extends System {
 
   destroy() {
     this.fallingBlocks.clear();
+    this.unstableBlocks.clear();
+    this.rollMomentum.clear();
+    this.clusters.clear();
+    this.activeTiles.clear();
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
   }
 }
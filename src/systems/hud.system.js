@@ -7,6 +7,7 @@ import { System } from '../core/system.js';
 import { eventBus } from '../utils/event-bus.js';
 import { RenderLayer } from '../rendering/render-layer.js';
 import { SPRITE_ATLAS } from '../rendering/sprite-atlas.js';
+import { ORES, createResourceTotals } from '../terrain/ores.js';
 
 const HUD_COIN_SPRITE = {
   x: SPRITE_ATLAS.simple_coin.x,
@@ -19,6 +20,8 @@ const HUD_COIN_SPRITE = {
   destHeight: 32,
 };
 
+const LAVA_WARNING_TILES = 5; // Gap at which the lava readout turns urgent
+
 /**
  * HUDComponent
  * Renders score display and UI elements
@@ -27,16 +30,31 @@ export class HUDSystem extends System {
   init() {
     this.score = 0;
     this.timerSeconds = 60;
-    this.unsubscribeScore = eventBus.on('score:add', ({ amount = 0 } = {}) => {
+    this.level = this.game.startLevel ?? 1;
+    this.resources = createResourceTotals(); // Ore pickups per resource
+    this.lavaGap = null; // Tiles between the player and the rising lava (chase mode only)
+    this.unsubscribeScore = eventBus.on('score:add', ({ amount = 0, resource } = {}) => {
       this.score += amount;
+      if (resource && resource in this.resources) {
+        this.resources[resource] += 1;
+      }
     });
     this.unsubscribeTimer = eventBus.on('timer:update', ({ seconds = 0 } = {}) => {
       this.timerSeconds = seconds;
     });
+    this.unsubscribeLevel = eventBus.on('level:transition:complete', ({ level } = {}) => {
+      if (Number.isInteger(level)) {
+        this.level = level;
+      }
+    });
   }
 
   update(_deltaTime) {
-    // Score events will be implemented in Milestone 3
+    const terrain = this.game.components.find((c) => c.constructor.name === 'TerrainSystem');
+    const player = this.game.components.find((c) => c.constructor.name === 'PlayerManagerSystem');
+    this.lavaGap = terrain && terrain.lavaChase && player
+      ? Math.max(0, Math.floor(terrain.getLavaSurfaceY() - player.gridY - 1))
+      : null;
   }
 
   render(ctx) {
@@ -65,6 +83,19 @@ export class HUDSystem extends System {
     ctx.fillText(`${this.score}`, 35, 40);
     ctx.textAlign = 'right';
     ctx.fillText(`${Math.max(0, this.timerSeconds)}`, ctx.canvas.width - 20, 40);
+    ctx.font = '16px monospace';
+    ctx.fillText(`LV ${this.level}`, ctx.canvas.width - 20, 62);
+    if (this.lavaGap !== null) {
+      ctx.fillStyle = this.lavaGap <= LAVA_WARNING_TILES ? '#FF3B1F' : '#FF9A3C';
+      ctx.fillText(`LAVA ${this.lavaGap}`, ctx.canvas.width - 20, 84);
+    }
+
+    // Per-resource breakdown under the score
+    ctx.textAlign = 'left';
+    ORES.forEach((ore, index) => {
+      ctx.fillStyle = ore.color;
+      ctx.fillText(`${ore.label} ${this.resources[ore.resource] ?? 0}`, 12 + index * 64, 62);
+    });
     ctx.restore();
   }
 
@@ -77,5 +108,9 @@ export class HUDSystem extends System {
       this.unsubscribeTimer();
       this.unsubscribeTimer = null;
     }
+    if (this.unsubscribeLevel) {
+      this.unsubscribeLevel();
+      this.unsubscribeLevel = null;
+    }
   }
 }
@@ -5,6 +5,17 @@
 
 import { eventBus } from '../utils/event-bus.js';
 
+/**
+ * Input events published on the event bus (keyboard and touch)
+ */
+export const INPUT_EVENTS = [
+  'input:move-left',
+  'input:move-right',
+  'input:move-up',
+  'input:move-down',
+  'input:pause-toggle',
+];
+
 /**
  * InputSystem
  * Manages keyboard and touch input, emits events
@@ -12,6 +23,7 @@ import { eventBus } from '../utils/event-bus.js';
 export class InputSystem {
   constructor() {
     this.keys = {};
+    this.enabled = true; // Off while a recorded run replays, so live keys cannot interfere
     this._onKeyDown = this._onKeyDown.bind(this);
     this._onKeyUp = this._onKeyUp.bind(this);
   }
@@ -30,6 +42,10 @@ export class InputSystem {
    * @private
    */
   _onKeyDown(event) {
+    if (!this.enabled) {
+      return;
+    }
+
     // Prevent repeat pause toggles
     if ((event.code === 'Space' || event.code === 'Escape') && this.keys[event.code]) {
       return;
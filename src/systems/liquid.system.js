@@ -0,0 +1,386 @@
+/**
+ * @file liquid.system.js
+ * @description Cellular-automaton flow for water and lava cells carrying fill levels
+ */
+
+import { System } from '../core/system.js';
+import {
+  LiquidComponent,
+  LIQUID_KIND,
+  LIQUID_MAX_LEVEL,
+} from '../components/block/liquid.component.js';
+import { LethalComponent } from '../components/block/lethal.component.js';
+import { BlockFactory } from '../factories/block.factory.js';
+import { TILE_WIDTH, TILE_HEIGHT } from '../utils/config.js';
+import { eventBus } from '../utils/event-bus.js';
+
+const FLOW_INTERVAL_MS = 100;
+
+// Flow steps between updates of a cell (lava is viscous)
+const FLOW_EVERY_STEPS = {
+  [LIQUID_KIND.WATER]: 1,
+  [LIQUID_KIND.LAVA]: 3,
+};
+
+// Water at or above this level in the player's tile counts as submerged
+const DROWN_LEVEL = LIQUID_MAX_LEVEL / 2;
+const DROWN_MS = 2500;
+
+const WATER_COLOR = 'rgba(50, 120, 220, 0.6)';
+const LAVA_COLOR = 'rgba(255, 96, 24, 0.95)';
+const LAVA_GLOW_COLOR = 'rgba(255, 140, 40, 0.22)';
+
+const NEIGHBOUR_OFFSETS = [
+  { dx: 0, dy: -1 },
+  { dx: -1, dy: 0 },
+  { dx: 1, dy: 0 },
+  { dx: 0, dy: 1 },
+];
+
+/**
+ * LiquidSystem
+ *
+ * Water and lava cells (blocks with a LiquidComponent) hold whole fill levels. Every
+ * flow step each active cell falls into the tile below, then levels out sideways; units
+ * only ever move between cells, so volume is conserved, including across chunk seams.
+ * Only active cells are visited: a cell is activated when a neighbouring block is dug,
+ * a rock lands next to it, or a neighbour's level changes. Settled liquid drops out of
+ * the active set. Liquid never flows into a chunk that is not loaded; it waits there.
+ *
+ * Lava touching water hardens into basalt. The player melts in lava and drowns after
+ * staying submerged in water for too long.
+ */
+export class LiquidSystem extends System {
+  init() {
+    this.active = new Set(); // "x,y" keys of cells to update on the next flow step
+    this.elapsedMs = 0;
+    this.stepCount = 0;
+    this.submergedMs = 0;
+
+    this.unsubscribers = [
+      eventBus.on('block:destroyed', ({ x, y }) => this.activateAround(x, y)),
+      eventBus.on('block:landed', ({ from, position }) => {
+        if (from) {
+          this.activateAround(from.gridX, from.gridY);
+        }
+        this.activateAround(position.gridX, position.gridY);
+      }),
+      eventBus.on('player:restart', () => this.clear()),
+      eventBus.on('level:transition:complete', () => this.clear()),
+    ];
+  }
+
+  update(deltaTime) {
+    const terrain = this._getSystem('TerrainSystem');
+    if (!terrain) return;
+
+    this.elapsedMs += deltaTime;
+    if (this.elapsedMs >= FLOW_INTERVAL_MS) {
+      this.elapsedMs %= FLOW_INTERVAL_MS;
+      this.step(terrain);
+    }
+
+    this._checkPlayer(terrain, deltaTime);
+  }
+
+  /**
+   * Run one flow step over the active cells (bottom rows first)
+   * @param {TerrainSystem} terrain
+   */
+  step(terrain) {
+    if (this.active.size === 0) {
+      return;
+    }
+
+    this.stepCount += 1;
+    const cells = [...this.active]
+      .map((key) => key.split(',').map(Number))
+      .sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+    this.active = new Set();
+
+    cells.forEach(([x, y]) => this._updateCell(terrain, x, y));
+  }
+
+  /**
+   * Queue a cell for the next flow step
+   * @param {number} x - Grid X
+   * @param {number} y - Grid Y
+   */
+  activate(x, y) {
+    this.active.add(`${x},${y}`);
+  }
+
+  /**
+   * Queue a cell and its four neighbours for the next flow step
+   * @param {number} x - Grid X
+   * @param {number} y - Grid Y
+   */
+  activateAround(x, y) {
+    this.activate(x, y);
+    NEIGHBOUR_OFFSETS.forEach(({ dx, dy }) => this.activate(x + dx, y + dy));
+  }
+
+  /**
+   * @returns {number} Number of cells waiting for the next flow step
+   */
+  getActiveCount() {
+    return this.active.size;
+  }
+
+  /**
+   * Forget all pending flow (the terrain was replaced)
+   */
+  clear() {
+    this.active.clear();
+    this.elapsedMs = 0;
+    this.submergedMs = 0;
+  }
+
+  render(ctx) {
+    const terrain = this._getSystem('TerrainSystem');
+    const camera = this._getSystem('CameraSystem');
+    if (!terrain || !camera) return;
+
+    const viewBounds = camera.getViewBounds(ctx.canvas);
+    const { worldWidthTiles, worldHeightTiles } = terrain;
+    const startX = Math.max(0, Math.floor(viewBounds.left / TILE_WIDTH));
+    const endX = Math.min(worldWidthTiles - 1, Math.floor(viewBounds.right / TILE_WIDTH));
+    const startY = Math.max(0, Math.floor(viewBounds.top / TILE_HEIGHT));
+    const endY = Math.min(worldHeightTiles - 1, Math.floor(viewBounds.bottom / TILE_HEIGHT));
+
+    ctx.save();
+    for (let gridY = startY; gridY <= endY; gridY += 1) {
+      for (let gridX = startX; gridX <= endX; gridX += 1) {
+        const liquid = terrain.isBlockLoaded(gridX, gridY)
+          ? terrain.getBlock(gridX, gridY).get(LiquidComponent)
+          : null;
+        if (liquid) {
+          this._drawCell(ctx, terrain, gridX, gridY, liquid);
+        }
+      }
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Draw a liquid cell filled from the bottom by its level. Full lava is drawn by
+   * TerrainSystem from its sprite; lava open to the air above also glows.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {TerrainSystem} terrain
+   * @param {number} gridX
+   * @param {number} gridY
+   * @param {LiquidComponent} liquid
+   * @private
+   */
+  _drawCell(ctx, terrain, gridX, gridY, liquid) {
+    const x = gridX * TILE_WIDTH;
+    const y = gridY * TILE_HEIGHT;
+    const isLava = liquid.kind === LIQUID_KIND.LAVA;
+
+    if (!isLava || !liquid.isFull()) {
+      const height = Math.ceil((TILE_HEIGHT * liquid.level) / LIQUID_MAX_LEVEL);
+      ctx.fillStyle = isLava ? LAVA_COLOR : WATER_COLOR;
+      ctx.fillRect(x, y + TILE_HEIGHT - height, TILE_WIDTH, height);
+    }
+
+    if (isLava && terrain.getBlock(gridX, gridY - 1).type === 'empty') {
+      ctx.fillStyle = LAVA_GLOW_COLOR;
+      ctx.fillRect(x, y - TILE_HEIGHT, TILE_WIDTH, TILE_HEIGHT);
+    }
+  }
+
+  /**
+   * Update one liquid cell: harden lava next to water, fall, then spread sideways
+   * @param {TerrainSystem} terrain
+   * @param {number} x
+   * @param {number} y
+   * @private
+   */
+  _updateCell(terrain, x, y) {
+    if (!terrain.isBlockLoaded(x, y)) {
+      // Resume once the chunk is streamed back in
+      this.activate(x, y);
+      return;
+    }
+
+    const kind = terrain.getBlock(x, y).get(LiquidComponent)?.kind;
+    if (kind === undefined) {
+      return;
+    }
+
+    if (this.stepCount % FLOW_EVERY_STEPS[kind] !== 0) {
+      this.activate(x, y);
+      return;
+    }
+
+    if (kind === LIQUID_KIND.LAVA && this._touchesWater(terrain, x, y)) {
+      terrain.setBlock(x, y, BlockFactory.create('basalt'));
+      this.activateAround(x, y);
+      eventBus.emit('liquid:hardened', { x, y });
+      return;
+    }
+
+    // Flowing changes the cell's level in place: only now take the tile's own instance
+    const liquid = terrain.getBlockForUpdate(x, y).get(LiquidComponent);
+
+    let waiting = false;
+    let moved = false;
+
+    const roomBelow = this._getRoom(terrain, x, y + 1, liquid.kind);
+    if (roomBelow === null) {
+      waiting = true;
+    } else if (roomBelow > 0) {
+      moved = this._transfer(terrain, x, y, x, y + 1, Math.min(liquid.level, roomBelow));
+    }
+
+    // Alternate the side checked first so spreading stays symmetric
+    const sides = this.stepCount % 2 === 0 ? [-1, 1] : [1, -1];
+    sides.forEach((dx) => {
+      if (liquid.level <= 0) return;
+      const room = this._getRoom(terrain, x + dx, y, liquid.kind);
+      if (room === null) {
+        waiting = true;
+        return;
+      }
+      const neighbourLevel = LIQUID_MAX_LEVEL - room;
+      const amount = Math.min(room, Math.floor((liquid.level - neighbourLevel) / 2));
+      if (amount > 0) {
+        moved = this._transfer(terrain, x, y, x + dx, y, amount) || moved;
+      }
+    });
+
+    if (moved) {
+      this.activateAround(x, y);
+    } else if (waiting) {
+      this.activate(x, y);
+    }
+  }
+
+  /**
+   * Free volume a cell can take from a liquid of the given kind
+   * @param {TerrainSystem} terrain
+   * @param {number} x
+   * @param {number} y
+   * @param {string} kind
+   * @returns {number|null} Units of room (0 when blocked), null while the chunk is unloaded
+   * @private
+   */
+  _getRoom(terrain, x, y, kind) {
+    if (!terrain.isWithinWorld(x, y)) {
+      return 0;
+    }
+    if (!terrain.isBlockLoaded(x, y)) {
+      return null;
+    }
+
+    const block = terrain.getBlock(x, y);
+    if (block.type === 'empty') {
+      return LIQUID_MAX_LEVEL;
+    }
+
+    const liquid = block.get(LiquidComponent);
+    return liquid && liquid.kind === kind ? LIQUID_MAX_LEVEL - liquid.level : 0;
+  }
+
+  /**
+   * Move liquid units from one cell to another (the target is empty or the same kind)
+   * @param {TerrainSystem} terrain
+   * @returns {boolean} True when units moved
+   * @private
+   */
+  _transfer(terrain, fromX, fromY, toX, toY, amount) {
+    const source = terrain.getBlockForUpdate(fromX, fromY).get(LiquidComponent);
+    if (!source || amount <= 0) {
+      return false;
+    }
+
+    const target = terrain.getBlockForUpdate(toX, toY).get(LiquidComponent);
+    if (target) {
+      target.level += amount;
+      terrain.markDirty(toX, toY);
+    } else {
+      terrain.setBlock(toX, toY, BlockFactory.create(source.kind, { level: amount }));
+    }
+
+    source.level -= amount;
+    if (source.level <= 0) {
+      terrain.setBlock(fromX, fromY, BlockFactory.createEmpty());
+    } else {
+      terrain.markDirty(fromX, fromY);
+    }
+
+    this.activateAround(toX, toY);
+    return true;
+  }
+
+  /**
+   * @param {TerrainSystem} terrain
+   * @param {number} x
+   * @param {number} y
+   * @returns {boolean} True when a loaded neighbour holds water
+   * @private
+   */
+  _touchesWater(terrain, x, y) {
+    return NEIGHBOUR_OFFSETS.some(({ dx, dy }) => {
+      if (!terrain.isBlockLoaded(x + dx, y + dy)) {
+        return false;
+      }
+      const liquid = terrain.getBlock(x + dx, y + dy).get(LiquidComponent);
+      return Boolean(liquid && liquid.kind === LIQUID_KIND.WATER);
+    });
+  }
+
+  /**
+   * Melt the player in lava that flowed into their tile, or drown them once they have
+   * been submerged in water for DROWN_MS
+   * @param {TerrainSystem} terrain
+   * @param {number} deltaTime
+   * @private
+   */
+  _checkPlayer(terrain, deltaTime) {
+    const player = this._getSystem('PlayerManagerSystem');
+    if (!player || player.isDead() || !terrain.isBlockLoaded(player.gridX, player.gridY)) {
+      this.submergedMs = 0;
+      return;
+    }
+
+    const block = terrain.getBlock(player.gridX, player.gridY);
+    const liquid = block.get(LiquidComponent);
+
+    if (liquid && liquid.kind === LIQUID_KIND.LAVA) {
+      this.submergedMs = 0;
+      const lethal = block.get(LethalComponent);
+      eventBus.emit('player:death', {
+        cause: 'lava',
+        shouldRegenerate: lethal ? lethal.shouldRegenerate : true,
+      });
+      return;
+    }
+
+    if (!liquid || liquid.level < DROWN_LEVEL) {
+      this.submergedMs = 0;
+      return;
+    }
+
+    this.submergedMs += deltaTime;
+    if (this.submergedMs >= DROWN_MS) {
+      this.submergedMs = 0;
+      eventBus.emit('player:death', { cause: 'drowned', shouldRegenerate: false });
+    }
+  }
+
+  /**
+   * @param {string} name
+   * @returns {System|undefined}
+   * @private
+   */
+  _getSystem(name) {
+    return this.game.components.find((c) => c.constructor.name === name);
+  }
+
+  destroy() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
+    this.active.clear();
+  }
+}
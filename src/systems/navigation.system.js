@@ -6,6 +6,7 @@
 import { System } from '../core/system.js';
 import { SPRITE_ATLAS, loadSpriteSheet } from '../rendering/sprite-atlas.js';
 import { DiggableComponent } from '../components/block/diggable.component.js';
+import { FallableComponent } from '../components/block/fallable.component.js';
 
 const GUIDANCE_DELAY_MS = 400;
 
@@ -21,7 +22,7 @@ export class NavigationSystem extends System {
     this.validDirections = {
       left: false, right: false, up: false, down: false,
     };
-    this.fallWarning = false; // Flash triangles if falling block above
+    this.fallWarning = false; // Flash triangles if a falling or unstable block is above
     this.spriteSheet = null;
 
     // Load sprite sheet
@@ -127,17 +128,15 @@ export class NavigationSystem extends System {
     this.validDirections.up = upBlock.has(DiggableComponent);
     this.validDirections.down = downBlock.has(DiggableComponent);
 
-    // Check for falling blocks component
-    const fallingBlocks = this.game.components.find(
-      (c) => c.constructor.name === 'FallingBlocksComponent',
-    );
+    // Warn about blocks falling, or wobbling before a fall, above the player
+    const gravity = this.game.components.find((c) => c.constructor.name === 'GravitySystem');
 
-    if (fallingBlocks) {
-      // Check if any falling block is above player
-      const hasBlockAbove = fallingBlocks.fallingBlocks.some(
-        (fb) => fb.gridX === player.gridX && fb.gridY < player.gridY,
-      );
-      this.fallWarning = hasBlockAbove;
+    if (gravity) {
+      const threats = [...gravity.fallingBlocks, ...(gravity.unstableBlocks || [])];
+      this.fallWarning = threats.some((block) => {
+        const fallable = block.get(FallableComponent);
+        return fallable && fallable.gridX === player.gridX && fallable.gridY < player.gridY;
+      });
     } else {
       this.fallWarning = false;
     }
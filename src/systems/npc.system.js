@@ -60,6 +60,15 @@ export class NPCSystem extends System {
     }
   }
 
+  storePreviousState() {
+    this.npcs.forEach((npc) => {
+      const position = this._getPositionComponent(npc);
+      if (position && position.storePrevious) {
+        position.storePrevious();
+      }
+    });
+  }
+
   render(ctx) {
     const bounds = this._getVisibilityBounds();
     const context = { game: this.game, list: this, terrain: this._getTerrain() };
@@ -18,23 +18,15 @@ import { InputComponent } from '../components/player/input.component.js';
 import { MovementComponent } from '../components/player/movement.component.js';
 import { DiggingComponent } from '../components/player/digging.component.js';
 import { RenderComponent } from '../components/player/render.component.js';
-import { CHUNK_SIZE, WORLD_WIDTH_CHUNKS, RESET_TIMER_ON_LEVEL } from '../utils/config.js';
+import { TILE_WIDTH, TILE_HEIGHT, RESET_TIMER_ON_LEVEL } from '../utils/config.js';
 import { eventBus } from '../utils/event-bus.js';
 
 export class PlayerManagerSystem extends System {
   init() {
     // Get terrain to determine spawn position
     const terrain = this.game.components.find((c) => c.constructor.name === 'TerrainSystem');
-    const fallbackWidthTiles = WORLD_WIDTH_CHUNKS * CHUNK_SIZE;
-    let worldWidthTiles = terrain?.worldWidthTiles ?? fallbackWidthTiles;
-    if (!Number.isFinite(worldWidthTiles) || worldWidthTiles <= 0) {
-      worldWidthTiles = fallbackWidthTiles;
-    }
-
-    // Calculate spawn position (centered horizontally, gridY = 2)
-    const centeredGridX = Math.floor(worldWidthTiles / 2);
-    const gridX = Math.max(0, Math.min(worldWidthTiles - 1, centeredGridX));
-    const gridY = 2;
+    const spawn = PlayerManagerSystem.getSpawnPoint(terrain?.world || this.game.world);
+    const { gridX, gridY } = spawn;
 
     // Create player entity with all components
     this.player = new Player([
@@ -42,11 +34,11 @@ export class PlayerManagerSystem extends System {
       new SpawnComponent({
         spawnGridX: gridX,
         spawnGridY: gridY,
-        spawnX: gridX * 16 + 8,
-        spawnY: gridY * 16 + 8,
+        spawnX: spawn.x,
+        spawnY: spawn.y,
       }),
       new StateComponent(),
-      new TimerComponent(),
+      new TimerComponent({ budgetSeconds: terrain?.difficulty?.timerSeconds }),
       new InputComponent(),
       new MovementComponent(),
       new DiggingComponent(),
@@ -75,6 +67,28 @@ export class PlayerManagerSystem extends System {
         }
       },
     );
+
+    // World width can change between runs; the next respawn uses the new center
+    this.unsubscribeWorld = eventBus.on('world:resized', ({ world }) => {
+      const point = PlayerManagerSystem.getSpawnPoint(world);
+      this.player.get(SpawnComponent).setSpawn(point.gridX, point.gridY, point.x, point.y);
+    });
+  }
+
+  /**
+   * Spawn point for a world: centered horizontally, two tiles down
+   * @param {WorldConfig} world
+   * @returns {{gridX: number, gridY: number, x: number, y: number}}
+   */
+  static getSpawnPoint(world) {
+    const gridX = Math.max(0, Math.floor(world.widthTiles / 2));
+    const gridY = 2;
+    return {
+      gridX,
+      gridY,
+      x: gridX * TILE_WIDTH + TILE_WIDTH / 2,
+      y: gridY * TILE_HEIGHT + TILE_HEIGHT / 2,
+    };
   }
 
   update(deltaTime) {
@@ -90,6 +104,10 @@ export class PlayerManagerSystem extends System {
     this.player.update(deltaTime, context);
   }
 
+  storePreviousState() {
+    this.player.get(PositionComponent).storePrevious();
+  }
+
   render(ctx) {
     const terrain = this._getTerrain();
     const camera = this._getCamera();
@@ -112,6 +130,10 @@ export class PlayerManagerSystem extends System {
       this.unsubscribeTransition();
       this.unsubscribeTransition = null;
     }
+    if (this.unsubscribeWorld) {
+      this.unsubscribeWorld();
+      this.unsubscribeWorld = null;
+    }
 
     if (this.player) {
       this.player.destroy({ game: this.game });
@@ -218,6 +240,24 @@ export class PlayerManagerSystem extends System {
     return { x: position.x, y: position.y };
   }
 
+  /**
+   * Get remaining timer
+   * @returns {number} Timer in milliseconds
+   */
+  getTimerMs() {
+    const timer = this.player.get(TimerComponent);
+    return timer.timerMs;
+  }
+
+  /**
+   * Get player pixel position interpolated for the current render frame
+   * @returns {{ x: number, y: number }}
+   */
+  getRenderPosition() {
+    const position = this.player.get(PositionComponent);
+    return position.getRenderPosition(this.game.interpolationAlpha ?? 1);
+  }
+
   /**
    * Get player state
    * @returns {string} Current player state
@@ -266,8 +306,6 @@ export class PlayerManagerSystem extends System {
     const spawn = this.player.get(SpawnComponent);
     const state = this.player.get(StateComponent);
     const timer = this.player.get(TimerComponent);
-    const movement = this.player.get(MovementComponent);
-    const digging = this.player.get(DiggingComponent);
 
     // Reset position to spawn
     position.setGrid(spawn.spawnGridX, spawn.spawnGridY);
@@ -288,6 +326,62 @@ export class PlayerManagerSystem extends System {
       timer.reset();
     }
 
+    this._resetMotion();
+  }
+
+  /**
+   * Restore player from saved run state
+   * @param {{ gridX: number, gridY: number, timerMs: number, hasStarted: boolean }} saved
+   */
+  restoreState({
+    gridX, gridY, timerMs, hasStarted = true,
+  } = {}) {
+    const position = this.player.get(PositionComponent);
+    const state = this.player.get(StateComponent);
+    const timer = this.player.get(TimerComponent);
+
+    if (Number.isFinite(gridX) && Number.isFinite(gridY)) {
+      position.setGrid(gridX, gridY);
+    }
+
+    state.revive();
+    state.setState('idle');
+    state.hasStarted = hasStarted;
+
+    if (Number.isFinite(timerMs)) {
+      timer.timerMs = Math.max(0, timerMs);
+    }
+    this._syncTimerBudget(); // Saved level's budget; caps the restored timer
+    // eslint-disable-next-line no-underscore-dangle
+    timer._broadcastTimerIfNeeded(true);
+
+    this._resetMotion();
+  }
+
+  /**
+   * PRIVATE METHODS
+   */
+
+  /**
+   * Apply the current level's timer budget from the terrain difficulty profile
+   * @private
+   */
+  _syncTimerBudget() {
+    const seconds = this._getTerrain()?.difficulty?.timerSeconds;
+    if (Number.isFinite(seconds)) {
+      this.player.get(TimerComponent).setBudget(seconds);
+    }
+  }
+
+  /**
+   * Clear movement and digging progress at the current position
+   * @private
+   */
+  _resetMotion() {
+    const position = this.player.get(PositionComponent);
+    const movement = this.player.get(MovementComponent);
+    const digging = this.player.get(DiggingComponent);
+
     // Reset movement
     movement.stopMovement();
     movement.targetGridX = position.gridX;
@@ -302,11 +396,10 @@ export class PlayerManagerSystem extends System {
     digging.currentDigTarget = null;
     digging.digDirection = { dx: 0, dy: 1 };
     digging.fallable.reset();
-  }
 
-  /**
-   * PRIVATE METHODS
-   */
+    // Teleports should not be interpolated
+    position.storePrevious();
+  }
 
   /**
    * Handle restart event
@@ -333,6 +426,7 @@ export class PlayerManagerSystem extends System {
     const state = this.player.get(StateComponent);
     const timer = this.player.get(TimerComponent);
 
+    this._syncTimerBudget();
     const shouldPreserveTimer = !RESET_TIMER_ON_LEVEL
       && Number.isFinite(timer.timerBeforeTransition)
       && timer.timerBeforeTransition > 0;
@@ -0,0 +1,251 @@
+/**
+ * @file save.system.js
+ * @description Save system - persists the current run to localStorage and restores it
+ */
+
+import { System } from '../core/system.js';
+import { SAVE_STORAGE_KEY, SAVE_AUTOSAVE_INTERVAL_MS } from '../utils/config.js';
+import { SAVE_VERSION, migrateSave } from '../utils/save-migrations.js';
+import { WorldConfig } from '../utils/world-config.js';
+import { SeedSequence, parseSeed } from '../utils/seed.js';
+import { eventBus } from '../utils/event-bus.js';
+
+/**
+ * SaveSystem
+ * Serializes world, seed, level, chunk diffs, player, score, resources, maggots, door,
+ * the chase-mode lava height and the run's seed sequence into a versioned save
+ */
+export class SaveSystem extends System {
+  /**
+   * @param {Game} game - Reference to the main game instance
+   * @param {Storage|null} [storage] - Storage backend (defaults to window.localStorage)
+   */
+  constructor(game, storage = SaveSystem.getDefaultStorage()) {
+    super(game);
+    this.storage = storage;
+  }
+
+  /**
+   * Resolve localStorage if the environment provides it
+   * @returns {Storage|null}
+   */
+  static getDefaultStorage() {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+      // Access can throw when storage is disabled (privacy mode)
+      return null;
+    }
+  }
+
+  init() {
+    this.enabled = true; // Off for replays and seed links so they don't overwrite the real run
+    this.autosaveTimer = 0;
+    this.unsubscribeTransition = eventBus.on('level:transition:complete', () => {
+      this.save();
+    });
+  }
+
+  update(deltaTime) {
+    this.autosaveTimer += deltaTime;
+    if (this.autosaveTimer >= SAVE_AUTOSAVE_INTERVAL_MS) {
+      this.autosaveTimer = 0;
+      this.save();
+    }
+  }
+
+  destroy() {
+    if (this.unsubscribeTransition) {
+      this.unsubscribeTransition();
+      this.unsubscribeTransition = null;
+    }
+  }
+
+  /**
+   * Build save data for the current run
+   * @returns {Object|null} Save data, or null if terrain is not ready
+   */
+  serialize() {
+    const terrain = this._getSystem('TerrainSystem');
+    if (!terrain || !terrain.generator) {
+      return null;
+    }
+
+    if (terrain.cache && terrain.diffStore) {
+      terrain.cache.flushToDiffStore();
+    }
+
+    const player = this._getSystem('PlayerManagerSystem');
+    const hud = this._getSystem('HUDSystem');
+    const door = terrain.generator.doorPosition;
+
+    return {
+      version: SAVE_VERSION,
+      seed: terrain.seed,
+      seedName: terrain.seedName ?? null,
+      level: terrain.level,
+      world: terrain.baseWorld ? terrain.baseWorld.toJSON() : null,
+      door: door ? { x: door.x, y: door.y } : null,
+      player: player ? {
+        gridX: player.gridX,
+        gridY: player.gridY,
+        timerMs: player.getTimerMs(),
+        hasStarted: player.hasStarted,
+      } : null,
+      score: hud ? hud.score : 0,
+      resources: hud ? { ...hud.resources } : {},
+      lavaChase: terrain.lavaChase ? terrain.lavaChase.toJSON() : null,
+      seedSequence: this.game.seedSequence ? this.game.seedSequence.toJSON() : null,
+      chunks: terrain.diffStore ? terrain.diffStore.serialize() : [],
+    };
+  }
+
+  /**
+   * Write the current run to storage
+   * @returns {boolean} True if saved
+   */
+  save() {
+    if (!this.storage || !this.enabled) {
+      return false;
+    }
+
+    const player = this._getSystem('PlayerManagerSystem');
+    const terrain = this._getSystem('TerrainSystem');
+    if ((player && player.isDead()) || (terrain && terrain.transitioning)) {
+      return false;
+    }
+
+    const data = this.serialize();
+    if (!data) {
+      return false;
+    }
+
+    try {
+      this.storage.setItem(SAVE_STORAGE_KEY, JSON.stringify(data));
+      return true;
+    } catch (error) {
+      console.warn('Failed to write save:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a save exists
+   * @returns {boolean}
+   */
+  hasSave() {
+    try {
+      return !!(this.storage && this.storage.getItem(SAVE_STORAGE_KEY));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Read, migrate and restore the saved run
+   * @returns {boolean} True if a save was restored
+   */
+  load() {
+    if (!this.storage) {
+      return false;
+    }
+
+    let data = null;
+    try {
+      const raw = this.storage.getItem(SAVE_STORAGE_KEY);
+      data = raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      console.warn('Failed to read save:', error);
+      return false;
+    }
+
+    const migrated = migrateSave(data);
+    if (!migrated || !Number.isFinite(migrated.seed) || !Number.isInteger(migrated.level)) {
+      return false;
+    }
+
+    this.restore(migrated);
+    return true;
+  }
+
+  /**
+   * Apply save data (already at SAVE_VERSION) to the running game, then emit
+   * `save:restored` with it
+   * @param {Object} data
+   */
+  restore(data) {
+    const terrain = this._getSystem('TerrainSystem');
+    if (terrain) {
+      // Diffs and door must be in place before any chunk of the new seed generates.
+      // The name the run was started with, so it is still shared as e.g. RED-MOLE-42
+      const hasName = typeof data.seedName === 'string' && parseSeed(data.seedName) === data.seed;
+      const seed = hasName ? data.seedName : data.seed;
+      if (data.world) {
+        // Diffs are laid out for its chunk size
+        terrain.setWorld(new WorldConfig(data.world), seed, data.level);
+      } else {
+        terrain.setSeed(seed, data.level);
+      }
+      if (data.door && Number.isFinite(data.door.x) && Number.isFinite(data.door.y)) {
+        terrain.generator.doorPosition = { x: data.door.x, y: data.door.y };
+      }
+      if (terrain.diffStore) {
+        terrain.diffStore.deserialize(data.chunks);
+      }
+      terrain.restoreLavaChase(data.lavaChase);
+    }
+
+    // Regenerated terrain keeps following the seed the run was started with
+    this.game.seedSequence = data.seedSequence ? SeedSequence.fromJSON(data.seedSequence) : null;
+
+    const npcSystem = this._getSystem('NPCSystem');
+    if (npcSystem) {
+      npcSystem.clear();
+    }
+
+    const player = this._getSystem('PlayerManagerSystem');
+    if (player && data.player) {
+      player.restoreState(data.player);
+    }
+
+    const hud = this._getSystem('HUDSystem');
+    if (hud && Number.isFinite(data.score)) {
+      hud.score = data.score;
+    }
+    if (hud) {
+      hud.level = data.level;
+      Object.keys(hud.resources || {}).forEach((resource) => {
+        const count = data.resources ? data.resources[resource] : 0;
+        hud.resources[resource] = Number.isFinite(count) ? count : 0;
+      });
+    }
+
+    this.autosaveTimer = 0;
+    eventBus.emit('save:restored', data);
+  }
+
+  /**
+   * Delete the stored save
+   */
+  clear() {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      this.storage.removeItem(SAVE_STORAGE_KEY);
+    } catch (error) {
+      console.warn('Failed to clear save:', error);
+    }
+  }
+
+  /**
+   * Find a system by class name
+   * @param {string} name
+   * @returns {System|null}
+   * @private
+   */
+  _getSystem(name) {
+    return this.game.components.find((c) => c.constructor.name === name) || null;
+  }
+}
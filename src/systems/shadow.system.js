@@ -29,7 +29,9 @@ export class ShadowSystem extends System {
 
     // Get player position
     const { gridX, gridY } = player.getGridPosition();
-    const { x, y } = player.getPixelPosition();
+    const { x, y } = player.getRenderPosition
+      ? player.getRenderPosition()
+      : player.getPixelPosition();
 
     // Always find the first solid block below the player
     let shadowY = y; // Default: shadow at player position
@@ -5,25 +5,45 @@
 
 import { System } from '../core/system.js';
 import {
-  CHUNK_SIZE, TILE_WIDTH, TILE_HEIGHT, SPRITE_HEIGHT, TILE_CAP_HEIGHT,
+  TILE_WIDTH, TILE_HEIGHT, SPRITE_HEIGHT, TILE_CAP_HEIGHT, CHUNK_PREFETCH_DISTANCE,
 } from '../utils/config.js';
 import { TerrainGenerator } from '../terrain/terrain-generator.js';
+import { getDifficultyProfile } from '../terrain/difficulty-profiles.js';
+import { WorldConfig } from '../utils/world-config.js';
 import { ChunkCache } from '../terrain/chunk-cache.js';
+import { ChunkStreamer } from '../terrain/chunk-streamer.js';
+import { ChunkDiffStore } from '../terrain/chunk-diff-store.js';
+import { LavaChase } from '../terrain/lava-chase.js';
+import { getBiomeByIndex } from '../terrain/biomes.js';
 import { loadSpriteSheet } from '../rendering/sprite-atlas.js';
 import { PhysicsComponent } from '../components/block/physics.component.js';
 import { RenderComponent } from '../components/block/render.component.js';
+import { LiquidComponent, LIQUID_KIND } from '../components/block/liquid.component.js';
 import { DarknessComponent } from '../components/block/darkness.component.js';
 import { LethalComponent } from '../components/block/lethal.component.js';
-import { BlockFactory } from '../factories/block.factory.js';
+import { FallableComponent } from '../components/block/fallable.component.js';
+import { blockPalette } from '../terrain/block-palette.js';
 import { RenderLayer } from '../rendering/render-layer.js';
+import { ChunkLayerCache } from '../rendering/chunk-layer-cache.js';
 import { createMaggot } from '../npc/maggot.js';
 import { eventBus } from '../utils/event-bus.js';
+import { parseSeed, normalizeSeedName, createSeedName } from '../utils/seed.js';
+import { PlayerManagerSystem } from './player-manager.system.js';
 
 const BASE_DARKEN_EPSILON = 0.0001;
 const DARKNESS_EPSILON = 0.0002;
 const DIG_EPSILON = 0.0003;
+const BIOME_TINT_EPSILON = 0.00015;
+const BLOCK_TINT_EPSILON = 0.00017;
 const OVERLAY_DEPTH_STEP = 0.001;
 
+// Unstable blocks shake sideways, harder as their fall comes closer
+const WOBBLE_PERIOD_MS = 60;
+const WOBBLE_MAX_PX = 2;
+
+const LAVA_FRONT_COLOR = 'rgba(255, 96, 24, 0.9)';
+const LAVA_FRONT_GLOW = 'rgba(255, 200, 60, 1)';
+
 const STATIC_DARKEN_FACTORS = {
   red_frame: 0.4, // RED_FRAME (torus): 40% dark
 };
@@ -34,33 +54,57 @@ const STATIC_DARKEN_FACTORS = {
  */
 export class TerrainSystem extends System {
   async init() {
-    this.seed = Math.floor(Math.random() * 1000000); // Random seed for terrain generation
-    this.generator = new TerrainGenerator(this.seed);
-    this.cache = new ChunkCache(this.generator);
+    this.baseWorld = this.game.world || new WorldConfig(); // Run's world (level 1 size)
+    this.diffStore = new ChunkDiffStore(this.baseWorld.chunkSize); // Survives cache eviction
+    const { lavaChase } = this.game;
+    this.lavaChase = lavaChase ? new LavaChase(lavaChase === true ? {} : lavaChase) : null;
+    // A chosen seed (?seed=, ?daily) or a fresh random seed name
+    const { seedSequence, startLevel = 1 } = this.game;
+    const seed = seedSequence ? (seedSequence.name ?? seedSequence.seed) : createSeedName();
+    this.setSeed(seed, startLevel);
     this.spriteSheet = null; // Will be loaded
+    this.chunkLayers = new ChunkLayerCache({ monitor: this.game.performanceMonitor });
     this.npcList = null;
     this.transitioning = false;
     this.unsubscribeLevelTransition = eventBus.on(
       'level:transition',
       (payload) => this._handleLevelTransition(payload),
     );
-    this._syncWorldDimensions();
+
+    if (this.game.headless) {
+      return;
+    }
 
     // Load sprite sheet
     try {
       this.spriteSheet = await loadSpriteSheet();
       console.log('Sprite sheet loaded successfully');
       this.game.renderQueue.setSpriteSheet(this.spriteSheet);
+      this.chunkLayers.setSpriteSheet(this.spriteSheet);
     } catch (error) {
       console.error('Failed to load sprite sheet:', error);
     }
   }
 
-  update(_deltaTime) {
+  update(deltaTime) {
+    // Blocks handed out for in-place changes since last frame go back into compact storage
+    // (chunks with none to fold return at once)
+    this.cache.chunks.forEach((chunk) => chunk.compact());
+
     // Stream chunks based on camera/player position
     const player = this.game.components.find((c) => c.constructor.name === 'PlayerManagerSystem');
     if (player) {
       this._ensureChunksLoaded(player.gridX, player.gridY);
+      this._prefetchChunks(player.gridX, player.gridY);
+    }
+
+    // Chase mode: the lava rises once the player is digging
+    if (this.lavaChase && player && player.hasStarted && !player.isDead()) {
+      const previousRow = this.lavaChase.getFloodRow();
+      this.lavaChase.advance(deltaTime);
+      if (this.lavaChase.getFloodRow() < previousRow) {
+        this.cache.chunks.forEach((chunk) => this._floodChunk(chunk, previousRow));
+      }
     }
   }
 
@@ -91,10 +135,12 @@ export class TerrainSystem extends System {
     const minChunkY = 0;
     const maxChunkY = this.worldHeightChunks - 1;
 
-    const startChunkX = Math.floor(worldStartX / (CHUNK_SIZE * TILE_WIDTH));
-    const endChunkX = Math.floor(worldEndX / (CHUNK_SIZE * TILE_WIDTH));
-    const startChunkY = Math.floor((worldStartY - terrainOffsetY) / (CHUNK_SIZE * TILE_HEIGHT));
-    const endChunkY = Math.floor((worldEndY - terrainOffsetY) / (CHUNK_SIZE * TILE_HEIGHT));
+    const chunkWidthPx = this.chunkSize * TILE_WIDTH;
+    const chunkHeightPx = this.chunkSize * TILE_HEIGHT;
+    const startChunkX = Math.floor(worldStartX / chunkWidthPx);
+    const endChunkX = Math.floor(worldEndX / chunkWidthPx);
+    const startChunkY = Math.floor((worldStartY - terrainOffsetY) / chunkHeightPx);
+    const endChunkY = Math.floor((worldEndY - terrainOffsetY) / chunkHeightPx);
 
     const clampedStartX = Math.max(minChunkX, startChunkX);
     const clampedEndX = Math.min(maxChunkX, endChunkX);
@@ -105,14 +151,114 @@ export class TerrainSystem extends System {
       return;
     }
 
-    // Queue visible chunks (bottom to top for proper overlap)
+    const monitor = this.game.performanceMonitor;
+    monitor?.startMark('terrainRender');
+
+    // Visible chunks, bottom to top for proper overlap
+    const chunks = [];
     for (let cy = clampedEndY; cy >= clampedStartY; cy -= 1) {
       for (let cx = clampedStartX; cx <= clampedEndX; cx += 1) {
-        this._renderChunk(renderQueue, cx, cy, digTarget);
+        const chunk = this.cache.getChunk(cx, cy);
+        if (chunk) {
+          chunks.push(chunk);
+        }
       }
     }
 
+    // Static tiles come from each chunk's pre-rendered layers (or are queued one by one
+    // with the cache off); falling and wobbling blocks and the dig target are drawn every frame
+    if (this.chunkLayers.enabled) {
+      this._drawChunkLayers(ctx, chunks);
+    } else {
+      chunks.forEach((chunk) => this._queueChunkTiles(renderQueue, chunk));
+    }
+    chunks.forEach((chunk) => this._queueFallingBlocks(renderQueue, chunk));
+    this._queueDigDarkness(renderQueue, digTarget);
+
     renderQueue.flush(ctx);
+    monitor?.endMark('terrainRender');
+
+    this._drawLavaFront(ctx, viewBounds);
+  }
+
+  /**
+   * Draw the rising lava's front: the part of the row it is filling and a pulsing glow
+   * above it (chase mode only)
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {{left: number, right: number, top: number, bottom: number}} viewBounds
+   * @private
+   */
+  _drawLavaFront(ctx, viewBounds) {
+    if (!this.lavaChase) return;
+
+    const surfacePx = this.lavaChase.surfaceY * TILE_HEIGHT;
+    const floodTopPx = this.lavaChase.getFloodRow() * TILE_HEIGHT;
+    const glowHeight = TILE_HEIGHT * 2;
+    if (surfacePx - glowHeight > viewBounds.bottom || floodTopPx < viewBounds.top) return;
+
+    const worldWidthPx = this.worldWidthTiles * TILE_WIDTH;
+    const pulse = 0.5 + 0.5 * Math.sin(this.lavaChase.elapsedMs / 180);
+
+    ctx.save();
+    ctx.fillStyle = LAVA_FRONT_COLOR;
+    ctx.fillRect(0, surfacePx, worldWidthPx, floodTopPx - surfacePx);
+
+    const glow = ctx.createLinearGradient(0, surfacePx - glowHeight, 0, surfacePx);
+    glow.addColorStop(0, 'rgba(255, 200, 60, 0)');
+    glow.addColorStop(1, LAVA_FRONT_GLOW);
+    ctx.globalAlpha = 0.2 + 0.25 * pulse;
+    ctx.fillStyle = glow;
+    ctx.fillRect(0, surfacePx - glowHeight, worldWidthPx, glowHeight);
+    ctx.restore();
+  }
+
+  /**
+   * Turn a chunk's tiles at or below the chase lava's flood row into lava
+   * @param {TerrainChunk} chunk
+   * @param {number} [untilRow] - Stop above this world row (rows below are already flooded)
+   * @private
+   */
+  _floodChunk(chunk, untilRow = Infinity) {
+    if (!this.lavaChase || !chunk) return;
+
+    const top = chunk.chunkY * chunk.size;
+    const firstRow = Math.max(this.lavaChase.getFloodRow(), top);
+    const endRow = Math.min(untilRow, top + chunk.size, this.worldHeightTiles);
+    let flooded = false;
+
+    for (let worldY = firstRow; worldY < endRow; worldY += 1) {
+      for (let localX = 0; localX < chunk.size; localX += 1) {
+        const localY = worldY - top;
+        const liquid = chunk.getBlock(localX, localY)?.get(LiquidComponent);
+        if (!liquid || liquid.kind !== LIQUID_KIND.LAVA || !liquid.isFull()) {
+          chunk.setBlock(localX, localY, blockPalette.getSharedType('lava'));
+          flooded = true;
+        }
+      }
+    }
+
+    if (flooded) {
+      chunk.markDirty();
+    }
+  }
+
+  /**
+   * Top of the lava: the rising surface in chase mode, otherwise the lava lake
+   * @returns {number} Surface in tile rows (fractional while the chase lava fills a row)
+   */
+  getLavaSurfaceY() {
+    return this.lavaChase ? this.lavaChase.surfaceY : this.world.lavaDepthTiles;
+  }
+
+  /**
+   * Restore a saved chase lava height and flood the loaded chunks up to it
+   * @param {{surfaceY: number, elapsedMs: number}} state - From `LavaChase.toJSON`
+   */
+  restoreLavaChase(state) {
+    if (!this.lavaChase || !state) return;
+
+    this.lavaChase.restore(state);
+    this.cache.chunks.forEach((chunk) => this._floodChunk(chunk));
   }
 
   destroy() {
@@ -121,6 +267,10 @@ export class TerrainSystem extends System {
       this.unsubscribeLevelTransition = null;
     }
     this.cache.clear();
+    if (this.streamer) {
+      this.streamer.destroy();
+      this.streamer = null;
+    }
   }
 
   /**
@@ -130,8 +280,8 @@ export class TerrainSystem extends System {
    * @private
    */
   _ensureChunksLoaded(gridX, gridY) {
-    const chunkX = Math.floor(gridX / CHUNK_SIZE);
-    const chunkY = Math.floor(gridY / CHUNK_SIZE);
+    const chunkX = Math.floor(gridX / this.chunkSize);
+    const chunkY = Math.floor(gridY / this.chunkSize);
     const minChunkX = 0;
     const maxChunkX = this.worldWidthChunks - 1;
     const minChunkY = 0;
@@ -159,6 +309,33 @@ export class TerrainSystem extends System {
     }
   }
 
+  /**
+   * Request the chunks just past the loaded 3x3 in the player's direction of travel, so
+   * they have been generated by the time the player gets there
+   * @param {number} gridX - Player grid X
+   * @param {number} gridY - Player grid Y
+   * @private
+   */
+  _prefetchChunks(gridX, gridY) {
+    const last = this.lastPlayerGrid;
+    if (last && (gridX !== last.x || gridY !== last.y)) {
+      this.travelDirection = { dx: Math.sign(gridX - last.x), dy: Math.sign(gridY - last.y) };
+    }
+    this.lastPlayerGrid = { x: gridX, y: gridY };
+
+    const { dx, dy } = this.travelDirection;
+    const aheadX = Math.floor(gridX / this.chunkSize) + dx * CHUNK_PREFETCH_DISTANCE;
+    const aheadY = Math.floor(gridY / this.chunkSize) + dy * CHUNK_PREFETCH_DISTANCE;
+
+    // The row (or column) of chunks ahead, as wide as the loaded area
+    for (let offset = -1; offset <= 1; offset += 1) {
+      this.cache.requestChunk(
+        aheadX + (dy !== 0 ? offset : 0),
+        aheadY + (dy !== 0 ? 0 : offset),
+      );
+    }
+  }
+
   _spawnMaggotsForChunk(chunk) {
     if (!chunk || !Array.isArray(chunk.maggotSpawns) || chunk.maggotSpawns.length === 0) {
       return;
@@ -192,163 +369,296 @@ export class TerrainSystem extends System {
   }
 
   /**
-   * Queue draw commands for a single chunk.
-   * @param {RenderQueue} renderQueue - Shared render queue instance.
-   * @param {number} chunkX - Chunk X coordinate.
-   * @param {number} chunkY - Chunk Y coordinate.
-   * @param {object|null} digTarget - Active dig target (world coords).
-   * @param {{x: number, y: number, hp: number, maxHp: number} | null} digTarget - Active dig target (world coords).
+   * Blit the pre-rendered layers of visible chunks: every chunk's base layer, then every
+   * chunk's overlay layer (the order the render queue would draw them in)
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {TerrainChunk[]} chunks - Bottom to top
    * @private
    */
-  _renderChunk(renderQueue, chunkX, chunkY, digTarget) {
-    const chunk = this.cache.getChunk(chunkX, chunkY);
-    if (!chunk || !this.spriteSheet) return;
+  _drawChunkLayers(ctx, chunks) {
+    const layers = chunks.map((chunk) => this.chunkLayers.getLayers(
+      chunk,
+      (queue) => this._queueChunkTiles(queue, chunk),
+    ));
+    layers.forEach((entry) => ctx.drawImage(entry.base, entry.x, entry.y));
+    layers.forEach((entry) => ctx.drawImage(entry.overlay, entry.x, entry.y));
+  }
 
-    const worldOffsetX = chunkX * CHUNK_SIZE * TILE_WIDTH;
-    const worldOffsetY = chunkY * CHUNK_SIZE * TILE_HEIGHT;
+  /**
+   * Queue draw commands for a chunk's static tiles (everything but falling and wobbling
+   * blocks).
+   * @param {RenderQueue} renderQueue - Render queue to fill.
+   * @param {TerrainChunk} chunk
+   * @private
+   */
+  _queueChunkTiles(renderQueue, chunk) {
+    const worldOffsetX = chunk.chunkX * this.chunkSize * TILE_WIDTH;
+    const worldOffsetY = chunk.chunkY * this.chunkSize * TILE_HEIGHT;
 
     // Render tiles bottom to top for proper overlap
-    for (let localY = CHUNK_SIZE - 1; localY >= 0; localY -= 1) {
-      for (let localX = 0; localX < CHUNK_SIZE; localX += 1) {
+    for (let localY = this.chunkSize - 1; localY >= 0; localY -= 1) {
+      for (let localX = 0; localX < this.chunkSize; localX += 1) {
         const block = chunk.getBlock(localX, localY);
-        const worldGridX = chunkX * CHUNK_SIZE + localX;
-        const worldGridY = chunkY * CHUNK_SIZE + localY;
-
-        if (!this.isWithinWorld(worldGridX, worldGridY)) {
-          // eslint-disable-next-line no-continue
-          continue;
+        const worldGridX = chunk.chunkX * this.chunkSize + localX;
+        const worldGridY = chunk.chunkY * this.chunkSize + localY;
+
+        const fallable = block.get(FallableComponent);
+        if (this.isWithinWorld(worldGridX, worldGridY)
+          && !fallable?.isFalling && !fallable?.isUnstable) {
+          this._queueTile(
+            renderQueue,
+            block,
+            chunk.getBiomeIndex(localX, localY),
+            worldOffsetX + localX * TILE_WIDTH,
+            worldOffsetY + localY * TILE_HEIGHT,
+          );
         }
+      }
+    }
+  }
 
-        const physics = block.get(PhysicsComponent);
-        const render = block.get(RenderComponent);
-
-        if (!render) continue;
-        const isLava = block.has(LethalComponent);
-        const isDoor = block.type === 'door';
-        if (physics && !physics.isCollidable() && !isLava && !isDoor) continue;
-
-        const baseLayer = render.getBaseLayer();
-        if (!baseLayer) continue;
-
-        const worldTileX = worldOffsetX + localX * TILE_WIDTH;
-        const worldTileY = worldOffsetY + localY * TILE_HEIGHT;
-        const baseDestX = worldTileX + baseLayer.offsetX;
-        const baseDestY = worldTileY + TILE_HEIGHT - baseLayer.height + baseLayer.offsetY;
-        const baseDepth = -(worldTileY + TILE_HEIGHT) + (render.depthOffset ?? 0);
-
-        renderQueue.queueDraw({
-          layer: render.layer ?? RenderLayer.TERRAIN_BASE,
-          depth: baseDepth,
-          spriteX: baseLayer.spriteX,
-          spriteY: baseLayer.spriteY,
-          width: baseLayer.width,
-          height: baseLayer.height,
-          destX: baseDestX,
-          destY: baseDestY,
-          alpha: baseLayer.alpha ?? 1.0,
-        });
-
-        const overlayLayers = render.getOverlayLayers();
-        for (let i = 0; i < overlayLayers.length; i += 1) {
-          const overlay = overlayLayers[i];
-          const overlayDestX = worldTileX + overlay.offsetX;
-          const overlayDestY = worldTileY + TILE_HEIGHT - overlay.height + overlay.offsetY;
-          const overlayDepth = baseDepth
-            + (overlay.depthOffset ?? 0)
-            + (i + 1) * OVERLAY_DEPTH_STEP;
-
-          renderQueue.queueDraw({
-            layer: overlay.layer ?? RenderLayer.TERRAIN_OVERLAY,
-            depth: overlayDepth,
-            spriteX: overlay.spriteX,
-            spriteY: overlay.spriteY,
-            width: overlay.width,
-            height: overlay.height,
-            destX: overlayDestX,
-            destY: overlayDestY,
-            alpha: overlay.alpha ?? 1.0,
-          });
-        }
+  /**
+   * Queue a chunk's falling blocks at their current fall position (a sliding block is
+   * already in the column it slides into), and its unstable blocks shaking in place.
+   * @param {RenderQueue} renderQueue - Shared render queue instance.
+   * @param {TerrainChunk} chunk
+   * @private
+   */
+  _queueFallingBlocks(renderQueue, chunk) {
+    chunk.forEachOwnBlock((block, localX, localY) => {
+      const fallable = block.get(FallableComponent);
+      if (!fallable?.isFalling && !fallable?.isUnstable) {
+        return;
+      }
+      const worldGridY = chunk.chunkY * this.chunkSize + localY;
+      const wobble = fallable.isUnstable
+        ? Math.round(Math.sin((fallable.unstableElapsedMs / WOBBLE_PERIOD_MS) * Math.PI * 2)
+          * WOBBLE_MAX_PX * (0.5 + fallable.getUnstableProgress() / 2))
+        : 0;
+      this._queueTile(
+        renderQueue,
+        block,
+        chunk.getBiomeIndex(localX, localY),
+        (fallable.gridX ?? chunk.chunkX * this.chunkSize + localX) * TILE_WIDTH + wobble,
+        fallable.pixelY ?? worldGridY * TILE_HEIGHT,
+      );
+    });
+  }
 
-        const blockDarken = STATIC_DARKEN_FACTORS[block.type] ?? 0;
-        if (blockDarken > 0) {
-          renderQueue.queueDraw({
-            layer: RenderLayer.TERRAIN_BASE,
-            depth: baseDepth + BASE_DARKEN_EPSILON,
-            destX: baseDestX,
-            destY: baseDestY,
-            width: baseLayer.width,
-            height: baseLayer.height,
-            alpha: 1.0,
-            type: 'fill-rect',
-            fillStyle: `rgba(0, 0, 0, ${blockDarken})`,
-          });
-        }
+  /**
+   * Queue draw commands for one tile: base sprite, overlays, tints and darkness.
+   * @param {RenderQueue} renderQueue - Render queue to fill.
+   * @param {Block} block
+   * @param {number} biomeIndex - Biome the tile was generated in (-1 if unknown).
+   * @param {number} worldTileX - Tile left edge (world px).
+   * @param {number} worldTileY - Tile top edge (world px).
+   * @private
+   */
+  _queueTile(renderQueue, block, biomeIndex, worldTileX, worldTileY) {
+    const physics = block.get(PhysicsComponent);
+    const render = block.get(RenderComponent);
+
+    if (!render) return;
+    // Partly filled liquid cells are drawn by LiquidSystem
+    const liquid = block.get(LiquidComponent);
+    if (liquid && !liquid.isFull()) return;
+    const isLava = block.has(LethalComponent);
+    const isDoor = block.type === 'door';
+    if (physics && !physics.isCollidable() && !isLava && !isDoor) return;
+
+    const baseLayer = render.getBaseLayer();
+    if (!baseLayer) return;
+
+    const baseDestX = worldTileX + baseLayer.offsetX;
+    const baseDestY = worldTileY + TILE_HEIGHT - baseLayer.height + baseLayer.offsetY;
+    const baseDepth = -(worldTileY + TILE_HEIGHT) + (render.depthOffset ?? 0);
+
+    renderQueue.queueDraw({
+      layer: render.layer ?? RenderLayer.TERRAIN_BASE,
+      depth: baseDepth,
+      spriteX: baseLayer.spriteX,
+      spriteY: baseLayer.spriteY,
+      width: baseLayer.width,
+      height: baseLayer.height,
+      destX: baseDestX,
+      destY: baseDestY,
+      alpha: baseLayer.alpha ?? 1.0,
+    });
 
-        const darkness = block.get(DarknessComponent);
-        if (darkness && darkness.alpha > 0) {
-          renderQueue.queueDraw({
-            layer: RenderLayer.TERRAIN_BASE,
-            depth: baseDepth + DARKNESS_EPSILON,
-            destX: worldTileX,
-            destY: worldTileY - TILE_CAP_HEIGHT,
-            width: TILE_WIDTH,
-            height: SPRITE_HEIGHT,
-            alpha: 1.0,
-            type: 'fill-rect',
-            fillStyle: `rgba(0, 0, 0, ${darkness.alpha})`,
-          });
-        }
+    const overlayLayers = render.getOverlayLayers();
+    for (let i = 0; i < overlayLayers.length; i += 1) {
+      const overlay = overlayLayers[i];
+      const overlayDestX = worldTileX + overlay.offsetX;
+      const overlayDestY = worldTileY + TILE_HEIGHT - overlay.height + overlay.offsetY;
+      const overlayDepth = baseDepth
+        + (overlay.depthOffset ?? 0)
+        + (i + 1) * OVERLAY_DEPTH_STEP;
+
+      renderQueue.queueDraw({
+        layer: overlay.layer ?? RenderLayer.TERRAIN_OVERLAY,
+        depth: overlayDepth,
+        spriteX: overlay.spriteX,
+        spriteY: overlay.spriteY,
+        width: overlay.width,
+        height: overlay.height,
+        destX: overlayDestX,
+        destY: overlayDestY,
+        alpha: overlay.alpha ?? 1.0,
+      });
+    }
 
-        let digDarkness = 0;
-        const isDigTarget = digTarget
-          && digTarget.x === worldGridX
-          && digTarget.y === worldGridY;
+    const blockDarken = STATIC_DARKEN_FACTORS[block.type] ?? 0;
+    if (blockDarken > 0) {
+      renderQueue.queueDraw({
+        layer: RenderLayer.TERRAIN_BASE,
+        depth: baseDepth + BASE_DARKEN_EPSILON,
+        destX: baseDestX,
+        destY: baseDestY,
+        width: baseLayer.width,
+        height: baseLayer.height,
+        alpha: 1.0,
+        type: 'fill-rect',
+        fillStyle: `rgba(0, 0, 0, ${blockDarken})`,
+      });
+    }
 
-        if (isDigTarget) {
-          const damagePercent = 1 - (digTarget.hp / digTarget.maxHp);
-          digDarkness = damagePercent * 0.5;
-        }
+    const biome = isLava || isDoor ? null : getBiomeByIndex(biomeIndex);
+    if (biome && biome.tint) {
+      renderQueue.queueDraw({
+        layer: RenderLayer.TERRAIN_BASE,
+        depth: baseDepth + BIOME_TINT_EPSILON,
+        destX: baseDestX,
+        destY: baseDestY,
+        width: baseLayer.width,
+        height: baseLayer.height,
+        alpha: 1.0,
+        type: 'fill-rect',
+        fillStyle: biome.tint,
+      });
+    }
 
-        if (digDarkness > 0) {
-          renderQueue.queueDraw({
-            layer: RenderLayer.TERRAIN_BASE,
-            depth: baseDepth + DIG_EPSILON,
-            destX: worldTileX,
-            destY: worldTileY - TILE_CAP_HEIGHT,
-            width: TILE_WIDTH,
-            height: SPRITE_HEIGHT,
-            alpha: 1.0,
-            type: 'fill-rect',
-            fillStyle: `rgba(0, 0, 0, ${digDarkness})`,
-          });
-        }
-      }
+    if (block.tint) {
+      renderQueue.queueDraw({
+        layer: RenderLayer.TERRAIN_BASE,
+        depth: baseDepth + BLOCK_TINT_EPSILON,
+        destX: baseDestX,
+        destY: baseDestY,
+        width: baseLayer.width,
+        height: baseLayer.height,
+        alpha: 1.0,
+        type: 'fill-rect',
+        fillStyle: block.tint,
+      });
+    }
+
+    const darkness = block.get(DarknessComponent);
+    if (darkness && darkness.alpha > 0) {
+      renderQueue.queueDraw({
+        layer: RenderLayer.TERRAIN_BASE,
+        depth: baseDepth + DARKNESS_EPSILON,
+        destX: worldTileX,
+        destY: worldTileY - TILE_CAP_HEIGHT,
+        width: TILE_WIDTH,
+        height: SPRITE_HEIGHT,
+        alpha: 1.0,
+        type: 'fill-rect',
+        fillStyle: `rgba(0, 0, 0, ${darkness.alpha})`,
+      });
     }
   }
 
   /**
-   * Get block at world grid coordinates
+   * Queue the darkening of the block being dug (deeper as it loses HP).
+   * @param {RenderQueue} renderQueue - Shared render queue instance.
+   * @param {{x: number, y: number, hp: number, maxHp: number} | null} digTarget - Active dig target (world coords).
+   * @private
+   */
+  _queueDigDarkness(renderQueue, digTarget) {
+    if (!digTarget || !this.isWithinWorld(digTarget.x, digTarget.y)) return;
+
+    const digDarkness = (1 - (digTarget.hp / digTarget.maxHp)) * 0.5;
+    if (digDarkness <= 0) return;
+
+    const worldTileX = digTarget.x * TILE_WIDTH;
+    const worldTileY = digTarget.y * TILE_HEIGHT;
+    renderQueue.queueDraw({
+      layer: RenderLayer.TERRAIN_BASE,
+      depth: -(worldTileY + TILE_HEIGHT) + DIG_EPSILON,
+      destX: worldTileX,
+      destY: worldTileY - TILE_CAP_HEIGHT,
+      width: TILE_WIDTH,
+      height: SPRITE_HEIGHT,
+      alpha: 1.0,
+      type: 'fill-rect',
+      fillStyle: `rgba(0, 0, 0, ${digDarkness})`,
+    });
+  }
+
+  /**
+   * Get block at world grid coordinates. Terrain blocks are shared between tiles of the
+   * same kind: use `getBlockForUpdate` to change one in place.
    * @param {number} gridX - World grid x coordinate
    * @param {number} gridY - World grid y coordinate
    * @returns {Block} Block entity
    */
   getBlock(gridX, gridY) {
     if (gridY < 0) {
-      return BlockFactory.createEmpty();
+      return blockPalette.getSharedType('empty');
     }
 
     if (!this.isWithinWorld(gridX, gridY)) {
-      return BlockFactory.createBoundary();
+      return blockPalette.getSharedType('boundary');
     }
 
-    const chunkX = Math.floor(gridX / CHUNK_SIZE);
-    const chunkY = Math.floor(gridY / CHUNK_SIZE);
-    const localX = ((gridX % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
-    const localY = ((gridY % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
+    const size = this.chunkSize;
+    const chunkX = Math.floor(gridX / size);
+    const chunkY = Math.floor(gridY / size);
+    const localX = ((gridX % size) + size) % size;
+    const localY = ((gridY % size) + size) % size;
 
     const chunk = this.cache.getChunk(chunkX, chunkY);
-    return chunk ? chunk.getBlock(localX, localY) : BlockFactory.createEmpty();
+    // A chunk still being generated reads as solid, undiggable rock until it arrives,
+    // so nothing falls into or digs through terrain that does not exist yet
+    return chunk ? chunk.getBlock(localX, localY) : blockPalette.getSharedType('boundary');
+  }
+
+  /**
+   * Get the tile's own block, safe to change in place (HP, falling state, liquid level).
+   * Outside the world or in a chunk that is not loaded this is the shared read-only block.
+   * @param {number} gridX - World grid x coordinate
+   * @param {number} gridY - World grid y coordinate
+   * @returns {Block} Block entity
+   */
+  getBlockForUpdate(gridX, gridY) {
+    if (gridY < 0 || !this.isWithinWorld(gridX, gridY)) {
+      return this.getBlock(gridX, gridY);
+    }
+
+    const size = this.chunkSize;
+    const chunk = this.cache.getChunk(Math.floor(gridX / size), Math.floor(gridY / size));
+    if (!chunk) {
+      return this.getBlock(gridX, gridY);
+    }
+    return chunk.getBlockForUpdate(((gridX % size) + size) % size, ((gridY % size) + size) % size);
+  }
+
+  /**
+   * Get the biome a tile was generated in
+   * @param {number} gridX - World grid x coordinate
+   * @param {number} gridY - World grid y coordinate
+   * @returns {BiomeDefinition|null} Null outside the world
+   */
+  getBiome(gridX, gridY) {
+    if (gridY < 0 || !this.isWithinWorld(gridX, gridY)) {
+      return null;
+    }
+
+    const size = this.chunkSize;
+    const chunk = this.cache.getChunk(Math.floor(gridX / size), Math.floor(gridY / size));
+    const localX = ((gridX % size) + size) % size;
+    const localY = ((gridY % size) + size) % size;
+    const biome = chunk ? getBiomeByIndex(chunk.getBiomeIndex(localX, localY)) : null;
+    return biome || this.generator.getBiomeAt(gridX, gridY);
   }
 
   /**
@@ -362,33 +672,136 @@ export class TerrainSystem extends System {
       return;
     }
 
-    const chunkX = Math.floor(gridX / CHUNK_SIZE);
-    const chunkY = Math.floor(gridY / CHUNK_SIZE);
-    const localX = ((gridX % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
-    const localY = ((gridY % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
+    const size = this.chunkSize;
+    const chunkX = Math.floor(gridX / size);
+    const chunkY = Math.floor(gridY / size);
+    const localX = ((gridX % size) + size) % size;
+    const localY = ((gridY % size) + size) % size;
 
     const chunk = this.cache.getChunk(chunkX, chunkY);
     if (chunk) {
       chunk.setBlock(localX, localY, block);
+      chunk.markDirty();
+    }
+  }
+
+  /**
+   * Flag the chunk containing a block as modified (e.g. after in-place HP changes)
+   * so its state is kept when the chunk is evicted from the cache
+   * @param {number} gridX - World grid x coordinate
+   * @param {number} gridY - World grid y coordinate
+   */
+  markDirty(gridX, gridY) {
+    if (gridY < 0 || !this.isWithinWorld(gridX, gridY)) {
+      return;
+    }
+
+    const chunk = this.cache.getChunk(
+      Math.floor(gridX / this.chunkSize),
+      Math.floor(gridY / this.chunkSize),
+    );
+    if (chunk) {
+      chunk.markDirty();
     }
   }
 
   /**
-   * Update seed and regenerate terrain
-   * @param {number} newSeed
+   * Update seed (and optionally level) and regenerate terrain, then emit `terrain:reseeded`
+   * @param {number|string} newSeed - Numeric seed or seed name (see utils/seed.js)
+   * @param {number} [level] - Level whose difficulty profile to generate with (default: current)
    */
-  setSeed(newSeed) {
-    this.seed = newSeed;
-    this.generator = new TerrainGenerator(this.seed);
-    this.cache = new ChunkCache(this.generator);
+  setSeed(newSeed, level = this.level ?? 1) {
+    const seed = parseSeed(newSeed);
+    if (seed === null) {
+      console.warn(`TerrainSystem: ignoring invalid seed ${newSeed}`);
+      return;
+    }
+
+    if (!this.baseWorld) {
+      this.baseWorld = this.game?.world || new WorldConfig();
+    }
+
+    this.seed = seed;
+    this.seedName = typeof newSeed === 'string' ? normalizeSeedName(newSeed) : null;
+    this.level = level;
+    this.difficulty = getDifficultyProfile(level, this.baseWorld);
+    this.world = this.baseWorld.forDifficulty(this.difficulty);
+    this.generator = new TerrainGenerator(this.seed, this.difficulty, this.world);
+    this.levelSolution = null; // Set once the chunk host has proven the door reachable
+    if (this.diffStore && this.diffStore.chunkSize !== this.world.chunkSize) {
+      this.diffStore = new ChunkDiffStore(this.world.chunkSize);
+    } else if (this.diffStore) {
+      this.diffStore.clear();
+    }
+    if (!this.streamer) {
+      // Workers only in the browser; headless runs generate inline through the same path
+      this.streamer = this.game?.headless ? new ChunkStreamer() : ChunkStreamer.create();
+      this.streamer.onSolution = (solution) => this._applyLevelSolution(solution);
+    }
+    // The chunk host proves the door reachable (carving a route, or moving the door, if
+    // not) before it streams the first chunk, off the main thread where it has a worker
+    this.streamer.setGenerator(this.generator, PlayerManagerSystem.getSpawnPoint(this.world));
+    this.cache = new ChunkCache(this.generator, this.diffStore, this.streamer);
+    this.cache.onChunkLoaded = (chunk) => this._floodChunk(chunk);
+    this.lastPlayerGrid = null;
+    this.travelDirection = { dx: 0, dy: 1 }; // Players mostly dig down
+    if (this.lavaChase) {
+      this.lavaChase.reset(this.world.lavaDepthTiles);
+    }
     this._syncWorldDimensions();
+    eventBus.emit('terrain:reseeded', { seed: this.seed, level: this.level });
+  }
+
+  /**
+   * Take over the door and carved route the chunk host settled on, so saves and a
+   * restarted host see the level that is actually streamed
+   * @param {{reachable: boolean, carved: boolean, doorMoved: boolean, explored: number,
+   *   door: {x: number, y: number}|null, carvedPath: Array<[string, string]>|null}} solution
+   * @private
+   */
+  _applyLevelSolution(solution) {
+    this.generator.doorPosition = solution.door ? { ...solution.door } : null;
+    this.generator.carvedPath = solution.carvedPath ? new Map(solution.carvedPath) : null;
+    this.levelSolution = solution;
+  }
+
+  /**
+   * Replace the run's world (its level 1 dimensions) and regenerate the terrain in it, once
+   * @param {WorldConfig} world
+   * @param {number|string} [seed] - Seed or seed name to generate (default: current)
+   * @param {number} [level] - Level to generate (default: current)
+   */
+  setWorld(world, seed = this.seedName ?? this.seed, level = this.level) {
+    this.baseWorld = world;
+    if (this.game) {
+      this.game.world = world;
+    }
+    this.setSeed(seed, level);
   }
 
+  /**
+   * Copy the current level's dimensions to the system, viewport and listeners
+   * @private
+   */
   _syncWorldDimensions() {
-    this.worldWidthChunks = this.generator?.worldWidthChunks ?? Number.POSITIVE_INFINITY;
-    this.worldHeightChunks = this.generator?.worldHeightChunks ?? Number.POSITIVE_INFINITY;
-    this.worldWidthTiles = this.generator?.worldWidthTiles ?? Number.POSITIVE_INFINITY;
-    this.worldHeightTiles = this.generator?.worldHeightTiles ?? Number.POSITIVE_INFINITY;
+    const previous = this.syncedWorld;
+    const { world } = this;
+
+    this.chunkSize = world.chunkSize;
+    this.worldWidthChunks = world.widthChunks;
+    this.worldHeightChunks = world.heightChunks;
+    this.worldWidthTiles = world.widthTiles;
+    this.worldHeightTiles = world.heightTiles;
+    this.syncedWorld = world;
+
+    // Camera clamps to the viewport's world
+    if (this.game?.viewport) {
+      this.game.viewport.setWorld(world);
+    }
+
+    if (!world.equals(previous)) {
+      eventBus.emit('world:resized', { world });
+    }
   }
 
   _handleLevelTransition(payload = {}) {
@@ -402,12 +815,12 @@ export class TerrainSystem extends System {
       this.game.showOverlay('transition');
     }
 
-    const newSeed = typeof payload.seed === 'number'
-      ? payload.seed
-      : this._generateRandomSeed();
+    const newSeed = typeof payload.seed === 'number' ? payload.seed : this.game.createSeed();
+
+    const nextLevel = Number.isInteger(payload.level) ? payload.level : this.level + 1;
 
     try {
-      this.setSeed(newSeed);
+      this.setSeed(newSeed, nextLevel);
       this._purgeNPCs();
 
       // Support both old PlayerSystem and new PlayerManagerSystem
@@ -423,7 +836,11 @@ export class TerrainSystem extends System {
         this._ensureChunksLoaded(preloadX, preloadY);
       }
 
-      eventBus.emit('level:transition:complete', { seed: newSeed });
+      eventBus.emit('level:transition:complete', {
+        seed: newSeed,
+        level: this.level,
+        difficulty: this.difficulty,
+      });
     } finally {
       if (this.game?.hideOverlay && this.game.overlay?.type === 'transition') {
         this.game.hideOverlay();
@@ -433,16 +850,12 @@ export class TerrainSystem extends System {
     }
   }
 
-  _generateRandomSeed() {
-    const max = 0x7fffffff;
-    let candidate = Math.floor(Math.random() * max);
-    if (!Number.isFinite(candidate)) {
-      candidate = Date.now() % max;
-    }
-    if (candidate === this.seed) {
-      candidate = (candidate + 1) % max;
-    }
-    return candidate;
+  /**
+   * Seed name (when the terrain was seeded with one) or numeric seed, for sharing
+   * @returns {string}
+   */
+  getShareableSeed() {
+    return this.seedName ?? String(this.seed);
   }
 
   _purgeNPCs() {
@@ -457,6 +870,24 @@ export class TerrainSystem extends System {
     }
   }
 
+  /**
+   * Check whether reading a block would not have to generate its chunk.
+   * Cells outside the world (sky, boundary) never need a chunk.
+   * @param {number} gridX - World grid x coordinate
+   * @param {number} gridY - World grid y coordinate
+   * @returns {boolean}
+   */
+  isBlockLoaded(gridX, gridY) {
+    if (gridY < 0 || !this.isWithinWorld(gridX, gridY)) {
+      return true;
+    }
+
+    return Boolean(this.cache && this.cache.hasChunk(
+      Math.floor(gridX / this.chunkSize),
+      Math.floor(gridY / this.chunkSize),
+    ));
+  }
+
   isWithinWorld(gridX, gridY) {
     return gridX >= 0
       && gridX < this.worldWidthTiles
@@ -132,6 +132,7 @@ export class TouchInputSystem extends System {
   _handleTouchStart(event) {
     event.preventDefault();
 
+    if (!this.enabled) return; // Off while a recorded run replays
     if (event.touches.length !== 1) return; // Only handle single touch
 
     const { canvas } = this.game;
@@ -237,6 +238,10 @@ export class TouchInputSystem extends System {
    * @private
    */
   _isMobileDevice() {
+    if (typeof navigator === 'undefined' || typeof window === 'undefined') {
+      return false;
+    }
+
     const isMobileUA = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i
       .test(navigator.userAgent);
     const hasTouchSupport = 'ontouchstart' in window;
@@ -0,0 +1,138 @@
+/**
+ * @file biomes.js
+ * @description Depth-banded biomes (strata) with their own block mix, generation rules and palette
+ */
+
+/**
+ * @typedef {Object} BiomeDefinition
+ * @property {string} id - Stable identifier (stored per tile, shown in debug tools)
+ * @property {string} name - Display name
+ * @property {number} startDepth - Band top as a fraction of the lava depth (0-1)
+ * @property {Array<[string, number]>} blockMix - Filler [block registry id, weight] pairs
+ * @property {[number, number]} mudVariants - Inclusive range of mud sprite variants
+ * @property {number} cavernOffset - Added to the cavern noise threshold (negative = more caverns)
+ * @property {{spawn: number, chest: number, pause: number, maggot: number}} specialOdds -
+ *   Multipliers on special placement chance and on each special type's odds
+ * @property {{kind: string, threshold: number}|null} pockets - Liquid ('water' | 'lava') sealed
+ *   into the mud where the pocket noise exceeds `threshold` (higher = rarer)
+ * @property {string|null} tint - Overlay colour drawn over the band's blocks
+ * @property {string} background - Underground background colour behind the band
+ * @property {string} mapColor - Flat colour for biome maps (batch tool)
+ */
+
+/**
+ * Biomes ordered from the surface down. Bands are sized relative to the lava depth so
+ * every WorldConfig gets all of them.
+ * @type {ReadonlyArray<BiomeDefinition>}
+ */
+export const BIOMES = Object.freeze([
+  {
+    id: 'topsoil',
+    name: 'Topsoil',
+    startDepth: 0,
+    blockMix: [['mud', 1]],
+    mudVariants: [1, 3],
+    cavernOffset: 0.05,
+    specialOdds: {
+      spawn: 0.8, chest: 1, pause: 1, maggot: 0.5,
+    },
+    pockets: null,
+    tint: null,
+    background: '#202020',
+    mapColor: '#A67C52',
+  },
+  {
+    id: 'clay',
+    name: 'Clay',
+    startDepth: 0.25,
+    blockMix: [['mud', 0.8], ['clay', 0.2]],
+    mudVariants: [2, 4],
+    cavernOffset: 0.08, // Dense clay: few caverns
+    specialOdds: {
+      spawn: 1, chest: 1.2, pause: 0.8, maggot: 0.8,
+    },
+    pockets: { kind: 'water', threshold: 0.8 },
+    tint: 'rgba(170, 70, 30, 0.18)',
+    background: '#2A1A14',
+    mapColor: '#B5653A',
+  },
+  {
+    id: 'crystal_caves',
+    name: 'Crystal Caves',
+    startDepth: 0.45,
+    blockMix: [['mud', 0.85], ['sand', 0.15]], // Sand drifts that pour into the caves
+    mudVariants: [1, 3],
+    cavernOffset: -0.1, // Open cave systems
+    specialOdds: {
+      spawn: 1, chest: 1.3, pause: 2, maggot: 1,
+    },
+    pockets: { kind: 'water', threshold: 0.62 },
+    tint: 'rgba(60, 140, 200, 0.2)',
+    background: '#14202A',
+    mapColor: '#4F8FB8',
+  },
+  {
+    id: 'basalt',
+    name: 'Basalt',
+    startDepth: 0.65,
+    blockMix: [['mud', 0.65], ['gravel', 0.1], ['basalt', 0.25]],
+    mudVariants: [3, 5],
+    cavernOffset: 0,
+    specialOdds: {
+      spawn: 1.2, chest: 0.8, pause: 1, maggot: 1.2,
+    },
+    pockets: null,
+    tint: 'rgba(30, 30, 45, 0.25)',
+    background: '#16161C',
+    mapColor: '#4A4A58',
+  },
+  {
+    id: 'magma_rim',
+    name: 'Magma Rim',
+    startDepth: 0.85,
+    blockMix: [['mud', 0.6], ['basalt', 0.4]],
+    mudVariants: [4, 5],
+    cavernOffset: 0.05,
+    specialOdds: {
+      spawn: 1.3, chest: 0.6, pause: 0.5, maggot: 1.5,
+    },
+    pockets: { kind: 'lava', threshold: 0.64 },
+    tint: 'rgba(220, 60, 0, 0.22)',
+    background: '#2E0E06',
+    mapColor: '#C8431A',
+  },
+].map((biome) => Object.freeze(biome)));
+
+/**
+ * Look up a biome by its index in BIOMES (the value stored per tile in chunks)
+ * @param {number} index
+ * @returns {BiomeDefinition|null}
+ */
+export function getBiomeByIndex(index) {
+  return BIOMES[index] || null;
+}
+
+/**
+ * Look up a biome by id
+ * @param {string} id
+ * @returns {BiomeDefinition|null}
+ */
+export function getBiome(id) {
+  return BIOMES.find((biome) => biome.id === id) || null;
+}
+
+/**
+ * Pick a filler block id from a biome's weighted block mix
+ * @param {BiomeDefinition} biome
+ * @param {number} roll - Value in [0, 1)
+ * @returns {string} Block registry id
+ */
+export function pickBiomeBlock(biome, roll) {
+  const total = biome.blockMix.reduce((sum, [, weight]) => sum + weight, 0);
+  let threshold = roll * total;
+  const entry = biome.blockMix.find(([, weight]) => {
+    threshold -= weight;
+    return threshold < 0;
+  });
+  return entry ? entry[0] : biome.blockMix[biome.blockMix.length - 1][0];
+}
@@ -0,0 +1,124 @@
+/**
+ * @file block-palette.js
+ * @description Shared flyweight blocks for compact chunk storage: block kinds by id, one
+ * frozen Block per (kind, hit points)
+ */
+
+import { BlockFactory } from '../factories/block.factory.js';
+import { DoorComponent } from '../components/block/door.component.js';
+import { FallableComponent } from '../components/block/fallable.component.js';
+
+// Kinds are stored in Uint16Array tiles; past this many, new kinds keep their own Block
+const PALETTE_LIMIT = 0xffff;
+
+/**
+ * BlockPalette
+ * A kind is everything `BlockFactory.describe` reports about a block except its current
+ * hit points (type, variant, darkness, liquid level, ...). Chunks store a kind id and the
+ * hit points per tile; `getShared` turns them back into a Block that every tile of that
+ * kind and HP shares.
+ *
+ * Shared blocks are frozen, so changing one in place throws instead of silently changing
+ * every tile of its kind. Code that changes a terrain block in place must ask for the
+ * tile's own instance (TerrainSystem.getBlockForUpdate).
+ */
+export class BlockPalette {
+  constructor() {
+    this.kinds = []; // Descriptors without `hp`, indexed by kind id
+    this.ids = new Map(); // Map<string, number> descriptor signature → kind id
+    this.shared = []; // Per kind id: Map<hp, Block>
+    this.sharedEntries = new WeakMap(); // Block → {id, hp} for blocks handed out here
+    this.sharedTypes = new Map(); // Map<type, Block> for `getSharedType`
+  }
+
+  /**
+   * Kind id and hit points for a block, or null when the block has to keep its own
+   * instance: a fall (or the wobble before one) in progress, a door, chest loot, or HP a
+   * Uint16Array cannot hold
+   * @param {Block} block
+   * @returns {{id: number, hp: number}|null}
+   */
+  encode(block) {
+    const entry = this.sharedEntries.get(block);
+    if (entry) {
+      return entry;
+    }
+    const fallable = block.get(FallableComponent);
+    if (fallable?.isFalling || fallable?.isUnstable || block.has(DoorComponent)) {
+      return null;
+    }
+    return this.encodeDescriptor(BlockFactory.describe(block));
+  }
+
+  /**
+   * Kind id and hit points for a block descriptor (see `encode`)
+   * @param {Object} descriptor - From `BlockFactory.describe`
+   * @returns {{id: number, hp: number}|null}
+   */
+  encodeDescriptor(descriptor) {
+    const { hp = 0, ...kind } = descriptor;
+    if (kind.loot || kind.type === 'door' || !Number.isInteger(hp) || hp < 0 || hp > 0xffff) {
+      return null;
+    }
+
+    const signature = JSON.stringify(kind);
+    let id = this.ids.get(signature);
+    if (id === undefined) {
+      if (this.kinds.length >= PALETTE_LIMIT) {
+        return null;
+      }
+      id = this.kinds.length;
+      this.kinds.push(kind);
+      this.shared.push(new Map());
+      this.ids.set(signature, id);
+    }
+    return { id, hp };
+  }
+
+  /**
+   * Shared, frozen block of a kind
+   * @param {number} id - Kind id
+   * @param {number} [hp] - Current hit points (ignored by kinds without health)
+   * @returns {Block}
+   */
+  getShared(id, hp = 0) {
+    const byHp = this.shared[id];
+    let block = byHp.get(hp);
+    if (!block) {
+      block = this.create(id, hp);
+      block.getAllComponents().forEach((component) => Object.freeze(component));
+      Object.freeze(block);
+      byHp.set(hp, block);
+      this.sharedEntries.set(block, { id, hp });
+    }
+    return block;
+  }
+
+  /**
+   * New block of a kind that the caller owns (free to change)
+   * @param {number} id - Kind id
+   * @param {number} [hp] - Current hit points
+   * @returns {Block}
+   */
+  create(id, hp = 0) {
+    const kind = this.kinds[id];
+    return BlockFactory.fromDescriptor(hp > 0 ? { ...kind, hp } : kind);
+  }
+
+  /**
+   * Shared block of a plain registry type (e.g. 'empty', 'boundary')
+   * @param {string} type
+   * @returns {Block}
+   */
+  getSharedType(type) {
+    let block = this.sharedTypes.get(type);
+    if (!block) {
+      block = this.getShared(this.encodeDescriptor({ type }).id);
+      this.sharedTypes.set(type, block);
+    }
+    return block;
+  }
+}
+
+// One palette for the whole game: kind ids are valid across chunks and levels
+export const blockPalette = new BlockPalette();
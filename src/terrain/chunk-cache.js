@@ -4,27 +4,86 @@
  */
 
 import { CHUNK_CACHE_LIMIT } from '../utils/config.js';
+import { TerrainChunk } from './terrain-chunk.js';
+
+/**
+ * Check whether the Performance API can record marks
+ * @returns {boolean}
+ */
+function canMeasure() {
+  return typeof performance !== 'undefined' && Boolean(performance.mark);
+}
+
+/**
+ * Start a performance measure (ended by `endMeasure`)
+ * @param {string} name - Measure name (read by PerformanceMonitor)
+ */
+function startMeasure(name) {
+  if (canMeasure()) {
+    performance.mark(`${name}-start`);
+  }
+}
+
+/**
+ * End a performance measure started with `startMeasure`
+ * @param {string} name
+ */
+function endMeasure(name) {
+  if (!canMeasure()) {
+    return;
+  }
+  performance.mark(`${name}-end`);
+  try {
+    performance.measure(name, `${name}-start`, `${name}-end`);
+  } catch (e) {
+    // Ignore if marks don't exist
+  }
+}
+
+/**
+ * Check whether a chunk owns a maggot that is currently alive
+ * @param {TerrainChunk} chunk
+ * @returns {boolean}
+ */
+function hasActiveSpawn(chunk) {
+  return Array.isArray(chunk.maggotSpawns)
+    && chunk.maggotSpawns.some((spawn) => spawn && spawn.active);
+}
 
 /**
  * ChunkCache
- * Manages chunk loading, caching, and memory limits
+ * Manages chunk loading, caching, and memory limits. Chunks come straight from the
+ * generator, or with a ChunkStreamer as serialized data hydrated into Block entities.
  */
 export class ChunkCache {
-  constructor(generator) {
+  /**
+   * @param {TerrainGenerator} generator - Chunk generator
+   * @param {ChunkDiffStore} [diffStore] - Keeps modified chunks alive across evictions
+   * @param {ChunkStreamer} [streamer] - Generates chunks (possibly off the main thread)
+   *   instead of calling the generator directly
+   */
+  constructor(generator, diffStore = null, streamer = null) {
     this.generator = generator;
+    this.diffStore = diffStore;
+    this.streamer = streamer;
     this.chunks = new Map(); // Map<string, TerrainChunk>
     this.accessTimes = new Map(); // Map<string, number> for LRU
+    // Monotonic access counter: wall-clock times tie when many ticks run within one
+    // millisecond (headless stepping), which would evict chunks that are in use
+    this.accessCounter = 0;
+    this.baselines = new Map(); // Map<string, string[]> generated tile signatures
+    this.onChunkLoaded = null; // Optional (chunk) => void, run once a chunk is loaded
   }
 
   /**
-   * Get or generate a chunk
+   * Get or generate a chunk. With a streamer, a chunk that has not arrived yet is
+   * requested and null is returned until it has.
    * @param {number} chunkX - Chunk X coordinate
    * @param {number} chunkY - Chunk Y coordinate
-   * @returns {TerrainChunk}
+   * @returns {TerrainChunk|null}
    */
   getChunk(chunkX, chunkY) {
-    if (this.generator.isChunkWithinBounds
-      && !this.generator.isChunkWithinBounds(chunkX, chunkY)) {
+    if (!this._isWithinBounds(chunkX, chunkY)) {
       return null;
     }
 
@@ -32,37 +91,124 @@ export class ChunkCache {
 
     // Return cached chunk
     if (this.chunks.has(key)) {
-      this.accessTimes.set(key, Date.now());
+      this._touch(key);
       return this.chunks.get(key);
     }
 
-    // Generate new chunk (with performance tracking)
-    let chunk = null;
-    if (typeof performance !== 'undefined' && performance.mark) {
-      performance.mark('chunkGen-start');
+    if (this.streamer) {
+      this.streamer.request(chunkX, chunkY, (data) => this._hydrate(data));
+      return this.chunks.get(key) ?? null; // Already there if the streamer runs inline
     }
-    chunk = this.generator.generateChunk(chunkX, chunkY);
+
+    // Generate new chunk (with performance tracking)
+    startMeasure('chunkGen');
+    const chunk = this.generator.generateChunk(chunkX, chunkY);
     if (!chunk) {
       return null;
     }
-    if (typeof performance !== 'undefined' && performance.mark) {
-      performance.mark('chunkGen-end');
-      try {
-        performance.measure('chunkGen', 'chunkGen-start', 'chunkGen-end');
-      } catch (e) {
-        // Ignore if marks don't exist
+    endMeasure('chunkGen');
+
+    this._store(key, chunk);
+    return chunk;
+  }
+
+  /**
+   * Load a chunk ahead of time (no-op when it is cached or already requested)
+   * @param {number} chunkX - Chunk X coordinate
+   * @param {number} chunkY - Chunk Y coordinate
+   */
+  requestChunk(chunkX, chunkY) {
+    this.getChunk(chunkX, chunkY);
+  }
+
+  /**
+   * Check whether a requested chunk is still being generated
+   * @param {number} chunkX - Chunk X coordinate
+   * @param {number} chunkY - Chunk Y coordinate
+   * @returns {boolean}
+   */
+  isPending(chunkX, chunkY) {
+    return Boolean(this.streamer && this.streamer.isPending(chunkX, chunkY));
+  }
+
+  /**
+   * Turn a streamed chunk into Block entities and cache it. The measured time is the
+   * main-thread cost of the chunk (all of it when generating inline).
+   * @param {Object|null} data - `TerrainChunk.serialize` output
+   * @private
+   */
+  _hydrate(data) {
+    if (!data) {
+      return;
+    }
+
+    const key = `${data.chunkX},${data.chunkY}`;
+    if (this.chunks.has(key)) {
+      return;
+    }
+
+    startMeasure('chunkGen');
+    const chunk = TerrainChunk.deserialize(data);
+    endMeasure('chunkGen');
+    this._store(key, chunk);
+  }
+
+  /**
+   * Cache a freshly generated chunk: replay its recorded diffs, notify and evict
+   * @param {string} key - Chunk key
+   * @param {TerrainChunk} chunk
+   * @private
+   */
+  _store(key, chunk) {
+    if (this.diffStore) {
+      this.baselines.set(key, this.diffStore.captureBaseline(chunk));
+      if (this.diffStore.apply(chunk)) {
+        chunk.markDirty();
       }
     }
 
     this.chunks.set(key, chunk);
-    this.accessTimes.set(key, Date.now());
+    this._touch(key);
+
+    if (this.onChunkLoaded) {
+      this.onChunkLoaded(chunk);
+    }
 
     // Enforce cache limit (LRU eviction)
     if (this.chunks.size > CHUNK_CACHE_LIMIT) {
       this._evictOldest();
     }
+  }
 
-    return chunk;
+  /**
+   * @param {number} chunkX
+   * @param {number} chunkY
+   * @returns {boolean}
+   * @private
+   */
+  _isWithinBounds(chunkX, chunkY) {
+    return !this.generator.isChunkWithinBounds
+      || this.generator.isChunkWithinBounds(chunkX, chunkY);
+  }
+
+  /**
+   * Mark a chunk as most recently used
+   * @param {string} key - Chunk key
+   * @private
+   */
+  _touch(key) {
+    this.accessCounter += 1;
+    this.accessTimes.set(key, this.accessCounter);
+  }
+
+  /**
+   * Check whether a chunk is currently cached (never generates it)
+   * @param {number} chunkX - Chunk X coordinate
+   * @param {number} chunkY - Chunk Y coordinate
+   * @returns {boolean}
+   */
+  hasChunk(chunkX, chunkY) {
+    return this.chunks.has(`${chunkX},${chunkY}`);
   }
 
   /**
@@ -81,16 +227,59 @@ export class ChunkCache {
     });
 
     if (oldestKey) {
+      const chunk = this.chunks.get(oldestKey);
       this.chunks.delete(oldestKey);
       this.accessTimes.delete(oldestKey);
+      this._releaseChunk(oldestKey, chunk);
+    }
+  }
+
+  /**
+   * Store the diff of an evicted chunk and drop the generator's copy so the
+   * chunk is regenerated from the seed on its next access
+   * @param {string} key - Chunk key
+   * @param {TerrainChunk} chunk - Evicted chunk
+   * @private
+   */
+  _releaseChunk(key, chunk) {
+    const baseline = this.baselines.get(key);
+    this.baselines.delete(key);
+
+    if (!this.diffStore || !chunk) {
+      return;
+    }
+
+    if (chunk.dirty || hasActiveSpawn(chunk)) {
+      this.diffStore.record(chunk, baseline);
+    }
+
+    if (this.generator.releaseChunk) {
+      this.generator.releaseChunk(chunk.chunkX, chunk.chunkY);
     }
   }
 
+  /**
+   * Record diffs for every modified chunk still in the cache (e.g. before saving).
+   * Cached chunks stay loaded.
+   */
+  flushToDiffStore() {
+    if (!this.diffStore) {
+      return;
+    }
+
+    this.chunks.forEach((chunk, key) => {
+      if (chunk.dirty || hasActiveSpawn(chunk)) {
+        this.diffStore.record(chunk, this.baselines.get(key));
+      }
+    });
+  }
+
   /**
    * Clear all cached chunks
    */
   clear() {
     this.chunks.clear();
     this.accessTimes.clear();
+    this.baselines.clear();
   }
 }
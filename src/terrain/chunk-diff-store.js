@@ -0,0 +1,202 @@
+/**
+ * @file chunk-diff-store.js
+ * @description Persists player-made chunk changes across ChunkCache evictions
+ */
+
+import { CHUNK_SIZE } from '../utils/config.js';
+import { BlockFactory } from '../factories/block.factory.js';
+
+/**
+ * Build a comparable signature for a block descriptor.
+ * @param {Object} descriptor
+ * @returns {string}
+ */
+function toSignature(descriptor) {
+  return JSON.stringify(descriptor);
+}
+
+/**
+ * ChunkDiffStore
+ * Records the tiles of an evicted chunk that differ from its generated baseline
+ * and replays them when the chunk is generated again from the seed.
+ */
+export class ChunkDiffStore {
+  /**
+   * @param {number} [chunkSize] - Tiles per chunk side (WorldConfig.chunkSize)
+   */
+  constructor(chunkSize = CHUNK_SIZE) {
+    this.chunkSize = chunkSize;
+    this.diffs = new Map(); // Map<string, { tiles: Map<number, Object>, maggotSpawns }>
+  }
+
+  /**
+   * Capture the generated baseline of a freshly generated chunk.
+   * Must be called before any diff is replayed onto the chunk.
+   * @param {TerrainChunk} chunk
+   * @returns {string[]} Tile signatures indexed by `localY * chunkSize + localX`
+   */
+  captureBaseline(chunk) {
+    const size = this.chunkSize;
+    const baseline = new Array(size * size);
+    for (let y = 0; y < size; y += 1) {
+      for (let x = 0; x < size; x += 1) {
+        baseline[y * size + x] = toSignature(BlockFactory.describe(chunk.getBlock(x, y)));
+      }
+    }
+    return baseline;
+  }
+
+  /**
+   * Record the differences between a chunk and its generated baseline.
+   * Replaces any diff previously stored for the chunk.
+   * @param {TerrainChunk} chunk
+   * @param {string[]} baseline - Signatures from `captureBaseline`
+   */
+  record(chunk, baseline) {
+    const key = chunk.getKey();
+    const tiles = new Map();
+
+    for (let y = 0; y < this.chunkSize; y += 1) {
+      for (let x = 0; x < this.chunkSize; x += 1) {
+        const index = y * this.chunkSize + x;
+        const descriptor = BlockFactory.describe(chunk.getBlock(x, y));
+        if (!baseline || toSignature(descriptor) !== baseline[index]) {
+          tiles.set(index, descriptor);
+        }
+      }
+    }
+
+    // Keep spawn records alive while their maggot is active so regeneration
+    // does not spawn a duplicate of an NPC that is still roaming.
+    const spawns = Array.isArray(chunk.maggotSpawns) ? chunk.maggotSpawns : [];
+    const maggotSpawns = spawns.some((spawn) => spawn && spawn.active) ? spawns : null;
+
+    if (tiles.size === 0 && !maggotSpawns) {
+      this.diffs.delete(key);
+      return;
+    }
+
+    this.diffs.set(key, { tiles, maggotSpawns });
+  }
+
+  /**
+   * Replay the stored diff (if any) onto a regenerated chunk.
+   * @param {TerrainChunk} chunk
+   * @returns {boolean} True if a diff was applied
+   */
+  apply(chunk) {
+    const diff = this.diffs.get(chunk.getKey());
+    if (!diff) {
+      return false;
+    }
+
+    diff.tiles.forEach((descriptor, index) => {
+      const localX = index % this.chunkSize;
+      const localY = Math.floor(index / this.chunkSize);
+      chunk.setBlock(localX, localY, BlockFactory.fromDescriptor(descriptor));
+    });
+
+    if (diff.maggotSpawns) {
+      chunk.maggotSpawns = diff.maggotSpawns;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check whether a diff is stored for a chunk
+   * @param {number} chunkX
+   * @param {number} chunkY
+   * @returns {boolean}
+   */
+  has(chunkX, chunkY) {
+    return this.diffs.has(`${chunkX},${chunkY}`);
+  }
+
+  /**
+   * Get the stored tile descriptors for a chunk (for inspection)
+   * @param {number} chunkX
+   * @param {number} chunkY
+   * @returns {Array<{localX: number, localY: number, descriptor: Object}>}
+   */
+  getTiles(chunkX, chunkY) {
+    const diff = this.diffs.get(`${chunkX},${chunkY}`);
+    if (!diff) {
+      return [];
+    }
+
+    return Array.from(diff.tiles.entries()).map(([index, descriptor]) => ({
+      localX: index % this.chunkSize,
+      localY: Math.floor(index / this.chunkSize),
+      descriptor,
+    }));
+  }
+
+  /**
+   * Summarize store contents
+   * @returns {{chunks: number, tiles: number}}
+   */
+  getStats() {
+    let tiles = 0;
+    this.diffs.forEach((diff) => {
+      tiles += diff.tiles.size;
+    });
+    return { chunks: this.diffs.size, tiles };
+  }
+
+  /**
+   * Serialize all diffs to plain JSON-safe data
+   * @returns {Array<{chunkX: number, chunkY: number, tiles: Array, maggotSpawns: Array|null}>}
+   */
+  serialize() {
+    const entries = [];
+    this.diffs.forEach((diff, key) => {
+      const [chunkX, chunkY] = key.split(',').map(Number);
+      entries.push({
+        chunkX,
+        chunkY,
+        tiles: Array.from(diff.tiles.entries()).map(([index, block]) => ({ index, block })),
+        maggotSpawns: diff.maggotSpawns
+          ? diff.maggotSpawns.map(({ npc: _npc, ...spawn }) => spawn)
+          : null,
+      });
+    });
+    return entries;
+  }
+
+  /**
+   * Replace store contents with serialized diffs.
+   * Saved maggots are marked inactive so they respawn where they were left.
+   * @param {Array} entries - Output of `serialize`
+   */
+  deserialize(entries = []) {
+    this.diffs.clear();
+
+    entries.forEach((entry) => {
+      if (!entry || !Number.isFinite(entry.chunkX) || !Number.isFinite(entry.chunkY)) {
+        return;
+      }
+
+      const tiles = new Map();
+      const tileCount = this.chunkSize * this.chunkSize;
+      (entry.tiles || []).forEach(({ index, block }) => {
+        if (Number.isInteger(index) && index >= 0 && index < tileCount && block) {
+          tiles.set(index, block);
+        }
+      });
+
+      const maggotSpawns = Array.isArray(entry.maggotSpawns)
+        ? entry.maggotSpawns.map((spawn) => ({ ...spawn, active: false, npc: null }))
+        : null;
+
+      this.diffs.set(`${entry.chunkX},${entry.chunkY}`, { tiles, maggotSpawns });
+    });
+  }
+
+  /**
+   * Drop all stored diffs (e.g. when the seed changes)
+   */
+  clear() {
+    this.diffs.clear();
+  }
+}
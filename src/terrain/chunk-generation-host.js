@@ -0,0 +1,124 @@
+/**
+ * @file chunk-generation-host.js
+ * @description Generator side of chunk streaming: rebuilds a level's TerrainGenerator from
+ * plain data and answers chunk requests with serialized chunks
+ */
+
+import { TerrainGenerator } from './terrain-generator.js';
+import { WorldConfig } from '../utils/world-config.js';
+
+/**
+ * Plain-data description of a level's generator (structured-clone safe, so it can be
+ * posted to the chunk worker)
+ * @param {TerrainGenerator} generator
+ * @returns {{seed: number, difficulty: DifficultyProfile, world: Object,
+ *   door: {x: number, y: number}|null, carvedPath: Array<[string, string]>|null}}
+ */
+export function describeGenerator(generator) {
+  const door = generator.getDoorPosition();
+  return {
+    seed: generator.seed,
+    difficulty: { ...generator.difficulty },
+    world: generator.world.toJSON(),
+    door: door ? { x: door.x, y: door.y } : null,
+    carvedPath: generator.carvedPath ? [...generator.carvedPath] : null,
+  };
+}
+
+/**
+ * Build a generator that produces the same chunks as the one `describeGenerator` read
+ * @param {Object} config - From `describeGenerator`
+ * @returns {TerrainGenerator}
+ */
+export function createGenerator(config) {
+  const generator = new TerrainGenerator(
+    config.seed,
+    config.difficulty,
+    new WorldConfig(config.world),
+  );
+  // The door may have been restored from a save, and the carved route comes from
+  // ensureSolvable: neither can be recomputed here without solving the level again
+  generator.doorPosition = config.door ? { ...config.door } : null;
+  generator.carvedPath = config.carvedPath ? new Map(config.carvedPath) : null;
+  return generator;
+}
+
+/**
+ * ChunkGenerationHost
+ * Runs inside the chunk worker (see chunk-worker.js), or inline on the main thread when
+ * workers are unavailable (headless runs, tests). Messages:
+ * - `{type: 'configure', generation, config}` switches to a new level's generator. With
+ *   `config.solveFrom` (the spawn tile) it first makes the level solvable
+ *   (`TerrainGenerator.ensureSolvable`) and replies `{type: 'solution', generation,
+ *   solution}`: the solver result with the final door and carved route, for the main
+ *   thread's generator
+ * - `{type: 'generate', generation, chunkX, chunkY}` replies
+ *   `{type: 'chunk', generation, chunkX, chunkY, chunk}` with `TerrainChunk.serialize`
+ *   output (null outside the world)
+ */
+export class ChunkGenerationHost {
+  constructor() {
+    this.generator = null;
+    this.generation = null;
+  }
+
+  /**
+   * @param {Object} message
+   * @returns {Object|null} Reply to post back, if any
+   */
+  handleMessage(message) {
+    switch (message?.type) {
+      case 'configure':
+        this.generator = createGenerator(message.config);
+        this.generation = message.generation;
+        return message.config.solveFrom ? this._solve(message.config.solveFrom) : null;
+      case 'generate':
+        return this._generate(message);
+      default:
+        console.warn(`ChunkGenerationHost: unknown message type ${message?.type}`);
+        return null;
+    }
+  }
+
+  /**
+   * @param {{gridX: number, gridY: number}} spawn
+   * @returns {Object} Solution reply
+   * @private
+   */
+  _solve(spawn) {
+    const {
+      reachable, explored, carved, doorMoved,
+    } = this.generator.ensureSolvable(spawn);
+    const { door, carvedPath } = describeGenerator(this.generator);
+    return {
+      type: 'solution',
+      generation: this.generation,
+      solution: {
+        reachable, explored, carved, doorMoved, door, carvedPath,
+      },
+    };
+  }
+
+  /**
+   * @param {{generation: number, chunkX: number, chunkY: number}} request
+   * @returns {Object} Chunk reply
+   * @private
+   */
+  _generate({ generation, chunkX, chunkY }) {
+    const reply = {
+      type: 'chunk', generation, chunkX, chunkY, chunk: null,
+    };
+    // Requests for a level that has since been replaced are answered empty
+    if (!this.generator || generation !== this.generation) {
+      return reply;
+    }
+
+    const chunk = this.generator.generateChunk(chunkX, chunkY);
+    if (chunk) {
+      reply.chunk = chunk.serialize();
+      // The receiver owns the chunk from here; regenerate it if it is asked for again
+      this.generator.releaseChunk(chunkX, chunkY);
+    }
+    return reply;
+  }
+}
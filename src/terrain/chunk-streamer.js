@@ -0,0 +1,189 @@
+/**
+ * @file chunk-streamer.js
+ * @description Main-thread side of chunk streaming: requests chunks from the chunk worker
+ * (or an inline ChunkGenerationHost) and hands back serialized chunks
+ */
+
+import { ChunkGenerationHost, describeGenerator } from './chunk-generation-host.js';
+
+/**
+ * ChunkStreamer
+ * Talks to a ChunkGenerationHost through the worker message protocol. With a Worker,
+ * replies arrive asynchronously; without one the host runs inline and every request is
+ * answered before `request` returns, so headless runs and tests go through the same
+ * serialize/hydrate path synchronously.
+ */
+export class ChunkStreamer {
+  /**
+   * @param {Worker|null} [worker] - Worker running chunk-worker.js (null: generate inline)
+   */
+  constructor(worker = null) {
+    this.worker = null;
+    this.host = null;
+    this.generator = null;
+    this.generation = 0; // Bumped per level so late replies for the old one are dropped
+    this.configured = false;
+    this.solveFrom = null; // Spawn tile the host proves the level solvable from
+    this.onSolution = null; // (solution) => void, see ChunkGenerationHost
+    this.pending = new Map(); // Map<"x,y", (data) => void>
+
+    if (worker) {
+      this.worker = worker;
+      this.worker.onmessage = (event) => this._receive(event.data);
+      this.worker.onerror = (event) => {
+        console.warn('ChunkStreamer: chunk worker failed, generating on the main thread', event);
+        this._fallBackToInline();
+      };
+    } else {
+      this.host = new ChunkGenerationHost();
+    }
+  }
+
+  /**
+   * Start a streamer backed by a module worker when the environment has one
+   * @returns {ChunkStreamer}
+   */
+  static create() {
+    if (typeof Worker === 'undefined') {
+      return new ChunkStreamer();
+    }
+
+    try {
+      const url = new URL('./chunk-worker.js', import.meta.url);
+      return new ChunkStreamer(new Worker(url, { type: 'module' }));
+    } catch (error) {
+      console.warn('ChunkStreamer: no chunk worker, generating on the main thread', error);
+      return new ChunkStreamer();
+    }
+  }
+
+  /**
+   * @returns {boolean} True when chunks arrive after `request` returns
+   */
+  isAsync() {
+    return Boolean(this.worker);
+  }
+
+  /**
+   * Switch to a new level's generator. Outstanding requests are dropped; the host is
+   * configured with the generator's state on the next request (after a save restore
+   * has set the door).
+   * @param {TerrainGenerator} generator
+   * @param {{gridX: number, gridY: number}|null} [solveFrom] - Spawn tile: the host makes
+   *   the level solvable from it before generating any chunk, and `onSolution` receives
+   *   the result
+   */
+  setGenerator(generator, solveFrom = null) {
+    this.generator = generator;
+    this.generation += 1;
+    this.configured = false;
+    this.solveFrom = solveFrom;
+    this.pending.clear();
+  }
+
+  /**
+   * Ask for a chunk. Repeated requests while one is outstanding are ignored.
+   * @param {number} chunkX
+   * @param {number} chunkY
+   * @param {Function} onReady - Receives the serialized chunk (null outside the world)
+   */
+  request(chunkX, chunkY, onReady) {
+    const key = `${chunkX},${chunkY}`;
+    if (!this.generator || this.pending.has(key)) {
+      return;
+    }
+
+    this.pending.set(key, onReady);
+    if (!this.configured) {
+      this.configured = true;
+      this._post({
+        type: 'configure',
+        generation: this.generation,
+        config: { ...describeGenerator(this.generator), solveFrom: this.solveFrom },
+      });
+    }
+    this._post({
+      type: 'generate', generation: this.generation, chunkX, chunkY,
+    });
+  }
+
+  /**
+   * @param {number} chunkX
+   * @param {number} chunkY
+   * @returns {boolean} True while a requested chunk has not arrived
+   */
+  isPending(chunkX, chunkY) {
+    return this.pending.has(`${chunkX},${chunkY}`);
+  }
+
+  /**
+   * Stop the worker and drop outstanding requests
+   */
+  destroy() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * @param {Object} message
+   * @private
+   */
+  _post(message) {
+    if (this.worker) {
+      this.worker.postMessage(message);
+      return;
+    }
+
+    const reply = this.host.handleMessage(message);
+    if (reply) {
+      this._receive(reply);
+    }
+  }
+
+  /**
+   * @param {{type: string, generation: number}} reply - Chunk or solution reply
+   * @private
+   */
+  _receive(reply) {
+    if (reply.generation !== this.generation) {
+      return;
+    }
+
+    if (reply.type === 'solution') {
+      this.solveFrom = null; // Solved: a restarted host gets the carved level as it is
+      this.onSolution?.(reply.solution);
+      return;
+    }
+
+    const key = `${reply.chunkX},${reply.chunkY}`;
+    const onReady = this.pending.get(key);
+    if (!onReady) {
+      return;
+    }
+    this.pending.delete(key);
+    onReady(reply.chunk);
+  }
+
+  /**
+   * Replace a broken worker with an inline host and resend what was outstanding
+   * @private
+   */
+  _fallBackToInline() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.host = new ChunkGenerationHost();
+    this.configured = false;
+
+    const outstanding = [...this.pending];
+    this.pending.clear();
+    outstanding.forEach(([key, onReady]) => {
+      const [chunkX, chunkY] = key.split(',').map(Number);
+      this.request(chunkX, chunkY, onReady);
+    });
+  }
+}
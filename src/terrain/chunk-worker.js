@@ -0,0 +1,19 @@
+/**
+ * @file chunk-worker.js
+ * @description Web Worker entry point that generates terrain chunks off the main thread
+ * (started by ChunkStreamer)
+ */
+
+import { ChunkGenerationHost } from './chunk-generation-host.js';
+
+const host = new ChunkGenerationHost();
+
+globalThis.onmessage = (event) => {
+  const reply = host.handleMessage(event.data);
+  if (!reply) {
+    return;
+  }
+  // Hand the biome buffer over instead of copying it
+  const transfer = reply.chunk?.biomes ? [reply.chunk.biomes.buffer] : [];
+  globalThis.postMessage(reply, transfer);
+};
@@ -0,0 +1,71 @@
+/**
+ * @file difficulty-profiles.js
+ * @description Per-level difficulty profiles that tune terrain generation and the timer
+ */
+
+import { WORLD_HEIGHT_CHUNKS, LAVA_SURFACE_OFFSET_CHUNKS } from '../utils/config.js';
+
+/**
+ * @typedef {Object} DifficultyProfile
+ * @property {number} level - 1-based level number
+ * @property {number} cavernThreshold - Cavern noise threshold near the surface (lower = more caverns)
+ * @property {number} rockDensity - Multiplier on the chance of a special block (mostly rocks)
+ * @property {number} chestFrequency - Multiplier on the chance a special block is a chest
+ * @property {number} maggotFrequency - Share of non-chest specials that become maggots (0-1)
+ * @property {number} lavaOffsetChunks - Lava surface distance from the bottom of the world
+ * @property {number} worldHeightChunks - World height in chunks
+ * @property {number} timerSeconds - Timer budget (full timer and cap for time rewards)
+ */
+
+/**
+ * Level 1 profile for the default world. Matches the original single-level tuning.
+ * @type {DifficultyProfile}
+ */
+export const BASE_DIFFICULTY = Object.freeze({
+  level: 1,
+  cavernThreshold: 0.6,
+  rockDensity: 1,
+  chestFrequency: 1,
+  maggotFrequency: 1 / 3,
+  lavaOffsetChunks: LAVA_SURFACE_OFFSET_CHUNKS,
+  worldHeightChunks: WORLD_HEIGHT_CHUNKS,
+  timerSeconds: 60,
+});
+
+// Change per level after the first, and the most a field may drift from level 1
+const DIFFICULTY_SCALING = {
+  cavernThreshold: { perLevel: -0.015, maxChange: 0.15 },
+  rockDensity: { perLevel: 0.08, maxChange: 0.8 },
+  chestFrequency: { perLevel: -0.06, maxChange: 0.6 },
+  maggotFrequency: { perLevel: 0.04, maxChange: 0.4 },
+  lavaOffsetChunks: { perLevel: 0.25, maxChange: 2 }, // Lava rises one chunk every 4 levels
+  worldHeightChunks: { perLevel: 0.5, maxChange: 6 }, // One chunk deeper every 2 levels
+  timerSeconds: { perLevel: -3, maxChange: 30 },
+};
+
+const INTEGER_FIELDS = new Set(['lavaOffsetChunks', 'worldHeightChunks', 'timerSeconds']);
+
+/**
+ * Build the difficulty profile for a level
+ * @param {number} level - 1-based level number (invalid values fall back to 1)
+ * @param {WorldConfig} [world] - Run's world; its height and lava offset are level 1's
+ * @returns {DifficultyProfile}
+ */
+export function getDifficultyProfile(level = 1, world = null) {
+  const safeLevel = Number.isFinite(level) ? Math.max(1, Math.floor(level)) : 1;
+  const steps = safeLevel - 1;
+  const base = world ? {
+    ...BASE_DIFFICULTY,
+    worldHeightChunks: world.heightChunks,
+    lavaOffsetChunks: world.lavaOffsetChunks,
+  } : BASE_DIFFICULTY;
+  const profile = { ...base, level: safeLevel };
+
+  Object.entries(DIFFICULTY_SCALING).forEach(([field, { perLevel, maxChange }]) => {
+    const change = Math.sign(perLevel) * Math.min(Math.abs(perLevel) * steps, maxChange);
+    const value = base[field] + change;
+    profile[field] = INTEGER_FIELDS.has(field) ? Math.floor(value) : value;
+  });
+
+  return Object.freeze(profile);
+}
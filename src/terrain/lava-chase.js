@@ -0,0 +1,109 @@
+/**
+ * @file lava-chase.js
+ * @description Rising lava surface for chase mode: accelerating climb from the lava lake
+ */
+
+import { LAVA_CHASE_DEFAULTS } from '../utils/config.js';
+
+/**
+ * LavaChase
+ * Tracks the height of a rising lava surface. `surfaceY` is the surface in tile rows
+ * (fractional while a row is filling); every row from `getFloodRow()` down is lava.
+ * After `startDelayMs` the surface climbs at `baseRate` tiles/s, gaining `acceleration`
+ * tiles/s every second, up to `maxRate`. TerrainSystem owns one per run and turns
+ * flooded rows into lava tiles.
+ */
+export class LavaChase {
+  /**
+   * @param {Object} [options] - Overrides for LAVA_CHASE_DEFAULTS
+   * @param {number} [options.startDelayMs] - Delay before the lava starts to rise
+   * @param {number} [options.baseRate] - Initial climb rate (tiles/s)
+   * @param {number} [options.acceleration] - Climb rate gained per second (tiles/s²)
+   * @param {number} [options.maxRate] - Climb rate cap (tiles/s)
+   */
+  constructor(options = {}) {
+    const config = { ...LAVA_CHASE_DEFAULTS, ...options };
+    this.startDelayMs = Math.max(0, config.startDelayMs);
+    this.baseRate = Math.max(0, config.baseRate);
+    this.acceleration = Math.max(0, config.acceleration);
+    this.maxRate = Math.max(this.baseRate, config.maxRate);
+    this.reset(0);
+  }
+
+  /**
+   * Put the surface back on the lava lake
+   * @param {number} lavaDepthTiles - First lava row of the generated world
+   */
+  reset(lavaDepthTiles) {
+    this.surfaceY = lavaDepthTiles;
+    this.elapsedMs = 0;
+  }
+
+  /**
+   * Current climb rate
+   * @returns {number} Tiles per second (0 during the start delay)
+   */
+  getRate() {
+    const risingMs = this.elapsedMs - this.startDelayMs;
+    if (risingMs < 0) {
+      return 0;
+    }
+    return Math.min(this.maxRate, this.baseRate + this.acceleration * (risingMs / 1000));
+  }
+
+  /**
+   * Advance the chase clock and raise the surface (never above row 0)
+   * @param {number} deltaMs
+   */
+  advance(deltaMs) {
+    const climbed = this._distanceAt(this.elapsedMs + deltaMs) - this._distanceAt(this.elapsedMs);
+    this.elapsedMs += deltaMs;
+    this.surfaceY = Math.max(0, this.surfaceY - climbed);
+  }
+
+  /**
+   * Tiles climbed since the chase started (exact, so the climb does not depend on step size)
+   * @param {number} elapsedMs
+   * @returns {number}
+   * @private
+   */
+  _distanceAt(elapsedMs) {
+    const risingS = Math.max(0, (elapsedMs - this.startDelayMs) / 1000);
+    const cappedAtS = this.acceleration > 0
+      ? (this.maxRate - this.baseRate) / this.acceleration
+      : Infinity;
+    const acceleratingS = Math.min(risingS, cappedAtS);
+
+    return this.baseRate * acceleratingS
+      + 0.5 * this.acceleration * acceleratingS * acceleratingS
+      + this.maxRate * Math.max(0, risingS - cappedAtS);
+  }
+
+  /**
+   * @returns {number} Topmost tile row that is fully lava
+   */
+  getFloodRow() {
+    return Math.ceil(this.surfaceY);
+  }
+
+  /**
+   * Serializable state (for saves)
+   * @returns {{surfaceY: number, elapsedMs: number}}
+   */
+  toJSON() {
+    return { surfaceY: this.surfaceY, elapsedMs: this.elapsedMs };
+  }
+
+  /**
+   * Restore state written by `toJSON`
+   * @param {{surfaceY?: number, elapsedMs?: number}} state
+   */
+  restore({ surfaceY, elapsedMs } = {}) {
+    if (Number.isFinite(surfaceY)) {
+      this.surfaceY = Math.max(0, surfaceY);
+    }
+    if (Number.isFinite(elapsedMs)) {
+      this.elapsedMs = Math.max(0, elapsedMs);
+    }
+  }
+}
@@ -0,0 +1,287 @@
+/**
+ * @file level-solver.js
+ * @description Reachability proof from the player spawn to the door over a generated level
+ */
+
+import { BlockFactory } from '../factories/block.factory.js';
+import { PhysicsComponent } from '../components/block/physics.component.js';
+import { DiggableComponent } from '../components/block/diggable.component.js';
+import { DoorComponent } from '../components/block/door.component.js';
+import { LethalComponent } from '../components/block/lethal.component.js';
+import { LiquidComponent } from '../components/block/liquid.component.js';
+import { FallableComponent } from '../components/block/fallable.component.js';
+import { ExplosiveComponent } from '../components/block/explosive.component.js';
+
+// Dig directions in the order the solver tries them (down first, like the auto-dig)
+const DIG_DIRECTIONS = [
+  { dx: 0, dy: 1 },
+  { dx: -1, dy: 0 },
+  { dx: 1, dy: 0 },
+  { dx: 0, dy: -1 },
+];
+
+const keyOf = (x, y) => `${x},${y}`;
+
+/**
+ * LevelSolver
+ * Breadth-first search over the level as generated, using the player's movement rules
+ * (see DiggingComponent):
+ * - A diggable neighbour can be dug in any direction; the player moves into the tile.
+ *   Digging down drops the player until something collidable is below.
+ * - After a lateral or upward dig the player keeps hanging while they keep digging, or
+ *   may let go and fall.
+ * - Open tiles cannot be walked or climbed into; they are only entered by falling.
+ * - Non-diggable blocks (boundary, doorstep) stop the player.
+ * - Reaching a tile next to the door (any side) enters it.
+ *
+ * Deaths count as dead ends: lava, liquids (drowning), explosives and the tiles their blast
+ * covers (digging one sets it off, and so can a maggot eating it), and digging out the
+ * support of a fallable block (the player is crushed). Tiles the player has dug are not
+ * tracked, so the proof is about the untouched layout.
+ */
+export class LevelSolver {
+  /**
+   * @param {TerrainGenerator} generator - Generator of the level to solve
+   */
+  constructor(generator) {
+    this.generator = generator;
+    this.widthTiles = generator.worldWidthTiles;
+    this.heightTiles = generator.worldHeightTiles;
+    this.chunkSize = generator.chunkSize;
+    this.sky = BlockFactory.createEmpty();
+    this.boundary = BlockFactory.createBoundary();
+    this.blastTiles = new Map(); // "chunkX,chunkY" → Set of "x,y" tiles blasts cover
+  }
+
+  /**
+   * Find the shortest route (in dig/fall moves) from the spawn to the door
+   * @param {{gridX: number, gridY: number}} spawn - Player spawn tile
+   * @param {{x: number, y: number}} [door] - Door tile (default: the generator's door)
+   * @returns {{reachable: boolean, path: Array<{x: number, y: number}>, explored: number}}
+   *   `path` runs from where the spawned player lands to the door tile (empty when unreachable); `explored` is
+   *   the number of resting positions visited
+   */
+  solve(spawn, door = this.generator.getDoorPosition()) {
+    const unreachable = (explored) => ({ reachable: false, path: [], explored });
+    if (!door) {
+      return unreachable(0);
+    }
+
+    const start = this._fall(spawn.gridX, spawn.gridY);
+    if (!start) {
+      return unreachable(0);
+    }
+
+    const width = this.widthTiles;
+    const toIndex = (x, y) => y * width + x;
+    const parents = new Map([[toIndex(start.x, start.y), -1]]);
+    const queue = [start];
+
+    for (let head = 0; head < queue.length; head += 1) {
+      const current = queue[head];
+      const currentIndex = toIndex(current.x, current.y);
+
+      if (this._isNextToDoor(current, door)) {
+        const path = [{ x: door.x, y: door.y }];
+        for (let index = currentIndex; index !== -1; index = parents.get(index)) {
+          path.unshift({ x: index % width, y: Math.floor(index / width) });
+        }
+        return { reachable: true, path, explored: queue.length };
+      }
+
+      this._getMoves(current).forEach((next) => {
+        const nextIndex = toIndex(next.x, next.y);
+        if (!parents.has(nextIndex)) {
+          parents.set(nextIndex, currentIndex);
+          queue.push(next);
+        }
+      });
+    }
+
+    return unreachable(queue.length);
+  }
+
+  /**
+   * Positions the player can reach from a tile with one dig or by letting go
+   * @param {{x: number, y: number}} position
+   * @returns {Array<{x: number, y: number}>}
+   * @private
+   */
+  _getMoves({ x, y }) {
+    const moves = [];
+
+    DIG_DIRECTIONS.forEach(({ dx, dy }) => {
+      const targetX = x + dx;
+      const targetY = y + dy;
+      if (!this._isSafeToDig(targetX, targetY, dy)) {
+        return;
+      }
+      const landing = dy > 0 ? this._fall(targetX, targetY) : { x: targetX, y: targetY };
+      if (landing) {
+        moves.push(landing);
+      }
+    });
+
+    if (!this._isCollidable(this._getBlock(x, y + 1))) {
+      const landing = this._fall(x, y);
+      if (landing) {
+        moves.push(landing);
+      }
+    }
+
+    return moves;
+  }
+
+  /**
+   * Check whether the player can dig a tile and survive moving into it
+   * @param {number} x
+   * @param {number} y
+   * @param {number} dy - Vertical dig direction
+   * @returns {boolean}
+   * @private
+   */
+  _isSafeToDig(x, y, dy) {
+    if (!this._getBlock(x, y).has(DiggableComponent) || this._isDeadly(x, y)) {
+      return false;
+    }
+    // Digging down leaves the player's own tile above the hole; otherwise the block above
+    // loses its support and drops on the player
+    return dy > 0 || !this._getBlock(x, y - 1).has(FallableComponent);
+  }
+
+  /**
+   * Drop the player from a tile until something collidable is below
+   * @param {number} x
+   * @param {number} y
+   * @returns {{x: number, y: number}|null} Landing tile, or null if the fall is deadly
+   * @private
+   */
+  _fall(x, y) {
+    let landingY = y;
+    while (!this._isCollidable(this._getBlock(x, landingY + 1))) {
+      landingY += 1;
+      if (this._isDeadly(x, landingY)) {
+        return null;
+      }
+    }
+    return { x, y: landingY };
+  }
+
+  /**
+   * @param {{x: number, y: number}} position
+   * @param {{x: number, y: number}} door
+   * @returns {boolean} True when the door is one of the four neighbours
+   * @private
+   */
+  _isNextToDoor({ x, y }, door) {
+    const isNeighbour = Math.abs(x - door.x) + Math.abs(y - door.y) === 1;
+    return isNeighbour && this._getBlock(door.x, door.y).has(DoorComponent);
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @returns {boolean} True when the player dies in this tile, or may be blown up there
+   * @private
+   */
+  _isDeadly(x, y) {
+    return this._isHazard(this._getBlock(x, y)) || this._isInBlast(x, y);
+  }
+
+  /**
+   * @param {Block} block
+   * @returns {boolean} True for blocks that kill the player on contact, over time, or by
+   *   exploding when dug
+   * @private
+   */
+  _isHazard(block) {
+    return block.has(LethalComponent) || block.has(LiquidComponent)
+      || block.has(ExplosiveComponent);
+  }
+
+  /**
+   * Whether an explosive's blast covers a tile. Blasts are assumed to reach less than a
+   * chunk, so only the tile's chunk and the eight around it are looked at.
+   * @param {number} x
+   * @param {number} y
+   * @returns {boolean}
+   * @private
+   */
+  _isInBlast(x, y) {
+    const chunkX = Math.floor(x / this.chunkSize);
+    const chunkY = Math.floor(y / this.chunkSize);
+    const key = keyOf(x, y);
+    for (let dy = -1; dy <= 1; dy += 1) {
+      for (let dx = -1; dx <= 1; dx += 1) {
+        if (this._getBlastTiles(chunkX + dx, chunkY + dy).has(key)) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Tiles covered by the blasts of a chunk's explosives (computed once per chunk)
+   * @param {number} chunkX
+   * @param {number} chunkY
+   * @returns {Set<string>} "x,y" world tiles
+   * @private
+   */
+  _getBlastTiles(chunkX, chunkY) {
+    const chunkKey = keyOf(chunkX, chunkY);
+    let tiles = this.blastTiles.get(chunkKey);
+    if (tiles) {
+      return tiles;
+    }
+
+    tiles = new Set();
+    this.blastTiles.set(chunkKey, tiles);
+    const chunk = this.generator.generateChunk(chunkX, chunkY);
+    if (!chunk) {
+      return tiles; // Outside the world
+    }
+
+    const size = this.chunkSize;
+    for (let localY = 0; localY < size; localY += 1) {
+      for (let localX = 0; localX < size; localX += 1) {
+        const explosive = chunk.getBlock(localX, localY).get(ExplosiveComponent);
+        if (explosive) {
+          const x = chunkX * size + localX;
+          const y = chunkY * size + localY;
+          explosive.getOffsets().forEach(({ dx, dy }) => tiles.add(keyOf(x + dx, y + dy)));
+        }
+      }
+    }
+    return tiles;
+  }
+
+  /**
+   * @param {Block} block
+   * @returns {boolean}
+   * @private
+   */
+  _isCollidable(block) {
+    const physics = block.get(PhysicsComponent);
+    return Boolean(physics && physics.isCollidable());
+  }
+
+  /**
+   * Generated block at world coordinates (mirrors TerrainSystem.getBlock)
+   * @param {number} x
+   * @param {number} y
+   * @returns {Block}
+   * @private
+   */
+  _getBlock(x, y) {
+    if (y < 0) {
+      return this.sky;
+    }
+    if (x < 0 || x >= this.widthTiles || y >= this.heightTiles) {
+      return this.boundary;
+    }
+    const size = this.chunkSize;
+    const chunk = this.generator.generateChunk(Math.floor(x / size), Math.floor(y / size));
+    return chunk.getBlock(x % size, y % size);
+  }
+}
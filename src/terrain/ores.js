@@ -0,0 +1,83 @@
+/**
+ * @file ores.js
+ * @description Ore and gem resources: rarity table for vein generation and HUD display data
+ */
+
+/**
+ * @typedef {Object} OreDefinition
+ * @property {string} resource - Resource id carried by the ore's loot (`loot[].resource`)
+ * @property {string} name - Display name
+ * @property {string} label - Short HUD label
+ * @property {string} color - Pickup and HUD colour
+ * @property {string} blockType - Block registry id of the ore block
+ * @property {number} minDepth - Shallowest depth, as a fraction of the lava depth (0-1)
+ * @property {number} veinThreshold - Vein noise cutoff at `minDepth` (higher = rarer, smaller veins)
+ * @property {number} veinScale - Noise frequency (higher = smaller, tighter clusters)
+ */
+
+// How far the vein threshold drops between an ore's minDepth and the lava (veins grow deeper)
+export const ORE_DEPTH_BONUS = 0.06;
+
+/**
+ * Ores from most common to rarest. Rarer ores start deeper and form smaller veins.
+ * @type {ReadonlyArray<OreDefinition>}
+ */
+export const ORES = Object.freeze([
+  {
+    resource: 'copper',
+    name: 'Copper',
+    label: 'CU',
+    color: '#D9823B',
+    blockType: 'ore_copper',
+    minDepth: 0.1,
+    veinThreshold: 0.86,
+    veinScale: 0.35,
+  },
+  {
+    resource: 'silver',
+    name: 'Silver',
+    label: 'AG',
+    color: '#C8D2DC',
+    blockType: 'ore_silver',
+    minDepth: 0.3,
+    veinThreshold: 0.88,
+    veinScale: 0.4,
+  },
+  {
+    resource: 'gold',
+    name: 'Gold',
+    label: 'AU',
+    color: '#FFC83D',
+    blockType: 'ore_gold',
+    minDepth: 0.55,
+    veinThreshold: 0.9,
+    veinScale: 0.45,
+  },
+  {
+    resource: 'gem',
+    name: 'Gem',
+    label: 'GEM',
+    color: '#4FE3D0',
+    blockType: 'ore_gem',
+    minDepth: 0.75,
+    veinThreshold: 0.92,
+    veinScale: 0.55,
+  },
+].map((ore) => Object.freeze(ore)));
+
+/**
+ * Look up an ore by resource id
+ * @param {string} resource
+ * @returns {OreDefinition|null}
+ */
+export function getOre(resource) {
+  return ORES.find((ore) => ore.resource === resource) || null;
+}
+
+/**
+ * Create a zeroed per-resource counter
+ * @returns {Object<string, number>}
+ */
+export function createResourceTotals() {
+  return Object.fromEntries(ORES.map((ore) => [ore.resource, 0]));
+}
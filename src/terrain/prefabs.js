@@ -0,0 +1,177 @@
+/**
+ * @file prefabs.js
+ * @description Hand-authored block templates (vaults, shrines, trap rooms, mine shafts) that
+ * TerrainGenerator stamps into the procedural terrain
+ */
+
+/**
+ * @typedef {Object} PrefabDefinition
+ * @property {string} id - Stable identifier
+ * @property {string} name - Display name
+ * @property {string[]} grid - Rows of legend symbols, top row first (all rows the same length)
+ * @property {Object<string, string|null>} legend - Symbol → block registry id (null keeps
+ *   the generated terrain); `definePrefab` merges a template's own symbols over
+ *   PREFAB_LEGEND
+ * @property {[number, number]} depth - Range the prefab's top row may start in, as fractions
+ *   of the lava depth (0-1). Keep it below the minDepth of any ore in the grid.
+ * @property {number} weight - Relative odds of being picked for a placement slot
+ * @property {number} spacing - Minimum tiles of terrain between this prefab and any other
+ * @property {boolean} rotate - May be turned by quarter turns
+ * @property {boolean} mirror - May be flipped left to right
+ */
+
+/**
+ * Symbols shared by every prefab: block registry ids, or null to keep the generated terrain.
+ * Every block used here must be diggable or open so no prefab walls the player in. That
+ * does not make every block safe: explosives kill a player digging them or standing in
+ * their blast, so LevelSolver keeps its route clear of both. Biome filler (clay, basalt)
+ * is left to the biomes.
+ * @type {Readonly<Object<string, string|null>>}
+ */
+export const PREFAB_LEGEND = Object.freeze({
+  '?': null,
+  '.': 'empty',
+  M: 'mud',
+  P: 'protective_block',
+  F: 'red_frame',
+  R: 'rock',
+  X: 'explosive',
+  c: 'chest',
+  C: 'covered_chest',
+  o: 'ore_copper',
+  s: 'ore_silver',
+  g: 'ore_gold',
+  G: 'ore_gem',
+});
+
+// One placement slot per this many rows; each slot holds at most one prefab
+export const PREFAB_SLOT_TILES = 12;
+
+// Share of placement slots that get a prefab
+export const PREFAB_SLOT_CHANCE = 0.6;
+
+/**
+ * Check a prefab template (e.g. one loaded from JSON) and fill in optional fields
+ * @param {Object} definition - PrefabDefinition fields; only `id` and `grid` are required
+ * @returns {PrefabDefinition}
+ */
+export function definePrefab(definition) {
+  const { id, grid } = definition;
+  if (!Array.isArray(grid) || grid.length === 0) {
+    throw new Error(`definePrefab: prefab "${id}" needs a non-empty grid`);
+  }
+  if (grid.some((row) => typeof row !== 'string' || row.length !== grid[0].length)) {
+    throw new Error(`definePrefab: prefab "${id}" rows must be strings of equal length`);
+  }
+
+  const legend = { ...PREFAB_LEGEND, ...definition.legend };
+  grid.forEach((row) => [...row].forEach((symbol) => {
+    if (!(symbol in legend)) {
+      throw new Error(`definePrefab: prefab "${id}" uses unknown symbol "${symbol}"`);
+    }
+  }));
+
+  return {
+    name: id,
+    depth: [0, 1],
+    weight: 1,
+    spacing: 2,
+    rotate: false,
+    mirror: false,
+    ...definition,
+    legend,
+  };
+}
+
+/**
+ * Turn and flip a prefab grid
+ * @param {string[]} grid
+ * @param {{rotation?: number, mirror?: boolean}} [transform] - `rotation` in clockwise
+ *   quarter turns; mirroring is applied first
+ * @returns {string[]}
+ */
+export function transformGrid(grid, { rotation = 0, mirror = false } = {}) {
+  let rows = mirror ? grid.map((row) => [...row].reverse().join('')) : [...grid];
+  for (let turn = 0; turn < ((rotation % 4) + 4) % 4; turn += 1) {
+    const height = rows.length;
+    const current = rows;
+    // Clockwise: the new row x reads the old column x from bottom to top
+    rows = [...current[0]].map((_, x) => Array.from(
+      { length: height },
+      (__, y) => current[height - 1 - y][x],
+    ).join(''));
+  }
+  return rows;
+}
+
+/**
+ * Prefab templates. Each entry is plain JSON (symbol grids and numbers), so templates can
+ * also be authored as JSON files and passed through `definePrefab`.
+ * @type {ReadonlyArray<PrefabDefinition>}
+ */
+export const PREFABS = Object.freeze([
+  {
+    id: 'vault',
+    name: 'Vault',
+    grid: [
+      'PPPPPPP',
+      'P.....P',
+      'P.c.c.P',
+      'PPPPPPP',
+    ],
+    depth: [0.3, 0.9],
+    weight: 1,
+    spacing: 6,
+    rotate: false,
+    mirror: false,
+  },
+  {
+    id: 'shrine',
+    name: 'Shrine',
+    grid: [
+      '??FFF??',
+      '?F...F?',
+      'F.....F',
+      'F..G..F',
+      'FFPPPFF',
+    ],
+    depth: [0.75, 1],
+    weight: 0.5,
+    spacing: 10,
+    rotate: false,
+    mirror: false,
+  },
+  {
+    id: 'trap_room',
+    name: 'Trap Room',
+    grid: [
+      'MRRRM',
+      'MMMMM',
+      'M...M',
+      'M.C.M',
+      'MXXXM',
+    ],
+    depth: [0.2, 0.8],
+    weight: 1,
+    spacing: 4,
+    rotate: false,
+    mirror: false,
+  },
+  {
+    id: 'mine_shaft',
+    name: 'Abandoned Mine Shaft',
+    grid: [
+      'P.P????',
+      'P.P????',
+      'P.P????',
+      'P.PPPPP',
+      'P.....o',
+      'PPPPPPP',
+    ],
+    depth: [0.1, 0.7],
+    weight: 1.2,
+    spacing: 4,
+    rotate: true,
+    mirror: true,
+  },
+].map(definePrefab));
@@ -1,74 +1,296 @@
 /**
  * @file terrain-chunk.js
- * @description TerrainChunk data structure - 32x32 block grid with ECS support
+ * @description TerrainChunk data structure - compact block grid with ECS block access
  */
 
 import { CHUNK_SIZE } from '../utils/config.js';
 import { BlockFactory } from '../factories/block.factory.js';
+import { FallableComponent } from '../components/block/fallable.component.js';
+import { blockPalette } from './block-palette.js';
+
+const EMPTY_KIND = blockPalette.encodeDescriptor({ type: 'empty' }).id;
+
+/**
+ * What the chunk layers draw of a block: its descriptor without hit points or loot (neither
+ * shows), and whether it has left the layers to fall or wobble
+ * @param {Block} block
+ * @returns {string}
+ */
+function appearanceOf(block) {
+  const descriptor = BlockFactory.describe(block);
+  delete descriptor.hp;
+  delete descriptor.maxHp;
+  delete descriptor.loot;
+  const fallable = block.get(FallableComponent);
+  descriptor.moving = Boolean(fallable?.isFalling || fallable?.isUnstable);
+  return JSON.stringify(descriptor);
+}
 
 /**
  * TerrainChunk
- * Represents a 32x32 grid of Block entities
+ * A square grid of blocks stored compactly: per tile, a BlockPalette kind id and the
+ * current hit points (typed arrays). Reads return the palette's shared, frozen blocks.
+ * A tile gets its own Block only while it carries state the arrays cannot hold (a fall
+ * in progress, a door, chest loot) or after `getBlockForUpdate`; `compact` folds such
+ * tiles back into the arrays once they are plain again.
+ *
+ * `getRevision` changes whenever a tile may look different: on every set, and when a tile's
+ * own Block is changed in place in a way that shows (see ChunkLayerCache).
  */
 export class TerrainChunk {
   /**
    * @param {number} chunkX - Chunk X coordinate (in chunk units)
    * @param {number} chunkY - Chunk Y coordinate (in chunk units)
+   * @param {number} [size] - Tiles per side (WorldConfig.chunkSize)
    */
-  constructor(chunkX, chunkY) {
+  constructor(chunkX, chunkY, size = CHUNK_SIZE) {
     this.chunkX = chunkX;
     this.chunkY = chunkY;
-    this.blocks = this._createEmptyGrid();
+    this.size = size;
+    this.kinds = new Uint16Array(size * size).fill(EMPTY_KIND); // BlockPalette kind ids
+    this.hp = new Uint16Array(size * size); // Current hit points (0 for blocks without)
+    this.ownBlocks = new Map(); // Map<tile index, Block> tiles holding their own instance
+    this.ownAppearances = new Map(); // Map<tile index, string> own blocks as last counted
+    this.compactTiles = new Set(); // Own-block tiles `compact` has yet to try to fold
     this.maggotSpawns = [];
+    this.biomes = null; // Uint8Array of BIOMES indices (set by the generator)
+    this.dirty = false; // True once gameplay has modified the chunk
+    this.revision = 0; // Bumped by sets; read through `getRevision`
+    this.changedTiles = null; // Tile indices set since `takeChangedTiles` (null: not recording)
   }
 
   /**
-   * Create empty block grid
-   * @returns {Block[][]} 2D array of Block entities
+   * @param {number} localX
+   * @param {number} localY
+   * @returns {boolean}
    * @private
    */
-  _createEmptyGrid() {
-    const grid = [];
-    for (let y = 0; y < CHUNK_SIZE; y += 1) {
-      grid[y] = [];
-      for (let x = 0; x < CHUNK_SIZE; x += 1) {
-        grid[y][x] = BlockFactory.createEmpty();
-      }
-    }
-    return grid;
+  _isInside(localX, localY) {
+    return localX >= 0 && localX < this.size && localY >= 0 && localY < this.size;
   }
 
   /**
-   * Get block at local chunk coordinates
-   * @param {number} localX - Local X (0-31)
-   * @param {number} localY - Local Y (0-31)
+   * Get block at local chunk coordinates. Usually a shared block: do not change it in
+   * place (see `getBlockForUpdate`).
+   * @param {number} localX - Local X (0 to size - 1)
+   * @param {number} localY - Local Y (0 to size - 1)
    * @returns {Block} Block entity
    */
   getBlock(localX, localY) {
-    if (localX < 0 || localX >= CHUNK_SIZE || localY < 0 || localY >= CHUNK_SIZE) {
-      return BlockFactory.createEmpty();
+    if (!this._isInside(localX, localY)) {
+      return blockPalette.getShared(EMPTY_KIND);
+    }
+    const index = localY * this.size + localX;
+    return this.ownBlocks.get(index) ?? blockPalette.getShared(this.kinds[index], this.hp[index]);
+  }
+
+  /**
+   * Get a tile's own block instance, safe to change in place (HP, falling, liquid level).
+   * It stays attached to the tile until the tile is set again or compacted.
+   * @param {number} localX - Local X (0 to size - 1)
+   * @param {number} localY - Local Y (0 to size - 1)
+   * @returns {Block|null} Null outside the chunk
+   */
+  getBlockForUpdate(localX, localY) {
+    if (!this._isInside(localX, localY)) {
+      return null;
+    }
+    const index = localY * this.size + localX;
+    let block = this.ownBlocks.get(index);
+    if (!block) {
+      block = blockPalette.create(this.kinds[index], this.hp[index]);
+      this._setOwn(index, block);
     }
-    // Safety check: ensure row exists
-    if (!this.blocks[localY]) {
-      console.error(
-        `TerrainChunk.getBlock: Row ${localY} is undefined in chunk ${this.chunkX},${this.chunkY}`,
-      );
-      return BlockFactory.createEmpty();
+    this.compactTiles.add(index); // Its state may fit the arrays again after the change
+    return block;
+  }
+
+  /**
+   * Revision of the chunk's looks: bumped by every set, and by own blocks whose appearance
+   * changed in place since the previous call (a dig hit or a liquid step that does not
+   * show leaves it alone)
+   * @returns {number}
+   */
+  getRevision() {
+    this.ownAppearances.forEach((appearance, index) => this._countAppearance(index));
+    return this.revision;
+  }
+
+  /**
+   * Bump the revision if a tile's own block looks different from when it was last counted
+   * @param {number} index - Tile index
+   * @private
+   */
+  _countAppearance(index) {
+    const current = appearanceOf(this.ownBlocks.get(index));
+    if (current !== this.ownAppearances.get(index)) {
+      this.ownAppearances.set(index, current);
+      this.revision += 1;
     }
-    return this.blocks[localY][localX];
   }
 
   /**
    * Set block at local chunk coordinates
-   * @param {number} localX - Local X (0-31)
-   * @param {number} localY - Local Y (0-31)
+   * @param {number} localX - Local X (0 to size - 1)
+   * @param {number} localY - Local Y (0 to size - 1)
    * @param {Block} block - Block entity
    */
   setBlock(localX, localY, block) {
-    if (localX < 0 || localX >= CHUNK_SIZE || localY < 0 || localY >= CHUNK_SIZE) {
+    if (!this._isInside(localX, localY)) {
+      return;
+    }
+    const index = localY * this.size + localX;
+    this.revision += 1;
+    this.changedTiles?.add(index);
+    const entry = blockPalette.encode(block);
+    if (entry) {
+      this._setEntry(index, entry);
+    } else {
+      this._setOwn(index, block);
+    }
+  }
+
+  /**
+   * Set a tile from a `BlockFactory.describe` descriptor without building a Block
+   * @param {number} localX
+   * @param {number} localY
+   * @param {Object} descriptor
+   */
+  setDescriptor(localX, localY, descriptor) {
+    if (!this._isInside(localX, localY)) {
       return;
     }
-    this.blocks[localY][localX] = block;
+    const index = localY * this.size + localX;
+    this.revision += 1;
+    this.changedTiles?.add(index);
+    const entry = blockPalette.encodeDescriptor(descriptor);
+    if (entry) {
+      this._setEntry(index, entry);
+    } else {
+      this._setOwn(index, BlockFactory.fromDescriptor(descriptor));
+    }
+  }
+
+  /**
+   * Tiles set (`setBlock`, `setDescriptor`) since the previous call. Recording starts with
+   * the first call, which returns nothing: callers treat a chunk they have not seen yet as
+   * entirely new (see ActiveTiles).
+   * @returns {number[]} Tile indices (localY * size + localX)
+   */
+  takeChangedTiles() {
+    if (!this.changedTiles) {
+      this.changedTiles = new Set();
+      return [];
+    }
+    if (this.changedTiles.size === 0) {
+      return [];
+    }
+    const changed = [...this.changedTiles];
+    this.changedTiles.clear();
+    return changed;
+  }
+
+  /**
+   * @param {number} index - Tile index
+   * @param {{id: number, hp: number}} entry - From BlockPalette
+   * @private
+   */
+  _setEntry(index, { id, hp }) {
+    this.kinds[index] = id;
+    this.hp[index] = hp;
+    this.ownBlocks.delete(index);
+    this.ownAppearances.delete(index);
+    this.compactTiles.delete(index);
+  }
+
+  /**
+   * @param {number} index - Tile index
+   * @param {Block} block - Instance the tile keeps
+   * @private
+   */
+  _setOwn(index, block) {
+    this.ownBlocks.set(index, block);
+    this.ownAppearances.set(index, appearanceOf(block));
+    this.compactTiles.add(index);
+  }
+
+  /**
+   * Fold tiles holding their own block back into the typed arrays when their state fits
+   * there again (e.g. a partly dug block, a rock that has landed). Only tiles that got their
+   * own block or were handed out by `getBlockForUpdate` since the last call are looked at:
+   * a door or a chest is tried once, not every frame. Falling and wobbling blocks are
+   * tried again until they settle.
+   */
+  compact() {
+    if (this.compactTiles.size === 0) {
+      return;
+    }
+    this.compactTiles.forEach((index) => {
+      const block = this.ownBlocks.get(index);
+      const fallable = block?.get(FallableComponent);
+      if (fallable?.isFalling || fallable?.isUnstable) {
+        return;
+      }
+      this.compactTiles.delete(index);
+      const entry = block && blockPalette.encode(block);
+      if (entry) {
+        this._countAppearance(index); // Count a change made in place before it is folded away
+        this._setEntry(index, entry);
+      }
+    });
+  }
+
+  /**
+   * Visit the tiles holding their own block instance (falling blocks, doors, chests, ...)
+   * @param {Function} callback - Called with (block, localX, localY)
+   */
+  forEachOwnBlock(callback) {
+    this.ownBlocks.forEach((block, index) => {
+      callback(block, index % this.size, Math.floor(index / this.size));
+    });
+  }
+
+  /**
+   * @returns {number} Tiles currently holding their own block instance
+   */
+  getOwnBlockCount() {
+    return this.ownBlocks.size;
+  }
+
+  /**
+   * Record which biome a tile was generated in
+   * @param {number} localX
+   * @param {number} localY
+   * @param {number} biomeIndex - Index into BIOMES (see biomes.js)
+   */
+  setBiomeIndex(localX, localY, biomeIndex) {
+    if (localX < 0 || localX >= this.size || localY < 0 || localY >= this.size) {
+      return;
+    }
+    if (!this.biomes) {
+      this.biomes = new Uint8Array(this.size * this.size);
+    }
+    this.biomes[localY * this.size + localX] = biomeIndex;
+  }
+
+  /**
+   * Get the biome a tile was generated in
+   * @param {number} localX
+   * @param {number} localY
+   * @returns {number} Index into BIOMES, or -1 if unknown
+   */
+  getBiomeIndex(localX, localY) {
+    if (!this.biomes || localX < 0 || localX >= this.size || localY < 0 || localY >= this.size) {
+      return -1;
+    }
+    return this.biomes[localY * this.size + localX];
+  }
+
+  /**
+   * Flag the chunk as modified by gameplay so it is diffed on eviction
+   */
+  markDirty() {
+    this.dirty = true;
   }
 
   /**
@@ -80,52 +302,50 @@ export class TerrainChunk {
   }
 
   /**
-   * Serialize chunk for save/load
-   * @returns {Object} Serialized chunk data
+   * Serialize the chunk into plain data that survives structured cloning (e.g. posting it
+   * from the chunk worker). Blocks are stored as BlockFactory descriptors.
+   * @returns {{chunkX: number, chunkY: number, size: number, tiles: Object[],
+   *   biomes: Uint8Array|null, maggotSpawns: Object[], version: string}}
    */
   serialize() {
-    const blockData = [];
-    for (let y = 0; y < CHUNK_SIZE; y += 1) {
-      blockData[y] = [];
-      for (let x = 0; x < CHUNK_SIZE; x += 1) {
-        const block = this.blocks[y][x];
-        const components = {};
-        block.getAllComponents().forEach((comp) => {
-          components[comp.constructor.name] = { ...comp };
-        });
-        blockData[y][x] = components;
+    const tiles = new Array(this.size * this.size);
+    for (let y = 0; y < this.size; y += 1) {
+      for (let x = 0; x < this.size; x += 1) {
+        tiles[y * this.size + x] = BlockFactory.describe(this.getBlock(x, y));
       }
     }
     return {
       chunkX: this.chunkX,
       chunkY: this.chunkY,
-      blocks: blockData,
-      version: 'ecs-v1',
+      size: this.size,
+      tiles,
+      biomes: this.biomes ? this.biomes.slice() : null,
+      maggotSpawns: this.maggotSpawns.map((spawn) => ({ ...spawn, active: false, npc: null })),
+      version: 'descriptor-v1',
     };
   }
 
   /**
-   * Deserialize chunk from save data
+   * Rebuild a chunk from `serialize` output
    * @param {Object} data - Serialized chunk data
    * @returns {TerrainChunk} Deserialized chunk
    */
   static deserialize(data) {
-    const chunk = new TerrainChunk(data.chunkX, data.chunkY);
-
-    // Handle legacy format (pre-ECS)
-    if (!data.version) {
-      // Migration from legacy format will be handled in Phase 4
+    const chunk = new TerrainChunk(data.chunkX, data.chunkY, data.size);
+    if (data.version !== 'descriptor-v1') {
+      console.warn(`TerrainChunk.deserialize: unknown chunk format ${data.version}`);
       return chunk;
     }
 
-    // ECS format
-    for (let y = 0; y < CHUNK_SIZE; y += 1) {
-      for (let x = 0; x < CHUNK_SIZE; x += 1) {
-        // Block reconstruction from component data will be implemented in Phase 4
-        // For now, just create empty blocks
-        chunk.blocks[y][x] = BlockFactory.createEmpty();
+    for (let y = 0; y < chunk.size; y += 1) {
+      for (let x = 0; x < chunk.size; x += 1) {
+        chunk.setDescriptor(x, y, data.tiles[y * chunk.size + x]);
       }
     }
+    chunk.biomes = data.biomes ? Uint8Array.from(data.biomes) : null;
+    chunk.maggotSpawns = Array.isArray(data.maggotSpawns)
+      ? data.maggotSpawns.map((spawn) => ({ ...spawn }))
+      : [];
 
     return chunk;
   }
@@ -4,10 +4,6 @@
  */
 
 import {
-  CHUNK_SIZE,
-  WORLD_WIDTH_CHUNKS,
-  WORLD_HEIGHT_CHUNKS,
-  LAVA_SURFACE_OFFSET_CHUNKS,
   DOOR_DEPTH_RATIO,
   DOOR_MIN_DEPTH_TILES,
   DOOR_LAVA_CLEARANCE_TILES,
@@ -20,7 +16,20 @@ import { FallableComponent } from '../components/block/fallable.component.js';
 import { RenderComponent } from '../components/block/render.component.js';
 import { HealthComponent } from '../components/block/health.component.js';
 import { DarknessComponent } from '../components/block/darkness.component.js';
+import { ExplosiveComponent } from '../components/block/explosive.component.js';
+import { getBlockDefinition } from '../factories/block-registry.js';
 import { generateHalo } from '../systems/halo-generator.js';
+import { BASE_DIFFICULTY } from './difficulty-profiles.js';
+import { WorldConfig } from '../utils/world-config.js';
+import { BIOMES, getBiomeByIndex, pickBiomeBlock } from './biomes.js';
+import { ORES, ORE_DEPTH_BONUS } from './ores.js';
+import { LevelSolver } from './level-solver.js';
+import {
+  PREFABS,
+  PREFAB_SLOT_TILES,
+  PREFAB_SLOT_CHANCE,
+  transformGrid,
+} from './prefabs.js';
 
 // Helper constants for block type identification
 const BLOCK_TYPE = {
@@ -34,33 +43,69 @@ const BLOCK_TYPE = {
   RED_FRAME: 'red_frame',
   LAVA: 'lava',
   GRASS: 'grass',
+  CLAY: 'clay',
+  BASALT: 'basalt',
+  SAND: 'sand',
+  GRAVEL: 'gravel',
+};
+
+// Generator block types → [block registry id, overrides]
+const GENERATED_BLOCKS = {
+  [BLOCK_TYPE.EMPTY]: ['empty'],
+  [BLOCK_TYPE.MUD_LIGHT]: ['mud', { hp: 5, variant: 1 }], // lightest
+  [BLOCK_TYPE.MUD_MEDIUM]: ['mud', { hp: 5, variant: 2 }],
+  [BLOCK_TYPE.MUD_DARK]: ['mud', { hp: 5, variant: 3 }],
+  [BLOCK_TYPE.MUD_DENSE]: ['mud', { hp: 5, variant: 4 }],
+  [BLOCK_TYPE.MUD_CORE]: ['mud', { hp: 5, variant: 5 }], // darkest
+  [BLOCK_TYPE.ROCK]: ['rock'],
+  [BLOCK_TYPE.RED_FRAME]: ['red_frame'],
+  [BLOCK_TYPE.LAVA]: ['lava'],
+  [BLOCK_TYPE.GRASS]: ['grass'],
+  [BLOCK_TYPE.CLAY]: ['clay'],
+  [BLOCK_TYPE.BASALT]: ['basalt'],
+  [BLOCK_TYPE.SAND]: ['sand'],
+  [BLOCK_TYPE.GRAVEL]: ['gravel'],
 };
 
+// Biome filler blocks a liquid pocket may replace (ores and specials are kept)
+const POCKET_HOST_TYPES = new Set(['mud', 'clay', 'basalt']);
+
+// Prefabs start below the all-mud early rows
+const PREFAB_MIN_DEPTH = 10;
+
+// Biome boundaries wobble by up to this share of the lava depth (min 2 tiles)
+const BIOME_BLEND_RATIO = 0.05;
+
 /**
  * TerrainGenerator
- * Generates chunks with stratified mud, caverns, red torus, and lava
+ * Generates chunks with depth-banded biomes, caverns, red torus, liquid pockets, and lava
  */
 export class TerrainGenerator {
   /**
    * @param {number} seed - Random seed for deterministic generation
+   * @param {DifficultyProfile} [difficulty] - Level tuning (see difficulty-profiles.js)
+   * @param {WorldConfig} [world] - World dimensions (default: the default world sized for
+   *   the difficulty's height and lava offset)
    */
-  constructor(seed = 12345) {
+  constructor(
+    seed = 12345,
+    difficulty = BASE_DIFFICULTY,
+    world = new WorldConfig().forDifficulty(difficulty),
+  ) {
     this.seed = seed;
+    this.difficulty = difficulty;
+    this.world = world;
     this.chunkCache = new Map(); // Cache generated chunks
-    this.worldWidthChunks = WORLD_WIDTH_CHUNKS;
-    this.worldHeightChunks = WORLD_HEIGHT_CHUNKS;
-    this.worldWidthTiles = this.worldWidthChunks * CHUNK_SIZE;
-    this.worldHeightTiles = this.worldHeightChunks * CHUNK_SIZE;
-
-    const clampedOffsetChunks = Math.max(
-      0,
-      Math.min(LAVA_SURFACE_OFFSET_CHUNKS, this.worldHeightChunks),
-    );
-    this.lavaDepth = Math.max(
-      0,
-      (this.worldHeightChunks - clampedOffsetChunks) * CHUNK_SIZE,
-    ); // Configurable lava start depth
+    this.chunkSize = world.chunkSize;
+    this.worldWidthChunks = world.widthChunks;
+    this.worldHeightChunks = world.heightChunks;
+    this.worldWidthTiles = world.widthTiles;
+    this.worldHeightTiles = world.heightTiles;
+    this.lavaDepth = world.lavaDepthTiles; // Configurable lava start depth
+    this.biomeBlendTiles = Math.max(2, Math.round(this.lavaDepth * BIOME_BLEND_RATIO));
     this.doorPosition = null;
+    this.carvedPath = null; // Map<"x,y", blockType> dug out by ensureSolvable
+    this.prefabPlacements = null; // Computed once per level by getPrefabPlacements
   }
 
   /**
@@ -81,15 +126,15 @@ export class TerrainGenerator {
       return this.chunkCache.get(key);
     }
 
-    const chunk = new TerrainChunk(chunkX, chunkY);
+    const chunk = new TerrainChunk(chunkX, chunkY, this.chunkSize);
     chunk.maggotSpawns = [];
     const specialPlacements = [];
 
     // Generate terrain based on depth
-    for (let y = 0; y < CHUNK_SIZE; y += 1) {
-      for (let x = 0; x < CHUNK_SIZE; x += 1) {
-        const worldX = chunkX * CHUNK_SIZE + x;
-        const worldY = chunkY * CHUNK_SIZE + y;
+    for (let y = 0; y < this.chunkSize; y += 1) {
+      for (let x = 0; x < this.chunkSize; x += 1) {
+        const worldX = chunkX * this.chunkSize + x;
+        const worldY = chunkY * this.chunkSize + y;
 
         const outOfBoundsX = worldX < 0 || worldX >= this.worldWidthTiles;
         const outOfBoundsY = worldY < 0 || worldY >= this.worldHeightTiles;
@@ -99,6 +144,10 @@ export class TerrainGenerator {
           continue;
         }
 
+        const biomeIndex = this.getBiomeIndexAt(worldX, worldY);
+        const biome = BIOMES[biomeIndex];
+        chunk.setBiomeIndex(x, y, biomeIndex);
+
         let blockType = BLOCK_TYPE.EMPTY;
 
         // Surface layer handling
@@ -119,12 +168,12 @@ export class TerrainGenerator {
           const torusBlock = this._getTorusBlock(worldX, worldY);
           if (torusBlock !== null) {
             blockType = torusBlock;
-          } else if (this._isCavern(worldX, worldY)) {
+          } else if (this._isCavern(worldX, worldY, biome)) {
             // Cavern (procedural holes)
             blockType = BLOCK_TYPE.EMPTY;
           } else {
-            // Base mud by depth
-            blockType = this._getMudTypeByDepth(worldY);
+            // Biome filler (mud by depth, mixed with the biome's own blocks)
+            blockType = this._getBiomeFillType(worldX, worldY, biome);
           }
         }
 
@@ -143,13 +192,27 @@ export class TerrainGenerator {
     // Apply organic visual variant distribution based on proximity to empty tiles
     this._applyOrganicVariant(chunk, chunkX, chunkY);
 
+    // Carve ore veins into the mud (before specials, which only replace mud)
+    this._applyOreVeins(chunk, chunkX, chunkY);
+
     // Collect potential special placement points
     this._collectSpecialPlacements(chunk, chunkX, chunkY, specialPlacements);
 
     // Apply queued special placements (blocks + halos)
     this._applySpecialPlacements(chunk, chunkX, chunkY, specialPlacements);
+
+    // Stamp hand-authored prefabs over the terrain, then re-check escape routes
+    if (this._applyPrefabs(chunk, chunkX, chunkY)) {
+      this._ensureEscapability(chunk, chunkX, chunkY);
+    }
     this._applyDoorPlacement(chunk, chunkX, chunkY);
 
+    // Seal pockets of the biome's liquid into the mud (they flow once dug into)
+    this._applyLiquidPockets(chunk, chunkX, chunkY);
+
+    // Lay the guaranteed route to the door, if solving the level called for one
+    this._applyCarvedPath(chunk, chunkX, chunkY);
+
     // Cache the chunk
     this.chunkCache.set(key, chunk);
 
@@ -169,6 +232,64 @@ export class TerrainGenerator {
       && chunkY < this.worldHeightChunks;
   }
 
+  /**
+   * Get the biome a tile belongs to. Band tops sit at a share of the lava depth and are
+   * shifted per column by noise (plus per-tile dither) so bands blend into each other.
+   * @param {number} worldX - World X coordinate
+   * @param {number} worldY - World Y coordinate
+   * @returns {number} Index into BIOMES
+   */
+  getBiomeIndexAt(worldX, worldY) {
+    const blend = this.biomeBlendTiles;
+    let index = 0;
+    for (let i = 1; i < BIOMES.length; i += 1) {
+      const wave = (this._noise(worldX * 0.08 + i * 31.7, i * 17.3) - 0.5) * 2 * blend;
+      const dither = (this._random(worldX + 613 * i, worldY + 389) - 0.5) * blend * 0.5;
+      const top = BIOMES[i].startDepth * this.lavaDepth + wave + dither;
+      if (worldY < top) {
+        break;
+      }
+      index = i;
+    }
+    return index;
+  }
+
+  /**
+   * Get the biome a tile belongs to
+   * @param {number} worldX - World X coordinate
+   * @param {number} worldY - World Y coordinate
+   * @returns {BiomeDefinition}
+   */
+  getBiomeAt(worldX, worldY) {
+    return BIOMES[this.getBiomeIndexAt(worldX, worldY)];
+  }
+
+  /**
+   * Get the unblended top row of every biome band (for backgrounds and overviews)
+   * @returns {Array<{biome: BiomeDefinition, startY: number}>}
+   */
+  getBiomeBands() {
+    return BIOMES.map((biome) => ({
+      biome,
+      startY: Math.round(biome.startDepth * this.lavaDepth),
+    }));
+  }
+
+  /**
+   * Pick the filler block for a solid tile from its biome's block mix.
+   * Uses noise rather than a per-tile roll so mixed-in blocks form patches.
+   * @param {number} worldX - World X coordinate
+   * @param {number} worldY - World Y coordinate
+   * @param {BiomeDefinition} biome
+   * @returns {string} Block type identifier
+   * @private
+   */
+  _getBiomeFillType(worldX, worldY, biome) {
+    const roll = this._noise(worldX * 0.3 + 97, worldY * 0.3 + 31);
+    const type = pickBiomeBlock(biome, roll);
+    return type === 'mud' ? this._getMudTypeByDepth(worldY) : type;
+  }
+
   /**
    * Get mud type based on depth (HP progression)
    * @param {number} worldY - World Y coordinate
@@ -198,31 +319,128 @@ export class TerrainGenerator {
    * @private
    */
   _createBlock(blockType, _worldY) {
-    switch (blockType) {
-      case BLOCK_TYPE.EMPTY:
-        return BlockFactory.createEmpty();
-      case BLOCK_TYPE.MUD_LIGHT:
-        return BlockFactory.createMud(5, 1); // HP=5, variant=1 (lightest)
-      case BLOCK_TYPE.MUD_MEDIUM:
-        return BlockFactory.createMud(5, 2); // HP=5, variant=2
-      case BLOCK_TYPE.MUD_DARK:
-        return BlockFactory.createMud(5, 3); // HP=5, variant=3
-      case BLOCK_TYPE.MUD_DENSE:
-        return BlockFactory.createMud(5, 4); // HP=5, variant=4
-      case BLOCK_TYPE.MUD_CORE:
-        return BlockFactory.createMud(5, 5); // HP=5, variant=5 (darkest)
-      case BLOCK_TYPE.ROCK:
-        // return BlockFactory.createPauseCrystal();
-        return BlockFactory.createRock();
-      case BLOCK_TYPE.RED_FRAME:
-        return BlockFactory.createRedFrame();
-      case BLOCK_TYPE.LAVA:
-        return BlockFactory.createLava();
-      case BLOCK_TYPE.GRASS:
-        return BlockFactory.createGrass();
-      default:
-        return BlockFactory.createEmpty();
+    const [type, overrides] = GENERATED_BLOCKS[blockType] || ['empty'];
+    return BlockFactory.create(type, overrides);
+  }
+
+  /**
+   * Door tile of this level
+   * @returns {{x: number, y: number}|null}
+   */
+  getDoorPosition() {
+    return this._ensureDoorPlacement();
+  }
+
+  /**
+   * Prove the door can be reached from the spawn; if it cannot, carve a route of mud
+   * (down from the spawn to the door row, then across to the door) and solve again. Should
+   * that still fail, the door moves to the door row under the spawn, at the foot of a
+   * straight mud shaft, so every seed ends up with the same solvable level.
+   * Generates the whole level, then drops the generated chunks so streaming starts fresh.
+   * Runs where the chunks are generated (see ChunkGenerationHost), not on the main thread.
+   * @param {{gridX: number, gridY: number}} spawn - Player spawn tile
+   * @returns {{reachable: boolean, path: Array<{x: number, y: number}>, explored: number,
+   *   carved: boolean, doorMoved: boolean}} Solver result for the final level
+   */
+  ensureSolvable(spawn) {
+    let result = new LevelSolver(this).solve(spawn);
+    let carved = false;
+    let doorMoved = false;
+
+    if (!result.reachable && this.getDoorPosition()) {
+      this.carvedPath = this._planCarvedPath(spawn);
+      this.clearCache();
+      result = new LevelSolver(this).solve(spawn);
+      carved = true;
     }
+
+    if (!result.reachable && this.getDoorPosition()) {
+      const halfStep = Math.floor(DOOR_STEP_WIDTH / 2);
+      this.doorPosition = {
+        x: Math.max(halfStep, Math.min(spawn.gridX, this.worldWidthTiles - 1 - halfStep)),
+        y: this.doorPosition.y,
+      };
+      this.carvedPath = this._planCarvedPath(spawn);
+      this.clearCache();
+      result = new LevelSolver(this).solve(spawn);
+      doorMoved = true;
+    }
+
+    this.clearCache();
+    return { ...result, carved, doorMoved };
+  }
+
+  /**
+   * Tiles of the fallback route: a mud shaft under the spawn down to the door row, a mud
+   * corridor along that row to the door, and mud over the corridor so nothing falls in.
+   * The shaft stands on mud or the doorstep. Prefab explosives whose blast reaches the
+   * route are turned to mud as well.
+   * @param {{gridX: number, gridY: number}} spawn
+   * @returns {Map<string, string>} Block type by "x,y"
+   * @private
+   */
+  _planCarvedPath(spawn) {
+    const { x: doorX, y: doorY } = this.getDoorPosition();
+    const shaftX = spawn.gridX;
+    const path = new Map();
+    const mud = (x, y) => {
+      if (x !== doorX || y !== doorY) {
+        path.set(`${x},${y}`, this._getMudTypeByDepth(y));
+      }
+    };
+
+    for (let y = spawn.gridY + 2; y <= doorY; y += 1) {
+      mud(shaftX, y);
+    }
+
+    const step = Math.sign(doorX - shaftX);
+    if (step !== 0) {
+      if (Math.abs(doorX - shaftX) > Math.floor(DOOR_STEP_WIDTH / 2)) {
+        mud(shaftX, doorY + 1);
+      }
+      for (let x = shaftX + step; x !== doorX; x += step) {
+        mud(x, doorY);
+        mud(x, doorY - 1);
+      }
+    }
+
+    const route = new Set(path.keys());
+    this.getPrefabPlacements().forEach(({
+      prefab, x, y, rows,
+    }) => {
+      rows.forEach((row, dy) => [...row].forEach((symbol, dx) => {
+        const explosive = getBlockDefinition(prefab.legend[symbol])?.explosive;
+        const reachesRoute = explosive && new ExplosiveComponent(explosive).getOffsets()
+          .some((offset) => route.has(`${x + dx + offset.dx},${y + dy + offset.dy}`));
+        if (reachesRoute) {
+          mud(x + dx, y + dy);
+        }
+      }));
+    });
+
+    return path;
+  }
+
+  /**
+   * Write the carved route's tiles that fall inside the chunk
+   * @param {TerrainChunk} chunk
+   * @param {number} chunkX
+   * @param {number} chunkY
+   * @private
+   */
+  _applyCarvedPath(chunk, chunkX, chunkY) {
+    if (!this.carvedPath) {
+      return;
+    }
+
+    this.carvedPath.forEach((blockType, key) => {
+      const [worldX, worldY] = key.split(',').map(Number);
+      const localX = worldX - chunkX * this.chunkSize;
+      const localY = worldY - chunkY * this.chunkSize;
+      if (localX >= 0 && localX < this.chunkSize && localY >= 0 && localY < this.chunkSize) {
+        chunk.setBlock(localX, localY, this._createBlock(blockType, worldY));
+      }
+    });
   }
 
   /**
@@ -300,8 +518,8 @@ export class TerrainGenerator {
     }
 
     const { x: doorX, y: doorY } = doorPlacement;
-    const doorChunkX = Math.floor(doorX / CHUNK_SIZE);
-    const doorChunkY = Math.floor(doorY / CHUNK_SIZE);
+    const doorChunkX = Math.floor(doorX / this.chunkSize);
+    const doorChunkY = Math.floor(doorY / this.chunkSize);
 
     const ensureMudNeighbor = (worldX, worldY, { preserveEmpty = false } = {}) => {
       const outOfBounds = worldX < 0
@@ -312,17 +530,17 @@ export class TerrainGenerator {
         return;
       }
 
-      const neighborChunkX = Math.floor(worldX / CHUNK_SIZE);
-      const neighborChunkY = Math.floor(worldY / CHUNK_SIZE);
+      const neighborChunkX = Math.floor(worldX / this.chunkSize);
+      const neighborChunkY = Math.floor(worldY / this.chunkSize);
 
       if (neighborChunkX !== chunkX || neighborChunkY !== chunkY) {
         return;
       }
 
-      const localX = worldX - chunkX * CHUNK_SIZE;
-      const localY = worldY - chunkY * CHUNK_SIZE;
+      const localX = worldX - chunkX * this.chunkSize;
+      const localY = worldY - chunkY * this.chunkSize;
 
-      if (localX < 0 || localX >= CHUNK_SIZE || localY < 0 || localY >= CHUNK_SIZE) {
+      if (localX < 0 || localX >= this.chunkSize || localY < 0 || localY >= this.chunkSize) {
         return;
       }
 
@@ -347,17 +565,17 @@ export class TerrainGenerator {
         return;
       }
 
-      const neighborChunkX = Math.floor(worldX / CHUNK_SIZE);
-      const neighborChunkY = Math.floor(worldY / CHUNK_SIZE);
+      const neighborChunkX = Math.floor(worldX / this.chunkSize);
+      const neighborChunkY = Math.floor(worldY / this.chunkSize);
 
       if (neighborChunkX !== chunkX || neighborChunkY !== chunkY) {
         return;
       }
 
-      const localX = worldX - chunkX * CHUNK_SIZE;
-      const localY = worldY - chunkY * CHUNK_SIZE;
+      const localX = worldX - chunkX * this.chunkSize;
+      const localY = worldY - chunkY * this.chunkSize;
 
-      if (localX < 0 || localX >= CHUNK_SIZE || localY < 0 || localY >= CHUNK_SIZE) {
+      if (localX < 0 || localX >= this.chunkSize || localY < 0 || localY >= this.chunkSize) {
         return;
       }
 
@@ -371,12 +589,12 @@ export class TerrainGenerator {
 
     // Place the door
     if (doorChunkX === chunkX && doorChunkY === chunkY) {
-      const localDoorX = doorX - chunkX * CHUNK_SIZE;
-      const localDoorY = doorY - chunkY * CHUNK_SIZE;
+      const localDoorX = doorX - chunkX * this.chunkSize;
+      const localDoorY = doorY - chunkY * this.chunkSize;
       const doorInBounds = localDoorX >= 0
-        && localDoorX < CHUNK_SIZE
+        && localDoorX < this.chunkSize
         && localDoorY >= 0
-        && localDoorY < CHUNK_SIZE;
+        && localDoorY < this.chunkSize;
       if (doorInBounds) {
         chunk.setBlock(localDoorX, localDoorY, BlockFactory.createDoor());
       }
@@ -408,26 +626,213 @@ export class TerrainGenerator {
         continue;
       }
 
-      const stepChunkX = Math.floor(stepX / CHUNK_SIZE);
-      const stepChunkY = Math.floor(stepY / CHUNK_SIZE);
+      const stepChunkX = Math.floor(stepX / this.chunkSize);
+      const stepChunkY = Math.floor(stepY / this.chunkSize);
 
       if (stepChunkX !== chunkX || stepChunkY !== chunkY) {
         // eslint-disable-next-line no-continue
         continue;
       }
 
-      const localStepX = stepX - chunkX * CHUNK_SIZE;
-      const localStepY = stepY - chunkY * CHUNK_SIZE;
+      const localStepX = stepX - chunkX * this.chunkSize;
+      const localStepY = stepY - chunkY * this.chunkSize;
 
       if (
-        localStepX >= 0 && localStepX < CHUNK_SIZE
-        && localStepY >= 0 && localStepY < CHUNK_SIZE
+        localStepX >= 0 && localStepX < this.chunkSize
+        && localStepY >= 0 && localStepY < this.chunkSize
       ) {
         chunk.setBlock(localStepX, localStepY, BlockFactory.createDoorstep());
       }
     }
   }
 
+  /**
+   * Prefabs of this level, placed once for the whole world so a prefab spanning several
+   * chunks is stamped the same way into each of them. Every PREFAB_SLOT_TILES rows form a
+   * slot; a seeded roll decides whether the slot gets a prefab, which one (by weight), its
+   * rotation/mirroring and position. A placement is kept only if it starts in the prefab's
+   * depth range, stays clear of the lava, the torus rings and the door, and keeps its
+   * spacing from the prefabs placed before it.
+   * @returns {Array<{prefab: PrefabDefinition, x: number, y: number, rows: string[]}>}
+   *   `x`/`y` is the top-left tile, `rows` the transformed grid
+   */
+  getPrefabPlacements() {
+    if (this.prefabPlacements) {
+      return this.prefabPlacements;
+    }
+
+    const placements = [];
+    const totalWeight = PREFABS.reduce((sum, prefab) => sum + prefab.weight, 0);
+
+    for (let top = PREFAB_MIN_DEPTH; top < this.lavaDepth; top += PREFAB_SLOT_TILES) {
+      const roll = (salt) => this._random(top + salt, 4999 + salt);
+      if (roll(0) < PREFAB_SLOT_CHANCE) {
+        let pick = roll(1) * totalWeight;
+        const prefab = PREFABS.find((candidate) => {
+          pick -= candidate.weight;
+          return pick < 0;
+        }) || PREFABS[PREFABS.length - 1];
+
+        const rows = transformGrid(prefab.grid, {
+          rotation: prefab.rotate ? Math.floor(roll(2) * 4) : 0,
+          mirror: prefab.mirror && roll(3) < 0.5,
+        });
+        const width = rows[0].length;
+        const height = rows.length;
+        const placement = {
+          prefab,
+          rows,
+          x: Math.floor(roll(4) * (this.worldWidthTiles - width + 1)),
+          y: top + Math.floor(roll(5) * Math.max(1, PREFAB_SLOT_TILES - height + 1)),
+        };
+
+        if (this._canPlacePrefab(placement, placements)) {
+          placements.push(placement);
+        }
+      }
+    }
+
+    this.prefabPlacements = placements;
+    return placements;
+  }
+
+  /**
+   * Check a prefab placement against the level and the placements made so far
+   * @param {{prefab: PrefabDefinition, x: number, y: number, rows: string[]}} placement
+   * @param {Array} placed
+   * @returns {boolean}
+   * @private
+   */
+  _canPlacePrefab(placement, placed) {
+    const {
+      prefab, x, y, rows,
+    } = placement;
+    const width = rows[0].length;
+    const height = rows.length;
+    const [minDepth, maxDepth] = prefab.depth;
+
+    const fits = x >= 0
+      && x + width <= this.worldWidthTiles
+      && y >= minDepth * this.lavaDepth
+      && y <= maxDepth * this.lavaDepth
+      && y + height < this.lavaDepth; // Leave a row of terrain over the lava
+    if (!fits) {
+      return false;
+    }
+
+    // Keep the door, its doorstep and the torus rings (with their mud shell) intact
+    this._ensureDoorPlacement();
+    for (let cellY = y - 1; cellY <= y + height; cellY += 1) {
+      for (let cellX = x - 1; cellX <= x + width; cellX += 1) {
+        if (this._isNearDoor(cellX, cellY) || this._getTorusBlock(cellX, cellY) !== null) {
+          return false;
+        }
+      }
+    }
+    return placed.every((other) => {
+      const gapX = Math.max(other.x - (x + width), x - (other.x + other.rows[0].length));
+      const gapY = Math.max(other.y - (y + height), y - (other.y + other.rows.length));
+      return Math.max(gapX, gapY) >= Math.max(prefab.spacing, other.prefab.spacing);
+    });
+  }
+
+  /**
+   * Stamp the parts of prefabs that fall inside the chunk. Open tiles around a prefab's
+   * solid edge are filled with mud so the prefab sits in the ground instead of floating in
+   * a cavern; tiles next to the prefab's own openings stay open so it connects.
+   * @param {TerrainChunk} chunk
+   * @param {number} chunkX
+   * @param {number} chunkY
+   * @returns {boolean} True if any prefab touched the chunk
+   * @private
+   */
+  _applyPrefabs(chunk, chunkX, chunkY) {
+    const size = this.chunkSize;
+    const originX = chunkX * size;
+    const originY = chunkY * size;
+    let touched = false;
+
+    const place = (worldX, worldY, blockId) => {
+      const localX = worldX - originX;
+      const localY = worldY - originY;
+      if (localX < 0 || localX >= size || localY < 0 || localY >= size) {
+        return;
+      }
+      const block = blockId === 'mud'
+        ? this._createBlock(this._getMudTypeByDepth(worldY), worldY)
+        : BlockFactory.create(blockId);
+      chunk.setBlock(localX, localY, block);
+      touched = true;
+    };
+
+    this.getPrefabPlacements().forEach(({
+      prefab, x, y, rows,
+    }) => {
+      const width = rows[0].length;
+      const height = rows.length;
+      const overlaps = x - 1 < originX + size && x + width + 1 > originX
+        && y - 1 < originY + size && y + height + 1 > originY;
+      if (!overlaps) {
+        return;
+      }
+
+      const blockAt = (cellX, cellY) => {
+        const inside = cellX >= x && cellX < x + width && cellY >= y && cellY < y + height;
+        return inside ? prefab.legend[rows[cellY - y][cellX - x]] : undefined;
+      };
+
+      for (let cellY = y - 1; cellY <= y + height; cellY += 1) {
+        for (let cellX = x - 1; cellX <= x + width; cellX += 1) {
+          const blockId = blockAt(cellX, cellY);
+          if (blockId) {
+            place(cellX, cellY, blockId);
+          } else if (blockId === undefined) {
+            const edge = [[0, -1], [-1, 0], [1, 0], [0, 1]]
+              .map(([dx, dy]) => blockAt(cellX + dx, cellY + dy))
+              .filter((neighbour) => neighbour !== undefined);
+            const isShell = edge.length > 0
+              && edge.every((neighbour) => neighbour && neighbour !== BLOCK_TYPE.EMPTY);
+            if (isShell && this._isOpenTile(chunk, cellX - originX, cellY - originY)) {
+              place(cellX, cellY, 'mud');
+            }
+          }
+        }
+      }
+    });
+
+    return touched;
+  }
+
+  /**
+   * Check whether a prefab covers a tile (tiles its grid leaves to the terrain do not count)
+   * @param {number} worldX
+   * @param {number} worldY
+   * @returns {boolean}
+   * @private
+   */
+  _isPrefabTile(worldX, worldY) {
+    return this.getPrefabPlacements().some(({
+      prefab, x, y, rows,
+    }) => {
+      const row = rows[worldY - y];
+      const symbol = row ? row[worldX - x] : undefined;
+      return symbol !== undefined && prefab.legend[symbol] !== null;
+    });
+  }
+
+  /**
+   * @param {TerrainChunk} chunk
+   * @param {number} localX
+   * @param {number} localY
+   * @returns {boolean} True for an empty tile inside the chunk
+   * @private
+   */
+  _isOpenTile(chunk, localX, localY) {
+    const inChunk = localX >= 0 && localX < this.chunkSize
+      && localY >= 0 && localY < this.chunkSize;
+    return inChunk && chunk.getBlock(localX, localY)?.type === BLOCK_TYPE.EMPTY;
+  }
+
   /**
    * Check if position is in lava termination zone
    * @param {number} worldY - World Y coordinate
@@ -489,17 +894,19 @@ export class TerrainGenerator {
    * Check if position is a cavern (procedural hole)
    * @param {number} worldX - World X coordinate
    * @param {number} worldY - World Y coordinate
+   * @param {BiomeDefinition} [biome] - Biome whose cavern offset applies
    * @returns {boolean}
    * @private
    */
-  _isCavern(worldX, worldY) {
+  _isCavern(worldX, worldY, biome = BIOMES[0]) {
     // Use Perlin-like noise for organic caverns
     const scale = 0.1;
     const noise = this._noise(worldX * scale, worldY * scale);
 
     // Caverns more likely at deeper depths
     const depthFactor = Math.min(worldY / 500, 1.0);
-    const threshold = 0.6 - depthFactor * 0.2; // Lower threshold = more caverns at depth
+    // Lower threshold = more caverns at depth
+    const threshold = this.difficulty.cavernThreshold + biome.cavernOffset - depthFactor * 0.2;
 
     return noise > threshold;
   }
@@ -514,11 +921,11 @@ export class TerrainGenerator {
   _ensureEscapability(chunk, chunkX, chunkY) {
     // Ensure vertical paths exist
     // For each column, check if there's at least one diggable path downward
-    for (let x = 0; x < CHUNK_SIZE; x += 1) {
+    for (let x = 0; x < this.chunkSize; x += 1) {
       let hasPath = false;
 
-      for (let y = 0; y < CHUNK_SIZE; y += 1) {
-        const worldY = chunkY * CHUNK_SIZE + y;
+      for (let y = 0; y < this.chunkSize; y += 1) {
+        const worldY = chunkY * this.chunkSize + y;
         if (worldY >= 4) {
           const block = chunk.getBlock(x, y);
           const physics = block.get(PhysicsComponent);
@@ -533,8 +940,8 @@ export class TerrainGenerator {
 
       // If column is completely blocked, make at least one block diggable
       if (!hasPath) {
-        const midY = Math.floor(CHUNK_SIZE / 2);
-        const worldY = chunkY * CHUNK_SIZE + midY;
+        const midY = Math.floor(this.chunkSize / 2);
+        const worldY = chunkY * this.chunkSize + midY;
         const mudType = this._getMudTypeByDepth(worldY);
         const mudBlock = this._createBlock(mudType, worldY);
         chunk.setBlock(x, midY, mudBlock);
@@ -551,16 +958,16 @@ export class TerrainGenerator {
    */
   _ensureTorusSurroundings(chunk, chunkX, chunkY) {
     // Check all blocks in chunk for torus blocks
-    for (let y = 0; y < CHUNK_SIZE; y += 1) {
-      for (let x = 0; x < CHUNK_SIZE; x += 1) {
+    for (let y = 0; y < this.chunkSize; y += 1) {
+      for (let x = 0; x < this.chunkSize; x += 1) {
         const block = chunk.getBlock(x, y);
         const render = block.get(RenderComponent);
 
         // Check if it's a red frame block
         if (render && block.type === BLOCK_TYPE.RED_FRAME) {
           // Found torus block - ensure surrounding blocks are solid
-          const worldX = chunkX * CHUNK_SIZE + x;
-          const worldY = chunkY * CHUNK_SIZE + y;
+          const worldX = chunkX * this.chunkSize + x;
+          const worldY = chunkY * this.chunkSize + y;
 
           // Check 8 neighbors (including diagonals)
           for (let dy = -1; dy <= 1; dy += 1) {
@@ -577,7 +984,10 @@ export class TerrainGenerator {
               const neighborWorldY = worldY + dy;
 
               // Skip if out of chunk bounds
-              if (localX < 0 || localX >= CHUNK_SIZE || localY < 0 || localY >= CHUNK_SIZE) {
+              if (
+                localX < 0 || localX >= this.chunkSize
+                || localY < 0 || localY >= this.chunkSize
+              ) {
                 continue;
               }
 
@@ -669,14 +1079,14 @@ export class TerrainGenerator {
    */
   _applyOrganicVariant(chunk, chunkX, chunkY) {
     // Skip top chunks (surface and first filled rows stay as-is)
-    const worldYStart = chunkY * CHUNK_SIZE;
+    const worldYStart = chunkY * this.chunkSize;
     if (worldYStart < 6) return;
 
     // For each block in chunk
-    for (let y = 0; y < CHUNK_SIZE; y += 1) {
-      for (let x = 0; x < CHUNK_SIZE; x += 1) {
+    for (let y = 0; y < this.chunkSize; y += 1) {
+      for (let x = 0; x < this.chunkSize; x += 1) {
         const block = chunk.getBlock(x, y);
-        const worldX = chunkX * CHUNK_SIZE + x;
+        const worldX = chunkX * this.chunkSize + x;
         const worldY = worldYStart + y;
         const health = block.get(HealthComponent);
         const render = block.get(RenderComponent);
@@ -698,9 +1108,9 @@ export class TerrainGenerator {
         // Map distance to variant (1-5) with noise
         let targetVariant = Math.min(5, Math.max(1, distanceToEmpty + noiseAdjustment));
 
-        // Apply depth influence (deeper = slightly higher variant/darker)
-        const depthBonus = Math.floor(worldY / 150); // +1 variant per 150 depth
-        targetVariant = Math.min(5, targetVariant + depthBonus);
+        // Keep within the biome's sprite variants (deeper biomes use darker ones)
+        const [minVariant, maxVariant] = this._getTileBiome(chunk, x, y).mudVariants;
+        targetVariant = Math.min(maxVariant, Math.max(minVariant, targetVariant));
 
         // Add random variation (20% chance to vary by ±1)
         const randomValue = this._random(worldX, worldY);
@@ -717,6 +1127,106 @@ export class TerrainGenerator {
     }
   }
 
+  /**
+   * Replace mud with ore where an ore's vein noise peaks. Each ore has its own noise
+   * field; veins start at the ore's minimum depth and widen towards the lava.
+   * Rarer ores are checked first so they win where veins overlap.
+   * @param {TerrainChunk} chunk
+   * @param {number} chunkX
+   * @param {number} chunkY
+   * @private
+   */
+  _applyOreVeins(chunk, chunkX, chunkY) {
+    const rarestFirst = [...ORES].reverse();
+
+    for (let localY = 0; localY < this.chunkSize; localY += 1) {
+      for (let localX = 0; localX < this.chunkSize; localX += 1) {
+        const worldX = chunkX * this.chunkSize + localX;
+        const worldY = chunkY * this.chunkSize + localY;
+        // Keep the surface rows plain mud
+        if (worldY < 10 || !BlockFactory.isMud(chunk.getBlock(localX, localY))) {
+          continue; // eslint-disable-line no-continue
+        }
+
+        const ore = rarestFirst.find((candidate, index) => {
+          const startDepth = candidate.minDepth * this.lavaDepth;
+          if (worldY < startDepth) {
+            return false;
+          }
+          const depthRange = Math.max(1, this.lavaDepth - startDepth);
+          const depthFactor = Math.min(1, (worldY - startDepth) / depthRange);
+          const threshold = candidate.veinThreshold - depthFactor * ORE_DEPTH_BONUS;
+          const offset = (index + 1) * 1013;
+          const noise = this._noise(
+            worldX * candidate.veinScale + offset,
+            worldY * candidate.veinScale + offset,
+          );
+          return noise > threshold;
+        });
+
+        if (ore) {
+          chunk.setBlock(localX, localY, BlockFactory.create(ore.blockType));
+        }
+      }
+    }
+  }
+
+  /**
+   * Replace filler with pockets of the biome's liquid where its pocket noise peaks. Pocket
+   * tiles must not touch open space, so pockets are sealed (and at rest) until dug into.
+   * @param {TerrainChunk} chunk
+   * @param {number} chunkX
+   * @param {number} chunkY
+   * @private
+   */
+  _applyLiquidPockets(chunk, chunkX, chunkY) {
+    const isSealed = (localX, localY) => [[0, -1], [-1, 0], [1, 0], [0, 1]].every(([dx, dy]) => {
+      const neighbour = chunk.getBlock(localX + dx, localY + dy);
+      return Boolean(neighbour && neighbour.type !== BLOCK_TYPE.EMPTY);
+    });
+    const placements = [];
+
+    // Stay one tile inside the chunk so every neighbour can be checked
+    for (let localY = 1; localY < this.chunkSize - 1; localY += 1) {
+      for (let localX = 1; localX < this.chunkSize - 1; localX += 1) {
+        const worldX = chunkX * this.chunkSize + localX;
+        const worldY = chunkY * this.chunkSize + localY;
+        const { pockets } = this._getTileBiome(chunk, localX, localY);
+        if (
+          pockets
+          && worldY >= 10
+          && !this._isLavaZone(worldY)
+          && POCKET_HOST_TYPES.has(chunk.getBlock(localX, localY)?.type)
+          && isSealed(localX, localY)
+          && !this._isNearDoor(worldX, worldY)
+          && !this._isPrefabTile(worldX, worldY)
+          && this._noise(worldX * 0.3 + 517, worldY * 0.3 + 263) > pockets.threshold
+        ) {
+          placements.push([localX, localY, pockets.kind]);
+        }
+      }
+    }
+
+    placements.forEach(([localX, localY, kind]) => {
+      chunk.setBlock(localX, localY, BlockFactory.create(kind));
+    });
+  }
+
+  /**
+   * Check whether a tile is within two tiles of the door
+   * @param {number} worldX
+   * @param {number} worldY
+   * @returns {boolean}
+   * @private
+   */
+  _isNearDoor(worldX, worldY) {
+    if (!this.doorPosition) {
+      return false;
+    }
+    const { x, y } = this.doorPosition;
+    return Math.abs(worldX - x) <= 2 && Math.abs(worldY - y) <= 2;
+  }
+
   /**
    * Collect potential positions for special blocks based on terrain state.
    * @param {TerrainChunk} chunk
@@ -726,15 +1236,15 @@ export class TerrainGenerator {
    * @private
    */
   _collectSpecialPlacements(chunk, chunkX, chunkY, specialPlacements) {
-    for (let localY = 0; localY < CHUNK_SIZE; localY += 1) {
-      for (let localX = 0; localX < CHUNK_SIZE; localX += 1) {
+    for (let localY = 0; localY < this.chunkSize; localY += 1) {
+      for (let localX = 0; localX < this.chunkSize; localX += 1) {
         const block = chunk.getBlock(localX, localY);
         if (!BlockFactory.isMud(block)) {
           continue; // eslint-disable-line no-continue
         }
 
-        const worldX = chunkX * CHUNK_SIZE + localX;
-        const worldY = chunkY * CHUNK_SIZE + localY;
+        const worldX = chunkX * this.chunkSize + localX;
+        const worldY = chunkY * this.chunkSize + localY;
 
         const minSpecialDepth = 6; // Start a few tiles below grass layer
 
@@ -746,7 +1256,10 @@ export class TerrainGenerator {
         const depthFactor = Math.min(1, Math.max(0, (worldY - minSpecialDepth) / depthRange));
         const minSpawnChance = 0.02;
         const maxSpawnChance = 0.5;
-        const spawnChance = minSpawnChance + depthFactor * (maxSpawnChance - minSpawnChance);
+        const biome = this._getTileBiome(chunk, localX, localY);
+        const spawnChance = (minSpawnChance + depthFactor * (maxSpawnChance - minSpawnChance))
+          * this.difficulty.rockDensity
+          * biome.specialOdds.spawn;
         const roll = this._random(worldX + 411, worldY + 917);
 
         if (roll < spawnChance) {
@@ -755,12 +1268,25 @@ export class TerrainGenerator {
             worldY,
             localX,
             localY,
+            biome,
           });
         }
       }
     }
   }
 
+  /**
+   * Get the biome recorded for a chunk tile during generation
+   * @param {TerrainChunk} chunk
+   * @param {number} localX
+   * @param {number} localY
+   * @returns {BiomeDefinition}
+   * @private
+   */
+  _getTileBiome(chunk, localX, localY) {
+    return getBiomeByIndex(chunk.getBiomeIndex(localX, localY)) || BIOMES[0];
+  }
+
   /**
    * Get distance to nearest empty tile (flood fill up to 6 blocks)
    * @param {TerrainChunk} chunk - Chunk to check
@@ -787,7 +1313,7 @@ export class TerrainGenerator {
           const checkY = y + dy;
 
           // Check if within chunk bounds
-          if (checkX >= 0 && checkX < CHUNK_SIZE && checkY >= 0 && checkY < CHUNK_SIZE) {
+          if (checkX >= 0 && checkX < this.chunkSize && checkY >= 0 && checkY < this.chunkSize) {
             const block = chunk.getBlock(checkX, checkY);
             const physics = block.get(PhysicsComponent);
             if (physics && !physics.isCollidable()) {
@@ -829,7 +1355,7 @@ export class TerrainGenerator {
       const checkY = localY + dy;
 
       // Check if within chunk bounds
-      if (checkX >= 0 && checkX < CHUNK_SIZE && checkY >= 0 && checkY < CHUNK_SIZE) {
+      if (checkX >= 0 && checkX < this.chunkSize && checkY >= 0 && checkY < this.chunkSize) {
         const neighborBlock = chunk.getBlock(checkX, checkY);
         const darkness = neighborBlock.get(DarknessComponent);
 
@@ -857,14 +1383,14 @@ export class TerrainGenerator {
   _applySpecialPlacements(chunk, chunkX, chunkY, specialPlacements) {
     specialPlacements.forEach((placement) => {
       const {
-        localX, localY, worldX, worldY,
+        localX, localY, worldX, worldY, biome,
       } = placement;
 
       if (!BlockFactory.isMud(chunk.getBlock(localX, localY))) {
         return;
       }
 
-      const type = this._determineSpecialType(worldX, worldY);
+      const type = this._determineSpecialType(worldX, worldY, biome);
 
       if (type === 'chest' && this._placeChestSpecial(chunk, chunkX, chunkY, placement)) {
         return;
@@ -882,14 +1408,15 @@ export class TerrainGenerator {
     });
   }
 
-  _determineSpecialType(worldX, worldY) {
+  _determineSpecialType(worldX, worldY, biome = BIOMES[0]) {
+    const odds = biome.specialOdds;
     const minSpecialDepth = 6;
     const depth = Math.max(0, worldY - minSpecialDepth);
     const depthRange = Math.max(1, this.lavaDepth - minSpecialDepth);
     const depthFactor = Math.min(1, depth / depthRange);
 
-    const chestChance = 0.05 + depthFactor * 0.4;
-    const pauseChance = 0.02 + depthFactor * 0.06;
+    const chestChance = (0.05 + depthFactor * 0.4) * this.difficulty.chestFrequency * odds.chest;
+    const pauseChance = (0.02 + depthFactor * 0.06) * odds.pause;
     const roll = this._random(worldX + 521, worldY + 823);
 
     if (roll < chestChance) {
@@ -898,7 +1425,7 @@ export class TerrainGenerator {
 
     if (roll < chestChance + pauseChance) {
       const maggotRoll = this._random(worldX + 727, worldY + 929);
-      if (maggotRoll < 1 / 3) {
+      if (maggotRoll < Math.min(1, this.difficulty.maggotFrequency * odds.maggot)) {
         return 'maggot';
       }
       return 'pause';
@@ -1036,7 +1563,7 @@ export class TerrainGenerator {
 
         const nx = localX + dx;
         const ny = localY + dy;
-        if (nx < 0 || nx >= CHUNK_SIZE || ny < 0 || ny >= CHUNK_SIZE) {
+        if (nx < 0 || nx >= this.chunkSize || ny < 0 || ny >= this.chunkSize) {
           continue; // eslint-disable-line no-continue
         }
 
@@ -1077,10 +1604,10 @@ export class TerrainGenerator {
     const haloPositions = generateHalo(centerX, centerY, 1, effectiveRadius, seed);
 
     haloPositions.forEach(({ x, y }) => {
-      const localX = x - chunkX * CHUNK_SIZE;
-      const localY = y - chunkY * CHUNK_SIZE;
+      const localX = x - chunkX * this.chunkSize;
+      const localY = y - chunkY * this.chunkSize;
 
-      if (localX < 0 || localX >= CHUNK_SIZE || localY < 0 || localY >= CHUNK_SIZE) {
+      if (localX < 0 || localX >= this.chunkSize || localY < 0 || localY >= this.chunkSize) {
         return;
       }
 
@@ -1105,6 +1632,15 @@ export class TerrainGenerator {
     });
   }
 
+  /**
+   * Drop a single generated chunk so it is rebuilt on next request
+   * @param {number} chunkX - Chunk X coordinate
+   * @param {number} chunkY - Chunk Y coordinate
+   */
+  releaseChunk(chunkX, chunkY) {
+    this.chunkCache.delete(`${chunkX},${chunkY}`);
+  }
+
   /**
    * Clear chunk cache (for memory management)
    */
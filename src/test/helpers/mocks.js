@@ -221,3 +221,93 @@ export function createMockEventBus() {
     listeners, // Expose for testing
   };
 }
+
+/**
+ * Create a mock AudioParam
+ * @param {number} value - Initial value
+ * @returns {Object} Mock audio param
+ */
+function createMockAudioParam(value = 1) {
+  return {
+    value,
+    setValueAtTime: vi.fn(),
+    setTargetAtTime: vi.fn(),
+    linearRampToValueAtTime: vi.fn(),
+    exponentialRampToValueAtTime: vi.fn(),
+    cancelScheduledValues: vi.fn(),
+  };
+}
+
+/**
+ * Create a mock Web Audio node
+ * @param {Object} extra - Node-specific properties (params, start/stop, etc.)
+ * @returns {Object} Mock node recording its connections
+ */
+function createMockAudioNode(extra = {}) {
+  const node = {
+    connections: [],
+    connect: vi.fn((target) => {
+      node.connections.push(target);
+      return target;
+    }),
+    disconnect: vi.fn(),
+    ...extra,
+  };
+  return node;
+}
+
+/**
+ * Create a mock AudioContext (Web Audio is not available in Node)
+ * @returns {Object} Mock context; created nodes are listed in `nodes`
+ */
+export function createMockAudioContext() {
+  const nodes = [];
+  const track = (node) => {
+    nodes.push(node);
+    return node;
+  };
+  const createSource = () => ({
+    start: vi.fn(),
+    stop: vi.fn(),
+  });
+
+  const context = {
+    state: 'running',
+    currentTime: 0,
+    sampleRate: 8000,
+    destination: createMockAudioNode(),
+    nodes,
+    createGain: vi.fn(() => track(createMockAudioNode({ gain: createMockAudioParam(1) }))),
+    createOscillator: vi.fn(() => track(createMockAudioNode({
+      type: 'sine',
+      frequency: createMockAudioParam(440),
+      ...createSource(),
+    }))),
+    createBiquadFilter: vi.fn(() => track(createMockAudioNode({
+      type: 'lowpass',
+      frequency: createMockAudioParam(350),
+    }))),
+    createBufferSource: vi.fn(() => track(createMockAudioNode({
+      buffer: null,
+      ...createSource(),
+    }))),
+    createBuffer: vi.fn((channels, length) => {
+      const data = new Float32Array(length);
+      return { getChannelData: () => data };
+    }),
+    suspend: vi.fn(() => {
+      context.state = 'suspended';
+      return Promise.resolve();
+    }),
+    resume: vi.fn(() => {
+      context.state = 'running';
+      return Promise.resolve();
+    }),
+    close: vi.fn(() => {
+      context.state = 'closed';
+      return Promise.resolve();
+    }),
+  };
+
+  return context;
+}
@@ -0,0 +1,48 @@
+/**
+ * @file terrain.js
+ * @description Shared terrain set-ups for tests that run a HeadlessGame
+ */
+
+import { BlockFactory } from '../../factories/block.factory.js';
+
+/**
+ * Wall in a basalt box and hollow out its interior
+ * @param {TerrainSystem} terrain
+ * @param {number} left - Grid X of the first interior column
+ * @param {number} top - Grid Y of the first interior row
+ * @param {number} right - Grid X of the last interior column
+ * @param {number} bottom - Grid Y of the last interior row
+ * @returns {number[][]} Interior [x, y] cells
+ */
+export function buildBox(terrain, left, top, right, bottom) {
+  const interior = [];
+  for (let y = top - 1; y <= bottom + 1; y += 1) {
+    for (let x = left - 1; x <= right + 1; x += 1) {
+      const inside = x >= left && x <= right && y >= top && y <= bottom;
+      terrain.setBlock(x, y, inside ? BlockFactory.createEmpty() : BlockFactory.create('basalt'));
+      if (inside) interior.push([x, y]);
+    }
+  }
+  return interior;
+}
+
+/**
+ * Types of a rectangle of tiles, row by row
+ * @param {TerrainSystem} terrain
+ * @param {number} left
+ * @param {number} top
+ * @param {number} right
+ * @param {number} bottom
+ * @returns {string[]} One space-separated row of block types per grid row
+ */
+export function snapshot(terrain, left, top, right, bottom) {
+  const rows = [];
+  for (let y = top; y <= bottom; y += 1) {
+    const row = [];
+    for (let x = left; x <= right; x += 1) {
+      row.push(terrain.getBlock(x, y).type);
+    }
+    rows.push(row.join(' '));
+  }
+  return rows;
+}
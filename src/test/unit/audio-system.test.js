@@ -0,0 +1,124 @@
+/**
+ * @file audio-system.test.js
+ * @description Verify AudioSystem routes game events to mixer channels with a stubbed AudioContext.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { AudioSystem } from '../../systems/audio.system.js';
+import { eventBus } from '../../utils/event-bus.js';
+import {
+  createMockEventBus,
+  createMockGame,
+  createMockAudioContext,
+} from '../helpers/mocks.js';
+
+describe('AudioSystem', () => {
+  let game;
+  let context;
+  let createContext;
+  let audio;
+
+  /**
+   * Nodes connected straight into a mixer channel since the last reset
+   * @param {string} channel
+   * @returns {Array}
+   */
+  function soundsOn(channel) {
+    const output = audio.mixer.getOutput(channel);
+    return context.nodes.filter((node) => node.connections.includes(output));
+  }
+
+  beforeEach(() => {
+    Object.assign(eventBus, createMockEventBus());
+    game = createMockGame({ paused: false });
+    context = createMockAudioContext();
+    createContext = vi.fn(() => context);
+    audio = new AudioSystem(game, createContext);
+    audio.init();
+  });
+
+  it('waits for player input before creating the AudioContext', () => {
+    eventBus.emit('block:destroyed', { x: 1, y: 1 });
+    expect(createContext).not.toHaveBeenCalled();
+
+    eventBus.emit('input:move-down');
+    eventBus.emit('input:move-left');
+
+    expect(createContext).toHaveBeenCalledTimes(1);
+    expect(soundsOn('music').length).toBeGreaterThan(0);
+  });
+
+  it('plays event sounds on their channels', () => {
+    eventBus.emit('input:move-down');
+
+    eventBus.emit('block:destroyed', { x: 1, y: 1 });
+    eventBus.emit('block:landed', {});
+    eventBus.emit('player:death', { cause: 'crushed' });
+
+    expect(soundsOn('dig')).toHaveLength(1);
+    expect(soundsOn('impact').length).toBeGreaterThan(0);
+    expect(soundsOn('alert')).toHaveLength(1);
+    expect(soundsOn('reward')).toHaveLength(0);
+  });
+
+  it('only sparkles for loot that awards time', () => {
+    eventBus.emit('input:move-down');
+
+    eventBus.emit('block:loot', { loot: [], timerIncrementSeconds: 0 });
+    expect(soundsOn('reward')).toHaveLength(0);
+
+    eventBus.emit('block:loot', { loot: [], timerIncrementSeconds: 10 });
+    expect(soundsOn('reward').length).toBeGreaterThan(0);
+  });
+
+  it('applies per-channel volume and mute', () => {
+    eventBus.emit('input:move-down');
+    const impactGain = audio.mixer.getOutput('impact').gain;
+
+    audio.setVolume('impact', 0.3);
+    expect(impactGain.setTargetAtTime).toHaveBeenLastCalledWith(0.3, 0, expect.any(Number));
+
+    audio.setMuted('impact', true);
+    expect(impactGain.setTargetAtTime).toHaveBeenLastCalledWith(0, 0, expect.any(Number));
+    expect(audio.play('thud')).toBe(false);
+
+    audio.setMuted('impact', false);
+    expect(audio.mixer.getVolume('impact')).toBe(0.3);
+    expect(audio.play('thud')).toBe(true);
+  });
+
+  it('suspends with the game and stays silent while paused', () => {
+    eventBus.emit('input:move-down');
+
+    game.paused = true;
+    eventBus.emit('game:paused', { paused: true });
+    expect(context.suspend).toHaveBeenCalled();
+    expect(audio.play('dig')).toBe(false);
+
+    game.paused = false;
+    eventBus.emit('game:paused', { paused: false });
+    expect(context.resume).toHaveBeenCalled();
+    expect(audio.play('dig')).toBe(true);
+  });
+
+  it('plays a burst of identical events once', () => {
+    eventBus.emit('input:move-down');
+
+    for (let i = 0; i < 5; i += 1) {
+      eventBus.emit('block:destroyed', { x: i, y: 1 });
+    }
+    expect(soundsOn('dig')).toHaveLength(1);
+
+    context.currentTime = 0.1;
+    eventBus.emit('block:destroyed', { x: 0, y: 2 });
+    expect(soundsOn('dig')).toHaveLength(2);
+  });
+
+  it('stays silent without Web Audio', () => {
+    const silent = new AudioSystem(game, null);
+    silent.init();
+
+    expect(() => eventBus.emit('input:move-down')).not.toThrow();
+    expect(silent.play('dig')).toBe(false);
+  });
+});
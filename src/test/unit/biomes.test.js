@@ -0,0 +1,105 @@
+/**
+ * @file biomes.test.js
+ * @description Verify depth-banded biomes: band order, blended boundaries, per-biome block
+ * mixes (including the sand and gravel they generate) and the biome lookups exposed to the
+ * game and batch tools.
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { TerrainGenerator } from '../../terrain/terrain-generator.js';
+import { BIOMES, getBiome, pickBiomeBlock } from '../../terrain/biomes.js';
+import { BASE_DIFFICULTY } from '../../terrain/difficulty-profiles.js';
+import { BatchGenerator } from '../../utils/batch-generator.js';
+import { WorldConfig } from '../../utils/world-config.js';
+import { HeadlessGame } from '../../core/headless-game.js';
+import { eventBus } from '../../utils/event-bus.js';
+
+const DEEP_WORLD = new WorldConfig({ heightChunks: 20 });
+
+describe('Biomes', () => {
+  let harness;
+
+  afterEach(() => {
+    harness?.destroy();
+    harness = null;
+    eventBus.clear();
+  });
+
+  it('stacks every biome from the surface down to the lava', () => {
+    const generator = new TerrainGenerator(4242, BASE_DIFFICULTY, DEEP_WORLD);
+    const firstSeen = [];
+    for (let y = 0; y < generator.lavaDepth; y += 1) {
+      const { id } = generator.getBiomeAt(10, y);
+      if (!firstSeen.includes(id)) firstSeen.push(id);
+    }
+
+    expect(firstSeen).toEqual(BIOMES.map((biome) => biome.id));
+    expect(generator.getBiomeAt(10, generator.lavaDepth).id).toBe('magma_rim');
+  });
+
+  it('blends band boundaries instead of cutting straight lines', () => {
+    const generator = new TerrainGenerator(4242, BASE_DIFFICULTY, DEEP_WORLD);
+    const clayTop = generator.getBiomeBands()[1].startY;
+    const tops = new Set();
+    for (let x = 0; x < generator.worldWidthTiles; x += 1) {
+      let y = 0;
+      while (generator.getBiomeAt(x, y).id === 'topsoil') y += 1;
+      tops.add(y);
+      expect(Math.abs(y - clayTop)).toBeLessThanOrEqual(generator.biomeBlendTiles * 1.25 + 1);
+    }
+
+    expect(tops.size).toBeGreaterThan(2);
+  });
+
+  it('records the source biome per tile and only mixes in blocks the biome allows', () => {
+    const generator = new TerrainGenerator(4242, BASE_DIFFICULTY, DEEP_WORLD);
+    const biomesMixing = (blockId) => new Set(
+      BIOMES.filter((b) => b.blockMix.some(([id]) => id === blockId)).map((b) => b.id),
+    );
+    const mixed = ['clay', 'basalt', 'sand', 'gravel'];
+    const allowed = Object.fromEntries(mixed.map((blockId) => [blockId, biomesMixing(blockId)]));
+    const found = Object.fromEntries(mixed.map((blockId) => [blockId, 0]));
+
+    for (let chunkY = 0; chunkY < DEEP_WORLD.heightChunks; chunkY += 1) {
+      for (let chunkX = 0; chunkX < DEEP_WORLD.widthChunks; chunkX += 1) {
+        const chunk = generator.generateChunk(chunkX, chunkY);
+        for (let y = 0; y < chunk.size; y += 1) {
+          for (let x = 0; x < chunk.size; x += 1) {
+            const { type } = chunk.getBlock(x, y);
+            const biome = BIOMES[chunk.getBiomeIndex(x, y)];
+            expect(biome).toBeDefined();
+            if (allowed[type]) {
+              found[type] += 1;
+              expect(allowed[type].has(biome.id)).toBe(true);
+            }
+          }
+        }
+      }
+    }
+
+    mixed.forEach((blockId) => expect(found[blockId], blockId).toBeGreaterThan(0));
+  });
+
+  it('picks filler blocks by weight', () => {
+    const magmaRim = getBiome('magma_rim');
+
+    expect(pickBiomeBlock(magmaRim, 0)).toBe('mud');
+    expect(pickBiomeBlock(magmaRim, 0.99)).toBe('basalt');
+    expect(pickBiomeBlock(getBiome('topsoil'), 0.99)).toBe('mud');
+  });
+
+  it('exposes tile biomes to the batch generator and the terrain system', () => {
+    const batch = new BatchGenerator(4242, DEEP_WORLD).generateBatch(0, 0);
+    const [firstChunk] = batch.chunks;
+
+    expect(firstChunk.biomes[0][0]).toBe('topsoil');
+    expect(batch.metadata.biomeCounts.clay).toBeGreaterThan(0);
+
+    harness = new HeadlessGame({ seed: 4242, world: DEEP_WORLD, render: false });
+    const terrain = harness.getSystem('TerrainSystem');
+
+    expect(terrain.getBiome(5, 1).id).toBe('topsoil');
+    expect(terrain.getBiome(5, terrain.generator.lavaDepth).id).toBe('magma_rim');
+    expect(terrain.getBiome(-1, 5)).toBeNull();
+  });
+});
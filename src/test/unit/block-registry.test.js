@@ -0,0 +1,89 @@
+/**
+ * @file block-registry.test.js
+ * @description Verify BlockFactory.create composes blocks from registry definitions.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { BlockFactory } from '../../factories/block.factory.js';
+import { registerBlockType, hasBlockType } from '../../factories/block-registry.js';
+import { HealthComponent } from '../../components/block/health.component.js';
+import { PhysicsComponent } from '../../components/block/physics.component.js';
+import { FallableComponent } from '../../components/block/fallable.component.js';
+import { LethalComponent } from '../../components/block/lethal.component.js';
+import { LootableComponent } from '../../components/block/lootable.component.js';
+import { DarknessComponent } from '../../components/block/darkness.component.js';
+import { RenderComponent } from '../../components/block/render.component.js';
+
+describe('Block registry', () => {
+  it('composes components from the definition', () => {
+    const rock = BlockFactory.create('rock');
+
+    expect(rock.type).toBe('rock');
+    expect(rock.get(HealthComponent).hp).toBe(30);
+    expect(rock.get(PhysicsComponent).isCollidable()).toBe(true);
+    expect(rock.has(FallableComponent)).toBe(true);
+  });
+
+  it('applies per-block overrides', () => {
+    const mud = BlockFactory.create('mud', { hp: 2, variant: 3 });
+
+    expect(mud.variant).toBe(3);
+    expect(mud.get(HealthComponent).hp).toBe(2);
+    expect(mud.get(DarknessComponent).alpha).toBeCloseTo(0.2);
+    expect(BlockFactory.create('mud').has(DarknessComponent)).toBe(false);
+  });
+
+  it('creates blocks registered as data without factory changes', () => {
+    registerBlockType('spikes', {
+      sprite: 'rock',
+      hp: 3,
+      diggable: true,
+      lethal: true,
+      loot: [{ type: 'coin', value: 4, sprite: 'simple_coin' }],
+      lootTimerBonus: true,
+    });
+
+    const spikes = BlockFactory.create('spikes');
+
+    expect(hasBlockType('spikes')).toBe(true);
+    expect(spikes.type).toBe('spikes');
+    expect(spikes.has(LethalComponent)).toBe(true);
+    expect(spikes.get(LootableComponent).getTimerIncrementSeconds()).toBe(4);
+    expect(BlockFactory.fromDescriptor(BlockFactory.describe(spikes)).type).toBe('spikes');
+  });
+
+  it('spawns registry ids and legacy factory methods from loot configs', () => {
+    const loot = [{ type: 'coin', value: 25, sprite: 'chest_coin' }];
+    const covered = BlockFactory.createCoveredChest(loot);
+    const spawned = BlockFactory.createFromSpawnConfig(
+      covered.get(LootableComponent).getSpawnEntity(),
+    );
+    const legacy = BlockFactory.createFromSpawnConfig({
+      factoryMethod: 'createChest',
+      args: [loot],
+    });
+
+    expect(spawned.type).toBe('chest');
+    expect(spawned.get(LootableComponent).getLoot()).toEqual(loot);
+    expect(legacy.get(LootableComponent).getTimerIncrementSeconds()).toBe(25);
+  });
+
+  it('draws explosives with their own sprite, not as red frames', () => {
+    const base = (type) => BlockFactory.create(type).get(RenderComponent).getBaseLayer();
+    const explosive = base('explosive');
+    const redFrame = base('red_frame');
+
+    expect([explosive.spriteX, explosive.spriteY])
+      .not.toEqual([redFrame.spriteX, redFrame.spriteY]);
+  });
+
+  it('falls back to an empty block for unknown types', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const block = BlockFactory.create('does_not_exist');
+
+    expect(block.type).toBe('empty');
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
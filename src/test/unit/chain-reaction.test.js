@@ -0,0 +1,109 @@
+/**
+ * @file chain-reaction.test.js
+ * @description Verify explosive blocks clear their pattern, cascade with a delay, and
+ * hand unsupported rocks over to gravity.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { HeadlessGame } from '../../core/headless-game.js';
+import { BlockFactory } from '../../factories/block.factory.js';
+import { ExplosiveComponent } from '../../components/block/explosive.component.js';
+import { DiggableComponent } from '../../components/block/diggable.component.js';
+import { eventBus } from '../../utils/event-bus.js';
+
+describe('ChainReactionSystem', () => {
+  let harness;
+  let terrain;
+
+  function dig(x, y) {
+    const block = terrain.getBlock(x, y);
+    block.get(DiggableComponent).dig(block, x, y, Number.MAX_SAFE_INTEGER);
+    terrain.setBlock(x, y, BlockFactory.createEmpty());
+  }
+
+  function fill(x0, y0, x1, y1, factory) {
+    for (let y = y0; y <= y1; y += 1) {
+      for (let x = x0; x <= x1; x += 1) {
+        terrain.setBlock(x, y, factory());
+      }
+    }
+  }
+
+  beforeEach(() => {
+    harness = new HeadlessGame({ seed: 1234, render: false });
+    terrain = harness.getSystem('TerrainSystem');
+    fill(1, 18, 8, 24, () => BlockFactory.createMud());
+  });
+
+  afterEach(() => {
+    harness.destroy();
+    eventBus.clear();
+  });
+
+  it('builds cross, radius and line patterns', () => {
+    const key = ({ dx, dy }) => `${dx},${dy}`;
+
+    expect(new ExplosiveComponent({ pattern: 'cross', radius: 1 }).getOffsets().map(key))
+      .toEqual(['0,0', '0,-1', '0,1', '-1,0', '1,0']);
+    expect(new ExplosiveComponent({ pattern: 'radius', radius: 2 }).getOffsets()).toHaveLength(13);
+    expect(new ExplosiveComponent({
+      pattern: 'line',
+      radius: 3,
+      direction: { dx: 0, dy: 1 },
+    }).getOffsets().map(key)).toEqual(['0,0', '0,1', '0,2', '0,3']);
+  });
+
+  it('clears the blast pattern and spares indestructible blocks', () => {
+    terrain.setBlock(4, 20, BlockFactory.create('explosive'));
+    terrain.setBlock(5, 20, BlockFactory.createDoorstep());
+
+    dig(4, 20);
+
+    expect(terrain.getBlock(4, 19).type).toBe('empty');
+    expect(terrain.getBlock(4, 21).type).toBe('empty');
+    expect(terrain.getBlock(3, 20).type).toBe('empty');
+    expect(terrain.getBlock(5, 20).type).toBe('doorstep');
+    expect(terrain.getBlock(2, 20).type).toBe('mud');
+  });
+
+  it('cascades to neighbouring explosives one step later', () => {
+    const explosions = [];
+    eventBus.on('explosion:triggered', (payload) => explosions.push(payload));
+    terrain.setBlock(3, 20, BlockFactory.create('explosive'));
+    terrain.setBlock(4, 20, BlockFactory.create('explosive', { explosive: { delayMs: 100 } }));
+
+    dig(3, 20);
+
+    expect(terrain.getBlock(4, 20).type).toBe('empty');
+    expect(terrain.getBlock(5, 20).type).toBe('mud');
+
+    harness.step(120);
+
+    expect(terrain.getBlock(5, 20).type).toBe('empty');
+    expect(explosions.map(({ x, depth }) => [x, depth])).toEqual([[3, 0], [4, 1]]);
+  });
+
+  it('kills the player inside the blast radius', () => {
+    const player = harness.getSystem('PlayerManagerSystem');
+    const deaths = [];
+    eventBus.on('player:death', (payload) => deaths.push(payload));
+    terrain.setBlock(player.gridX + 1, player.gridY, BlockFactory.create('explosive'));
+
+    dig(player.gridX + 1, player.gridY);
+
+    expect(deaths).toEqual([{ cause: 'explosion', shouldRegenerate: false }]);
+  });
+
+  it('leaves unsupported rocks for gravity to settle', () => {
+    terrain.setBlock(4, 18, BlockFactory.createRock());
+    terrain.setBlock(4, 20, BlockFactory.create('explosive', {
+      explosive: { pattern: 'line', radius: 2, direction: { dx: 0, dy: 1 } },
+    }));
+    terrain.setBlock(4, 19, BlockFactory.createEmpty());
+
+    dig(4, 20);
+
+    expect(harness.stepUntil(() => terrain.getBlock(4, 22).type === 'rock', 300)).toBe(true);
+    expect(terrain.getBlock(4, 18).type).toBe('empty');
+  });
+});
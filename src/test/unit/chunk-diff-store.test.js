@@ -0,0 +1,101 @@
+/**
+ * @file chunk-diff-store.test.js
+ * @description Verify modified chunks survive ChunkCache LRU eviction and regeneration.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { TerrainGenerator } from '../../terrain/terrain-generator.js';
+import { ChunkCache } from '../../terrain/chunk-cache.js';
+import { ChunkDiffStore } from '../../terrain/chunk-diff-store.js';
+import { BlockFactory } from '../../factories/block.factory.js';
+import { HealthComponent } from '../../components/block/health.component.js';
+import { CHUNK_SIZE } from '../../utils/config.js';
+
+/**
+ * Load every chunk of the world except the given one, forcing it out of the cache.
+ */
+function loadAllChunksExcept(cache, generator, skipX, skipY) {
+  for (let cy = 0; cy < generator.worldHeightChunks; cy += 1) {
+    for (let cx = 0; cx < generator.worldWidthChunks; cx += 1) {
+      if (cx !== skipX || cy !== skipY) {
+        cache.getChunk(cx, cy);
+      }
+    }
+  }
+}
+
+/**
+ * Find the first block in a chunk that has HP (a diggable solid block).
+ */
+function findDiggableTile(chunk) {
+  for (let y = 0; y < CHUNK_SIZE; y += 1) {
+    for (let x = 0; x < CHUNK_SIZE; x += 1) {
+      if (chunk.getBlock(x, y).has(HealthComponent)) {
+        return { x, y };
+      }
+    }
+  }
+  return null;
+}
+
+describe('ChunkDiffStore', () => {
+  let generator;
+  let diffStore;
+  let cache;
+
+  beforeEach(() => {
+    generator = new TerrainGenerator(12345);
+    diffStore = new ChunkDiffStore();
+    cache = new ChunkCache(generator, diffStore);
+  });
+
+  it('replays dug tiles after the chunk is evicted and regenerated', () => {
+    const chunk = cache.getChunk(0, 2);
+    const tile = findDiggableTile(chunk);
+    expect(tile).not.toBeNull();
+
+    chunk.setBlock(tile.x, tile.y, BlockFactory.createEmpty());
+    chunk.markDirty();
+
+    loadAllChunksExcept(cache, generator, 0, 2);
+    expect(cache.chunks.has('0,2')).toBe(false);
+    expect(diffStore.has(0, 2)).toBe(true);
+
+    const reloaded = cache.getChunk(0, 2);
+    expect(reloaded).not.toBe(chunk);
+    expect(reloaded.getBlock(tile.x, tile.y).type).toBe('empty');
+  });
+
+  it('preserves partial HP of damaged blocks', () => {
+    const chunk = cache.getChunk(1, 3);
+    const tile = findDiggableTile(chunk);
+    const health = chunk.getBlockForUpdate(tile.x, tile.y).get(HealthComponent);
+    health.hp = health.maxHp - 1;
+    chunk.markDirty();
+
+    loadAllChunksExcept(cache, generator, 1, 3);
+    const reloaded = cache.getChunk(1, 3);
+
+    expect(reloaded.getBlock(tile.x, tile.y).get(HealthComponent).hp).toBe(health.maxHp - 1);
+  });
+
+  it('does not store untouched chunks', () => {
+    cache.getChunk(0, 2);
+    loadAllChunksExcept(cache, generator, 0, 2);
+
+    expect(diffStore.getStats()).toEqual({ chunks: 0, tiles: 0 });
+  });
+
+  it('only stores tiles that differ from the generated baseline', () => {
+    const chunk = cache.getChunk(0, 2);
+    const tile = findDiggableTile(chunk);
+    chunk.setBlock(tile.x, tile.y, BlockFactory.createEmpty());
+    chunk.markDirty();
+
+    loadAllChunksExcept(cache, generator, 0, 2);
+
+    expect(diffStore.getTiles(0, 2)).toEqual([
+      { localX: tile.x, localY: tile.y, descriptor: { type: 'empty' } },
+    ]);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * @file chunk-layer-cache.test.js
+ * @description Verify pre-rendered chunk layers are redrawn only when their chunk changes,
+ * and that the terrain render pass reuses them from frame to frame.
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { ChunkLayerCache } from '../../rendering/chunk-layer-cache.js';
+import { createNullCanvas } from '../../rendering/null-canvas.js';
+import { TerrainChunk } from '../../terrain/terrain-chunk.js';
+import { BlockFactory } from '../../factories/block.factory.js';
+import { HealthComponent } from '../../components/block/health.component.js';
+import { LiquidComponent } from '../../components/block/liquid.component.js';
+import { HeadlessGame } from '../../core/headless-game.js';
+import { eventBus } from '../../utils/event-bus.js';
+import { buildBox } from '../helpers/terrain.js';
+
+describe('Chunk layer cache', () => {
+  let harness;
+
+  afterEach(() => {
+    harness?.destroy();
+    harness = null;
+    eventBus.clear();
+  });
+
+  it('redraws a chunk only after a set or a change that shows', () => {
+    const layers = new ChunkLayerCache({ createCanvas: createNullCanvas });
+    const chunk = new TerrainChunk(1, 2);
+    let queued = 0;
+    const queueTiles = () => { queued += 1; };
+
+    const first = layers.getLayers(chunk, queueTiles);
+    expect(layers.getLayers(chunk, queueTiles)).toBe(first);
+    expect(queued).toBe(1);
+    expect(first.x).toBeLessThan(chunk.chunkX * chunk.size * 16);
+
+    chunk.setBlock(0, 0, BlockFactory.createMud());
+    layers.getLayers(chunk, queueTiles);
+    expect(queued).toBe(2);
+
+    // A dig hit only changes hit points, which the layers do not draw
+    chunk.getBlockForUpdate(0, 0).get(HealthComponent).hp -= 1;
+    chunk.compact();
+    layers.getLayers(chunk, queueTiles);
+    expect(queued).toBe(2);
+
+    chunk.setBlock(1, 0, BlockFactory.create('water'));
+    layers.getLayers(chunk, queueTiles);
+    chunk.getBlockForUpdate(1, 0).get(LiquidComponent).level -= 1;
+    chunk.compact();
+    layers.getLayers(chunk, queueTiles);
+    layers.getLayers(chunk, queueTiles);
+    expect(queued).toBe(4);
+    expect(layers.redraws).toBe(4);
+  });
+
+  it('reuses chunk layers between frames until the terrain changes', () => {
+    harness = new HeadlessGame({ seed: 4242 });
+    const terrain = harness.getSystem('TerrainSystem');
+    const player = harness.getSystem('PlayerManagerSystem');
+    harness.getSystem('NPCSystem').clear();
+    terrain.spriteSheet = {};
+    terrain.chunkLayers.createCanvas = createNullCanvas;
+    terrain.chunkLayers.setSpriteSheet(terrain.spriteSheet);
+
+    // Let the camera settle so no chunk scrolls into view for the first time
+    harness.stepTicks(30);
+    const { redraws } = terrain.chunkLayers;
+    expect(redraws).toBeGreaterThan(0);
+    harness.stepTicks(10);
+    expect(terrain.chunkLayers.redraws).toBe(redraws);
+
+    terrain.setBlock(player.gridX + 1, player.gridY, BlockFactory.createMud());
+    harness.step();
+    expect(terrain.chunkLayers.redraws).toBe(redraws + 1);
+  });
+
+  it('does not redraw while a resting lava pool is stepped', () => {
+    harness = new HeadlessGame({ seed: 4242 });
+    const terrain = harness.getSystem('TerrainSystem');
+    const liquids = harness.getSystem('LiquidSystem');
+    const player = harness.getSystem('PlayerManagerSystem');
+    harness.getSystem('NPCSystem').clear();
+    terrain.spriteSheet = {};
+    terrain.chunkLayers.createCanvas = createNullCanvas;
+    terrain.chunkLayers.setSpriteSheet(terrain.spriteSheet);
+
+    const top = player.gridY + 3;
+    const cells = buildBox(terrain, player.gridX - 2, top, player.gridX + 2, top);
+    cells.forEach(([x, y]) => terrain.setBlock(x, y, BlockFactory.create('lava', { level: 2 })));
+    harness.stepTicks(30);
+    const { redraws } = terrain.chunkLayers;
+
+    // Woken up again, the pool flows only every third step and then has nowhere to go
+    cells.forEach(([x, y]) => liquids.activate(x, y));
+    expect(harness.stepUntil(() => liquids.getActiveCount() === 0, 120)).toBe(true);
+    expect(terrain.chunkLayers.redraws).toBe(redraws);
+  });
+});
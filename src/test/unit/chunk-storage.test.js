@@ -0,0 +1,116 @@
+/**
+ * @file chunk-storage.test.js
+ * @description Verify compact chunk storage: tiles of the same kind share one frozen block,
+ * in-place changes go through the tile's own instance and are folded back by `compact`,
+ * and blocks the arrays cannot describe keep their own instance.
+ */
+
+import {
+  describe, it, expect, afterEach, vi,
+} from 'vitest';
+import { TerrainChunk } from '../../terrain/terrain-chunk.js';
+import { BlockFactory } from '../../factories/block.factory.js';
+import { HealthComponent } from '../../components/block/health.component.js';
+import { FallableComponent } from '../../components/block/fallable.component.js';
+import { HeadlessGame } from '../../core/headless-game.js';
+import { eventBus } from '../../utils/event-bus.js';
+import { blockPalette } from '../../terrain/block-palette.js';
+
+describe('Chunk storage', () => {
+  let harness;
+
+  afterEach(() => {
+    harness?.destroy();
+    harness = null;
+    eventBus.clear();
+    vi.restoreAllMocks();
+  });
+
+  it('shares one frozen block between tiles of the same kind and HP', () => {
+    const chunk = new TerrainChunk(0, 0);
+    chunk.setBlock(1, 1, BlockFactory.createMud(5, 2));
+    chunk.setBlock(2, 3, BlockFactory.createMud(5, 2));
+
+    const block = chunk.getBlock(1, 1);
+    expect(chunk.getBlock(2, 3)).toBe(block);
+    expect(chunk.getOwnBlockCount()).toBe(0);
+    expect(Object.isFrozen(block.get(HealthComponent))).toBe(true);
+    expect(() => { block.get(HealthComponent).hp = 1; }).toThrow(TypeError);
+  });
+
+  it('folds a tile changed through getBlockForUpdate back into the arrays', () => {
+    const chunk = new TerrainChunk(0, 0);
+    chunk.setBlock(4, 4, BlockFactory.createMud(5, 1));
+    chunk.setBlock(5, 4, BlockFactory.createMud(5, 1));
+
+    const own = chunk.getBlockForUpdate(4, 4);
+    own.get(HealthComponent).hp = 2;
+    expect(chunk.getBlock(4, 4)).toBe(own);
+    expect(chunk.getOwnBlockCount()).toBe(1);
+
+    chunk.compact();
+    expect(chunk.getOwnBlockCount()).toBe(0);
+    expect(chunk.hp[4 * chunk.size + 4]).toBe(2);
+    expect(chunk.getBlock(4, 4).get(HealthComponent).hp).toBe(2);
+    expect(chunk.getBlock(5, 4).get(HealthComponent).hp).toBe(5);
+  });
+
+  it('keeps falling blocks and chests as their own instances', () => {
+    const chunk = new TerrainChunk(0, 0);
+    const rock = BlockFactory.create('rock');
+    rock.get(FallableComponent).start(3, 0);
+    const chest = BlockFactory.create('chest');
+    chunk.setBlock(3, 0, rock);
+    chunk.setBlock(6, 0, chest);
+
+    chunk.compact();
+    expect(chunk.getBlock(3, 0)).toBe(rock);
+    expect(chunk.getBlock(6, 0)).toBe(chest);
+
+    rock.get(FallableComponent).land();
+    chunk.compact();
+    expect(chunk.getBlock(3, 0)).not.toBe(rock);
+    expect(chunk.getBlock(3, 0).type).toBe('rock');
+    expect(chunk.getBlock(6, 0)).toBe(chest);
+  });
+
+  it('only tries to fold tiles set or handed out since the last compact', () => {
+    const chunk = new TerrainChunk(0, 0);
+    chunk.setBlock(1, 1, BlockFactory.create('chest'));
+    chunk.setBlock(2, 1, BlockFactory.createMud(5, 1));
+    const encode = vi.spyOn(blockPalette, 'encode');
+
+    chunk.compact();
+    expect(encode).toHaveBeenCalledTimes(1); // The chest, once
+    chunk.compact();
+    expect(encode).toHaveBeenCalledTimes(1);
+
+    chunk.getBlockForUpdate(2, 1).get(HealthComponent).hp = 3;
+    chunk.compact();
+    expect(encode).toHaveBeenCalledTimes(2);
+    expect(chunk.getOwnBlockCount()).toBe(1);
+    expect(chunk.getBlock(2, 1).get(HealthComponent).hp).toBe(3);
+  });
+
+  it('answers out-of-world queries without allocating and keeps dig damage per tile', () => {
+    harness = new HeadlessGame({ seed: 77, render: false });
+    const terrain = harness.getSystem('TerrainSystem');
+    const player = harness.getSystem('PlayerManagerSystem');
+
+    expect(terrain.getBlock(-1, 5)).toBe(terrain.getBlock(-3, 40));
+    expect(terrain.getBlock(3, -1)).toBe(terrain.getBlock(0, -10));
+    expect(terrain.getBlock(-1, 5).type).toBe('boundary');
+
+    const below = { x: player.gridX, y: player.gridY + 1 };
+    terrain.setBlock(below.x, below.y, BlockFactory.createMud());
+    terrain.setBlock(below.x + 1, below.y, BlockFactory.createMud());
+    harness.getSystem('NPCSystem').clear();
+    const hpAt = (x, y) => terrain.getBlock(x, y).get(HealthComponent)?.hp ?? 0;
+    const fullHp = hpAt(below.x, below.y);
+
+    harness.stepTicks(5);
+    eventBus.emit('input:move-down');
+    expect(harness.stepUntil(() => hpAt(below.x, below.y) < fullHp, 120)).toBe(true);
+    expect(hpAt(below.x + 1, below.y)).toBe(fullHp);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * @file chunk-streaming.test.js
+ * @description Verify chunk streaming: serialized chunks hydrate to the generated terrain,
+ * the worker protocol reproduces the level (carved route, restored door) and proves it
+ * solvable in the host, and a chunk that is still being generated reads as solid until it
+ * arrives.
+ */
+
+import {
+  describe, it, expect, afterEach,
+} from 'vitest';
+import { TerrainGenerator } from '../../terrain/terrain-generator.js';
+import { TerrainChunk } from '../../terrain/terrain-chunk.js';
+import { ChunkCache } from '../../terrain/chunk-cache.js';
+import { ChunkStreamer } from '../../terrain/chunk-streamer.js';
+import { ChunkGenerationHost } from '../../terrain/chunk-generation-host.js';
+import { BlockFactory } from '../../factories/block.factory.js';
+import { HeadlessGame } from '../../core/headless-game.js';
+import { PlayerManagerSystem } from '../../systems/player-manager.system.js';
+import { eventBus } from '../../utils/event-bus.js';
+
+/**
+ * Stand-in for the chunk worker: messages are structured-cloned like postMessage does and
+ * only answered on `flush()`
+ */
+class DeferredWorker {
+  constructor() {
+    this.host = new ChunkGenerationHost();
+    this.inbox = [];
+    this.onmessage = null;
+    this.onerror = null;
+  }
+
+  postMessage(message) {
+    this.inbox.push(structuredClone(message));
+  }
+
+  flush() {
+    this.inbox.splice(0).forEach((message) => {
+      const reply = this.host.handleMessage(message);
+      if (reply) {
+        this.onmessage({ data: structuredClone(reply) });
+      }
+    });
+  }
+
+  terminate() {
+    this.inbox = [];
+  }
+}
+
+const describeTiles = (chunk) => Array.from(
+  { length: chunk.size * chunk.size },
+  (_, index) => BlockFactory.describe(
+    chunk.getBlock(index % chunk.size, Math.floor(index / chunk.size)),
+  ),
+);
+
+describe('Chunk streaming', () => {
+  let harness;
+
+  afterEach(() => {
+    harness?.destroy();
+    harness = null;
+    eventBus.clear();
+  });
+
+  it('hydrates a serialized chunk into the same blocks, biomes and maggot spawns', () => {
+    const generator = new TerrainGenerator(2024);
+    for (let chunkY = 0; chunkY < generator.worldHeightChunks; chunkY += 1) {
+      const chunk = generator.generateChunk(1, chunkY);
+      const copy = TerrainChunk.deserialize(structuredClone(chunk.serialize()));
+
+      expect(describeTiles(copy)).toEqual(describeTiles(chunk));
+      expect(Array.from(copy.biomes)).toEqual(Array.from(chunk.biomes));
+      expect(copy.maggotSpawns).toEqual(chunk.maggotSpawns);
+    }
+  });
+
+  it('rebuilds the level in the host, including the carved route and a restored door', () => {
+    const generator = new TerrainGenerator(99);
+    generator.carvedPath = new Map([['4,20', 'empty'], ['5,20', 'rock']]);
+    generator.doorPosition = { x: 6, y: 40 };
+    const worker = new DeferredWorker();
+    const streamer = new ChunkStreamer(worker);
+    streamer.setGenerator(generator);
+    const cache = new ChunkCache(generator, null, streamer);
+
+    const chunkY = Math.floor(20 / generator.chunkSize);
+    expect(cache.getChunk(0, chunkY)).toBeNull();
+    expect(cache.isPending(0, chunkY)).toBe(true);
+
+    worker.flush();
+    const chunk = cache.getChunk(0, chunkY);
+    expect(chunk).not.toBeNull();
+    expect(cache.isPending(0, chunkY)).toBe(false);
+    expect(describeTiles(chunk)).toEqual(describeTiles(generator.generateChunk(0, chunkY)));
+    expect(chunk.getBlock(5, 20 - chunkY * generator.chunkSize).type).toBe('rock');
+    expect(worker.host.generator.getDoorPosition()).toEqual({ x: 6, y: 40 });
+  });
+
+  it('proves the level solvable in the host before streaming its first chunk', () => {
+    const generator = new TerrainGenerator(99);
+    const worker = new DeferredWorker();
+    const streamer = new ChunkStreamer(worker);
+    const solutions = [];
+    streamer.onSolution = (solution) => solutions.push(solution);
+    streamer.setGenerator(generator, PlayerManagerSystem.getSpawnPoint(generator.world));
+    const cache = new ChunkCache(generator, null, streamer);
+
+    cache.getChunk(0, 1);
+    expect(solutions).toEqual([]); // Nothing is solved on this side
+    worker.flush();
+    expect(solutions).toHaveLength(1);
+    expect(solutions[0]).toMatchObject({ reachable: true, door: generator.getDoorPosition() });
+    expect(cache.getChunk(0, 1)).not.toBeNull();
+
+    // Once per level: a second request only generates
+    cache.getChunk(1, 1);
+    worker.flush();
+    expect(solutions).toHaveLength(1);
+
+    harness = new HeadlessGame({ seed: 99, render: false });
+    const terrain = harness.getSystem('TerrainSystem');
+    harness.step();
+    expect(terrain.levelSolution).toMatchObject({ reachable: true, doorMoved: false });
+    expect(terrain.generator.getDoorPosition()).toEqual(terrain.levelSolution.door);
+  });
+
+  it('drops replies for a replaced level', () => {
+    const worker = new DeferredWorker();
+    const streamer = new ChunkStreamer(worker);
+    const first = new TerrainGenerator(1);
+    streamer.setGenerator(first);
+    const staleCache = new ChunkCache(first, null, streamer);
+    staleCache.getChunk(0, 1);
+
+    const second = new TerrainGenerator(2);
+    streamer.setGenerator(second);
+    const cache = new ChunkCache(second, null, streamer);
+    cache.getChunk(0, 1);
+    worker.flush();
+
+    expect(staleCache.hasChunk(0, 1)).toBe(false);
+    expect(describeTiles(cache.getChunk(0, 1))).toEqual(
+      describeTiles(second.generateChunk(0, 1)),
+    );
+  });
+
+  it('treats chunks in flight as solid and prefetches below the player', () => {
+    harness = new HeadlessGame({ seed: 4242, render: false });
+    const terrain = harness.getSystem('TerrainSystem');
+    const player = harness.getSystem('PlayerManagerSystem');
+    const worker = new DeferredWorker();
+    terrain.streamer.destroy();
+    terrain.streamer = new ChunkStreamer(worker);
+    terrain.setSeed(4242, 1);
+
+    const below = { x: player.gridX, y: player.gridY + 1 };
+    expect(terrain.getBlock(below.x, below.y).type).toBe('boundary');
+    expect(terrain.isBlockLoaded(below.x, below.y)).toBe(false);
+
+    harness.step();
+    const size = terrain.chunkSize;
+    const aheadY = Math.floor(player.gridY / size) + 2;
+    expect(terrain.cache.isPending(Math.floor(player.gridX / size), aheadY)).toBe(true);
+
+    worker.flush();
+    expect(terrain.isBlockLoaded(below.x, below.y)).toBe(true);
+    const chunk = terrain.generator.generateChunk(
+      Math.floor(below.x / size),
+      Math.floor(below.y / size),
+    );
+    expect(terrain.getBlock(below.x, below.y).type)
+      .toBe(chunk.getBlock(below.x % size, below.y % size).type);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * @file fallable-clusters.test.js
+ * @description Verify connected fallable blocks stay up while any member is supported,
+ * collapse as one rigid group once none is, and are only re-detected after a block is
+ * destroyed next to them.
+ */
+
+import {
+  describe, it, expect, afterEach, vi,
+} from 'vitest';
+import { HeadlessGame } from '../../core/headless-game.js';
+import { BlockFactory } from '../../factories/block.factory.js';
+import { eventBus } from '../../utils/event-bus.js';
+import { buildBox, snapshot } from '../helpers/terrain.js';
+
+const RING = [
+  'red_frame red_frame red_frame red_frame',
+  'red_frame empty empty red_frame',
+  'red_frame red_frame red_frame red_frame',
+];
+
+describe('Fallable clusters', () => {
+  let harness;
+  let terrain;
+  let gravity;
+  let landings;
+
+  const setup = () => {
+    harness = new HeadlessGame({ seed: 4242, render: false });
+    terrain = harness.getSystem('TerrainSystem');
+    gravity = harness.getSystem('GravitySystem');
+    harness.getSystem('NPCSystem').clear();
+    landings = [];
+    eventBus.on('block:landed', (payload) => {
+      if (payload.from.gridY >= 10 && payload.from.gridY <= 15) landings.push(payload);
+    });
+    buildBox(terrain, 2, 10, 8, 15);
+  };
+
+  const dig = (x, y) => {
+    const block = terrain.getBlock(x, y);
+    terrain.setBlock(x, y, BlockFactory.createEmpty());
+    eventBus.emit('block:destroyed', { x, y, block });
+  };
+
+  afterEach(() => {
+    harness?.destroy();
+    harness = null;
+    eventBus.clear();
+    vi.restoreAllMocks();
+  });
+
+  it('holds a ring up while any member is supported, then drops it in one piece', () => {
+    setup();
+    // A 4x3 red-frame ring standing on two mud blocks under its corners
+    for (let x = 3; x <= 6; x += 1) {
+      terrain.setBlock(x, 11, BlockFactory.create('red_frame'));
+      terrain.setBlock(x, 13, BlockFactory.create('red_frame'));
+    }
+    terrain.setBlock(3, 12, BlockFactory.create('red_frame'));
+    terrain.setBlock(6, 12, BlockFactory.create('red_frame'));
+    terrain.setBlock(3, 14, BlockFactory.createMud());
+    terrain.setBlock(6, 14, BlockFactory.createMud());
+
+    harness.stepTicks(40);
+    expect(snapshot(terrain, 3, 11, 6, 13)).toEqual(RING);
+
+    dig(3, 14);
+    harness.stepTicks(40);
+    expect(snapshot(terrain, 3, 11, 6, 13)).toEqual(RING);
+    expect(landings).toEqual([]);
+
+    const unstable = [];
+    eventBus.on('block:unstable', (payload) => unstable.push(payload));
+    dig(6, 14);
+    harness.step();
+    expect(unstable).toHaveLength(10);
+    expect(snapshot(terrain, 3, 11, 6, 13)).toEqual(RING);
+
+    expect(harness.stepUntil(() => landings.length > 0, 240)).toBe(true);
+    expect(landings).toHaveLength(10);
+    expect(landings.every(({ from, position }) => position.gridY === from.gridY + 2)).toBe(true);
+    expect(snapshot(terrain, 3, 13, 6, 15)).toEqual(RING);
+    expect(snapshot(terrain, 3, 11, 6, 12)).toEqual(Array(2).fill('empty empty empty empty'));
+  });
+
+  it('drops stacked rocks together instead of one after the other', () => {
+    setup();
+    // Walled in so the top rock cannot roll off the rounded one below it
+    [4, 6].forEach((x) => {
+      terrain.setBlock(x, 12, BlockFactory.create('basalt'));
+      terrain.setBlock(x, 13, BlockFactory.create('basalt'));
+    });
+    terrain.setBlock(5, 12, BlockFactory.createRock());
+    terrain.setBlock(5, 13, BlockFactory.createRock());
+    terrain.setBlock(5, 14, BlockFactory.createMud());
+    harness.stepTicks(5);
+
+    dig(5, 14);
+    expect(harness.stepUntil(() => landings.length > 0, 240)).toBe(true);
+    const positions = landings.map(({ position }) => position);
+    expect(positions.sort((a, b) => a.gridY - b.gridY)).toEqual([
+      { gridX: 5, gridY: 14 },
+      { gridX: 5, gridY: 15 },
+    ]);
+  });
+
+  it('keeps a held cluster cached until a block is destroyed next to it', () => {
+    setup();
+    terrain.setBlock(4, 12, BlockFactory.createRock());
+    terrain.setBlock(5, 12, BlockFactory.createRock());
+    terrain.setBlock(4, 13, BlockFactory.createMud());
+    harness.stepTicks(5);
+
+    const collect = vi.spyOn(gravity.clusters, '_collect');
+    harness.stepTicks(30);
+    expect(collect).not.toHaveBeenCalled();
+    expect(terrain.getBlock(5, 12).type).toBe('rock');
+
+    dig(4, 13);
+    harness.step();
+    expect(collect).toHaveBeenCalledTimes(1);
+    expect(harness.stepUntil(() => landings.length === 2, 240)).toBe(true);
+    expect(terrain.getBlock(4, 15).type).toBe('rock');
+    expect(terrain.getBlock(5, 15).type).toBe('rock');
+  });
+
+  it('drops a held cluster whose support is replaced without an event', () => {
+    setup();
+    terrain.setBlock(4, 12, BlockFactory.createRock());
+    terrain.setBlock(5, 12, BlockFactory.createRock());
+    terrain.setBlock(4, 13, BlockFactory.createMud());
+    harness.stepTicks(5);
+
+    // As rising lava floods a chunk: a plain set, no block:destroyed
+    terrain.setBlock(4, 13, BlockFactory.createEmpty());
+    expect(harness.stepUntil(() => landings.length === 2, 240)).toBe(true);
+    expect(snapshot(terrain, 4, 12, 5, 15)).toEqual([
+      'empty empty',
+      'empty empty',
+      'empty empty',
+      'rock rock',
+    ]);
+  });
+
+  it('forgets held clusters when the terrain is reseeded', () => {
+    setup();
+    terrain.setBlock(4, 12, BlockFactory.createRock());
+    terrain.setBlock(5, 12, BlockFactory.createRock());
+    terrain.setBlock(4, 13, BlockFactory.createMud());
+    harness.stepTicks(5);
+
+    // A rock with nothing under it where the held cluster was in the old world
+    terrain.setSeed(77);
+    buildBox(terrain, 2, 10, 8, 15);
+    terrain.setBlock(5, 12, BlockFactory.createRock());
+    expect(harness.stepUntil(() => landings.length === 1, 240)).toBe(true);
+    expect(terrain.getBlock(5, 15).type).toBe('rock');
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * @file game-fixed-timestep.test.js
+ * @description Verify the Game accumulator runs fixed 60 Hz steps independent of frame timing.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Game } from '../../core/game.js';
+import { CameraSystem } from '../../systems/camera.system.js';
+import { eventBus } from '../../utils/event-bus.js';
+import { createMockEventBus, createMockCanvasContext } from '../helpers/mocks.js';
+
+function createGame() {
+  const canvas = {
+    width: 800,
+    height: 600,
+    getContext: () => createMockCanvasContext(),
+  };
+  return new Game(canvas);
+}
+
+function createRecordingSystem() {
+  return {
+    deltas: [],
+    init: vi.fn(),
+    update(deltaTime) {
+      this.deltas.push(deltaTime);
+    },
+  };
+}
+
+describe('Game fixed timestep', () => {
+  let game;
+  let system;
+
+  beforeEach(() => {
+    Object.assign(eventBus, createMockEventBus());
+    game = createGame();
+    system = createRecordingSystem();
+    game.addComponent(system);
+  });
+
+  it('runs whole steps of frameInterval and carries the remainder', () => {
+    game.advance(40);
+
+    expect(system.deltas).toEqual([game.frameInterval, game.frameInterval]);
+    expect(game.tick).toBe(2);
+    expect(game.interpolationAlpha).toBeCloseTo((40 - 2 * game.frameInterval) / game.frameInterval);
+  });
+
+  it('steps the same number of times at 120 Hz and 30 Hz', () => {
+    for (let i = 0; i < 120; i += 1) game.advance(1000 / 120);
+    const fastTicks = game.tick;
+
+    const slow = createGame();
+    slow.addComponent(createRecordingSystem());
+    for (let i = 0; i < 30; i += 1) slow.advance(1000 / 30);
+
+    expect(fastTicks).toBeGreaterThanOrEqual(59);
+    expect(fastTicks).toBeLessThanOrEqual(60);
+    expect(Math.abs(slow.tick - fastTicks)).toBeLessThanOrEqual(1);
+    expect(new Set(system.deltas)).toEqual(new Set([game.frameInterval]));
+  });
+
+  it('caps catch-up steps after a long stall', () => {
+    game.advance(1000);
+
+    expect(game.tick).toBe(5);
+    expect(game.accumulator).toBe(0);
+  });
+
+  it('passes raw delta through in variable mode', () => {
+    game.setFixedTimestep(false);
+    game.advance(23);
+
+    expect(system.deltas).toEqual([23]);
+    expect(game.interpolationAlpha).toBe(1);
+  });
+
+  it('emits game:tick and snapshots state before updating', () => {
+    const order = [];
+    game.addComponent({
+      init: vi.fn(),
+      storePreviousState: () => order.push('snapshot'),
+      update: () => order.push('update'),
+    });
+    eventBus.on('game:tick', ({ tick }) => order.push(`tick:${tick}`));
+
+    game.step(game.frameInterval);
+
+    expect(order).toEqual(['tick:0', 'snapshot', 'update']);
+  });
+
+  it('interpolates the camera between simulation steps', () => {
+    const camera = new CameraSystem(game, 0, 0, 3.0);
+    game.addComponent(camera);
+    camera.follow({ x: 100, y: 50 });
+
+    game.step(game.frameInterval);
+    game.interpolationAlpha = 0.5;
+
+    const { x, y } = camera.getRenderPosition();
+    expect(x).toBeCloseTo((camera.prevX + camera.x) / 2);
+    expect(y).toBeCloseTo((camera.prevY + camera.y) / 2);
+    expect(x).toBeLessThan(camera.x);
+  });
+});
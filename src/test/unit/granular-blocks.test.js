@@ -0,0 +1,97 @@
+/**
+ * @file granular-blocks.test.js
+ * @description Verify sand and gravel slide diagonally off edges, a dug-out column collapses
+ * into a pile the same way every run, rocks stay put, and cascades crush maggots.
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { HeadlessGame } from '../../core/headless-game.js';
+import { BlockFactory } from '../../factories/block.factory.js';
+import { createMaggot } from '../../npc/maggot.js';
+import { eventBus } from '../../utils/event-bus.js';
+import { buildBox, snapshot } from '../helpers/terrain.js';
+
+describe('Granular blocks', () => {
+  let harness;
+  let terrain;
+  let landings;
+
+  const setup = () => {
+    harness = new HeadlessGame({ seed: 4242, render: false });
+    terrain = harness.getSystem('TerrainSystem');
+    harness.getSystem('NPCSystem').clear();
+    landings = [];
+    eventBus.on('block:landed', (payload) => landings.push(payload));
+  };
+
+  afterEach(() => {
+    harness?.destroy();
+    harness = null;
+    eventBus.clear();
+  });
+
+  it('slides sand off an edge and reports the slide, while a rock stays put', () => {
+    setup();
+    buildBox(terrain, 2, 10, 8, 15);
+    terrain.setBlock(4, 15, BlockFactory.create('basalt'));
+    terrain.setBlock(4, 14, BlockFactory.create('sand'));
+    terrain.setBlock(7, 15, BlockFactory.create('basalt'));
+    terrain.setBlock(7, 14, BlockFactory.createRock());
+
+    expect(harness.stepUntil(() => landings.length > 0, 120)).toBe(true);
+    expect(landings[0].from).toEqual({ gridX: 4, gridY: 14 });
+    expect(landings[0].position).toEqual({ gridX: 3, gridY: 15 });
+    expect(landings[0].slide).toBe(-1);
+    expect(terrain.getBlock(4, 14).type).toBe('empty');
+    expect(terrain.getBlock(3, 15).type).toBe('sand');
+
+    harness.stepTicks(60);
+    expect(terrain.getBlock(7, 14).type).toBe('rock');
+    expect(landings.filter(({ from }) => from.gridX === 7 && from.gridY === 14)).toEqual([]);
+  });
+
+  it('collapses a dug-out column into the same pile on every run', () => {
+    const collapse = () => {
+      setup();
+      buildBox(terrain, 2, 10, 8, 15);
+      for (let y = 12; y <= 15; y += 1) {
+        for (let x = 2; x <= 8; x += 1) {
+          if (x !== 5) {
+            terrain.setBlock(x, y, BlockFactory.create(y % 2 === 0 ? 'sand' : 'gravel'));
+          }
+        }
+      }
+      harness.stepTicks(400);
+      const result = snapshot(terrain, 2, 10, 8, 15);
+      harness.destroy();
+      eventBus.clear();
+      return { result, slides: landings.filter(({ slide }) => slide !== 0).length };
+    };
+
+    const first = collapse();
+    const second = collapse();
+    harness = null;
+
+    expect(first.slides).toBeGreaterThan(1);
+    expect(second.result).toEqual(first.result);
+    const cells = first.result.join(' ').split(' ');
+    expect(cells.filter((type) => type !== 'empty')).toHaveLength(24);
+    expect(first.result[5].split(' ')[3]).not.toBe('empty'); // The hole is filled
+  });
+
+  it('crushes a maggot caught under falling sand', () => {
+    setup();
+    buildBox(terrain, 4, 8, 4, 15);
+    const npcs = harness.getSystem('NPCSystem');
+    const maggot = createMaggot({ worldX: 4, worldY: 15, direction: 1 });
+    npcs.add(maggot);
+    const crushed = [];
+    eventBus.on('npc:crushed', (payload) => crushed.push(payload));
+    terrain.setBlock(4, 9, BlockFactory.create('sand'));
+
+    expect(harness.stepUntil(() => crushed.length > 0, 240)).toBe(true);
+    expect(crushed[0].npc).toBe(maggot);
+    expect(crushed[0].position).toEqual({ gridX: 4, gridY: 15 });
+    expect(npcs.npcs).not.toContain(maggot);
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * @file gravity-active-tiles.test.js
+ * @description Verify GravitySystem's active tiles give the same falls, slides, rolls, wobbles
+ * and cluster collapses as visiting every cached tile (`scanAllTiles`), that resting
+ * terrain costs nothing, and that unsupported blocks end up where they should.
+ */
+
+import {
+  describe, it, expect, afterEach, vi,
+} from 'vitest';
+import { HeadlessGame } from '../../core/headless-game.js';
+import { BlockFactory } from '../../factories/block.factory.js';
+import { FallableComponent } from '../../components/block/fallable.component.js';
+import { eventBus } from '../../utils/event-bus.js';
+import { buildBox, snapshot } from '../helpers/terrain.js';
+
+const LOGGED_EVENTS = [
+  'block:landed',
+  'block:unstable',
+  'block:crushed-player',
+  'npc:crushed',
+  'player:death',
+];
+
+/**
+ * Sand and gravel columns, a rock on a chest, a red-frame ring and water in a basalt box
+ */
+function buildPlayground(terrain) {
+  buildBox(terrain, 2, 10, 15, 22);
+  const place = (x, y, block) => terrain.setBlock(x, y, block);
+  for (let x = 2; x <= 15; x += 1) {
+    place(x, 16, BlockFactory.createMud());
+  }
+  for (let y = 12; y <= 15; y += 1) {
+    place(4, y, BlockFactory.create('sand'));
+    place(5, y, BlockFactory.create(y % 2 === 0 ? 'gravel' : 'sand'));
+  }
+  place(8, 15, BlockFactory.create('chest'));
+  place(8, 14, BlockFactory.createRock());
+  place(9, 14, BlockFactory.create('basalt'));
+  for (let x = 11; x <= 13; x += 1) {
+    place(x, 12, BlockFactory.create('red_frame'));
+    place(x, 14, BlockFactory.create('red_frame'));
+  }
+  place(11, 13, BlockFactory.create('red_frame'));
+  place(13, 13, BlockFactory.create('red_frame'));
+  place(11, 15, BlockFactory.createEmpty());
+  place(12, 15, BlockFactory.createEmpty());
+  place(9, 22, BlockFactory.create('water'));
+  place(10, 22, BlockFactory.create('water'));
+}
+
+describe('GravitySystem active tiles', () => {
+  let harness;
+
+  afterEach(() => {
+    harness?.destroy();
+    harness = null;
+    eventBus.clear();
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Run a game for some ticks and log gravity's events and falling blocks tick by tick
+   * @param {boolean} scanAllTiles
+   * @param {Object} options
+   * @param {Function} [options.setup] - (terrain) => void, before the first tick
+   * @param {Object<number, Function>} [options.script] - Tick → (terrain, dig) => void
+   * @param {Function} [options.input] - (tick) => input event to emit, if any
+   * @param {number} options.ticks
+   * @returns {string[]}
+   */
+  const record = (scanAllTiles, {
+    setup, script = {}, input, ticks,
+  }) => {
+    harness = new HeadlessGame({ seed: 4242, render: false });
+    const terrain = harness.getSystem('TerrainSystem');
+    const gravity = harness.getSystem('GravitySystem');
+    const player = harness.getSystem('PlayerManagerSystem');
+    harness.getSystem('NPCSystem').clear();
+    gravity.scanAllTiles = scanAllTiles;
+
+    const log = [];
+    let tick = 0;
+    LOGGED_EVENTS.forEach((event) => eventBus.on(event, (payload = {}) => {
+      const {
+        from, position, slide, cause, delayMs,
+      } = payload;
+      log.push(`${tick} ${event} ${JSON.stringify({
+        from, position, slide, cause, delayMs,
+      })}`);
+    }));
+    const dig = (x, y) => {
+      const block = terrain.getBlock(x, y);
+      terrain.setBlock(x, y, BlockFactory.createEmpty());
+      eventBus.emit('block:destroyed', { x, y, block });
+    };
+
+    setup?.(terrain);
+    for (; tick < ticks; tick += 1) {
+      script[tick]?.(terrain, dig);
+      const event = input?.(tick);
+      if (event) {
+        eventBus.emit(event);
+      }
+      harness.step();
+      const falling = [...gravity.fallingBlocks].map((block) => {
+        const { gridX, gridY, pixelY } = block.get(FallableComponent);
+        return `${gridX},${gridY},${pixelY}`;
+      });
+      log.push(`${tick} player ${player.gridX},${player.gridY} falling ${falling.join(' ')}`
+        + ` unstable ${gravity.unstableBlocks.size}`);
+    }
+    log.push(...snapshot(terrain, 2, 10, 15, 22));
+
+    harness.destroy();
+    harness = null;
+    eventBus.clear();
+    return log;
+  };
+
+  it('matches the full scan on a generated run with chunk loads and a restart', () => {
+    const run = {
+      ticks: 1500,
+      input: (tick) => {
+        if (tick === 0) return 'input:move-down';
+        if (tick % 150 === 75) return tick % 300 === 75 ? 'input:move-left' : 'input:move-right';
+        return tick === 1000 ? 'player:restart' : null;
+      },
+    };
+
+    const scanned = record(true, run);
+    expect(scanned.some((line) => line.includes('block:landed'))).toBe(true);
+    expect(record(false, run)).toEqual(scanned);
+  });
+
+  it('matches the full scan for slides, rolls, wobbles, clusters and liquid', () => {
+    const run = {
+      ticks: 400,
+      setup: buildPlayground,
+      script: {
+        20: (terrain, dig) => dig(4, 16),
+        40: (terrain, dig) => dig(5, 16),
+        60: (terrain, dig) => dig(13, 15),
+        // Set straight into the terrain, without an event
+        80: (terrain) => terrain.setBlock(8, 16, BlockFactory.createEmpty()),
+        120: (terrain) => terrain.setBlock(10, 11, BlockFactory.createRock()),
+        160: (terrain, dig) => dig(9, 14),
+        200: (terrain) => terrain.setBlock(3, 11, BlockFactory.create('sand')),
+      },
+    };
+
+    const scanned = record(true, run);
+    const events = scanned.filter((line) => /block:(landed|unstable)/.test(line));
+    expect(events.length).toBeGreaterThan(20);
+    expect(events.some((line) => line.includes('"slide":1') || line.includes('"slide":-1')))
+      .toBe(true);
+    expect(record(false, run)).toEqual(scanned);
+  });
+
+  it('looks at no tile once everything has settled', () => {
+    harness = new HeadlessGame({ seed: 4242, render: false });
+    const terrain = harness.getSystem('TerrainSystem');
+    const gravity = harness.getSystem('GravitySystem');
+    harness.getSystem('NPCSystem').clear();
+    buildPlayground(terrain);
+    // Rocks left hanging by the generator fall during the first seconds
+    harness.stepTicks(240);
+    expect(gravity.fallingBlocks.size).toBe(0);
+    expect(gravity.unstableBlocks.size).toBe(0);
+    expect(gravity.activeTiles.size).toBe(0);
+
+    const updateTile = vi.spyOn(gravity, '_updateTile');
+    harness.stepTicks(30);
+    expect(updateTile).not.toHaveBeenCalled();
+
+    // Digging under the sand wakes up only the tiles next to it
+    const mud = terrain.getBlock(4, 16);
+    terrain.setBlock(4, 16, BlockFactory.createEmpty());
+    eventBus.emit('block:destroyed', { x: 4, y: 16, block: mud });
+    harness.step();
+    expect(updateTile.mock.calls.length).toBeGreaterThan(0);
+    expect(updateTile.mock.calls.length).toBeLessThanOrEqual(6);
+    expect(gravity.fallingBlocks.size).toBe(1);
+  });
+
+  it('drops a dug-under overhang and a cluster whose support turns to lava', () => {
+    harness = new HeadlessGame({ seed: 4242, render: false });
+    const terrain = harness.getSystem('TerrainSystem');
+    harness.getSystem('NPCSystem').clear();
+    // Two rock pairs, each hanging off a single mud block in a basalt shelf
+    buildBox(terrain, 2, 10, 12, 16);
+    for (let x = 2; x <= 12; x += 1) {
+      terrain.setBlock(x, 13, BlockFactory.create([4, 9].includes(x) ? 'mud' : 'basalt'));
+    }
+    [5, 10].forEach((x) => terrain.setBlock(x, 13, BlockFactory.createEmpty()));
+    [4, 5, 9, 10].forEach((x) => terrain.setBlock(x, 12, BlockFactory.createRock()));
+    harness.stepTicks(60);
+    expect(snapshot(terrain, 4, 12, 10, 12)).toEqual(['rock rock empty empty empty rock rock']);
+
+    const mud = terrain.getBlock(4, 13);
+    terrain.setBlock(4, 13, BlockFactory.createEmpty());
+    eventBus.emit('block:destroyed', { x: 4, y: 13, block: mud });
+    terrain.setBlock(9, 13, BlockFactory.create('lava')); // No event, as rising lava
+    harness.stepTicks(300);
+
+    expect(snapshot(terrain, 2, 12, 12, 12)).toEqual([Array(11).fill('empty').join(' ')]);
+    [4, 5, 9, 10].forEach((x) => expect(terrain.getBlock(x, 16).type).toBe('rock'));
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * @file gravity-chunk-loading.test.js
+ * @description Verify a block resting on a chunk that is not loaded waits for it instead of
+ * falling or generating it, and falls once the chunk arrives with nothing under it.
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { HeadlessGame } from '../../core/headless-game.js';
+import { BlockFactory } from '../../factories/block.factory.js';
+import { FallableComponent } from '../../components/block/fallable.component.js';
+import { eventBus } from '../../utils/event-bus.js';
+
+describe('Gravity at unloaded chunks', () => {
+  let harness;
+
+  afterEach(() => {
+    harness?.destroy();
+    harness = null;
+    eventBus.clear();
+  });
+
+  it('waits for the chunk below a rock before deciding whether it falls', () => {
+    harness = new HeadlessGame({ seed: 4242, render: false });
+    const terrain = harness.getSystem('TerrainSystem');
+    harness.getSystem('NPCSystem').clear();
+    harness.stepTicks(2);
+
+    // A loaded chunk whose neighbour below is not loaded yet
+    const chunk = [...terrain.cache.chunks.values()].find(({ chunkX, chunkY }) => (
+      chunkY + 1 < terrain.worldHeightChunks && !terrain.cache.hasChunk(chunkX, chunkY + 1)
+    ));
+    expect(chunk).toBeDefined();
+    const x = chunk.chunkX * chunk.size + 3;
+    const y = chunk.chunkY * chunk.size + chunk.size - 1; // Bottom row
+    terrain.setBlock(x, y - 1, BlockFactory.createMud());
+    terrain.setBlock(x - 1, y, BlockFactory.createMud());
+    terrain.setBlock(x + 1, y, BlockFactory.createMud());
+    terrain.setBlock(x, y, BlockFactory.createRock());
+
+    harness.stepTicks(30);
+    expect(terrain.cache.hasChunk(chunk.chunkX, chunk.chunkY + 1)).toBe(false);
+    const resting = terrain.getBlock(x, y).get(FallableComponent);
+    expect(resting.isUnstable || resting.isFalling).toBe(false);
+
+    terrain.cache.getChunk(chunk.chunkX, chunk.chunkY + 1);
+    terrain.setBlock(x, y + 1, BlockFactory.createEmpty());
+    harness.step();
+    const rock = terrain.getBlock(x, y).get(FallableComponent);
+    expect(rock.isUnstable || rock.isFalling).toBe(true);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * @file headless-game.test.js
+ * @description Script whole-game scenarios against the real system stack via HeadlessGame.
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { HeadlessGame } from '../../core/headless-game.js';
+import { BlockFactory } from '../../factories/block.factory.js';
+import { eventBus } from '../../utils/event-bus.js';
+
+describe('HeadlessGame', () => {
+  let harness;
+
+  afterEach(() => {
+    harness?.destroy();
+    harness = null;
+    eventBus.clear();
+  });
+
+  it('builds the browser system stack without the debug panel', () => {
+    harness = new HeadlessGame({ seed: 1234 });
+
+    expect(harness.getSystem('TerrainSystem')).not.toBeNull();
+    expect(harness.getSystem('GravitySystem')).not.toBeNull();
+    expect(harness.getSystem('PlayerManagerSystem')).not.toBeNull();
+    expect(harness.getSystem('NPCSystem')).not.toBeNull();
+    expect(harness.getSystem('DebugSystem')).toBeNull();
+    expect(harness.getSystem('SaveSystem').enabled).toBe(false);
+  });
+
+  it('advances only when stepped', () => {
+    harness = new HeadlessGame({ seed: 1234 });
+
+    harness.stepTicks(3);
+    expect(harness.game.tick).toBe(3);
+
+    harness.step(harness.game.frameInterval * 2);
+    expect(harness.game.tick).toBe(5);
+  });
+
+  it('digs down 10 tiles and gets crushed by a falling rock', () => {
+    harness = new HeadlessGame({ seed: 1234 });
+    const terrain = harness.getSystem('TerrainSystem');
+    const player = harness.getSystem('PlayerManagerSystem');
+    const startY = player.gridY;
+    const deaths = [];
+    eventBus.on('player:death', (payload) => deaths.push(payload));
+
+    // Ten tiles of mud over a solid floor so the run does not depend on generated terrain
+    for (let y = startY + 1; y <= startY + 10; y += 1) {
+      terrain.setBlock(player.gridX, y, BlockFactory.createMud());
+    }
+    terrain.setBlock(player.gridX, startY + 11, BlockFactory.createBoundary());
+    harness.getSystem('NPCSystem').clear();
+
+    harness.stepTicks(5);
+    eventBus.emit('input:move-down');
+
+    expect(harness.stepUntil(() => player.gridY >= startY + 10)).toBe(true);
+
+    terrain.setBlock(player.gridX, player.gridY - 6, BlockFactory.createRock());
+
+    expect(harness.stepUntil(() => deaths.length > 0)).toBe(true);
+    expect(deaths.map((d) => d.cause)).toEqual(['crushed']);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * @file lava-chase.test.js
+ * @description Verify chase mode: the accelerating lava climb, flooding of loaded and
+ * later-loaded chunks, the HUD's distance readout and the lava catching the player.
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { LavaChase } from '../../terrain/lava-chase.js';
+import { HeadlessGame } from '../../core/headless-game.js';
+import { eventBus } from '../../utils/event-bus.js';
+import { WorldConfig } from '../../utils/world-config.js';
+
+describe('LavaChase', () => {
+  it('waits out the start delay, then accelerates up to the rate cap', () => {
+    const chase = new LavaChase({
+      startDelayMs: 1000, baseRate: 1, acceleration: 0.5, maxRate: 2,
+    });
+    chase.reset(50);
+
+    chase.advance(1000);
+    expect(chase.surfaceY).toBe(50);
+    expect(chase.getRate()).toBe(1);
+
+    chase.advance(1000);
+    expect(chase.getRate()).toBe(1.5);
+    expect(chase.surfaceY).toBeCloseTo(48.75);
+    expect(chase.getFloodRow()).toBe(49);
+
+    chase.advance(10000);
+    expect(chase.getRate()).toBe(2);
+    expect(chase.surfaceY).toBeCloseTo(48.75 - 1.75 - 2 * 9); // Capped after 1 more second
+  });
+});
+
+describe('Chase mode', () => {
+  let harness;
+
+  afterEach(() => {
+    harness?.destroy();
+    harness = null;
+    eventBus.clear();
+  });
+
+  const startChase = (options, world) => {
+    harness = new HeadlessGame({
+      seed: 4242, render: false, lavaChase: options, world,
+    });
+    const player = harness.getSystem('PlayerManagerSystem');
+    player.restoreState({ gridX: player.gridX, gridY: player.gridY, hasStarted: true });
+    return { terrain: harness.getSystem('TerrainSystem'), player };
+  };
+
+  it('floods loaded and later-loaded chunks and reports the gap on the HUD', () => {
+    // Wide enough that the far column stays out of the loaded and prefetched chunks
+    const { terrain, player } = startChase({
+      startDelayMs: 0, baseRate: 4, acceleration: 0, maxRate: 4,
+    }, new WorldConfig({ widthChunks: 5 }));
+    const lakeRow = terrain.world.lavaDepthTiles;
+    const size = terrain.chunkSize;
+    terrain.getBlock(0, lakeRow - 1); // Load the chunk above the lake
+
+    harness.step(1000);
+
+    const floodRow = terrain.lavaChase.getFloodRow();
+    expect(floodRow).toBe(lakeRow - 4);
+    expect(terrain.getBlock(0, lakeRow - 1).type).toBe('lava');
+    expect(terrain.getBlock(0, floodRow - 1).type).not.toBe('lava');
+
+    const farX = terrain.worldWidthTiles - 1;
+    expect(terrain.cache.hasChunk(Math.floor(farX / size), Math.floor(floodRow / size)))
+      .toBe(false);
+    expect(terrain.getBlock(farX, floodRow).type).toBe('lava');
+
+    const hud = harness.getSystem('HUDSystem');
+    expect(hud.lavaGap).toBe(Math.floor(terrain.getLavaSurfaceY() - player.gridY - 1));
+  });
+
+  it('melts the player when the lava catches up, and resets on a new level', () => {
+    const { terrain } = startChase({
+      startDelayMs: 0, baseRate: 30, acceleration: 0, maxRate: 30,
+    });
+    const deaths = [];
+    eventBus.on('player:death', (payload) => deaths.push(payload));
+
+    expect(harness.stepUntil(() => deaths.length > 0, 600)).toBe(true);
+    expect(deaths[0].cause).toBe('lava');
+
+    eventBus.emit('level:transition', {});
+    expect(terrain.getLavaSurfaceY()).toBe(terrain.world.lavaDepthTiles);
+  });
+
+  it('keeps the lava lake still outside chase mode', () => {
+    harness = new HeadlessGame({ seed: 4242, render: false });
+    const terrain = harness.getSystem('TerrainSystem');
+
+    expect(terrain.lavaChase).toBeNull();
+    expect(terrain.getLavaSurfaceY()).toBe(terrain.world.lavaDepthTiles);
+    expect(harness.getSystem('HUDSystem').lavaGap).toBeNull();
+  });
+});
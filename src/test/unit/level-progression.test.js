@@ -0,0 +1,81 @@
+/**
+ * @file level-progression.test.js
+ * @description Verify difficulty profiles scale per level and level transitions apply them to
+ * terrain, timer and HUD.
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { HeadlessGame } from '../../core/headless-game.js';
+import { TimerComponent } from '../../components/player/timer.component.js';
+import { BASE_DIFFICULTY, getDifficultyProfile } from '../../terrain/difficulty-profiles.js';
+import { eventBus } from '../../utils/event-bus.js';
+
+describe('getDifficultyProfile', () => {
+  it('matches the base tuning on level 1 and for invalid levels', () => {
+    expect(getDifficultyProfile(1)).toEqual(BASE_DIFFICULTY);
+    expect(getDifficultyProfile(0)).toEqual(BASE_DIFFICULTY);
+    expect(getDifficultyProfile(NaN)).toEqual(BASE_DIFFICULTY);
+  });
+
+  it('gets harder with depth and stops at the limits', () => {
+    const level5 = getDifficultyProfile(5);
+    expect(level5.cavernThreshold).toBeLessThan(BASE_DIFFICULTY.cavernThreshold);
+    expect(level5.rockDensity).toBeGreaterThan(BASE_DIFFICULTY.rockDensity);
+    expect(level5.chestFrequency).toBeLessThan(BASE_DIFFICULTY.chestFrequency);
+    expect(level5.maggotFrequency).toBeGreaterThan(BASE_DIFFICULTY.maggotFrequency);
+    expect(level5.worldHeightChunks).toBe(BASE_DIFFICULTY.worldHeightChunks + 2);
+    expect(level5.lavaOffsetChunks).toBe(BASE_DIFFICULTY.lavaOffsetChunks + 1);
+    expect(level5.timerSeconds).toBe(BASE_DIFFICULTY.timerSeconds - 12);
+
+    const level100 = getDifficultyProfile(100);
+    expect(level100).toMatchObject({
+      level: 100,
+      worldHeightChunks: 14,
+      lavaOffsetChunks: 4,
+      timerSeconds: 30,
+    });
+    expect(level100.cavernThreshold).toBeCloseTo(0.45);
+  });
+});
+
+describe('Level progression', () => {
+  let harness;
+
+  afterEach(() => {
+    harness?.destroy();
+    harness = null;
+    eventBus.clear();
+  });
+
+  it('advances the level and applies its profile on transition', () => {
+    harness = new HeadlessGame({ seed: 1234, render: false });
+    const terrain = harness.getSystem('TerrainSystem');
+    const hud = harness.getSystem('HUDSystem');
+    const timer = harness.getSystem('PlayerManagerSystem').player.get(TimerComponent);
+    const completions = [];
+    eventBus.on('level:transition:complete', (payload) => completions.push(payload));
+
+    eventBus.emit('level:transition', { seed: 77 });
+    eventBus.emit('level:transition', { seed: 78 });
+
+    expect(completions.map(({ seed, level }) => [seed, level])).toEqual([[77, 2], [78, 3]]);
+    expect(terrain.level).toBe(3);
+    expect(terrain.generator.difficulty).toEqual(getDifficultyProfile(3));
+    expect(terrain.worldHeightTiles).toBe(getDifficultyProfile(3).worldHeightChunks * 9);
+    expect(hud.level).toBe(3);
+
+    expect(timer.budgetSeconds).toBe(getDifficultyProfile(3).timerSeconds);
+    expect(timer.getSeconds()).toBeLessThanOrEqual(timer.budgetSeconds);
+  });
+
+  it('keeps the level when terrain is regenerated after death', () => {
+    harness = new HeadlessGame({ seed: 1234, render: false });
+    const terrain = harness.getSystem('TerrainSystem');
+
+    eventBus.emit('level:transition', { seed: 77 });
+    terrain.setSeed(99);
+
+    expect(terrain.level).toBe(2);
+    expect(terrain.generator.difficulty.level).toBe(2);
+  });
+});
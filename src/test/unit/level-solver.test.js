@@ -0,0 +1,150 @@
+/**
+ * @file level-solver.test.js
+ * @description Verify the spawn-to-door reachability proof over a fixed set of seeds, the
+ * shape of the reported path, that routes keep clear of explosives and their blasts, and
+ * the carved route and moved door for levels that cannot be solved as generated.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { TerrainGenerator } from '../../terrain/terrain-generator.js';
+import { LevelSolver } from '../../terrain/level-solver.js';
+import { BASE_DIFFICULTY } from '../../terrain/difficulty-profiles.js';
+import { WorldConfig } from '../../utils/world-config.js';
+import { PlayerManagerSystem } from '../../systems/player-manager.system.js';
+import { PREFABS, definePrefab } from '../../terrain/prefabs.js';
+
+// Seeds whose levels are solvable as generated, and seeds that need a carved route
+const SOLVED_SEEDS = [1, 7, 42, 2024, 4242];
+const CARVED_SEEDS = [135, 275, 850, 1000, 1353];
+
+// Half-height world so whole levels generate quickly
+const world = new WorldConfig({ widthChunks: 2, heightChunks: 4, lavaOffsetChunks: 1 });
+const spawn = PlayerManagerSystem.getSpawnPoint(world);
+
+/**
+ * Level whose filler below the early mud is all lava, so no route reaches the door
+ */
+class LavaFilledGenerator extends TerrainGenerator {
+  _getBiomeFillType() {
+    return 'lava';
+  }
+
+  _isCavern() {
+    return false;
+  }
+}
+
+/**
+ * Level with a single prefab whose top-left corner is at the given tile
+ */
+function withPrefab(prefab, x, y) {
+  const generator = new TerrainGenerator(4242, BASE_DIFFICULTY, world);
+  generator.prefabPlacements = [{
+    prefab, rows: prefab.grid, x, y,
+  }];
+  return generator;
+}
+
+describe('LevelSolver', () => {
+  it('proves the door reachable for a fixed set of seeds, carving a route where needed', () => {
+    const results = [...SOLVED_SEEDS, ...CARVED_SEEDS].map((seed) => {
+      const { reachable, carved, doorMoved } = new TerrainGenerator(seed, BASE_DIFFICULTY, world)
+        .ensureSolvable(spawn);
+      return {
+        seed, reachable, carved, doorMoved,
+      };
+    });
+
+    expect(results.filter(({ reachable }) => !reachable)).toEqual([]);
+    expect(results.filter(({ carved }) => carved).map(({ seed }) => seed)).toEqual(CARVED_SEEDS);
+    expect(results.some(({ doorMoved }) => doorMoved)).toBe(false);
+  });
+
+  it('reports a minimal path of digs and falls that ends at the door', () => {
+    const generator = new TerrainGenerator(4242, BASE_DIFFICULTY, world);
+    const { reachable, path } = new LevelSolver(generator).solve(spawn);
+    const door = generator.getDoorPosition();
+
+    expect(reachable).toBe(true);
+    expect(path[0].x).toBe(spawn.gridX);
+    expect(path[path.length - 1]).toEqual(door);
+    // Falls cover rows in one move, but every column between spawn and door costs a dig
+    expect(path.length - 1).toBeGreaterThanOrEqual(Math.abs(door.x - spawn.gridX));
+
+    path.slice(1).forEach((position, index) => {
+      const previous = path[index];
+      const isDig = Math.abs(position.x - previous.x) + Math.abs(position.y - previous.y) === 1;
+      const isFall = position.x === previous.x && position.y > previous.y;
+      expect(isDig || isFall).toBe(true);
+    });
+  });
+
+  it('carves a route of mud through a level walled off by lava', () => {
+    const generator = new LavaFilledGenerator(7, BASE_DIFFICULTY, world);
+    expect(new LevelSolver(generator).solve(spawn).reachable).toBe(false);
+
+    const result = generator.ensureSolvable(spawn);
+    const door = generator.getDoorPosition();
+
+    expect(result).toMatchObject({ reachable: true, carved: true });
+    expect(result.path[result.path.length - 1]).toEqual(door);
+
+    const size = generator.chunkSize;
+    const doorRowBlock = generator
+      .generateChunk(Math.floor(spawn.gridX / size), Math.floor(door.y / size))
+      .getBlock(spawn.gridX % size, door.y % size);
+    expect(doorRowBlock.type).toBe('mud');
+  });
+
+  it('does not route through the explosives of a trap room or the tiles beside them', () => {
+    const trapRoom = PREFABS.find(({ id }) => id === 'trap_room');
+    // A band of boundary across the level with the trap room as its only way through
+    const x = spawn.gridX - 2;
+    const band = (rows) => definePrefab({
+      id: 'walled_trap_room',
+      grid: rows.map((row) => 'B'.repeat(x) + row + 'B'.repeat(world.widthTiles - x - row.length)),
+      legend: { B: 'boundary' },
+      depth: [0, 1],
+    });
+    const solve = (rows) => new LevelSolver(withPrefab(band(rows), 0, 12)).solve(spawn).reachable;
+
+    // The bottom row's mud lies in the blast of the explosives next to it
+    expect(solve(trapRoom.grid)).toBe(false);
+    expect(solve([...trapRoom.grid.slice(0, -1), 'MMMMM'])).toBe(true);
+  });
+
+  it('finds no route through a floor of explosives until one is carved', () => {
+    const floor = (symbol) => definePrefab({
+      id: 'floor', grid: [symbol.repeat(world.widthTiles)], depth: [0, 1],
+    });
+    const solve = (symbol) => new LevelSolver(withPrefab(floor(symbol), 0, 14)).solve(spawn)
+      .reachable;
+
+    expect(solve('M')).toBe(true);
+    expect(solve('X')).toBe(false);
+
+    // The carved shaft goes through the floor and defuses the explosives beside it
+    const generator = withPrefab(floor('X'), 0, 14);
+    expect(generator.ensureSolvable(spawn)).toMatchObject({ reachable: true, carved: true });
+    [-1, 0, 1].forEach((dx) => {
+      expect(generator.carvedPath.get(`${spawn.gridX + dx},14`)).toMatch(/^mud/);
+    });
+  });
+
+  it('moves the door under the spawn when the carved route does not reach it', () => {
+    const generator = new LavaFilledGenerator(7, BASE_DIFFICULTY, world);
+    const { x: doorX, y: doorY } = generator.getDoorPosition();
+    expect(doorX).not.toBe(spawn.gridX);
+    // A carve that only ever digs the straight shaft under the spawn
+    const planCarvedPath = generator._planCarvedPath.bind(generator);
+    generator._planCarvedPath = (from) => (
+      generator.getDoorPosition().x === from.gridX ? planCarvedPath(from) : new Map()
+    );
+
+    const result = generator.ensureSolvable(spawn);
+
+    expect(result).toMatchObject({ reachable: true, carved: true, doorMoved: true });
+    expect(generator.getDoorPosition()).toEqual({ x: spawn.gridX, y: doorY });
+    expect(result.path[result.path.length - 1]).toEqual({ x: spawn.gridX, y: doorY });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * @file liquid-system.test.js
+ * @description Verify liquid flow conserves volume across chunk seams and settles, lava hardens
+ * against water, sinking rocks displace water, and the player drowns or melts.
+ */
+
+import {
+  describe, it, expect, afterEach, vi,
+} from 'vitest';
+import { HeadlessGame } from '../../core/headless-game.js';
+import { BlockFactory } from '../../factories/block.factory.js';
+import { LiquidComponent, LIQUID_MAX_LEVEL } from '../../components/block/liquid.component.js';
+import { eventBus } from '../../utils/event-bus.js';
+import { buildBox } from '../helpers/terrain.js';
+
+function totalLevel(terrain, cells, kind = 'water') {
+  return cells.reduce((sum, [x, y]) => {
+    const liquid = terrain.getBlock(x, y).get(LiquidComponent);
+    return liquid && liquid.kind === kind ? sum + liquid.level : sum;
+  }, 0);
+}
+
+describe('LiquidSystem', () => {
+  let harness;
+  let terrain;
+  let liquids;
+
+  const setup = () => {
+    harness = new HeadlessGame({ seed: 4242, render: false });
+    terrain = harness.getSystem('TerrainSystem');
+    liquids = harness.getSystem('LiquidSystem');
+  };
+
+  const pour = (kind, x, y, level = LIQUID_MAX_LEVEL) => {
+    terrain.setBlock(x, y, BlockFactory.create(kind, { level }));
+    liquids.activateAround(x, y);
+  };
+
+  afterEach(() => {
+    harness?.destroy();
+    harness = null;
+    eventBus.clear();
+    vi.restoreAllMocks();
+  });
+
+  it('spreads water across a chunk seam without losing volume, then goes idle', () => {
+    setup();
+    const seamX = terrain.chunkSize;
+    const cells = buildBox(terrain, seamX - 6, 20, seamX + 5, 21);
+    pour('water', seamX - 1, 20);
+    pour('water', seamX, 20);
+
+    expect(harness.stepUntil(() => liquids.getActiveCount() === 0, 1200)).toBe(true);
+
+    expect(totalLevel(terrain, cells)).toBe(2 * LIQUID_MAX_LEVEL);
+    expect(terrain.getBlock(seamX - 3, 21).has(LiquidComponent)).toBe(true);
+    expect(terrain.getBlock(seamX + 2, 21).has(LiquidComponent)).toBe(true);
+    expect(terrain.getBlock(seamX, 20).has(LiquidComponent)).toBe(false);
+  });
+
+  it('hardens lava that touches water into basalt', () => {
+    setup();
+    const hardened = [];
+    eventBus.on('liquid:hardened', (payload) => hardened.push(payload));
+    buildBox(terrain, 4, 22, 5, 22);
+    pour('lava', 4, 22);
+    pour('water', 5, 22);
+
+    harness.stepUntil(() => hardened.length > 0, 120);
+
+    expect(hardened).toEqual([{ x: 4, y: 22 }]);
+    expect(terrain.getBlock(4, 22).type).toBe('basalt');
+    expect(terrain.getBlock(5, 22).get(LiquidComponent).level).toBe(LIQUID_MAX_LEVEL);
+  });
+
+  it('leaves lava cells untouched on the steps it skips', () => {
+    setup();
+    buildBox(terrain, 4, 22, 8, 22);
+    pour('lava', 4, 22);
+    const forUpdate = vi.spyOn(terrain, 'getBlockForUpdate');
+
+    // Lava flows every third step: the next two only keep it queued
+    liquids.stepCount = 0;
+    liquids.step(terrain);
+    liquids.step(terrain);
+    expect(forUpdate).not.toHaveBeenCalled();
+    expect(liquids.getActiveCount()).toBeGreaterThan(0);
+
+    liquids.step(terrain);
+    expect(forUpdate).toHaveBeenCalled();
+    expect(terrain.getBlock(5, 22).get(LiquidComponent)?.kind).toBe('lava');
+  });
+
+  it('lets a falling rock sink through water and displace it', () => {
+    setup();
+    const cells = buildBox(terrain, 6, 20, 6, 23);
+    pour('water', 6, 23);
+    terrain.setBlock(6, 20, BlockFactory.createRock());
+
+    harness.stepUntil(() => terrain.getBlock(6, 23).type === 'rock', 300);
+    expect(harness.stepUntil(() => liquids.getActiveCount() === 0, 300)).toBe(true);
+
+    expect(terrain.getBlock(6, 22).get(LiquidComponent).level).toBe(LIQUID_MAX_LEVEL);
+    expect(totalLevel(terrain, cells)).toBe(LIQUID_MAX_LEVEL);
+  });
+
+  it('drowns a player kept under water and melts one reached by lava', () => {
+    setup();
+    const deaths = [];
+    eventBus.on('player:death', (payload) => deaths.push(payload));
+    const player = harness.getSystem('PlayerManagerSystem');
+
+    buildBox(terrain, 3, 25, 3, 25);
+    pour('water', 3, 25);
+    // Not started, so the player stands still instead of digging out
+    player.restoreState({ gridX: 3, gridY: 25, timerMs: 60000, hasStarted: false });
+
+    harness.step(2000);
+    expect(deaths).toEqual([]);
+    harness.step(600);
+    expect(deaths).toEqual([{ cause: 'drowned', shouldRegenerate: false }]);
+
+    deaths.length = 0;
+    buildBox(terrain, 12, 25, 12, 25);
+    pour('lava', 12, 25, 2);
+    player.restoreState({ gridX: 12, gridY: 25, timerMs: 60000, hasStarted: false });
+    harness.step();
+
+    expect(deaths[0]).toEqual({ cause: 'lava', shouldRegenerate: true });
+  });
+});
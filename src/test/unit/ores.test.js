@@ -0,0 +1,78 @@
+/**
+ * @file ores.test.js
+ * @description Verify ore veins respect their depth and rarity tables and that dug ore scores its
+ * value and counts towards the HUD's per-resource totals.
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { TerrainGenerator } from '../../terrain/terrain-generator.js';
+import { ORES } from '../../terrain/ores.js';
+import { BASE_DIFFICULTY } from '../../terrain/difficulty-profiles.js';
+import { BlockFactory } from '../../factories/block.factory.js';
+import { DiggableComponent } from '../../components/block/diggable.component.js';
+import { HeadlessGame } from '../../core/headless-game.js';
+import { WorldConfig } from '../../utils/world-config.js';
+import { eventBus } from '../../utils/event-bus.js';
+
+describe('Ore veins', () => {
+  it('places each ore only below its minimum depth, rarer ores less often', () => {
+    const world = new WorldConfig({ widthChunks: 6, heightChunks: 20 });
+    const counts = Object.fromEntries(ORES.map((ore) => [ore.blockType, 0]));
+
+    [11, 4242, 90210].forEach((seed) => {
+      const generator = new TerrainGenerator(seed, BASE_DIFFICULTY, world);
+      for (let chunkY = 0; chunkY < world.heightChunks; chunkY += 1) {
+        for (let chunkX = 0; chunkX < world.widthChunks; chunkX += 1) {
+          const chunk = generator.generateChunk(chunkX, chunkY);
+          for (let y = 0; y < chunk.size; y += 1) {
+            for (let x = 0; x < chunk.size; x += 1) {
+              const ore = ORES.find((o) => o.blockType === chunk.getBlock(x, y).type);
+              if (ore) {
+                counts[ore.blockType] += 1;
+                expect(chunkY * chunk.size + y).toBeGreaterThanOrEqual(
+                  ore.minDepth * generator.lavaDepth,
+                );
+              }
+            }
+          }
+        }
+      }
+    });
+
+    const [copper, silver, gold, gem] = ORES.map((ore) => counts[ore.blockType]);
+    expect(gem).toBeGreaterThan(0);
+    expect(copper).toBeGreaterThan(gold);
+    expect(silver).toBeGreaterThan(gem);
+  });
+});
+
+describe('Ore pickups', () => {
+  let harness;
+
+  afterEach(() => {
+    harness?.destroy();
+    harness = null;
+    eventBus.clear();
+  });
+
+  it('scores the ore value and tallies the resource on the HUD', () => {
+    harness = new HeadlessGame({ seed: 1234, render: false });
+    const hud = harness.getSystem('HUDSystem');
+    const loot = [];
+    eventBus.on('block:loot', (payload) => loot.push(payload));
+
+    const gold = BlockFactory.create('ore_gold');
+    const { destroyed } = gold.get(DiggableComponent).dig(gold, 5, 20, 100);
+
+    expect(destroyed).toBe(true);
+    expect(loot[0].timerIncrementSeconds).toBe(3);
+    expect(hud.score).toBe(12);
+    expect(hud.resources).toEqual({
+      copper: 0, silver: 0, gold: 1, gem: 0,
+    });
+
+    eventBus.emit('block:loot', { x: 0, y: 0, loot: [{ type: 'coin', value: 1 }] });
+    expect(hud.score).toBe(13);
+    expect(hud.resources.gold).toBe(1);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * @file prefabs.test.js
+ * @description Verify prefab templates (validation, rotation and mirroring), their seeded
+ * placement rules, and that a prefab spanning chunks is stamped the same in every chunk.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { PREFABS, definePrefab, transformGrid } from '../../terrain/prefabs.js';
+import { TerrainGenerator } from '../../terrain/terrain-generator.js';
+import { BASE_DIFFICULTY } from '../../terrain/difficulty-profiles.js';
+import { getBlockDefinition } from '../../factories/block-registry.js';
+import { CHUNK_SIZE } from '../../utils/config.js';
+
+/**
+ * Block type at world coordinates, generating chunks as needed
+ */
+function blockTypeAt(generator, x, y) {
+  const size = generator.chunkSize;
+  return generator.generateChunk(Math.floor(x / size), Math.floor(y / size))
+    .getBlock(x % size, y % size).type;
+}
+
+describe('Prefab templates', () => {
+  it('only uses blocks the player can dig through or pass', () => {
+    PREFABS.forEach(({ legend }) => {
+      Object.values(legend).filter(Boolean).forEach((blockId) => {
+        const definition = getBlockDefinition(blockId);
+        expect(definition, blockId).not.toBeNull();
+        expect(definition.diggable || definition.collidable === false, blockId).toBe(true);
+      });
+    });
+  });
+
+  it('rejects ragged grids and unknown symbols', () => {
+    expect(() => definePrefab({ id: 'ragged', grid: ['MM', 'M'] })).toThrow(/equal length/);
+    expect(() => definePrefab({ id: 'odd', grid: ['M%'] })).toThrow(/unknown symbol "%"/);
+    expect(definePrefab({ id: 'custom', grid: ['%'], legend: { '%': 'clay' } }).legend['%'])
+      .toBe('clay');
+  });
+
+  it('turns grids clockwise and mirrors them', () => {
+    const grid = ['AB', 'CD', 'EF'];
+
+    expect(transformGrid(grid, { rotation: 1 })).toEqual(['ECA', 'FDB']);
+    expect(transformGrid(grid, { rotation: 2 })).toEqual(['FE', 'DC', 'BA']);
+    expect(transformGrid(grid, { mirror: true })).toEqual(['BA', 'DC', 'FE']);
+    expect(transformGrid(grid, { rotation: 4 })).toEqual(grid);
+  });
+});
+
+describe('Prefab placement', () => {
+  it('places prefabs inside their depth range, above the lava and apart', () => {
+    let placed = 0;
+
+    for (let seed = 1; seed <= 200; seed += 1) {
+      const generator = new TerrainGenerator(seed, BASE_DIFFICULTY);
+      const placements = generator.getPrefabPlacements();
+      placed += placements.length;
+
+      placements.forEach(({
+        prefab, x, y, rows,
+      }, index) => {
+        expect(y).toBeGreaterThanOrEqual(prefab.depth[0] * generator.lavaDepth);
+        expect(y).toBeLessThanOrEqual(prefab.depth[1] * generator.lavaDepth);
+        expect(y + rows.length).toBeLessThan(generator.lavaDepth);
+        expect(x + rows[0].length).toBeLessThanOrEqual(generator.worldWidthTiles);
+
+        const width = rows[0].length;
+        const height = rows.length;
+        placements.slice(0, index).forEach((other) => {
+          const gapX = Math.max(other.x - (x + width), x - (other.x + other.rows[0].length));
+          const gapY = Math.max(other.y - (y + height), y - (other.y + other.rows.length));
+          expect(Math.max(gapX, gapY)).toBeGreaterThanOrEqual(prefab.spacing);
+        });
+      });
+    }
+
+    expect(placed).toBeGreaterThan(100);
+  });
+
+  it('stamps a prefab that spans chunks the same whichever chunk generates first', () => {
+    const spansChunks = ({ x, y, rows }) => {
+      const chunkOf = (tile) => Math.floor(tile / CHUNK_SIZE);
+      return chunkOf(x) !== chunkOf(x + rows[0].length - 1)
+        || chunkOf(y) !== chunkOf(y + rows.length - 1);
+    };
+    const seed = Array.from({ length: 200 }, (_, index) => index + 1).find(
+      (candidate) => new TerrainGenerator(candidate, BASE_DIFFICULTY)
+        .getPrefabPlacements().some(spansChunks),
+    );
+    const {
+      prefab, x, y, rows,
+    } = new TerrainGenerator(seed, BASE_DIFFICULTY).getPrefabPlacements().find(spansChunks);
+    const forward = new TerrainGenerator(seed, BASE_DIFFICULTY);
+    const backward = new TerrainGenerator(seed, BASE_DIFFICULTY);
+    const cells = rows.flatMap((row, dy) => [...row].map((symbol, dx) => [x + dx, y + dy, symbol]));
+
+    const forwardTypes = cells.map(([cellX, cellY]) => blockTypeAt(forward, cellX, cellY));
+    const backwardTypes = [...cells].reverse()
+      .map(([cellX, cellY]) => blockTypeAt(backward, cellX, cellY)).reverse();
+
+    expect(backwardTypes).toEqual(forwardTypes);
+    cells.forEach(([, , symbol], index) => {
+      if (prefab.legend[symbol]) {
+        expect(forwardTypes[index]).toBe(prefab.legend[symbol]);
+      }
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * @file rolling-rocks.test.js
+ * @description Verify rocks roll off rounded tops and keep rolling the same way, the player
+ * pushes a single rock sideways into an open tile, and a rolling rock crushes the player.
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { HeadlessGame } from '../../core/headless-game.js';
+import { BlockFactory } from '../../factories/block.factory.js';
+import { HealthComponent } from '../../components/block/health.component.js';
+import { eventBus } from '../../utils/event-bus.js';
+import { buildBox } from '../helpers/terrain.js';
+
+describe('Rolling rocks', () => {
+  let harness;
+  let terrain;
+  let player;
+
+  const setup = () => {
+    harness = new HeadlessGame({ seed: 4242, render: false });
+    terrain = harness.getSystem('TerrainSystem');
+    player = harness.getSystem('PlayerManagerSystem');
+    harness.getSystem('NPCSystem').clear();
+  };
+
+  /**
+   * Clear the tiles around the player and stand it on an undiggable floor
+   */
+  const clearAroundPlayer = () => {
+    for (let x = player.gridX - 2; x <= player.gridX + 4; x += 1) {
+      for (let y = player.gridY - 2; y <= player.gridY; y += 1) {
+        terrain.setBlock(x, y, BlockFactory.createEmpty());
+      }
+      terrain.setBlock(x, player.gridY + 1, BlockFactory.createBoundary());
+    }
+  };
+
+  afterEach(() => {
+    harness?.destroy();
+    harness = null;
+    eventBus.clear();
+  });
+
+  it('rolls a rock off a chest and keeps it rolling the same way off the next rock', () => {
+    setup();
+    const landings = [];
+    eventBus.on('block:landed', (payload) => landings.push(payload));
+    buildBox(terrain, 2, 10, 8, 15);
+    terrain.setBlock(7, 11, BlockFactory.create('basalt'));
+    terrain.setBlock(7, 12, BlockFactory.create('basalt'));
+    terrain.setBlock(6, 13, BlockFactory.create('basalt'));
+    terrain.setBlock(6, 12, BlockFactory.create('chest'));
+    terrain.setBlock(6, 11, BlockFactory.createRock());
+    terrain.setBlock(5, 15, BlockFactory.createRock());
+
+    const fromBox = ({ position }) => position.gridY >= 10 && position.gridY <= 15;
+    expect(harness.stepUntil(() => landings.filter(fromBox).length >= 2, 240)).toBe(true);
+    const [roll, second] = landings.filter(fromBox);
+    expect(roll.from).toEqual({ gridX: 6, gridY: 11 });
+    expect(roll.position).toEqual({ gridX: 5, gridY: 14 });
+    expect(roll.slide).toBe(-1);
+    // Without momentum the rock at (5, 14) would try the right side first
+    expect(second.from).toEqual({ gridX: 5, gridY: 14 });
+    expect(second.position).toEqual({ gridX: 4, gridY: 15 });
+
+    harness.stepTicks(30);
+    expect(terrain.getBlock(4, 15).type).toBe('rock');
+    expect(terrain.getBlock(5, 15).type).toBe('rock');
+    expect(terrain.getBlock(6, 12).type).toBe('chest');
+    expect(terrain.getBlock(6, 15).type).toBe('empty');
+  });
+
+  it('pushes a single rock into an open tile but not a row of two', () => {
+    setup();
+    clearAroundPlayer();
+    const { gridX, gridY } = player;
+    terrain.setBlock(gridX + 1, gridY, BlockFactory.createRock());
+    terrain.setBlock(gridX + 3, gridY, BlockFactory.createRock());
+    const pushes = [];
+    eventBus.on('block:pushed', (payload) => pushes.push(payload));
+
+    eventBus.emit('input:move-down'); // Start the run
+    harness.stepTicks(5);
+    eventBus.emit('input:move-right');
+    expect(harness.stepUntil(() => player.gridX === gridX + 1, 60)).toBe(true);
+    expect(pushes).toHaveLength(1);
+    expect(pushes[0].to).toEqual({ gridX: gridX + 2, gridY });
+    expect(terrain.getBlock(gridX + 2, gridY).type).toBe('rock');
+    expect(terrain.getBlock(gridX + 1, gridY).type).toBe('empty');
+
+    // The pushed rock now touches the second one: walking on digs instead of pushing
+    harness.stepTicks(5);
+    eventBus.emit('input:move-right');
+    harness.stepTicks(20);
+    expect(pushes).toHaveLength(1);
+    expect(player.gridX).toBe(gridX + 1);
+    const pushed = terrain.getBlock(gridX + 2, gridY);
+    expect(pushed.type).toBe('rock');
+    expect(pushed.get(HealthComponent).hp).toBeLessThan(30);
+    expect(terrain.getBlock(gridX + 3, gridY).type).toBe('rock');
+  });
+
+  it('crushes the player when a rock rolls off a chest onto it', () => {
+    setup();
+    clearAroundPlayer();
+    const { gridX, gridY } = player;
+    terrain.setBlock(gridX + 1, gridY, BlockFactory.create('chest'));
+    terrain.setBlock(gridX + 1, gridY - 1, BlockFactory.createRock());
+    terrain.setBlock(gridX + 2, gridY - 1, BlockFactory.createBoundary());
+    terrain.setBlock(gridX + 2, gridY, BlockFactory.createBoundary());
+    const crushed = [];
+    eventBus.on('block:crushed-player', (payload) => crushed.push(payload));
+
+    expect(harness.stepUntil(() => crushed.length > 0, 120)).toBe(true);
+    expect(crushed[0].cause).toBe('crushed');
+  });
+});
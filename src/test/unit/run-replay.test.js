@@ -0,0 +1,173 @@
+/**
+ * @file run-replay.test.js
+ * @description Verify RunRecorder captures ticked input and seeds, and RunPlayer replays them identically.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { RunRecorder } from '../../utils/run-recorder.js';
+import { RunPlayer } from '../../utils/run-player.js';
+import { INPUT_EVENTS } from '../../systems/input.system.js';
+import { eventBus } from '../../utils/event-bus.js';
+import { SeedSequence } from '../../utils/seed.js';
+import { createMockEventBus, createMockGame } from '../helpers/mocks.js';
+
+function createSteppingGame() {
+  const terrain = {
+    constructor: { name: 'TerrainSystem' },
+    seed: 777,
+    setSeed: vi.fn(function setSeed(seed) { this.seed = seed; }),
+  };
+
+  return createMockGame({
+    components: [terrain],
+    tick: 0,
+    frameInterval: 1000 / 60,
+    seedProvider: null,
+    setFixedTimestep: vi.fn(),
+    step() {
+      eventBus.emit('game:tick', { tick: this.tick });
+      this.tick += 1;
+    },
+    stepMany(count) {
+      for (let i = 0; i < count; i += 1) this.step();
+    },
+  });
+}
+
+/**
+ * Collect input events together with the tick they were emitted in.
+ */
+function captureInputs(game) {
+  const seen = [];
+  INPUT_EVENTS.forEach((type) => {
+    eventBus.on(type, () => seen.push({ tick: game.tick, type }));
+  });
+  return seen;
+}
+
+describe('Run recording and replay', () => {
+  beforeEach(() => {
+    Object.assign(eventBus, createMockEventBus());
+  });
+
+  it('stamps input events with the simulation tick relative to the start', () => {
+    const game = createSteppingGame();
+    game.stepMany(5);
+
+    const recorder = new RunRecorder(game);
+    recorder.start();
+    expect(game.setFixedTimestep).toHaveBeenCalledWith(true);
+
+    game.stepMany(3);
+    eventBus.emit('input:move-left');
+    game.stepMany(2);
+    eventBus.emit('input:move-down');
+    game.step();
+
+    const recording = recorder.stop();
+    expect(recording.seed).toBe(777);
+    expect(recording.endTick).toBe(6);
+    expect(recording.events).toEqual([
+      { tick: 3, type: 'input:move-left' },
+      { tick: 5, type: 'input:move-down' },
+    ]);
+  });
+
+  it('records drawn seeds and replays inputs and seeds identically', () => {
+    const recordGame = createSteppingGame();
+    const recorder = new RunRecorder(recordGame);
+    recorder.start();
+
+    recordGame.stepMany(2);
+    eventBus.emit('input:move-right');
+    const drawnSeed = recordGame.seedProvider();
+    recordGame.stepMany(4);
+    eventBus.emit('input:pause-toggle');
+    eventBus.emit('input:pause-toggle');
+    recordGame.stepMany(3);
+    const recording = recorder.stop();
+
+    Object.assign(eventBus, createMockEventBus());
+    const replayGame = createSteppingGame();
+    replayGame.components[0].seed = 1;
+    const seen = captureInputs(replayGame);
+    const onComplete = vi.fn();
+    eventBus.on('replay:complete', onComplete);
+
+    const player = new RunPlayer(replayGame, recording);
+    player.start();
+    expect(replayGame.components[0].setSeed).toHaveBeenCalledWith(777);
+    expect(replayGame.seedProvider()).toBe(drawnSeed);
+
+    replayGame.stepMany(recording.endTick + 1);
+
+    expect(seen).toEqual([
+      { tick: 2, type: 'input:move-right' },
+      { tick: 6, type: 'input:pause-toggle' },
+      { tick: 6, type: 'input:pause-toggle' },
+    ]);
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    expect(player.playing).toBe(false);
+  });
+
+  it('ignores live keyboard and touch input while a replay plays', () => {
+    const game = createSteppingGame();
+    const recorder = new RunRecorder(game);
+    recorder.start();
+    game.stepMany(3);
+    const recording = recorder.stop();
+
+    const replayGame = createSteppingGame();
+    replayGame.inputSystem = { enabled: true };
+    const touchInput = { constructor: { name: 'TouchInputSystem' }, enabled: true };
+    replayGame.components.push(touchInput);
+
+    const player = new RunPlayer(replayGame, recording);
+    player.start();
+    expect(replayGame.inputSystem.enabled).toBe(false);
+    expect(touchInput.enabled).toBe(false);
+
+    replayGame.stepMany(recording.endTick + 1);
+    expect(player.playing).toBe(false);
+    expect(replayGame.inputSystem.enabled).toBe(true);
+    expect(touchInput.enabled).toBe(true);
+  });
+
+  it('starts over from a save loaded while recording and replays from that save', () => {
+    const game = createSteppingGame();
+    const recorder = new RunRecorder(game);
+    recorder.start();
+    game.stepMany(2);
+    eventBus.emit('input:move-left');
+
+    // What SaveSystem.restore leaves behind for a run on RED-MOLE-42, level 2
+    const save = { seed: 99, level: 2, seedSequence: { seed: 5, name: 'RED-MOLE-42', index: 1 } };
+    Object.assign(game.components[0], { seed: 99, level: 2 });
+    game.seedSequence = SeedSequence.fromJSON(save.seedSequence);
+    eventBus.emit('save:restored', save);
+
+    game.stepMany(3);
+    eventBus.emit('input:move-down');
+    const drawnSeed = game.seedProvider();
+    game.step();
+    const recording = recorder.stop();
+
+    expect(drawnSeed).toBe(SeedSequence.fromJSON(save.seedSequence).next());
+    expect(recording).toMatchObject({
+      seed: 99, level: 2, save, seeds: [drawnSeed], endTick: 4,
+    });
+    expect(recording.events).toEqual([{ tick: 3, type: 'input:move-down' }]);
+
+    const replayGame = createSteppingGame();
+    const saveSystem = { constructor: { name: 'SaveSystem' }, restore: vi.fn() };
+    replayGame.components.push(saveSystem);
+    new RunPlayer(replayGame, recording).start();
+    expect(saveSystem.restore).toHaveBeenCalledWith(save);
+    expect(replayGame.components[0].setSeed).not.toHaveBeenCalled();
+  });
+
+  it('rejects recordings with an unknown version', () => {
+    const player = new RunPlayer(createSteppingGame(), { version: 99 });
+    expect(() => player.start()).toThrow();
+  });
+});
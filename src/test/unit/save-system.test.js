@@ -0,0 +1,224 @@
+/**
+ * @file save-system.test.js
+ * @description Verify SaveSystem round-trips run state through storage and migrates old saves.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { SaveSystem } from '../../systems/save.system.js';
+import { TerrainSystem } from '../../systems/terrain.system.js';
+import { ChunkDiffStore } from '../../terrain/chunk-diff-store.js';
+import { BlockFactory } from '../../factories/block.factory.js';
+import { SAVE_STORAGE_KEY } from '../../utils/config.js';
+import { WorldConfig } from '../../utils/world-config.js';
+import { SAVE_VERSION, migrateSave } from '../../utils/save-migrations.js';
+import { eventBus } from '../../utils/event-bus.js';
+import { SeedSequence, parseSeed } from '../../utils/seed.js';
+import { createMockEventBus, createMockGame } from '../helpers/mocks.js';
+
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  };
+}
+
+function createTerrain(game, seed) {
+  const terrain = new TerrainSystem(game);
+  terrain.diffStore = new ChunkDiffStore();
+  terrain.setSeed(seed);
+  return terrain;
+}
+
+describe('SaveSystem', () => {
+  let storage;
+  let game;
+  let terrain;
+  let player;
+  let hud;
+  let npcs;
+  let saveSystem;
+
+  beforeEach(() => {
+    Object.assign(eventBus, createMockEventBus());
+    storage = createMemoryStorage();
+
+    player = {
+      constructor: { name: 'PlayerManagerSystem' },
+      gridX: 7,
+      gridY: 30,
+      hasStarted: true,
+      getTimerMs: () => 42000,
+      isDead: () => false,
+      restoreState: vi.fn(),
+    };
+    hud = { constructor: { name: 'HUDSystem' }, score: 12 };
+    npcs = { constructor: { name: 'NPCSystem' }, clear: vi.fn() };
+
+    game = createMockGame({ components: [] });
+    terrain = createTerrain(game, 4242);
+    game.components.push(terrain, player, hud, npcs);
+
+    saveSystem = new SaveSystem(game, storage);
+    saveSystem.init();
+  });
+
+  it('writes a versioned save with seed, level, player, score and door', () => {
+    terrain.getBlock(0, 0); // Generate a chunk so the door is placed
+    expect(saveSystem.save()).toBe(true);
+
+    const data = JSON.parse(storage.getItem(SAVE_STORAGE_KEY));
+    expect(data.version).toBe(SAVE_VERSION);
+    expect(data.seed).toBe(4242);
+    expect(data.level).toBe(1);
+    expect(data.player).toEqual({
+      gridX: 7, gridY: 30, timerMs: 42000, hasStarted: true,
+    });
+    expect(data.score).toBe(12);
+    expect(data.door).toEqual(terrain.generator.doorPosition);
+  });
+
+  it('restores seed, modified tiles, player and score, then announces it', () => {
+    terrain.setBlock(4, 20, BlockFactory.createEmpty());
+    const originalType = createTerrain(game, 4242).getBlock(4, 20).type;
+    expect(originalType).not.toBe('empty');
+
+    saveSystem.save();
+
+    terrain.setSeed(1);
+    hud.score = 0;
+    const restored = vi.fn();
+    eventBus.on('save:restored', restored);
+
+    expect(saveSystem.load()).toBe(true);
+    expect(restored).toHaveBeenCalledWith(expect.objectContaining({ seed: 4242, level: 1 }));
+    expect(terrain.seed).toBe(4242);
+    expect(terrain.getBlock(4, 20).type).toBe('empty');
+    expect(player.restoreState).toHaveBeenCalledWith({
+      gridX: 7, gridY: 30, timerMs: 42000, hasStarted: true,
+    });
+    expect(hud.score).toBe(12);
+    expect(npcs.clear).toHaveBeenCalled();
+  });
+
+  it('restores the level and its difficulty profile', () => {
+    terrain.setSeed(4242, 4);
+    saveSystem.save();
+
+    terrain.setSeed(1, 1);
+    hud.level = 1;
+
+    expect(saveSystem.load()).toBe(true);
+    expect(terrain.level).toBe(4);
+    expect(terrain.generator.difficulty.level).toBe(4);
+    expect(hud.level).toBe(4);
+  });
+
+  it('restores the run world the diffs were recorded in', () => {
+    terrain.setWorld(new WorldConfig({ widthChunks: 4, chunkSize: 12 }));
+    terrain.setSeed(4242, 1);
+    expect(terrain.getBlock(40, 13).type).not.toBe('empty');
+    terrain.setBlock(40, 13, BlockFactory.createEmpty());
+    saveSystem.save();
+
+    terrain.setWorld(new WorldConfig());
+    const setSeed = vi.spyOn(terrain, 'setSeed');
+    expect(saveSystem.load()).toBe(true);
+
+    expect(setSeed).toHaveBeenCalledTimes(1); // Generated once, in the saved world
+    expect(setSeed).toHaveBeenCalledWith(4242, 1);
+    expect(terrain.world.widthChunks).toBe(4);
+    expect(terrain.chunkSize).toBe(12);
+    expect(terrain.getBlock(40, 13).type).toBe('empty');
+  });
+
+  it('restores the ore resource breakdown', () => {
+    hud.resources = {
+      copper: 4, silver: 2, gold: 1, gem: 0,
+    };
+    saveSystem.save();
+
+    hud.resources = {
+      copper: 0, silver: 0, gold: 0, gem: 0,
+    };
+    expect(saveSystem.load()).toBe(true);
+    expect(hud.resources).toEqual({
+      copper: 4, silver: 2, gold: 1, gem: 0,
+    });
+
+    storage.setItem(SAVE_STORAGE_KEY, JSON.stringify({
+      version: 3, seed: 555, level: 1, door: null, player: null, score: 3, chunks: [],
+    }));
+    expect(saveSystem.load()).toBe(true);
+    expect(hud.resources.copper).toBe(0);
+  });
+
+  it('keeps the run on its seed sequence across a reload', () => {
+    game.seedSequence = new SeedSequence('RED-MOLE-42');
+    game.seedSequence.next();
+    saveSystem.save();
+
+    game.seedSequence = null;
+    expect(saveSystem.load()).toBe(true);
+    expect(game.seedSequence).toMatchObject({ name: 'RED-MOLE-42', index: 1 });
+    expect(game.seedSequence.next()).toBe(new SeedSequence('RED-MOLE-42', 1).next());
+
+    storage.setItem(SAVE_STORAGE_KEY, JSON.stringify({
+      version: 5, seed: 555, level: 1, door: null, player: null, score: 3, chunks: [],
+    }));
+    expect(saveSystem.load()).toBe(true);
+    expect(game.seedSequence).toBeNull();
+  });
+
+  it('keeps sharing the run by the seed name it was started with', () => {
+    terrain.setSeed('red mole 42');
+    saveSystem.save();
+
+    terrain.setSeed(1);
+    expect(saveSystem.load()).toBe(true);
+    expect(terrain.seed).toBe(parseSeed('RED-MOLE-42'));
+    expect(terrain.getShareableSeed()).toBe('RED-MOLE-42');
+
+    storage.setItem(SAVE_STORAGE_KEY, JSON.stringify({
+      version: 6, seed: 555, level: 1, door: null, player: null, score: 3, chunks: [],
+    }));
+    expect(saveSystem.load()).toBe(true);
+    expect(terrain.getShareableSeed()).toBe('555');
+  });
+
+  it('loads version 1 saves as level 1', () => {
+    storage.setItem(SAVE_STORAGE_KEY, JSON.stringify({
+      version: 1, seed: 555, door: null, player: null, score: 3, chunks: [],
+    }));
+    terrain.setSeed(1, 6);
+
+    expect(saveSystem.load()).toBe(true);
+    expect(terrain.seed).toBe(555);
+    expect(terrain.level).toBe(1);
+  });
+
+  it('does not save while the player is dead', () => {
+    player.isDead = () => true;
+    expect(saveSystem.save()).toBe(false);
+    expect(saveSystem.hasSave()).toBe(false);
+  });
+
+  it('loads saves written with the legacy proposed schema', () => {
+    storage.setItem(SAVE_STORAGE_KEY, JSON.stringify({
+      seed: 999, playerX: 3, playerY: 15, score: 5, modifiedChunks: [],
+    }));
+
+    expect(saveSystem.load()).toBe(true);
+    expect(terrain.seed).toBe(999);
+    expect(hud.score).toBe(5);
+    expect(player.restoreState).toHaveBeenCalledWith(
+      expect.objectContaining({ gridX: 3, gridY: 15 }),
+    );
+  });
+
+  it('rejects saves from a newer version', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(migrateSave({ version: SAVE_VERSION + 1, seed: 1 })).toBeNull();
+  });
+});
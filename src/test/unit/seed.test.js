@@ -0,0 +1,130 @@
+/**
+ * @file seed.test.js
+ * @description Verify seed names hash to stable numeric seeds, the daily seed follows the
+ * UTC date, and a chosen seed (from the URL or the debug panel) drives the start level and
+ * every regenerated terrain.
+ */
+
+import {
+  describe, it, expect, afterEach, vi,
+} from 'vitest';
+import {
+  parseSeed,
+  createSeedName,
+  getDailySeedName,
+  createSeedQuery,
+  createRandomSeed,
+  SeedSequence,
+} from '../../utils/seed.js';
+import { HeadlessGame } from '../../core/headless-game.js';
+import { DebugSystem } from '../../systems/debug.system.js';
+import { eventBus } from '../../utils/event-bus.js';
+
+describe('Seed strings', () => {
+  it('hashes seed names case-insensitively and keeps digits as numbers', () => {
+    const seed = parseSeed('RED-MOLE-42');
+
+    expect(Number.isInteger(seed)).toBe(true);
+    expect(parseSeed('  red mole 42 ')).toBe(seed);
+    expect(parseSeed('RED-MOLE-43')).not.toBe(seed);
+    expect(parseSeed('12345')).toBe(12345);
+    expect(parseSeed(12345)).toBe(12345);
+    expect(parseSeed('')).toBeNull();
+    expect(parseSeed(undefined)).toBeNull();
+  });
+
+  it('makes up names in the ADJECTIVE-NOUN-NN shape', () => {
+    expect(createSeedName(() => 0)).toBe('RED-MOLE-0');
+    expect(createSeedName()).toMatch(/^[A-Z]+-[A-Z]+-\d{1,2}$/);
+  });
+
+  it('derives the daily seed from the UTC date', () => {
+    const lateEvening = new Date(Date.UTC(2026, 9, 19, 23, 30));
+    const nextMorning = new Date(Date.UTC(2026, 9, 20, 0, 30));
+
+    expect(getDailySeedName(lateEvening)).toBe('DAILY-2026-10-19');
+    expect(getDailySeedName(nextMorning)).toBe('DAILY-2026-10-20');
+  });
+
+  it('builds share query strings', () => {
+    expect(createSeedQuery({ seed: 'RED-MOLE-42', level: 3 })).toBe('?seed=RED-MOLE-42&level=3');
+    expect(createSeedQuery({ seed: 99 })).toBe('?seed=99');
+  });
+});
+
+describe('Chosen seed runs', () => {
+  const harnesses = [];
+
+  afterEach(() => {
+    harnesses.forEach((harness) => harness.destroy());
+    harnesses.length = 0;
+    eventBus.clear();
+    vi.restoreAllMocks();
+  });
+
+  const start = (options) => {
+    const harness = new HeadlessGame({ render: false, ...options });
+    harnesses.push(harness);
+    return harness;
+  };
+
+  it('starts on the chosen seed and level', () => {
+    const harness = start({ seed: 'red mole 42', level: 3 });
+    const terrain = harness.getSystem('TerrainSystem');
+
+    expect(terrain.seed).toBe(parseSeed('RED-MOLE-42'));
+    expect(terrain.getShareableSeed()).toBe('RED-MOLE-42');
+    expect(terrain.level).toBe(3);
+    expect(harness.getSystem('HUDSystem').level).toBe(3);
+  });
+
+  it('plays a random world when the seed is empty', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const harness = start({ seed: '  ' });
+    const terrain = harness.getSystem('TerrainSystem');
+
+    expect(harness.game.seedSequence).toBeNull();
+    expect(Number.isInteger(terrain.seed)).toBe(true);
+    expect(terrain.getShareableSeed()).not.toBe('');
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it('follows the same seed sequence through deaths and level transitions', () => {
+    const expected = new SeedSequence('RED-MOLE-42');
+    const harness = start({ seed: 'RED-MOLE-42' });
+    const terrain = harness.getSystem('TerrainSystem');
+
+    eventBus.emit('level:transition', {});
+    expect(terrain.seed).toBe(expected.next());
+    expect(terrain.level).toBe(2);
+
+    expect(harness.game.createSeed()).toBe(expected.next()); // Seed for death regeneration
+
+    eventBus.emit('level:transition', {});
+    expect(terrain.seed).toBe(expected.next());
+  });
+
+  it('draws random seeds for level transitions from the game, over the whole seed range', () => {
+    const harness = start({ seed: null });
+    const terrain = harness.getSystem('TerrainSystem');
+    vi.spyOn(Math, 'random').mockReturnValue(0.75);
+
+    expect(harness.game.createSeed()).toBe(createRandomSeed(() => 0.75));
+    expect(createRandomSeed(() => 0.75)).toBeGreaterThan(1000000);
+    eventBus.emit('level:transition', {});
+    expect(terrain.seed).toBe(createRandomSeed(() => 0.75));
+  });
+
+  it('starts a new seed sequence when the debug panel plays the daily seed', () => {
+    const daily = getDailySeedName();
+    const expected = new SeedSequence(daily);
+    const harness = start({ seed: 'RED-MOLE-42' });
+    const terrain = harness.getSystem('TerrainSystem');
+
+    new DebugSystem(harness.game).playSeed(daily);
+    expect(terrain.getShareableSeed()).toBe(daily);
+
+    eventBus.emit('level:transition', {});
+    expect(terrain.seed).toBe(expected.next());
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * @file unstable-blocks.test.js
+ * @description Verify a rock that loses its support wobbles (block:unstable, dust) for the
+ * configured delay before it falls, and settles again if its support comes back in time.
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { HeadlessGame } from '../../core/headless-game.js';
+import { BlockFactory } from '../../factories/block.factory.js';
+import { FallableComponent } from '../../components/block/fallable.component.js';
+import { eventBus } from '../../utils/event-bus.js';
+
+describe('Unstable blocks', () => {
+  let harness;
+  let terrain;
+  let gravity;
+  let unstable;
+  let landings;
+
+  /**
+   * A rock on mud in a basalt shaft
+   */
+  const setup = () => {
+    harness = new HeadlessGame({ seed: 4242, render: false });
+    terrain = harness.getSystem('TerrainSystem');
+    gravity = harness.getSystem('GravitySystem');
+    harness.getSystem('NPCSystem').clear();
+    for (let y = 10; y <= 16; y += 1) {
+      terrain.setBlock(4, y, BlockFactory.create('basalt'));
+      terrain.setBlock(5, y, y === 16 ? BlockFactory.create('basalt') : BlockFactory.createEmpty());
+      terrain.setBlock(6, y, BlockFactory.create('basalt'));
+    }
+    terrain.setBlock(5, 12, BlockFactory.createRock());
+    terrain.setBlock(5, 13, BlockFactory.createMud());
+    harness.stepTicks(2);
+
+    unstable = [];
+    landings = [];
+    // Generated rocks elsewhere in the level may wobble and fall too
+    const inShaft = ({ gridX, gridY }) => gridX === 5 && gridY >= 10 && gridY <= 16;
+    eventBus.on('block:unstable', (payload) => {
+      if (inShaft(payload.position)) unstable.push(payload);
+    });
+    eventBus.on('block:landed', (payload) => {
+      if (inShaft(payload.from)) landings.push(payload);
+    });
+  };
+
+  afterEach(() => {
+    harness?.destroy();
+    harness = null;
+    eventBus.clear();
+  });
+
+  it('wobbles for the configured delay, dropping dust, before it falls', () => {
+    setup();
+    gravity.unstableDelayMs = 300;
+    terrain.setBlock(5, 11, BlockFactory.create('basalt'));
+    terrain.setBlock(5, 13, BlockFactory.createEmpty());
+    expect(unstable).toEqual([]);
+
+    harness.step();
+    expect(unstable).toHaveLength(1);
+    expect(unstable[0].position).toEqual({ gridX: 5, gridY: 12 });
+    expect(unstable[0].delayMs).toBe(300);
+    expect(harness.getSystem('DustEffectSystem').particles.length).toBeGreaterThan(0);
+
+    const rock = terrain.getBlock(5, 12);
+    expect(rock.get(FallableComponent).isUnstable).toBe(true);
+    expect(gravity.unstableBlocks.has(rock)).toBe(true);
+
+    harness.step(250);
+    expect(rock.get(FallableComponent).isFalling).toBe(false);
+    harness.step(60);
+    expect(rock.get(FallableComponent).isFalling).toBe(true);
+    expect(harness.stepUntil(() => landings.length > 0, 120)).toBe(true);
+    expect(landings[0].position).toEqual({ gridX: 5, gridY: 15 });
+  });
+
+  it('settles when its support comes back, and falls at once without a delay', () => {
+    setup();
+    terrain.setBlock(5, 13, BlockFactory.createEmpty());
+    harness.stepTicks(3);
+    const rock = terrain.getBlock(5, 12);
+    expect(rock.get(FallableComponent).isUnstable).toBe(true);
+    expect(gravity.unstableBlocks.has(rock)).toBe(true);
+
+    terrain.setBlock(5, 13, BlockFactory.createMud());
+    harness.stepTicks(60);
+    expect(landings).toEqual([]);
+    expect(gravity.unstableBlocks.has(rock)).toBe(false);
+    expect(terrain.getBlock(5, 12).type).toBe('rock');
+    expect(terrain.getBlock(5, 12).get(FallableComponent).isUnstable).toBe(false);
+
+    gravity.unstableDelayMs = 0;
+    terrain.setBlock(5, 13, BlockFactory.createEmpty());
+    harness.step();
+    expect(terrain.getBlock(5, 12).get(FallableComponent).isFalling).toBe(true);
+    expect(unstable).toHaveLength(1);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * @file world-config.test.js
+ * @description Verify a run's WorldConfig sizes terrain, viewport and spawn, and that level
+ * changes re-sync them.
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { HeadlessGame } from '../../core/headless-game.js';
+import { WorldConfig } from '../../utils/world-config.js';
+import { getDifficultyProfile } from '../../terrain/difficulty-profiles.js';
+import { eventBus } from '../../utils/event-bus.js';
+
+describe('WorldConfig', () => {
+  let harness;
+
+  afterEach(() => {
+    harness?.destroy();
+    harness = null;
+    eventBus.clear();
+  });
+
+  it('derives tile, pixel and lava dimensions', () => {
+    const world = new WorldConfig({ widthChunks: 6, heightChunks: 40, chunkSize: 10 });
+
+    expect(world.widthTiles).toBe(60);
+    expect(world.heightPx).toBe(40 * 10 * 16);
+    expect(world.lavaDepthTiles).toBe(38 * 10);
+    expect(new WorldConfig({ widthChunks: 0, heightChunks: NaN })).toEqual(new WorldConfig());
+  });
+
+  it('runs a wide world end to end', () => {
+    const world = new WorldConfig({ widthChunks: 6 });
+    harness = new HeadlessGame({ seed: 1234, world, render: false });
+    const terrain = harness.getSystem('TerrainSystem');
+    const player = harness.getSystem('PlayerManagerSystem');
+
+    expect(terrain.worldWidthTiles).toBe(54);
+    expect(terrain.getBlock(50, 10).type).not.toBe('boundary');
+    expect(terrain.getBlock(54, 10).type).toBe('boundary');
+    expect(harness.game.viewport.worldWidth).toBe(world.widthPx);
+    expect(player.gridX).toBe(27);
+
+    harness.stepTicks(10);
+    expect(player.isDead()).toBe(false);
+  });
+
+  it('generates a deep world with a custom chunk size', () => {
+    const world = new WorldConfig({ heightChunks: 40, chunkSize: 12 });
+    harness = new HeadlessGame({ seed: 1234, world, render: false });
+    const terrain = harness.getSystem('TerrainSystem');
+
+    expect(terrain.generator.lavaDepth).toBe(38 * 12);
+    expect(terrain.getBlock(5, 460).type).toBe('lava');
+    expect(terrain.cache.getChunk(0, 1).size).toBe(12);
+  });
+
+  it('grows the run world per level and re-syncs the viewport', () => {
+    const world = new WorldConfig({ heightChunks: 40 });
+    harness = new HeadlessGame({ seed: 1234, world, render: false });
+    const terrain = harness.getSystem('TerrainSystem');
+    const resized = [];
+    eventBus.on('world:resized', (payload) => resized.push(payload.world));
+
+    eventBus.emit('level:transition', { seed: 5, level: 5 });
+
+    const expected = getDifficultyProfile(5, world);
+    expect(expected.worldHeightChunks).toBe(42);
+    expect(terrain.world.heightChunks).toBe(42);
+    expect(resized.map((w) => w.heightChunks)).toEqual([42]);
+    expect(harness.game.viewport.worldHeight).toBe(terrain.world.heightPx);
+  });
+});
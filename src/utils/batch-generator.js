@@ -3,8 +3,10 @@
  * @description Offline batch generator for 10x10 chunk composites (images/JSON)
  */
 
-import { CHUNK_SIZE } from './config.js';
 import { TerrainGenerator } from '../terrain/terrain-generator.js';
+import { BASE_DIFFICULTY } from '../terrain/difficulty-profiles.js';
+import { WorldConfig } from './world-config.js';
+import { getBiome, getBiomeByIndex } from '../terrain/biomes.js';
 
 const MUD_VARIANT_NAMES = {
   1: 'mud_light',
@@ -38,9 +40,11 @@ const describeBlock = (block) => {
 export class BatchGenerator {
   /**
    * @param {number} seed - Random seed for generation
+   * @param {WorldConfig} [world] - World dimensions (chunk size and bounds)
    */
-  constructor(seed = 12345) {
-    this.generator = new TerrainGenerator(seed);
+  constructor(seed = 12345, world = new WorldConfig()) {
+    this.generator = new TerrainGenerator(seed, BASE_DIFFICULTY, world);
+    this.chunkSize = world.chunkSize;
   }
 
   /**
@@ -57,8 +61,9 @@ export class BatchGenerator {
       startChunkX,
       startChunkY,
       batchSize,
-      totalBlocks: batchSize * batchSize * CHUNK_SIZE * CHUNK_SIZE,
+      totalBlocks: batchSize * batchSize * this.chunkSize * this.chunkSize,
       blockCounts: {},
+      biomeCounts: {},
       timestamp: new Date().toISOString(),
     };
 
@@ -72,15 +77,23 @@ export class BatchGenerator {
           x: chunkX,
           y: chunkY,
           blocks: [],
+          biomes: [], // Biome id each tile was generated in
         };
 
-        for (let y = 0; y < CHUNK_SIZE; y += 1) {
+        for (let y = 0; y < this.chunkSize; y += 1) {
           chunkData.blocks[y] = [];
-          for (let x = 0; x < CHUNK_SIZE; x += 1) {
-            const block = chunk.getBlock(x, y);
+          chunkData.biomes[y] = [];
+          for (let x = 0; x < this.chunkSize; x += 1) {
+            const block = chunk ? chunk.getBlock(x, y) : null;
             const blockType = describeBlock(block);
+            const biome = chunk ? getBiomeByIndex(chunk.getBiomeIndex(x, y)) : null;
+            const biomeId = biome ? biome.id : null;
             chunkData.blocks[y][x] = blockType;
+            chunkData.biomes[y][x] = biomeId;
             metadata.blockCounts[blockType] = (metadata.blockCounts[blockType] || 0) + 1;
+            if (biomeId) {
+              metadata.biomeCounts[biomeId] = (metadata.biomeCounts[biomeId] || 0) + 1;
+            }
           }
         }
 
@@ -120,22 +133,30 @@ export class BatchGenerator {
       mud_dark: '▓',
       mud_dense: '█',
       mud_core: '■',
+      clay: 'c',
+      basalt: 'B',
+      ore_copper: 'o',
+      ore_silver: 's',
+      ore_gold: 'g',
+      ore_gem: '*',
       rock: '#',
       red_frame: 'R',
+      water: '~',
+      lava: '^',
     };
 
     let ascii = '';
 
     // For each row of blocks in the composite
-    for (let worldY = 0; worldY < batchSize * CHUNK_SIZE; worldY += 1) {
+    for (let worldY = 0; worldY < batchSize * this.chunkSize; worldY += 1) {
       let line = '';
 
-      for (let worldX = 0; worldX < batchSize * CHUNK_SIZE; worldX += 1) {
+      for (let worldX = 0; worldX < batchSize * this.chunkSize; worldX += 1) {
         // Find chunk containing this block
-        const chunkX = Math.floor(worldX / CHUNK_SIZE);
-        const chunkY = Math.floor(worldY / CHUNK_SIZE);
-        const localX = worldX % CHUNK_SIZE;
-        const localY = worldY % CHUNK_SIZE;
+        const chunkX = Math.floor(worldX / this.chunkSize);
+        const chunkY = Math.floor(worldY / this.chunkSize);
+        const localX = worldX % this.chunkSize;
+        const localY = worldY % this.chunkSize;
 
         const chunkIndex = chunkY * batchSize + chunkX;
         const chunk = chunks[chunkIndex];
@@ -154,14 +175,15 @@ export class BatchGenerator {
    * @param {number} startChunkX - Starting chunk X coordinate
    * @param {number} startChunkY - Starting chunk Y coordinate
    * @param {number} blockSize - Pixel size per block (default 2)
+   * @param {'blocks'|'biomes'} [view] - Colour tiles by block type or by source biome
    * @returns {string} Canvas data URL (PNG)
    */
-  generateImage(startChunkX = 0, startChunkY = 0, blockSize = 2) {
+  generateImage(startChunkX = 0, startChunkY = 0, blockSize = 2, view = 'blocks') {
     const batchSize = 10;
     const { chunks } = this.generateBatch(startChunkX, startChunkY);
 
-    const width = batchSize * CHUNK_SIZE * blockSize;
-    const height = batchSize * CHUNK_SIZE * blockSize;
+    const width = batchSize * this.chunkSize * blockSize;
+    const height = batchSize * this.chunkSize * blockSize;
 
     // Create canvas
     const canvas = document.createElement('canvas');
@@ -177,22 +199,34 @@ export class BatchGenerator {
       mud_dark: '#6F4E37',
       mud_dense: '#5C4033',
       mud_core: '#3E2723',
+      clay: '#B5653A',
+      basalt: '#37373F',
+      ore_copper: '#D9823B',
+      ore_silver: '#C8D2DC',
+      ore_gold: '#FFC83D',
+      ore_gem: '#4FE3D0',
       rock: '#9E9E9E',
       red_frame: '#D32F2F',
+      water: '#3278DC',
+      lava: '#FF6018',
     };
 
     // Render each block
-    for (let worldY = 0; worldY < batchSize * CHUNK_SIZE; worldY += 1) {
-      for (let worldX = 0; worldX < batchSize * CHUNK_SIZE; worldX += 1) {
-        const chunkX = Math.floor(worldX / CHUNK_SIZE);
-        const chunkY = Math.floor(worldY / CHUNK_SIZE);
-        const localX = worldX % CHUNK_SIZE;
-        const localY = worldY % CHUNK_SIZE;
+    for (let worldY = 0; worldY < batchSize * this.chunkSize; worldY += 1) {
+      for (let worldX = 0; worldX < batchSize * this.chunkSize; worldX += 1) {
+        const chunkX = Math.floor(worldX / this.chunkSize);
+        const chunkY = Math.floor(worldY / this.chunkSize);
+        const localX = worldX % this.chunkSize;
+        const localY = worldY % this.chunkSize;
 
         const chunkIndex = chunkY * batchSize + chunkX;
         const chunk = chunks[chunkIndex];
         const blockType = chunk.blocks[localY][localX];
-        const color = blockColors[blockType] || '#FF00FF';
+        let color = blockColors[blockType] || '#FF00FF';
+        if (view === 'biomes') {
+          const biome = getBiome(chunk.biomes[localY][localX]);
+          color = biome ? biome.mapColor : '#000000';
+        }
 
         ctx.fillStyle = color;
         ctx.fillRect(worldX * blockSize, worldY * blockSize, blockSize, blockSize);
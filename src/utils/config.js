@@ -31,19 +31,14 @@ export const PLAYER_RADIUS = 5;
 export const DEATH_OVERLAY_DELAY_MS = 1000; // Delay before showing death overlay (allows animations to complete)
 
 // Terrain
-export const CHUNK_SIZE = 9; // 32x32 blocks per chunk
-export const CHUNK_CACHE_LIMIT = 10; // Max cached chunks
+export const CHUNK_CACHE_LIMIT = 12; // Max cached chunks (3x3 around the player + prefetch row)
+export const CHUNK_PREFETCH_DISTANCE = 2; // Chunks ahead of the player's chunk to request early
 
-// World bounds (in chunks)
+// Default world (a run's actual dimensions live in its WorldConfig, see world-config.js)
+export const CHUNK_SIZE = 9; // 9x9 blocks per chunk
 export const WORLD_WIDTH_CHUNKS = 2;
 export const WORLD_HEIGHT_CHUNKS = 8;
-
-// World dimensions (pixels)
-export const WORLD_WIDTH_PX = WORLD_WIDTH_CHUNKS * CHUNK_SIZE * TILE_WIDTH;
-export const WORLD_HEIGHT_PX = WORLD_HEIGHT_CHUNKS * CHUNK_SIZE * TILE_HEIGHT;
-
-// Lava configuration (distance from bottom of the world in chunks)
-export const LAVA_SURFACE_OFFSET_CHUNKS = 2;
+export const LAVA_SURFACE_OFFSET_CHUNKS = 2; // Lava distance from the bottom of the world
 
 // Door / level transition
 export const DOOR_DEPTH_RATIO = 0.75; // Percentage of world height where the door appears
@@ -52,9 +47,34 @@ export const DOOR_LAVA_CLEARANCE_TILES = 6; // Keep the door platform safely abo
 export const DOOR_STEP_WIDTH = 3;
 export const RESET_TIMER_ON_LEVEL = false;
 
+// Rising lava ("chase" mode, opt-in with ?chase); rates in tiles per second
+export const LAVA_CHASE_DEFAULTS = {
+  startDelayMs: 5000, // Grace period after the player starts digging
+  baseRate: 0.15,
+  acceleration: 0.01, // Rate gained per second of rising
+  maxRate: 1,
+};
+
+// Save / load
+export const SAVE_STORAGE_KEY = 'digger2.save';
+export const SAVE_AUTOSAVE_INTERVAL_MS = 5000;
+export const REPLAY_STORAGE_KEY = 'digger2.replay';
+
+// Audio (channel → default volume 0-1; every channel feeds `master`)
+export const AUDIO_CHANNEL_VOLUMES = {
+  master: 0.8,
+  dig: 0.5, // Crunch of destroyed blocks
+  impact: 0.8, // Rock thuds and explosions
+  reward: 0.6, // Loot and coins
+  alert: 0.7, // Death and level transition stings
+  music: 0.25, // Ambient drone
+};
+export const AUDIO_MIN_REPEAT_MS = 40; // Same sound retriggers no faster than this
+
 // Physics
 export const GRAVITY = 0.5;
 export const FALL_SPEED_MAX = 10;
+export const FALL_UNSTABLE_DELAY_MS = 500; // Rocks and chests wobble this long before falling
 
 export const CAMERA_OFFSET_Y = 200; // Player offset from top
 
@@ -20,6 +20,12 @@ export class PerformanceMonitor {
       renderTime: {
         current: 0, avg: 0, max: 0, samples: [],
       },
+      terrainRender: {
+        current: 0, avg: 0, max: 0, samples: [],
+      },
+      chunkRedraw: {
+        current: 0, avg: 0, max: 0, samples: [],
+      },
       chunkGeneration: {
         current: 0, avg: 0, max: 0, samples: [],
       },
@@ -36,7 +42,7 @@ export class PerformanceMonitor {
     this.warnings = [];
 
     // Performance observer for custom marks/measures
-    if (window.PerformanceObserver) {
+    if (typeof window !== 'undefined' && window.PerformanceObserver) {
       this.observer = new PerformanceObserver((list) => {
         for (const entry of list.getEntries()) {
           this._handlePerformanceEntry(entry);
@@ -117,6 +123,12 @@ export class PerformanceMonitor {
       case 'render':
         this._updateMetric('renderTime', duration);
         break;
+      case 'terrainRender':
+        this._updateMetric('terrainRender', duration);
+        break;
+      case 'chunkRedraw':
+        this._updateMetric('chunkRedraw', duration);
+        break;
       case 'chunkGen':
         this._updateMetric('chunkGeneration', duration);
         break;
@@ -184,6 +196,16 @@ export class PerformanceMonitor {
         avg: this.metrics.renderTime.avg.toFixed(2),
         max: this.metrics.renderTime.max.toFixed(2),
       },
+      terrainRender: {
+        current: this.metrics.terrainRender.current.toFixed(2),
+        avg: this.metrics.terrainRender.avg.toFixed(2),
+        max: this.metrics.terrainRender.max.toFixed(2),
+      },
+      chunkRedraw: {
+        current: this.metrics.chunkRedraw.current.toFixed(2),
+        avg: this.metrics.chunkRedraw.avg.toFixed(2),
+        max: this.metrics.chunkRedraw.max.toFixed(2),
+      },
       chunkGeneration: {
         current: this.metrics.chunkGeneration.current.toFixed(2),
         avg: this.metrics.chunkGeneration.avg.toFixed(2),
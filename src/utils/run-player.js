@@ -0,0 +1,124 @@
+/**
+ * @file run-player.js
+ * @description Replays a recorded run by re-emitting its input events on the event bus
+ */
+
+import { eventBus } from './event-bus.js';
+import { RECORDING_VERSION } from './run-recorder.js';
+import { createRandomSeed } from './seed.js';
+
+/**
+ * RunPlayer
+ * Feeds recorded input back at the same simulation ticks. Start it on a freshly
+ * initialized game (before the first frame) so the run reproduces exactly. Live keyboard
+ * and touch input is switched off while it plays, so stray presses cannot make the replay
+ * diverge.
+ */
+export class RunPlayer {
+  /**
+   * @param {Game} game - Game to drive
+   * @param {Object} recording - Output of RunRecorder.stop()
+   */
+  constructor(game, recording) {
+    this.game = game;
+    this.recording = recording;
+    this.startTick = 0;
+    this.eventIndex = 0;
+    this.playing = false;
+    this.unsubscribeTick = null;
+  }
+
+  /**
+   * Begin playback from the current tick
+   */
+  start() {
+    const { recording } = this;
+    if (!recording || recording.version !== RECORDING_VERSION) {
+      throw new Error('RunPlayer: unsupported recording');
+    }
+
+    this.stop();
+
+    if (Number.isFinite(recording.stepMs)) {
+      this.game.frameInterval = recording.stepMs;
+    }
+    this.game.setFixedTimestep(true);
+
+    const seeds = [...recording.seeds];
+    this.game.seedProvider = () => {
+      if (seeds.length > 0) {
+        return seeds.shift();
+      }
+      console.warn('RunPlayer: recording has no more seeds, replay will diverge');
+      return createRandomSeed();
+    };
+
+    const terrain = this.game.components.find((c) => c.constructor.name === 'TerrainSystem');
+    const saveSystem = this.game.components.find((c) => c.constructor.name === 'SaveSystem');
+    if (recording.save && saveSystem) {
+      saveSystem.restore(recording.save); // Recorded from a loaded save
+    } else if (terrain && Number.isFinite(recording.seed)) {
+      if (Number.isInteger(recording.level)) {
+        terrain.setSeed(recording.seed, recording.level);
+      } else {
+        terrain.setSeed(recording.seed); // Recorded before levels were tracked
+      }
+    }
+
+    this.startTick = this.game.tick;
+    this.eventIndex = 0;
+    this.playing = true;
+    this._setLiveInput(false);
+    this.unsubscribeTick = eventBus.on('game:tick', ({ tick }) => this._onTick(tick));
+  }
+
+  /**
+   * Stop playback
+   */
+  stop() {
+    if (this.unsubscribeTick) {
+      this.unsubscribeTick();
+      this.unsubscribeTick = null;
+    }
+    if (this.playing) {
+      this.game.seedProvider = null;
+      this._setLiveInput(true);
+    }
+    this.playing = false;
+  }
+
+  /**
+   * Switch keyboard (`game.inputSystem`) and touch input on or off
+   * @param {boolean} enabled
+   * @private
+   */
+  _setLiveInput(enabled) {
+    const touchInput = this.game.components.find((c) => c.constructor.name === 'TouchInputSystem');
+    [this.game.inputSystem, touchInput].forEach((input) => {
+      if (input) {
+        input.enabled = enabled;
+      }
+    });
+  }
+
+  /**
+   * Emit recorded events due at this tick
+   * @param {number} tick - Absolute game tick about to run
+   * @private
+   */
+  _onTick(tick) {
+    const relativeTick = tick - this.startTick;
+    const { events, endTick } = this.recording;
+
+    while (this.eventIndex < events.length && events[this.eventIndex].tick <= relativeTick) {
+      const { type, data } = events[this.eventIndex];
+      this.eventIndex += 1;
+      eventBus.emit(type, data);
+    }
+
+    if (relativeTick >= endTick) {
+      this.stop();
+      eventBus.emit('replay:complete', { ticks: endTick });
+    }
+  }
+}
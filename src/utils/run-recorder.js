@@ -0,0 +1,131 @@
+/**
+ * @file run-recorder.js
+ * @description Records the seed and input events of a run for deterministic replay
+ */
+
+import { eventBus } from './event-bus.js';
+import { REPLAY_STORAGE_KEY } from './config.js';
+import { INPUT_EVENTS } from '../systems/input.system.js';
+import { createRandomSeed } from './seed.js';
+
+export const RECORDING_VERSION = 1;
+
+/**
+ * Persist a recording so it can be replayed after a reload
+ * @param {Object} recording
+ * @param {Storage} [storage]
+ */
+export function storeRecording(recording, storage = globalThis.localStorage) {
+  try {
+    storage.setItem(REPLAY_STORAGE_KEY, JSON.stringify(recording));
+  } catch (error) {
+    console.warn('Failed to store recording:', error);
+  }
+}
+
+/**
+ * Read the stored recording
+ * @param {Storage} [storage]
+ * @returns {Object|null}
+ */
+export function loadStoredRecording(storage = globalThis.localStorage) {
+  try {
+    const raw = storage.getItem(REPLAY_STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.warn('Failed to read recording:', error);
+    return null;
+  }
+}
+
+/**
+ * RunRecorder
+ * Captures every input event stamped with the simulation tick it applies to,
+ * plus every terrain seed drawn during the run. Loading a save while recording starts
+ * the recording over from the loaded run, which it keeps (`save`) for RunPlayer to
+ * restore before replaying.
+ */
+export class RunRecorder {
+  /**
+   * @param {Game} game - Game to record
+   */
+  constructor(game) {
+    this.game = game;
+    this.recording = null;
+    this.startTick = 0;
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Start recording from the current state.
+   * Switches the game to fixed-timestep mode so ticks are reproducible.
+   * @param {Object} [save] - Save data the current state was just restored from
+   */
+  start(save = null) {
+    this.stop();
+
+    const terrain = this.game.components.find((c) => c.constructor.name === 'TerrainSystem');
+
+    this.game.setFixedTimestep(true);
+    this.startTick = this.game.tick;
+    this.recording = {
+      version: RECORDING_VERSION,
+      seed: terrain ? terrain.seed : null,
+      level: terrain ? terrain.level : null,
+      stepMs: this.game.frameInterval,
+      seeds: [],
+      events: [],
+      endTick: 0,
+    };
+    if (save) {
+      this.recording.save = save;
+    }
+
+    // Capture seeds drawn for regenerated terrain (death, level transitions). The
+    // sequence is looked up on every draw: loading a save replaces it.
+    this.game.seedProvider = () => {
+      const { seedSequence } = this.game;
+      const seed = seedSequence ? seedSequence.next() : createRandomSeed();
+      this.recording.seeds.push(seed);
+      return seed;
+    };
+
+    this.unsubscribers = INPUT_EVENTS.map((type) => eventBus.on(type, (data) => {
+      const event = { tick: this.game.tick - this.startTick, type };
+      if (data !== undefined) {
+        event.data = data;
+      }
+      this.recording.events.push(event);
+    }));
+    // Input recorded so far belongs to the run the save replaced
+    this.unsubscribers.push(eventBus.on('save:restored', (data) => this.start(data)));
+  }
+
+  /**
+   * Stop recording
+   * @returns {Object|null} The finished recording
+   */
+  stop() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
+
+    if (!this.recording) {
+      return null;
+    }
+
+    this.game.seedProvider = null;
+    this.recording.endTick = this.game.tick - this.startTick;
+
+    const { recording } = this;
+    this.recording = null;
+    return recording;
+  }
+
+  /**
+   * Check whether recording is in progress
+   * @returns {boolean}
+   */
+  isRecording() {
+    return this.recording !== null;
+  }
+}
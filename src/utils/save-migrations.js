@@ -0,0 +1,111 @@
+/**
+ * @file save-migrations.js
+ * @description Versioned save schema and upgrade steps for older saves
+ */
+
+import {
+  CHUNK_SIZE,
+  WORLD_WIDTH_CHUNKS,
+  WORLD_HEIGHT_CHUNKS,
+  LAVA_SURFACE_OFFSET_CHUNKS,
+} from './config.js';
+
+export const SAVE_VERSION = 7;
+
+/**
+ * Rewrite every saved block descriptor in place.
+ * Use from a migration when block types are renamed or their data changes.
+ * @param {Object} data - Save data in the current chunk layout
+ * @param {Function} mapBlock - (descriptor) => descriptor
+ * @returns {Object} The same save data
+ */
+export function mapSavedBlocks(data, mapBlock) {
+  if (!data || !Array.isArray(data.chunks)) {
+    return data;
+  }
+
+  data.chunks.forEach((chunk) => {
+    if (!Array.isArray(chunk.tiles)) return;
+    chunk.tiles.forEach((tile) => {
+      if (tile && tile.block) {
+        tile.block = mapBlock(tile.block);
+      }
+    });
+  });
+
+  return data;
+}
+
+/**
+ * Upgrade steps keyed by the version they upgrade from.
+ * Each step receives data at version N and returns data at version N + 1.
+ */
+export const SAVE_MIGRATIONS = {
+  // v0: schema proposed in DEV_TOOLS.md (flat player position, opaque chunk dumps)
+  0: (data) => ({
+    version: 1,
+    seed: data.seed,
+    door: null,
+    player: {
+      gridX: data.playerX,
+      gridY: data.playerY,
+      timerMs: null,
+      hasStarted: true,
+    },
+    score: data.score ?? 0,
+    // Legacy chunk dumps have no baseline to diff against, so they are dropped
+    chunks: [],
+  }),
+  // v1: single-level runs; add the level counter
+  1: (data) => ({ ...data, level: 1 }),
+  // v2: every run used the default world
+  2: (data) => ({
+    ...data,
+    world: {
+      chunkSize: CHUNK_SIZE,
+      widthChunks: WORLD_WIDTH_CHUNKS,
+      heightChunks: WORLD_HEIGHT_CHUNKS,
+      lavaOffsetChunks: LAVA_SURFACE_OFFSET_CHUNKS,
+    },
+  }),
+  // v3: no ore resources yet
+  3: (data) => ({ ...data, resources: {} }),
+  // v4: no rising lava (chase mode)
+  4: (data) => ({ ...data, lavaChase: null }),
+  // v5: every run used random seeds (no chosen seed sequence)
+  5: (data) => ({ ...data, seedSequence: null }),
+  // v6: seed names were not kept; the terrain was shared by its number
+  6: (data) => ({ ...data, seedName: null }),
+};
+
+/**
+ * Bring save data up to SAVE_VERSION.
+ * @param {Object} data - Parsed save data
+ * @returns {Object|null} Migrated data, or null if it cannot be upgraded
+ */
+export function migrateSave(data) {
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+
+  let migrated = data;
+  let version = Number.isInteger(migrated.version) ? migrated.version : 0;
+
+  if (version > SAVE_VERSION) {
+    console.warn(`Save version ${version} is newer than supported version ${SAVE_VERSION}`);
+    return null;
+  }
+
+  while (version < SAVE_VERSION) {
+    const step = SAVE_MIGRATIONS[version];
+    if (!step) {
+      console.warn(`No save migration from version ${version}`);
+      return null;
+    }
+    migrated = step(migrated);
+    version += 1;
+    migrated.version = version;
+  }
+
+  return migrated;
+}
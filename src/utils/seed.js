@@ -0,0 +1,148 @@
+/**
+ * @file seed.js
+ * @description Seed strings ("RED-MOLE-42"), the daily challenge seed and per-run seed sequences
+ */
+
+// Numeric seeds stay within 31 bits (same range as TerrainSystem's random seeds)
+const SEED_MAX = 0x7fffffff;
+
+const NAME_ADJECTIVES = [
+  'RED', 'DEEP', 'DARK', 'HOT', 'MUDDY', 'RUSTY', 'DUSTY', 'STONY',
+  'WILD', 'SLOW', 'QUIET', 'GOLDEN', 'HIDDEN', 'CRUMBLY', 'MOLTEN', 'DAMP',
+];
+const NAME_NOUNS = [
+  'MOLE', 'WORM', 'ROCK', 'CLAY', 'GEM', 'DOOR', 'LAVA', 'ROOT',
+  'CAVE', 'ORE', 'PICK', 'MAGGOT', 'SHAFT', 'BASALT', 'CRYSTAL', 'TUNNEL',
+];
+
+/**
+ * Canonical form of a seed string: trimmed, upper case, words joined by dashes
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeSeedName(text) {
+  return String(text).trim().toUpperCase().replace(/[\s_]+/g, '-');
+}
+
+/**
+ * Hash a string to a numeric seed (32-bit FNV-1a folded into 31 bits)
+ * @param {string} text
+ * @returns {number}
+ */
+export function hashSeedString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) % SEED_MAX;
+}
+
+/**
+ * Turn a seed as typed or shared into the numeric terrain seed.
+ * Digits are used as the number itself; any other text is a seed name and is hashed
+ * case-insensitively ("red mole 42" and "RED-MOLE-42" are the same world).
+ * @param {number|string} value
+ * @returns {number|null} Seed, or null when the value is not a usable seed
+ */
+export function parseSeed(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? Math.floor(Math.abs(value)) % SEED_MAX : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const name = normalizeSeedName(value);
+  if (name.length === 0) {
+    return null;
+  }
+  return /^\d+$/.test(name) ? Number(name) % SEED_MAX : hashSeedString(name);
+}
+
+/**
+ * Draw a random numeric seed (the whole seed range, like a hashed seed name)
+ * @param {Function} [random] - Returns a number in [0, 1)
+ * @returns {number}
+ */
+export function createRandomSeed(random = Math.random) {
+  return Math.floor(random() * SEED_MAX);
+}
+
+/**
+ * Make up a random seed name such as "RED-MOLE-42"
+ * @param {Function} [random] - Returns a number in [0, 1)
+ * @returns {string}
+ */
+export function createSeedName(random = Math.random) {
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  return `${pick(NAME_ADJECTIVES)}-${pick(NAME_NOUNS)}-${Math.floor(random() * 100)}`;
+}
+
+/**
+ * Seed name of the daily challenge. Uses the UTC date, so everyone plays the same world
+ * whatever their time zone.
+ * @param {Date} [date]
+ * @returns {string} e.g. "DAILY-2026-10-19"
+ */
+export function getDailySeedName(date = new Date()) {
+  return `DAILY-${date.toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Query string that reopens a world, e.g. "?seed=RED-MOLE-42&level=3"
+ * @param {{seed: number|string, level?: number}} options
+ * @returns {string}
+ */
+export function createSeedQuery({ seed, level = 1 }) {
+  const params = new URLSearchParams({ seed: String(seed) });
+  if (Number.isInteger(level) && level > 1) {
+    params.set('level', String(level));
+  }
+  return `?${params}`;
+}
+
+/**
+ * SeedSequence
+ * The seeds of a run that started from a chosen seed. The first terrain uses `seed`;
+ * each regenerated terrain after that (death regeneration, level transitions) takes
+ * `next()`, so replaying the same seed gives the same run of worlds.
+ */
+export class SeedSequence {
+  /**
+   * @param {number|string} seed - Starting seed or seed name
+   * @param {number} [index] - Seeds already drawn with `next()`
+   */
+  constructor(seed, index = 0) {
+    this.name = typeof seed === 'string' ? normalizeSeedName(seed) : null;
+    this.seed = parseSeed(seed) ?? 0;
+    this.index = Number.isInteger(index) && index > 0 ? index : 0;
+  }
+
+  /**
+   * @returns {number} Seed for the next regenerated terrain
+   */
+  next() {
+    this.index += 1;
+    return hashSeedString(`${this.seed}/${this.index}`);
+  }
+
+  /**
+   * Serializable state (for saves)
+   * @returns {{seed: number, name: string|null, index: number}}
+   */
+  toJSON() {
+    return { seed: this.seed, name: this.name, index: this.index };
+  }
+
+  /**
+   * Rebuild a sequence written by `toJSON`
+   * @param {{seed: number, name?: string|null, index?: number}} state
+   * @returns {SeedSequence}
+   */
+  static fromJSON({ seed, name = null, index = 0 }) {
+    const sequence = new SeedSequence(seed, index);
+    sequence.name = name;
+    return sequence;
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * @file world-config.js
+ * @description Per-run world dimensions (chunk size, world size in chunks, lava depth)
+ */
+
+import {
+  CHUNK_SIZE,
+  WORLD_WIDTH_CHUNKS,
+  WORLD_HEIGHT_CHUNKS,
+  LAVA_SURFACE_OFFSET_CHUNKS,
+  TILE_WIDTH,
+  TILE_HEIGHT,
+} from './config.js';
+
+/**
+ * Read a positive integer option, falling back when invalid
+ * @param {*} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function positiveInteger(value, fallback) {
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * WorldConfig
+ * Immutable description of the world a run plays in. Created once per run (defaults come
+ * from config.js) and passed to TerrainGenerator, TerrainSystem, Viewport and the camera.
+ * Levels derive their own copy with `forDifficulty()`.
+ */
+export class WorldConfig {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.chunkSize] - Tiles per chunk side
+   * @param {number} [options.widthChunks] - World width in chunks
+   * @param {number} [options.heightChunks] - World height in chunks
+   * @param {number} [options.lavaOffsetChunks] - Lava surface distance from the world bottom
+   */
+  constructor({
+    chunkSize = CHUNK_SIZE,
+    widthChunks = WORLD_WIDTH_CHUNKS,
+    heightChunks = WORLD_HEIGHT_CHUNKS,
+    lavaOffsetChunks = LAVA_SURFACE_OFFSET_CHUNKS,
+  } = {}) {
+    this.chunkSize = positiveInteger(chunkSize, CHUNK_SIZE);
+    this.widthChunks = positiveInteger(widthChunks, WORLD_WIDTH_CHUNKS);
+    this.heightChunks = positiveInteger(heightChunks, WORLD_HEIGHT_CHUNKS);
+    this.lavaOffsetChunks = Math.max(
+      0,
+      Math.min(Number.isInteger(lavaOffsetChunks) ? lavaOffsetChunks : 0, this.heightChunks),
+    );
+    Object.freeze(this);
+  }
+
+  /** @returns {number} World width in tiles */
+  get widthTiles() {
+    return this.widthChunks * this.chunkSize;
+  }
+
+  /** @returns {number} World height in tiles */
+  get heightTiles() {
+    return this.heightChunks * this.chunkSize;
+  }
+
+  /** @returns {number} World width in pixels */
+  get widthPx() {
+    return this.widthTiles * TILE_WIDTH;
+  }
+
+  /** @returns {number} World height in pixels */
+  get heightPx() {
+    return this.heightTiles * TILE_HEIGHT;
+  }
+
+  /** @returns {number} First tile row of the lava lake */
+  get lavaDepthTiles() {
+    return (this.heightChunks - this.lavaOffsetChunks) * this.chunkSize;
+  }
+
+  /**
+   * Copy with some options replaced
+   * @param {Object} overrides - Same options as the constructor
+   * @returns {WorldConfig}
+   */
+  with(overrides = {}) {
+    return new WorldConfig({ ...this.toJSON(), ...overrides });
+  }
+
+  /**
+   * World for a level: height and lava depth come from its difficulty profile
+   * @param {DifficultyProfile} difficulty - Built for this world by `getDifficultyProfile`
+   * @returns {WorldConfig}
+   */
+  forDifficulty(difficulty) {
+    if (!difficulty) {
+      return this;
+    }
+
+    return this.with({
+      heightChunks: difficulty.worldHeightChunks,
+      lavaOffsetChunks: difficulty.lavaOffsetChunks,
+    });
+  }
+
+  /**
+   * Check whether two configs describe the same world
+   * @param {WorldConfig|null} other
+   * @returns {boolean}
+   */
+  equals(other) {
+    return !!other
+      && other.chunkSize === this.chunkSize
+      && other.widthChunks === this.widthChunks
+      && other.heightChunks === this.heightChunks
+      && other.lavaOffsetChunks === this.lavaOffsetChunks;
+  }
+
+  /**
+   * Plain options object (for saves and `with`)
+   * @returns {{chunkSize: number, widthChunks: number, heightChunks: number,
+   *   lavaOffsetChunks: number}}
+   */
+  toJSON() {
+    return {
+      chunkSize: this.chunkSize,
+      widthChunks: this.widthChunks,
+      heightChunks: this.heightChunks,
+      lavaOffsetChunks: this.lavaOffsetChunks,
+    };
+  }
+}